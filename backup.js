@@ -0,0 +1,53 @@
+import fs from 'fs'
+import { db } from './server/db.js'
+import { writeBackup, restoreBackup, BackupError } from './server/backup.js'
+import { migrateUp } from './server/migrate.js'
+
+const USAGE = `Uso:
+  npm run backup [-- arquivo.zip]                  cria um backup (banco + arquivos)
+  npm run restore -- arquivo.zip [--replace]       restaura (padrão: mescla com a galeria atual)`
+
+async function createCommand(file) {
+  const target = file || `galeria-backup-${new Date().toISOString().slice(0, 10)}.zip`
+  console.log(`\n💾 Criando backup em ${target}...`)
+
+  const manifest = await writeBackup(fs.createWriteStream(target))
+  const bytes = manifest.files.reduce((total, entry) => total + entry.size, 0)
+  console.log(`✅ Backup criado: ${manifest.files.length - 1} arquivo(s), ${(bytes / 1024 / 1024).toFixed(2)} MB (esquema v${manifest.schemaVersion})\n`)
+}
+
+async function restoreCommand(file, flags) {
+  if (!file) throw new BackupError('Informe o arquivo de backup')
+  const mode = flags.includes('--replace') ? 'replace' : 'merge'
+  console.log(`\n♻️  Restaurando ${file} (${mode === 'replace' ? 'substituindo a galeria atual' : 'mesclando com a galeria atual'})...`)
+
+  const summary = await restoreBackup(file, { mode })
+  console.log(`✅ Backup de ${new Date(summary.createdAt).toLocaleString('pt-BR')} restaurado`)
+  for (const [table, { imported, existing }] of Object.entries(summary.tables)) {
+    if (imported > 0 || existing > 0) {
+      console.log(`   ${table}: ${imported} importado(s)${existing > 0 ? `, ${existing} já existente(s)` : ''}`)
+    }
+  }
+  console.log('')
+}
+
+async function main() {
+  const [command, file, ...flags] = process.argv.slice(2)
+  try {
+    await migrateUp(db)
+    if (command === 'create') await createCommand(file)
+    else if (command === 'restore') await restoreCommand(file, flags)
+    else console.log(USAGE)
+  } catch (error) {
+    if (error instanceof BackupError) {
+      console.error(`❌ ${error.message}`)
+    } else {
+      console.error('❌ Erro:', error)
+    }
+    process.exitCode = 1
+  } finally {
+    db.close()
+  }
+}
+
+main()
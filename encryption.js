@@ -0,0 +1,90 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import dotenv from 'dotenv'
+import { encryptionEnabled, encryptFile, fileEncryptionStatus, generateKey, EncryptionError } from './server/encryption.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const uploadsDir = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(__dirname, 'server', 'uploads')
+const thumbsDir = process.env.THUMBS_DIR ? path.resolve(process.env.THUMBS_DIR) : path.join(__dirname, 'server', 'thumbs')
+
+const USAGE = `Uso:
+  npm run encryption -- status          mostra quantos arquivos estão criptografados e com qual chave
+  npm run encryption -- rotate          criptografa com a ENCRYPTION_KEY atual os arquivos sem criptografia
+                                        ou cifrados com uma chave de ENCRYPTION_PREVIOUS_KEYS
+  npm run encryption -- generate-key    gera uma nova chave mestra`
+
+// Originais em uploads/ e miniaturas em thumbs/<id>/<tamanho>.webp
+function listFiles() {
+  const files = []
+  const walk = dir => {
+    if (!fs.existsSync(dir)) return
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const filePath = path.join(dir, entry.name)
+      if (entry.isDirectory()) walk(filePath)
+      else if (entry.isFile() && !entry.name.endsWith('.tmp')) files.push(filePath)
+    }
+  }
+  walk(uploadsDir)
+  walk(thumbsDir)
+  return files
+}
+
+async function statusCommand() {
+  const counts = { plain: 0, current: 0, previous: 0, unknown: 0 }
+  for (const filePath of listFiles()) {
+    counts[await fileEncryptionStatus(filePath)]++
+  }
+
+  console.log(`\n🔐 Criptografia em disco ${encryptionEnabled() ? 'ativa' : 'desativada (ENCRYPTION_KEY não configurada)'}\n`)
+  console.log(`   Chave atual:            ${counts.current}`)
+  console.log(`   Chaves anteriores:      ${counts.previous}`)
+  console.log(`   Sem criptografia:       ${counts.plain}`)
+  console.log(`   Chave desconhecida:     ${counts.unknown}`)
+  if (counts.plain > 0 || counts.previous > 0) {
+    console.log('\n   Execute "npm run encryption -- rotate" para criptografar com a chave atual')
+  }
+  console.log('')
+}
+
+async function rotateCommand() {
+  if (!encryptionEnabled()) throw new EncryptionError('Configure ENCRYPTION_KEY antes de rotacionar')
+
+  const files = listFiles()
+  console.log(`\n🔄 Verificando ${files.length} arquivo(s)...`)
+  let encrypted = 0
+  let failed = 0
+  for (const filePath of files) {
+    try {
+      if (await encryptFile(filePath) === 'encrypted') encrypted++
+    } catch (error) {
+      failed++
+      console.error(`   ${path.relative(__dirname, filePath)}: ${error.message}`)
+    }
+  }
+
+  console.log(`✅ ${encrypted} arquivo(s) criptografado(s) com a chave atual, ${files.length - encrypted - failed} já estavam`)
+  if (failed > 0) {
+    console.error(`❌ ${failed} arquivo(s) não puderam ser rotacionados`)
+    process.exitCode = 1
+  } else {
+    console.log('   As chaves anteriores já podem ser removidas de ENCRYPTION_PREVIOUS_KEYS')
+  }
+  console.log('')
+}
+
+async function main() {
+  dotenv.config({ path: path.join(process.cwd(), '.env'), quiet: true })
+  const [command] = process.argv.slice(2)
+  try {
+    if (command === 'status') await statusCommand()
+    else if (command === 'rotate') await rotateCommand()
+    else if (command === 'generate-key') console.log(generateKey())
+    else console.log(USAGE)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  }
+}
+
+main()
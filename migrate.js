@@ -0,0 +1,61 @@
+import { db } from './server/db.js'
+import { migrateUp, migrateDown, migrationStatus } from './server/migrate.js'
+
+const USAGE = `Uso:
+  npm run migrate                     aplica as migrações pendentes
+  npm run migrate -- up [versão]      aplica até a versão informada
+  npm run migrate -- down [versão]    reverte até a versão informada (padrão: só a última)
+  npm run migrate -- status           lista as migrações aplicadas e pendentes`
+
+const log = message => console.log(`   ${message}`)
+
+async function statusCommand() {
+  const migrations = await migrationStatus(db)
+  console.log('\n🗄️  Migrações\n')
+  for (const migration of migrations) {
+    const state = migration.appliedAt ? `aplicada em ${migration.appliedAt}` : 'pendente'
+    console.log(`   ${migration.file.padEnd(32)} ${state}`)
+  }
+  console.log('')
+}
+
+async function upCommand(version) {
+  const applied = await migrateUp(db, { target: version ?? Infinity, log })
+  console.log(applied.length > 0 ? `✅ ${applied.length} migração(ões) aplicada(s)` : '✅ Nenhuma migração pendente')
+}
+
+async function downCommand(version) {
+  if (version === undefined) {
+    const applied = (await migrationStatus(db)).filter(migration => migration.appliedAt)
+    if (applied.length === 0) {
+      console.log('✅ Nenhuma migração aplicada')
+      return
+    }
+    version = applied.length > 1 ? applied[applied.length - 2].version : 0
+  }
+  const reverted = await migrateDown(db, { target: version, log })
+  console.log(`✅ ${reverted.length} migração(ões) revertida(s)`)
+}
+
+function parseVersion(value) {
+  if (value === undefined) return undefined
+  if (!/^\d+$/.test(value)) throw new Error(`Versão inválida: ${value}`)
+  return parseInt(value, 10)
+}
+
+async function main() {
+  const [command = 'up', version] = process.argv.slice(2)
+  try {
+    if (command === 'up') await upCommand(parseVersion(version))
+    else if (command === 'down') await downCommand(parseVersion(version))
+    else if (command === 'status') await statusCommand()
+    else console.log(USAGE)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  } finally {
+    db.close()
+  }
+}
+
+main()
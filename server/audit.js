@@ -0,0 +1,134 @@
+import { dbAll, dbInsert } from './db.js'
+import { csvValue } from './exporter.js'
+
+// Ações registradas (o valor é o rótulo usado no CSV e na linha do tempo)
+export const AUDIT_ACTIONS = {
+  register: 'Conta criada',
+  login: 'Login',
+  logout: 'Logout',
+  upload: 'Upload',
+  view: 'Visualização',
+  thumbnail: 'Miniatura visualizada',
+  download: 'Download',
+  rename: 'Renomeação',
+  edit: 'Edição de metadados',
+  reanalyze: 'Reanálise',
+  person: 'Pessoa definida',
+  person_create: 'Pessoa adicionada',
+  person_update: 'Pessoa editada',
+  person_delete: 'Pessoa removida',
+  checklist_create: 'Checklist criada',
+  checklist_update: 'Checklist editada',
+  checklist_delete: 'Checklist excluída',
+  checklist_item_add: 'Item de checklist adicionado',
+  checklist_item_update: 'Item de checklist editado',
+  checklist_item_delete: 'Item de checklist removido',
+  checklist_link: 'Documento vinculado à checklist',
+  delete: 'Movido para a lixeira',
+  restore: 'Restaurado da lixeira',
+  purge: 'Excluído definitivamente',
+  search: 'Busca',
+  share_create: 'Link criado',
+  share_revoke: 'Link revogado',
+  share_view: 'Link acessado',
+  share_file: 'Arquivo acessado pelo link',
+  share_password_failed: 'Senha errada no link',
+  backup: 'Backup',
+  backup_restore: 'Backup restaurado'
+}
+
+const CSV_COLUMNS = ['id', 'created_at', 'action', 'actor_id', 'actor_email', 'image_id', 'image_name', 'details', 'ip', 'user_agent']
+
+/**
+ * Registra um evento de auditoria. Nunca lança: uma falha no registro não deve
+ * interromper a operação auditada.
+ * @param {import('express').Request|null} req - requisição de origem (null para tarefas do servidor)
+ * @param {string} action - chave de AUDIT_ACTIONS
+ * @param {{image?: object, imageId?: number, ownerId?: number, actorId?: number, details?: object}} options
+ *   ownerId: dono dos documentos afetados (padrão: dono da imagem ou o usuário autenticado);
+ *   actorId: quem fez (padrão: o usuário autenticado; null para visitantes de links)
+ */
+export async function recordAudit(req, action, { image, imageId, ownerId, actorId, details } = {}) {
+  const actor = actorId ?? req?.user?.id ?? null
+  const data = { ...(image ? { name: image.originalname } : {}), ...details }
+
+  try {
+    await dbInsert(
+      `INSERT INTO audit_events (owner_id, actor_id, action, image_id, details, ip, user_agent)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        ownerId ?? image?.owner_id ?? actor,
+        actor,
+        action,
+        image ? image.id : imageId ?? null,
+        Object.keys(data).length > 0 ? JSON.stringify(data) : null,
+        req?.ip ?? null,
+        req?.get('User-Agent')?.slice(0, 200) ?? null
+      ]
+    )
+  } catch (error) {
+    console.error(`⚠️  Erro ao registrar auditoria (${action}):`, error.message)
+  }
+}
+
+/**
+ * Eventos de auditoria do dono, do mais recente para o mais antigo
+ * @param {{ownerId?: number, actions?: string[], imageId?: number, from?: string, to?: string, before?: number, limit?: number}} filters
+ *   ownerId ausente: todos os usuários (administradores); from/to: YYYY-MM-DD inclusivos;
+ *   before: id do último evento da página anterior
+ */
+export async function listAuditEvents({ ownerId, actions, imageId, from, to, before, limit = 100 }) {
+  const conditions = []
+  const params = []
+  if (ownerId !== undefined) {
+    conditions.push('audit_events.owner_id = ?')
+    params.push(ownerId)
+  }
+  if (actions && actions.length > 0) {
+    conditions.push(`audit_events.action IN (${actions.map(() => '?').join(', ')})`)
+    params.push(...actions)
+  }
+  if (imageId !== undefined) {
+    conditions.push('audit_events.image_id = ?')
+    params.push(imageId)
+  }
+  if (from) {
+    conditions.push('audit_events.created_at >= ?')
+    params.push(from)
+  }
+  if (to) {
+    conditions.push("audit_events.created_at < date(?, '+1 day')")
+    params.push(to)
+  }
+  if (before !== undefined) {
+    conditions.push('audit_events.id < ?')
+    params.push(before)
+  }
+
+  // Nome atual da imagem, ou o do momento do evento se ela já foi excluída
+  const rows = await dbAll(
+    `SELECT audit_events.*, users.email AS actor_email,
+       COALESCE(images.originalname, json_extract(audit_events.details, '$.name')) AS image_name
+     FROM audit_events
+     LEFT JOIN users ON users.id = audit_events.actor_id
+     LEFT JOIN images ON images.id = audit_events.image_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY audit_events.id DESC
+     LIMIT ?`,
+    [...params, limit]
+  )
+  return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }))
+}
+
+/**
+ * Eventos em CSV (com BOM, para o Excel reconhecer os acentos)
+ */
+export function auditCsv(events) {
+  const lines = [
+    CSV_COLUMNS.join(','),
+    ...events.map(event => CSV_COLUMNS
+      .map(column => csvValue(column === 'details' && event.details ? JSON.stringify(event.details) : event[column]))
+      .join(','))
+  ]
+  return '\ufeff' + lines.join('\r\n') + '\r\n'
+}
@@ -0,0 +1,224 @@
+import crypto from 'crypto'
+import { promisify } from 'util'
+import { dbGet, dbInsert, dbUpdate } from './db.js'
+
+const scrypt = promisify(crypto.scrypt)
+
+export const SESSION_COOKIE = 'galeria_session'
+const KEY_LENGTH = 64
+
+// Lido a cada chamada: os módulos são carregados antes do .env
+function sessionTtlDays() {
+  return parseInt(process.env.SESSION_TTL_DAYS, 10) || 30
+}
+
+/**
+ * Gera o hash de uma senha com scrypt e salt aleatório
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex')
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  return `scrypt$${salt}$${hash.toString('hex')}`
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split('$')
+  if (scheme !== 'scrypt' || !salt || !expected) return false
+
+  const hash = await scrypt(password, salt, KEY_LENGTH)
+  const expectedBuffer = Buffer.from(expected, 'hex')
+  return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer)
+}
+
+// Hash usado quando o e-mail não existe, para o login levar o mesmo tempo nos dois casos
+const DUMMY_HASH = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(KEY_LENGTH * 2)
+
+// Apenas o hash do token fica no banco: um vazamento do banco não expõe sessões válidas
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+function publicUser(user) {
+  return { id: user.id, email: user.email, name: user.name, created_at: user.created_at }
+}
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase()
+}
+
+/**
+ * Cadastro pela API: fechado por padrão (ALLOW_REGISTRATION=true para abrir). Com ele fechado,
+ * as contas são criadas por linha de comando (npm run users -- create)
+ */
+export function registrationOpen() {
+  return process.env.ALLOW_REGISTRATION === 'true'
+}
+
+/**
+ * Cria um usuário
+ * @returns {Promise<object>} usuário (sem o hash da senha)
+ */
+export async function createUser({ email, password, name }) {
+  const { lastID } = await dbInsert(
+    'INSERT INTO users (email, name, password_hash) VALUES (?, ?, ?)',
+    [normalizeEmail(email), name || null, await hashPassword(password)]
+  )
+  return publicUser(await dbGet('SELECT * FROM users WHERE id = ?', [lastID]))
+}
+
+export async function getUserByEmail(email) {
+  const user = await dbGet('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)])
+  return user ? publicUser(user) : undefined
+}
+
+// Tabelas com registros criados antes das contas existirem (owner_id nulo)
+const LEGACY_TABLES = ['images', 'api_costs', 'searches', 'checklists']
+
+/**
+ * Registros sem dono, criados antes das contas existirem
+ * @returns {Promise<Object<string, number>>} quantidade por tabela
+ */
+export async function countLegacyRecords() {
+  const counts = {}
+  for (const table of LEGACY_TABLES) {
+    counts[table] = (await dbGet(`SELECT COUNT(*) AS count FROM ${table} WHERE owner_id IS NULL`)).count
+  }
+  return counts
+}
+
+/**
+ * Atribui a um usuário os registros sem dono. Só é feito por um administrador, explicitamente
+ * (npm run users -- claim-legacy), nunca como efeito de um cadastro.
+ * @returns {Promise<Object<string, number>>} registros atribuídos por tabela
+ */
+export async function claimLegacyRecords(userId) {
+  const claimed = {}
+  for (const table of LEGACY_TABLES) {
+    claimed[table] = (await dbUpdate(`UPDATE ${table} SET owner_id = ? WHERE owner_id IS NULL`, [userId])).changes
+  }
+  return claimed
+}
+
+/**
+ * Confere e-mail e senha
+ * @returns {Promise<object|null>} usuário ou null se as credenciais forem inválidas
+ */
+export async function authenticateUser(email, password) {
+  const user = await dbGet('SELECT * FROM users WHERE email = ?', [normalizeEmail(email)])
+  const valid = await verifyPassword(String(password || ''), user ? user.password_hash : DUMMY_HASH)
+  return user && valid ? publicUser(user) : null
+}
+
+/**
+ * Abre uma sessão para o usuário
+ * @returns {Promise<{token: string, expiresAt: Date}>}
+ */
+export async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + sessionTtlDays() * 24 * 60 * 60 * 1000)
+
+  await dbInsert(
+    'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)',
+    [hashToken(token), userId, expiresAt.toISOString()]
+  )
+  return { token, expiresAt }
+}
+
+export function deleteSession(token) {
+  return dbUpdate('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)])
+}
+
+export function purgeExpiredSessions() {
+  return dbUpdate('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()])
+}
+
+async function getSessionUser(token) {
+  const row = await dbGet(
+    `SELECT users.* FROM sessions
+     JOIN users ON users.id = sessions.user_id
+     WHERE sessions.token_hash = ? AND sessions.expires_at > ?`,
+    [hashToken(token), new Date().toISOString()]
+  )
+  return row ? publicUser(row) : null
+}
+
+export function parseCookies(header) {
+  const cookies = {}
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=')
+    if (index === -1) continue
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim())
+  }
+  return cookies
+}
+
+/**
+ * Token da requisição: cookie de sessão (navegador) ou "Authorization: Bearer" (clientes da API)
+ */
+export function getRequestToken(req) {
+  const authorization = req.get('Authorization') || ''
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim()
+  }
+  return parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null
+}
+
+export function setSessionCookie(req, res, { token, expiresAt }) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || process.env.COOKIE_SECURE === 'true',
+    expires: expiresAt,
+    path: '/'
+  })
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' })
+}
+
+/**
+ * Middleware: identifica o usuário da sessão (req.user), sem bloquear a requisição
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const token = getRequestToken(req)
+    req.user = token ? await getSessionUser(token) : null
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Middleware: exige um usuário autenticado
+ */
+export function requireAuth(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Não autenticado' })
+  }
+  next()
+}
+
+// E-mails com acesso às rotas de administração (ADMIN_EMAILS, separados por vírgula)
+function adminEmails() {
+  return String(process.env.ADMIN_EMAILS || '').split(',').map(normalizeEmail).filter(Boolean)
+}
+
+export function isAdmin(user) {
+  return Boolean(user) && adminEmails().includes(normalizeEmail(user.email))
+}
+
+/**
+ * Middleware: exige um usuário listado em ADMIN_EMAILS
+ */
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Não autenticado' })
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ success: false, error: 'Acesso restrito a administradores (ADMIN_EMAILS)' })
+  }
+  next()
+}
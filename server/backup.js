@@ -0,0 +1,499 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { finished, pipeline } from 'stream/promises'
+import { promisify } from 'util'
+import sqlite3 from 'sqlite3'
+import archiver from 'archiver'
+import yauzl from 'yauzl'
+import { db, databasePath, dbAll, dbUpdate } from './db.js'
+import { latestVersion, migrateUp, schemaVersion } from './migrate.js'
+import { thumbsDir } from './thumbnails.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const uploadsDir = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(__dirname, 'uploads')
+
+const BACKUP_FORMAT = 'galeria-backup'
+const MANIFEST_NAME = 'backup.json'
+const DATABASE_NAME = 'database.db'
+
+// Espaço que a extração deixa livre no disco temporário
+const RESTORE_FREE_SPACE_RESERVE = 64 * 1024 * 1024
+const RESTORE_BUSY_TIMEOUT_MS = 30000
+
+/**
+ * Erro de um arquivo de backup inválido ou incompatível (mensagem pode ser mostrada ao usuário)
+ */
+export class BackupError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'BackupError'
+  }
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+async function fileEntry(name, filePath) {
+  return { path: name, size: fs.statSync(filePath).size, sha256: await sha256File(filePath) }
+}
+
+function openDatabase(filePath) {
+  return new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(filePath, error => (error ? reject(error) : resolve(database)))
+  })
+}
+
+// Consultas em uma conexão própria, no formato de db.js
+function connectionQueries(database) {
+  return {
+    all: promisify(database.all.bind(database)),
+    get: promisify(database.get.bind(database)),
+    insert: (query, params) => new Promise((resolve, reject) => {
+      database.run(query, params, function (err) {
+        if (err) reject(err)
+        else resolve({ lastID: this.lastID })
+      })
+    }),
+    update: (query, params) => new Promise((resolve, reject) => {
+      database.run(query, params, function (err) {
+        if (err) reject(err)
+        else resolve({ changes: this.changes })
+      })
+    })
+  }
+}
+
+/**
+ * Cópia consistente do banco (VACUUM INTO), sem as sessões, e os arquivos que ela referencia
+ */
+async function createSnapshot(tmpDir) {
+  const snapshotPath = path.join(tmpDir, DATABASE_NAME)
+  await dbUpdate('VACUUM INTO ?', [snapshotPath])
+
+  const snapshot = await openDatabase(snapshotPath)
+  try {
+    await promisify(snapshot.run.bind(snapshot))('DELETE FROM sessions')
+    const images = await promisify(snapshot.all.bind(snapshot))('SELECT filename FROM images ORDER BY id')
+    return { snapshotPath, filenames: images.map(image => image.filename) }
+  } finally {
+    await promisify(snapshot.close.bind(snapshot))()
+  }
+}
+
+/**
+ * Grava em output um ZIP com o banco, os arquivos enviados e o manifesto backup.json
+ * (versão do esquema e SHA-256 de cada arquivo). Miniaturas não entram: são regeneradas.
+ * @param {import('stream').Writable} output
+ * @returns {Promise<object>} manifesto gravado
+ */
+export async function writeBackup(output) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galeria-backup-'))
+
+  try {
+    const { snapshotPath, filenames } = await createSnapshot(tmpDir)
+
+    const files = [await fileEntry(DATABASE_NAME, snapshotPath)]
+    const sources = { [DATABASE_NAME]: snapshotPath }
+    for (const filename of filenames) {
+      const filePath = path.join(uploadsDir, filename)
+      if (!fs.existsSync(filePath)) {
+        console.warn(`   ⚠️  Arquivo ausente no disco, fora do backup: ${filename}`)
+        continue
+      }
+      const name = `uploads/${filename}`
+      files.push(await fileEntry(name, filePath))
+      sources[name] = filePath
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      schemaVersion: await schemaVersion(db),
+      createdAt: new Date().toISOString(),
+      files
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } })
+    archive.on('warning', error => console.warn('   ⚠️  Aviso no backup:', error.message))
+    const archiveDone = new Promise((resolve, reject) => {
+      archive.on('error', reject)
+      archive.on('end', resolve)
+    })
+    archive.pipe(output)
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: MANIFEST_NAME })
+    for (const file of files) {
+      archive.file(sources[file.path], { name: file.path })
+    }
+    archive.finalize()
+
+    await archiveDone
+    await finished(output)
+    return manifest
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Recusa extrair um arquivo que não cabe no disco (o tamanho declarado no ZIP é conferido
+ * pelo yauzl durante a leitura)
+ */
+function assertFreeSpace(dir, bytes) {
+  const { bavail, bsize } = fs.statfsSync(dir)
+  if (bavail * bsize - bytes < RESTORE_FREE_SPACE_RESERVE) {
+    throw new BackupError(`Espaço em disco insuficiente para extrair o backup em ${os.tmpdir()}`)
+  }
+}
+
+// Nomes aceitos dentro do ZIP (evita caminhos como "../../etc")
+function isAllowedEntry(name) {
+  return name === MANIFEST_NAME || name === DATABASE_NAME || /^uploads\/[^/\\]+$/.test(name) && !name.includes('..')
+}
+
+/**
+ * Extrai o backup para tmpDir e confere o manifesto: formato, versão do esquema (backups de
+ * versões anteriores são aceitos e migrados; de versões mais novas, recusados),
+ * tamanho e SHA-256 de cada arquivo. Nada da galeria atual é alterado aqui.
+ * @returns {Promise<object>} manifesto
+ */
+async function extractBackup(archivePath, tmpDir) {
+  let zip
+  try {
+    zip = await promisify(yauzl.open)(archivePath, { lazyEntries: true })
+  } catch (error) {
+    throw new BackupError(`Arquivo de backup inválido: ${error.message}`)
+  }
+  const openReadStream = promisify(zip.openReadStream.bind(zip))
+
+  const extracted = {}
+  let manifestText = null
+
+  await new Promise((resolve, reject) => {
+    zip.on('error', error => reject(new BackupError(`Arquivo de backup inválido: ${error.message}`)))
+    zip.on('end', resolve)
+    zip.on('entry', async entry => {
+      try {
+        if (entry.fileName.endsWith('/')) return zip.readEntry()
+        if (!isAllowedEntry(entry.fileName)) {
+          throw new BackupError(`Arquivo inesperado no backup: ${entry.fileName}`)
+        }
+
+        assertFreeSpace(tmpDir, entry.uncompressedSize)
+        const stream = await openReadStream(entry)
+        if (entry.fileName === MANIFEST_NAME) {
+          const chunks = []
+          for await (const chunk of stream) chunks.push(chunk)
+          manifestText = Buffer.concat(chunks).toString('utf8')
+        } else {
+          const target = path.join(tmpDir, entry.fileName)
+          fs.mkdirSync(path.dirname(target), { recursive: true })
+          const hash = crypto.createHash('sha256')
+          let size = 0
+          stream.on('data', chunk => {
+            hash.update(chunk)
+            size += chunk.length
+          })
+          await pipeline(stream, fs.createWriteStream(target))
+          extracted[entry.fileName] = { size, sha256: hash.digest('hex') }
+        }
+        zip.readEntry()
+      } catch (error) {
+        zip.close()
+        reject(error)
+      }
+    })
+    zip.readEntry()
+  })
+
+  if (!manifestText) throw new BackupError(`Backup sem ${MANIFEST_NAME}`)
+  let manifest
+  try {
+    manifest = JSON.parse(manifestText)
+  } catch {
+    throw new BackupError(`${MANIFEST_NAME} inválido`)
+  }
+
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.files)) {
+    throw new BackupError('O arquivo não é um backup da galeria')
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > latestVersion()) {
+    throw new BackupError(`Backup com esquema versão ${manifest.schemaVersion}, incompatível com esta instalação (versão ${latestVersion()}): atualize o código antes de restaurar`)
+  }
+
+  const listed = new Set()
+  for (const file of manifest.files) {
+    const actual = extracted[file.path]
+    if (!actual) throw new BackupError(`Arquivo ausente no backup: ${file.path}`)
+    if (actual.size !== file.size || actual.sha256 !== file.sha256) {
+      throw new BackupError(`Checksum não confere: ${file.path}`)
+    }
+    listed.add(file.path)
+  }
+  const unlisted = Object.keys(extracted).filter(name => !listed.has(name))
+  if (unlisted.length > 0) throw new BackupError(`Arquivo fora do manifesto: ${unlisted[0]}`)
+  if (!listed.has(DATABASE_NAME)) throw new BackupError(`Backup sem ${DATABASE_NAME}`)
+
+  return manifest
+}
+
+// Tabelas copiadas na restauração, pais antes dos filhos. Sessões nunca são restauradas
+// e o índice images_fts é reconstruído pelos triggers.
+//  refs: coluna → tabela cujo id foi remapeado (função quando depende da linha)
+//  parent: coluna da tabela dona; a linha só é copiada se o dono foi inserido agora
+//  match: como encontrar um registro equivalente já existente, para que mesclar o mesmo
+//         backup duas vezes não duplique nada; imagens sem hash calculado são comparadas
+//         pelo nome do arquivo em uploads/ e tamanho
+const RESTORE_TABLES = [
+  { table: 'users', match: row => ['SELECT id FROM users WHERE email = ?', [row.email]] },
+  {
+    table: 'people',
+    refs: { owner_id: 'users' },
+    match: row => ['SELECT id FROM people WHERE owner_id = ? AND name = ?', [row.owner_id, row.name]]
+  },
+  {
+    table: 'images',
+    refs: { owner_id: 'users', person_id: 'people' },
+    match: row => [
+      'SELECT id FROM images WHERE owner_id IS ? AND (content_hash = ? OR (filename = ? AND size = ?))',
+      [row.owner_id, row.content_hash, row.filename, row.size]
+    ]
+  },
+  { table: 'image_embeddings', keyless: true, parent: 'image_id', refs: { image_id: 'images' } },
+  { table: 'document_fields', parent: 'image_id', refs: { image_id: 'images' } },
+  {
+    table: 'searches',
+    refs: { owner_id: 'users' },
+    match: row => ['SELECT id FROM searches WHERE owner_id IS ? AND query = ? AND created_at = ?', [row.owner_id, row.query, row.created_at]]
+  },
+  {
+    table: 'api_costs',
+    refs: {
+      owner_id: 'users',
+      operation_id: row => (['search', 'query_embedding'].includes(row.operation_type) ? 'searches' : 'images')
+    },
+    match: row => [
+      `SELECT id FROM api_costs
+       WHERE owner_id IS ? AND operation_type = ? AND created_at = ? AND input_tokens = ? AND output_tokens = ?`,
+      [row.owner_id, row.operation_type, row.created_at, row.input_tokens, row.output_tokens]
+    ]
+  },
+  { table: 'analysis_jobs', parent: 'image_id', refs: { image_id: 'images' } },
+  {
+    table: 'checklists',
+    refs: { owner_id: 'users', person_id: 'people', search_id: 'searches' },
+    match: row => ['SELECT id FROM checklists WHERE owner_id IS ? AND name = ? AND created_at = ?', [row.owner_id, row.name, row.created_at]]
+  },
+  { table: 'checklist_items', parent: 'checklist_id', refs: { checklist_id: 'checklists', image_id: 'images' } },
+  { table: 'shares', refs: { owner_id: 'users' }, match: row => ['SELECT id FROM shares WHERE token = ?', [row.token]] },
+  { table: 'share_items', keyless: true, parent: 'share_id', refs: { share_id: 'shares', image_id: 'images' } },
+  {
+    table: 'audit_events',
+    refs: { owner_id: 'users', actor_id: 'users', image_id: 'images' },
+    match: row => [
+      'SELECT id FROM audit_events WHERE owner_id IS ? AND action = ? AND created_at = ? AND details IS ?',
+      [row.owner_id, row.action, row.created_at, row.details]
+    ]
+  }
+]
+
+async function tableColumns(sql, schema, table) {
+  const columns = await sql.all(`PRAGMA ${schema}.table_info(${table})`, [])
+  return columns.map(column => column.name)
+}
+
+// Nome livre em uploads/ para um arquivo importado (mesmo formato do multer)
+function freeUploadName(filename) {
+  if (!fs.existsSync(path.join(uploadsDir, filename))) return filename
+  return `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(filename)}`
+}
+
+/**
+ * Mescla o backup anexado (schema "backup") na galeria atual, remapeando os ids.
+ * Usuários com o mesmo e-mail, imagens com o mesmo conteúdo do mesmo dono e links
+ * com o mesmo token são reaproveitados em vez de duplicados.
+ */
+async function mergeTables(sql, tmpDir, copiedFiles) {
+  const ids = {}
+  const inserted = {}
+  const counts = {}
+
+  for (const spec of RESTORE_TABLES) {
+    const mainColumns = new Set(await tableColumns(sql, 'main', spec.table))
+    const columns = (await tableColumns(sql, 'backup', spec.table)).filter(column => mainColumns.has(column))
+    const rows = await sql.all(`SELECT * FROM backup.${spec.table}`, [])
+
+    ids[spec.table] = new Map()
+    inserted[spec.table] = new Set()
+    const newIds = new Set()
+    counts[spec.table] = { imported: 0, existing: 0 }
+
+    for (const source of rows) {
+      if (spec.parent && !inserted[spec.refs[spec.parent]].has(source[spec.parent])) continue
+
+      const row = { ...source }
+      for (const [column, target] of Object.entries(spec.refs || {})) {
+        if (row[column] === null || row[column] === undefined) continue
+        const table = typeof target === 'function' ? target(row) : target
+        row[column] = ids[table].get(row[column]) ?? null
+      }
+
+      const match = spec.match && spec.match(row)
+      // Registros inseridos nesta mesma mesclagem não contam (o backup pode ter linhas iguais)
+      const existing = match ? await sql.get(...match) : null
+      if (existing && !newIds.has(existing.id)) {
+        ids[spec.table].set(source.id, existing.id)
+        counts[spec.table].existing++
+        continue
+      }
+
+      if (spec.table === 'images') {
+        row.filename = freeUploadName(source.filename)
+        const from = path.join(tmpDir, 'uploads', source.filename)
+        if (fs.existsSync(from)) {
+          const to = path.join(uploadsDir, row.filename)
+          fs.copyFileSync(from, to)
+          copiedFiles.push(to)
+        }
+      }
+      // Análises interrompidas no servidor de origem voltam para a fila
+      if (spec.table === 'analysis_jobs' && row.status === 'running') {
+        row.status = 'pending'
+      }
+
+      const insertColumns = spec.keyless ? columns : columns.filter(column => column !== 'id')
+      const { lastID } = await sql.insert(
+        `INSERT ${spec.keyless ? 'OR IGNORE ' : ''}INTO main.${spec.table} (${insertColumns.join(', ')})
+         VALUES (${insertColumns.map(() => '?').join(', ')})`,
+        insertColumns.map(column => row[column])
+      )
+      if (!spec.keyless) {
+        newIds.add(lastID)
+        ids[spec.table].set(source.id, lastID)
+        inserted[spec.table].add(source.id)
+      }
+      counts[spec.table].imported++
+    }
+  }
+
+  return counts
+}
+
+/**
+ * Substitui todos os dados da galeria pelos do backup (ids preservados)
+ */
+async function replaceTables(sql, tmpDir, copiedFiles) {
+  const counts = {}
+
+  await sql.update('DELETE FROM main.sessions', [])
+  for (const spec of [...RESTORE_TABLES].reverse()) {
+    await sql.update(`DELETE FROM main.${spec.table}`, [])
+  }
+
+  for (const spec of RESTORE_TABLES) {
+    const mainColumns = new Set(await tableColumns(sql, 'main', spec.table))
+    const columns = (await tableColumns(sql, 'backup', spec.table)).filter(column => mainColumns.has(column))
+    const { changes } = await sql.update(
+      `INSERT INTO main.${spec.table} (${columns.join(', ')}) SELECT ${columns.join(', ')} FROM backup.${spec.table}`,
+      []
+    )
+    counts[spec.table] = { imported: changes, existing: 0 }
+  }
+  await sql.update(`UPDATE main.analysis_jobs SET status = 'pending' WHERE status = 'running'`, [])
+
+  // Arquivos do backup que ainda não estão na pasta (ou que mudaram)
+  const images = await sql.all('SELECT filename FROM main.images', [])
+  for (const { filename } of images) {
+    const from = path.join(tmpDir, 'uploads', filename)
+    const to = path.join(uploadsDir, filename)
+    if (!fs.existsSync(from)) continue
+    if (fs.existsSync(to) && await sha256File(to) === await sha256File(from)) continue
+    fs.copyFileSync(from, to)
+    copiedFiles.push(to)
+  }
+
+  return counts
+}
+
+/**
+ * Restaura um backup criado por writeBackup.
+ *  - merge: acrescenta o conteúdo do backup à galeria atual
+ *  - replace: a galeria passa a ser exatamente a do backup (todas as sessões são encerradas)
+ * O banco é alterado em uma única transação, em uma conexão própria: escritas de outras
+ * partes do servidor não entram nela (quem chama deve pausar a fila e as demais requisições).
+ * Se algo falhar, nada muda.
+ * @param {string} archivePath
+ * @param {{mode?: 'merge'|'replace'}} options
+ * @returns {Promise<object>} resumo da restauração
+ */
+export async function restoreBackup(archivePath, { mode = 'merge' } = {}) {
+  if (mode !== 'merge' && mode !== 'replace') {
+    throw new BackupError(`Modo de restauração inválido: ${mode} (use merge ou replace)`)
+  }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'galeria-restore-'))
+  const copiedFiles = []
+  fs.mkdirSync(uploadsDir, { recursive: true })
+
+  try {
+    const manifest = await extractBackup(archivePath, tmpDir)
+
+    // Levar a cópia do backup ao esquema atual antes de copiar as tabelas
+    const snapshot = await openDatabase(path.join(tmpDir, DATABASE_NAME))
+    try {
+      await migrateUp(snapshot)
+    } finally {
+      await promisify(snapshot.close.bind(snapshot))()
+    }
+
+    const connection = await openDatabase(databasePath)
+    // Espera escritas em andamento na conexão principal terminarem antes de BEGIN IMMEDIATE
+    connection.configure('busyTimeout', RESTORE_BUSY_TIMEOUT_MS)
+    const sql = connectionQueries(connection)
+    let tables
+    try {
+      await sql.update('ATTACH DATABASE ? AS backup', [path.join(tmpDir, DATABASE_NAME)])
+      await sql.update('BEGIN IMMEDIATE', [])
+      try {
+        tables = mode === 'replace'
+          ? await replaceTables(sql, tmpDir, copiedFiles)
+          : await mergeTables(sql, tmpDir, copiedFiles)
+        await sql.update('COMMIT', [])
+      } catch (error) {
+        await sql.update('ROLLBACK', [])
+        for (const file of copiedFiles) fs.rmSync(file, { force: true })
+        throw error
+      }
+    } finally {
+      await promisify(connection.close.bind(connection))()
+    }
+
+    if (mode === 'replace') {
+      // Arquivos que não pertencem à galeria restaurada e miniaturas de ids antigos
+      const keep = new Set((await dbAll('SELECT filename FROM images', [])).map(image => image.filename))
+      for (const filename of fs.readdirSync(uploadsDir)) {
+        if (!keep.has(filename)) fs.rmSync(path.join(uploadsDir, filename), { force: true })
+      }
+      fs.rmSync(thumbsDir, { recursive: true, force: true })
+    }
+
+    return {
+      mode,
+      schemaVersion: manifest.schemaVersion,
+      createdAt: manifest.createdAt,
+      files: manifest.files.length - 1,
+      tables
+    }
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  }
+}
@@ -0,0 +1,210 @@
+import { dbAll, dbGet, dbUpdate } from './db.js'
+import { convertCost, defaultCurrency, listCurrencies } from './pricing.js'
+
+// Orçamentos de IA diários e mensais, da instalação (AI_BUDGET_DAILY / AI_BUDGET_MONTHLY) e de
+// cada usuário (AI_BUDGET_USER_DAILY / AI_BUDGET_USER_MONTHLY, ou users.budget_daily /
+// users.budget_monthly definidos por um administrador). Os gastos vêm de api_costs; os períodos
+// seguem o created_at do SQLite (UTC): o dia começa às 00:00 UTC e o mês no dia 1.
+
+const PERIODS = ['daily', 'monthly']
+
+const PERIOD_LABELS = { daily: 'diário', monthly: 'mensal' }
+const SCOPE_LABELS = { global: 'da instalação', user: 'da sua conta' }
+
+/**
+ * Orçamento esgotado: a chamada à IA deve esperar o próximo período
+ */
+export class BudgetExceededError extends Error {
+  /**
+   * @param {object} limit - limite esgotado (ver budgetStatus)
+   */
+  constructor(limit) {
+    super(budgetMessage(limit))
+    this.name = 'BudgetExceededError'
+    this.limit = limit
+    // Usado pela fila de análise para adiar o job sem gastar uma tentativa
+    this.deferUntil = new Date(limit.resetAt)
+  }
+}
+
+/**
+ * Limites configurados no ambiente (lidos a cada chamada: os módulos são carregados antes do .env)
+ * @throws {Error} AI_BUDGET_CURRENCY sem câmbio configurado
+ */
+export function budgetSettings() {
+  const amount = name => {
+    const value = parseFloat(process.env[name])
+    return Number.isFinite(value) && value >= 0 ? value : null
+  }
+  const currency = String(process.env.AI_BUDGET_CURRENCY || defaultCurrency()).toUpperCase()
+  if (!listCurrencies().includes(currency)) {
+    throw new Error(`AI_BUDGET_CURRENCY sem câmbio configurado: ${currency}. Disponíveis: ${listCurrencies().join(', ')}`)
+  }
+  const warnPercent = amount('AI_BUDGET_WARN_PERCENT')
+  return {
+    currency,
+    warnPercent: warnPercent === null ? 80 : Math.min(warnPercent, 100),
+    global: { daily: amount('AI_BUDGET_DAILY'), monthly: amount('AI_BUDGET_MONTHLY') },
+    user: { daily: amount('AI_BUDGET_USER_DAILY'), monthly: amount('AI_BUDGET_USER_MONTHLY') }
+  }
+}
+
+function formatAmount(value, currency) {
+  return value.toLocaleString('pt-BR', { style: 'currency', currency })
+}
+
+function formatResetAt(resetAt) {
+  return new Date(resetAt).toLocaleString('pt-BR', { timeZone: 'UTC', dateStyle: 'short', timeStyle: 'short' }) + ' UTC'
+}
+
+export function budgetMessage(limit) {
+  const name = `Orçamento de IA ${PERIOD_LABELS[limit.period]} ${SCOPE_LABELS[limit.scope]}`
+  if (limit.status === 'exceeded') {
+    return `${name} esgotado (${formatAmount(limit.spent, limit.currency)} de ${formatAmount(limit.limit, limit.currency)}) até ${formatResetAt(limit.resetAt)}`
+  }
+  return `${name} em ${limit.percent}% (${formatAmount(limit.spent, limit.currency)} de ${formatAmount(limit.limit, limit.currency)})`
+}
+
+// Início do período atual e do próximo (UTC), no formato do created_at do SQLite
+function periodBounds(period, now = new Date()) {
+  const year = now.getUTCFullYear()
+  const month = now.getUTCMonth()
+  const start = period === 'daily' ? new Date(Date.UTC(year, month, now.getUTCDate())) : new Date(Date.UTC(year, month, 1))
+  const end = period === 'daily' ? new Date(Date.UTC(year, month, now.getUTCDate() + 1)) : new Date(Date.UTC(year, month + 1, 1))
+  return { start, end, startText: start.toISOString().slice(0, 19).replace('T', ' ') }
+}
+
+// Gasto do mês e do dia, convertido com o câmbio de cada dia
+async function spending(currency, ownerId = null) {
+  const { startText } = periodBounds('monthly')
+  const ownerFilter = ownerId === null ? '' : 'AND owner_id = ?'
+  const days = await dbAll(
+    `SELECT date(created_at) AS day, SUM(cost_usd) AS usd FROM api_costs
+     WHERE created_at >= ? ${ownerFilter}
+     GROUP BY day`,
+    ownerId === null ? [startText] : [startText, ownerId]
+  )
+
+  const today = periodBounds('daily').startText.slice(0, 10)
+  const totals = { daily: 0, monthly: 0 }
+  for (const { day, usd } of days) {
+    const amount = convertCost(usd || 0, currency, day)
+    totals.monthly += amount
+    if (day === today) totals.daily += amount
+  }
+  return totals
+}
+
+function limitStatus(scope, period, limit, spent, { currency, warnPercent }) {
+  const percent = limit > 0 ? Math.round(spent / limit * 100) : 100
+  let status = 'ok'
+  if (spent >= limit) status = 'exceeded'
+  else if (percent >= warnPercent) status = 'warning'
+  return {
+    scope,
+    period,
+    currency,
+    limit,
+    spent,
+    remaining: Math.max(0, limit - spent),
+    percent,
+    status,
+    resetAt: periodBounds(period).end.toISOString()
+  }
+}
+
+/**
+ * Situação dos orçamentos que valem para o usuário
+ * @returns {Promise<{currency: string, status: 'ok'|'warning'|'exceeded', limits: object[], remaining: object, exceeded: object|null}|null>}
+ *   null se nenhum orçamento está configurado. `remaining` é o limite com menos saldo;
+ *   `exceeded`, entre os esgotados, o que demora mais para renovar.
+ */
+export async function budgetStatus(userId) {
+  const config = budgetSettings()
+  const user = userId ? await dbGet('SELECT budget_daily, budget_monthly FROM users WHERE id = ?', [userId]) : null
+  const userLimits = {
+    daily: user?.budget_daily ?? config.user.daily,
+    monthly: user?.budget_monthly ?? config.user.monthly
+  }
+
+  const scopes = [['global', config.global, null]]
+  if (userId) scopes.push(['user', userLimits, userId])
+
+  const limits = []
+  for (const [scope, scopeLimits, ownerId] of scopes) {
+    if (PERIODS.every(period => scopeLimits[period] === null)) continue
+    const spent = await spending(config.currency, ownerId)
+    for (const period of PERIODS) {
+      if (scopeLimits[period] !== null) {
+        limits.push(limitStatus(scope, period, scopeLimits[period], spent[period], config))
+      }
+    }
+  }
+  if (limits.length === 0) return null
+
+  const exceeded = limits.filter(limit => limit.status === 'exceeded')
+    .sort((a, b) => b.resetAt.localeCompare(a.resetAt))[0] || null
+  return {
+    currency: config.currency,
+    status: exceeded ? 'exceeded' : limits.some(limit => limit.status === 'warning') ? 'warning' : 'ok',
+    limits,
+    remaining: [...limits].sort((a, b) => a.remaining - b.remaining)[0],
+    exceeded
+  }
+}
+
+// Um aviso por limite e por período
+const warned = new Set()
+
+/**
+ * Consulta os orçamentos antes de uma chamada à IA, avisando no log quando um limite passa
+ * do percentual de alerta (AI_BUDGET_WARN_PERCENT)
+ */
+export async function checkBudget(userId) {
+  const status = await budgetStatus(userId)
+  for (const limit of status?.limits || []) {
+    const key = `${limit.scope}:${limit.scope === 'user' ? userId : ''}:${limit.period}:${limit.resetAt}:${limit.status}`
+    if (limit.status !== 'ok' && !warned.has(key)) {
+      warned.add(key)
+      console.warn(`💸 ${budgetMessage(limit)}${limit.scope === 'user' ? ` (usuário ${userId})` : ''}`)
+    }
+  }
+  return status
+}
+
+/**
+ * Como checkBudget, mas lança se algum orçamento estiver esgotado
+ * @throws {BudgetExceededError}
+ */
+export async function assertBudget(userId) {
+  const status = await checkBudget(userId)
+  if (status?.exceeded) throw new BudgetExceededError(status.exceeded)
+  return status
+}
+
+/**
+ * Valida o orçamento de um usuário enviado por um administrador
+ * @returns {{value?: {daily: number|null, monthly: number|null}, error?: string}} null: usar o padrão
+ *   (AI_BUDGET_USER_DAILY / AI_BUDGET_USER_MONTHLY)
+ */
+export function parseBudgetInput(body) {
+  const value = {}
+  for (const period of PERIODS) {
+    const raw = body?.[period]
+    if (raw === null || raw === undefined || raw === '') {
+      value[period] = null
+      continue
+    }
+    const amount = Number(raw)
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: `Orçamento ${PERIOD_LABELS[period]} inválido: informe um valor maior ou igual a zero, ou null para o padrão` }
+    }
+    value[period] = amount
+  }
+  return { value }
+}
+
+export async function setUserBudget(userId, { daily, monthly }) {
+  const { changes } = await dbUpdate('UPDATE users SET budget_daily = ?, budget_monthly = ? WHERE id = ?', [daily, monthly, userId])
+  return changes > 0
+}
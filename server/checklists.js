@@ -0,0 +1,201 @@
+import { dbAll, dbGet, dbInsert, dbUpdate } from './db.js'
+import { searchImages } from './search.js'
+
+// Status de cada documento da checklist
+export const CHECKLIST_ITEM_STATUSES = ['missing', 'have', 'submitted']
+
+// Campos editáveis de um item (nome na API → coluna)
+const ITEM_FIELDS = {
+  name: 'name',
+  howToGet: 'how_to_get',
+  status: 'status',
+  notes: 'notes',
+  dueDate: 'due_date',
+  imageId: 'image_id'
+}
+
+/**
+ * Lista as checklists do usuário com a contagem de itens por status
+ */
+export function listChecklists(ownerId) {
+  return dbAll(
+    `SELECT checklists.*, people.name AS person_name,
+       COUNT(items.id) AS total_items,
+       COALESCE(SUM(items.status = 'missing'), 0) AS missing_items,
+       COALESCE(SUM(items.status = 'have'), 0) AS have_items,
+       COALESCE(SUM(items.status = 'submitted'), 0) AS submitted_items
+     FROM checklists
+     LEFT JOIN checklist_items items ON items.checklist_id = checklists.id
+     LEFT JOIN people ON people.id = checklists.person_id
+     WHERE checklists.owner_id = ?
+     GROUP BY checklists.id
+     ORDER BY checklists.updated_at DESC`,
+    [ownerId]
+  )
+}
+
+/**
+ * Checklist do usuário com seus itens (na ordem de criação), ou undefined
+ */
+export async function getChecklist(id, ownerId) {
+  const checklist = await dbGet(
+    `SELECT checklists.*, people.name AS person_name FROM checklists
+     LEFT JOIN people ON people.id = checklists.person_id
+     WHERE checklists.id = ? AND checklists.owner_id = ?`,
+    [id, ownerId]
+  )
+  if (!checklist) return undefined
+
+  const items = await dbAll(
+    'SELECT * FROM checklist_items WHERE checklist_id = ? ORDER BY position, id',
+    [id]
+  )
+  return { ...checklist, items }
+}
+
+async function touchChecklist(id) {
+  await dbUpdate('UPDATE checklists SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id])
+}
+
+/**
+ * Cria uma checklist a partir da lista `documents` da busca inteligente.
+ * Documentos que a busca já encontrou na galeria (`id` + `hasDocument`) entram vinculados e com status "have".
+ * Com personId, a checklist vale para essa pessoa da casa.
+ * @param {{ownerId: number, personId?: number, name: string, query?: string, topic?: string, searchId?: number, documents?: Array}} data
+ * @returns {Promise<number>} id da checklist
+ */
+export async function createChecklist({ ownerId, personId = null, name, query = null, topic = null, searchId = null, documents = [] }) {
+  const { lastID } = await dbInsert(
+    'INSERT INTO checklists (owner_id, person_id, name, query, topic, search_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [ownerId, personId, name, query, topic, searchId]
+  )
+
+  for (const [position, doc] of documents.entries()) {
+    const imageId = doc.hasDocument && doc.id ? doc.id : null
+    await addChecklistItem(lastID, {
+      name: doc.name,
+      howToGet: doc.howToGet || null,
+      imageId,
+      status: imageId ? 'have' : 'missing',
+      position
+    })
+  }
+
+  return lastID
+}
+
+/**
+ * Renomeia a checklist e/ou troca a pessoa (campos ausentes não mudam)
+ */
+export async function updateChecklist(id, ownerId, { name, personId }) {
+  const { changes } = await dbUpdate(
+    `UPDATE checklists
+     SET name = COALESCE(?, name),
+         person_id = CASE WHEN ? THEN ? ELSE person_id END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND owner_id = ?`,
+    [name ?? null, personId !== undefined ? 1 : 0, personId ?? null, id, ownerId]
+  )
+  return changes > 0
+}
+
+export async function deleteChecklist(id, ownerId) {
+  const { changes } = await dbUpdate('DELETE FROM checklists WHERE id = ? AND owner_id = ?', [id, ownerId])
+  if (changes > 0) {
+    await dbUpdate('DELETE FROM checklist_items WHERE checklist_id = ?', [id])
+  }
+  return changes > 0
+}
+
+// As funções de itens recebem o id de uma checklist cujo dono já foi verificado (getChecklist)
+
+/**
+ * Adiciona um item ao final da checklist
+ * @returns {Promise<number>} id do item
+ */
+export async function addChecklistItem(checklistId, { name, howToGet = null, status = 'missing', notes = null, dueDate = null, imageId = null, position }) {
+  if (position === undefined) {
+    const last = await dbGet('SELECT MAX(position) AS position FROM checklist_items WHERE checklist_id = ?', [checklistId])
+    position = last.position === null ? 0 : last.position + 1
+  }
+
+  const { lastID } = await dbInsert(
+    `INSERT INTO checklist_items (checklist_id, name, how_to_get, status, notes, due_date, image_id, position)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [checklistId, name, howToGet, status, notes, dueDate, imageId, position]
+  )
+  await touchChecklist(checklistId)
+  return lastID
+}
+
+/**
+ * Atualiza apenas os campos informados de um item
+ * @returns {Promise<boolean>} false se o item não pertence à checklist
+ */
+export async function updateChecklistItem(checklistId, itemId, changes) {
+  const fields = Object.keys(ITEM_FIELDS).filter(field => changes[field] !== undefined)
+  if (fields.length === 0) {
+    return Boolean(await dbGet('SELECT id FROM checklist_items WHERE id = ? AND checklist_id = ?', [itemId, checklistId]))
+  }
+
+  const assignments = fields.map(field => `${ITEM_FIELDS[field]} = ?`).join(', ')
+  const result = await dbUpdate(
+    `UPDATE checklist_items SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND checklist_id = ?`,
+    [...fields.map(field => changes[field]), itemId, checklistId]
+  )
+  if (result.changes > 0) await touchChecklist(checklistId)
+  return result.changes > 0
+}
+
+export async function deleteChecklistItem(checklistId, itemId) {
+  const { changes } = await dbUpdate('DELETE FROM checklist_items WHERE id = ? AND checklist_id = ?', [itemId, checklistId])
+  if (changes > 0) await touchChecklist(checklistId)
+  return changes > 0
+}
+
+/**
+ * Vincula automaticamente os itens sem documento ao resultado mais relevante da busca de
+ * texto completo pelo nome do item na galeria do usuário (ex: "Passaporte válido" → passaporte).
+ * Checklists de uma pessoa só recebem documentos dessa pessoa.
+ * @returns {Promise<Array<{itemId: number, imageId: number}>>} vínculos criados
+ */
+export async function autoLinkChecklist(checklistId, ownerId) {
+  const checklist = await dbGet('SELECT person_id FROM checklists WHERE id = ? AND owner_id = ?', [checklistId, ownerId])
+  if (!checklist) return []
+  const personId = checklist.person_id ?? undefined
+
+  const items = await dbAll(
+    'SELECT * FROM checklist_items WHERE checklist_id = ? AND image_id IS NULL',
+    [checklistId]
+  )
+
+  const linked = []
+  for (const item of items) {
+    // Ignorar palavras curtas ("de", "da") que casariam com quase tudo
+    const terms = item.name.split(/\s+/).filter(term => term.length > 2)
+    const [match] = await searchImages(terms, { limit: 1, ownerId, personId })
+    if (!match) continue
+
+    await updateChecklistItem(checklistId, item.id, {
+      imageId: match.id,
+      status: item.status === 'missing' ? 'have' : item.status
+    })
+    linked.push({ itemId: item.id, imageId: match.id })
+  }
+
+  return linked
+}
+
+/**
+ * Desvincula uma imagem removida de todas as checklists; itens "have" voltam a "missing"
+ */
+export function unlinkImageFromChecklists(imageId) {
+  return dbUpdate(
+    `UPDATE checklist_items
+     SET image_id = NULL,
+         status = CASE WHEN status = 'have' THEN 'missing' ELSE status END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE image_id = ?`,
+    [imageId]
+  )
+}
@@ -0,0 +1,29 @@
+import sqlite3 from 'sqlite3'
+import { promisify } from 'util'
+
+// DATABASE_PATH permite um banco separado (ex.: nos testes)
+export const databasePath = process.env.DATABASE_PATH || './database.db'
+export const db = new sqlite3.Database(databasePath)
+
+// O esquema é criado e atualizado pelas migrações em server/migrations (ver migrate.js)
+
+export const dbAll = promisify(db.all.bind(db))
+export const dbGet = promisify(db.get.bind(db))
+
+export const dbInsert = (query, params) => {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function (err) {
+      if (err) reject(err)
+      else resolve({ lastID: this.lastID })
+    })
+  })
+}
+
+export const dbUpdate = (query, params) => {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function (err) {
+      if (err) reject(err)
+      else resolve({ changes: this.changes })
+    })
+  })
+}
@@ -0,0 +1,342 @@
+import { dbAll, dbUpdate } from './db.js'
+import { normalizeDate } from './validity.js'
+
+// Campos extraídos de cada tipo de documento. Tipos: text; id (número de documento, sem espaços);
+// date (YYYY-MM-DD); month (YYYY-MM); money (valor numérico); iban
+export const DOCUMENT_SCHEMAS = {
+  passport: {
+    label: 'Passaporte',
+    match: /passaporte|passport/,
+    fields: [
+      { key: 'number', label: 'Número', type: 'id' },
+      { key: 'surname', label: 'Apelidos', type: 'text' },
+      { key: 'givenNames', label: 'Nomes', type: 'text' },
+      { key: 'nationality', label: 'Nacionalidade', type: 'text' },
+      { key: 'birthDate', label: 'Data de nascimento', type: 'date' },
+      { key: 'issueDate', label: 'Data de emissão', type: 'date' },
+      { key: 'expiryDate', label: 'Data de validade', type: 'date' }
+    ]
+  },
+  nif: {
+    label: 'NIF',
+    match: /\bnif\b|identificacao fiscal|contribuinte/,
+    fields: [
+      { key: 'number', label: 'NIF', type: 'id' },
+      { key: 'name', label: 'Nome', type: 'text' },
+      { key: 'issueDate', label: 'Data de emissão', type: 'date' }
+    ]
+  },
+  residencePermit: {
+    label: 'Título de residência',
+    match: /titulo de residencia|autorizacao de residencia|cartao de residencia|residence permit/,
+    fields: [
+      { key: 'number', label: 'Número', type: 'id' },
+      { key: 'name', label: 'Nome', type: 'text' },
+      { key: 'nationality', label: 'Nacionalidade', type: 'text' },
+      { key: 'permitType', label: 'Tipo de autorização', type: 'text' },
+      { key: 'issueDate', label: 'Data de emissão', type: 'date' },
+      { key: 'expiryDate', label: 'Data de validade', type: 'date' }
+    ]
+  },
+  payslip: {
+    label: 'Recibo de vencimento',
+    match: /recibo de vencimento|holerite|contracheque|folha de pagamento|payslip/,
+    fields: [
+      { key: 'employer', label: 'Empregador', type: 'text' },
+      { key: 'employee', label: 'Funcionário', type: 'text' },
+      { key: 'month', label: 'Mês de referência', type: 'month' },
+      { key: 'grossPay', label: 'Salário bruto', type: 'money' },
+      { key: 'netPay', label: 'Salário líquido', type: 'money' },
+      { key: 'currency', label: 'Moeda', type: 'text' }
+    ]
+  },
+  bankStatement: {
+    label: 'Extrato bancário',
+    match: /extrato bancario|declaracao bancaria|bank statement/,
+    fields: [
+      { key: 'bank', label: 'Banco', type: 'text' },
+      { key: 'holder', label: 'Titular', type: 'text' },
+      { key: 'iban', label: 'IBAN', type: 'iban' },
+      { key: 'periodStart', label: 'Início do período', type: 'date' },
+      { key: 'periodEnd', label: 'Fim do período', type: 'date' },
+      { key: 'closingBalance', label: 'Saldo final', type: 'money' },
+      { key: 'currency', label: 'Moeda', type: 'text' }
+    ]
+  }
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+/**
+ * Esquema de campos para um tipo de documento da análise (ex.: "passaporte")
+ * @returns {string|null} chave de DOCUMENT_SCHEMAS
+ */
+export function schemaForDocumentType(documentType) {
+  const type = normalizeText(documentType)
+  const entry = Object.entries(DOCUMENT_SCHEMAS).find(([, schema]) => schema.match.test(type))
+  return entry ? entry[0] : null
+}
+
+/**
+ * Esquemas para o frontend (sem as expressões de reconhecimento)
+ */
+export function listDocumentSchemas() {
+  return Object.entries(DOCUMENT_SCHEMAS).map(([key, { label, fields }]) => ({ key, label, fields }))
+}
+
+/**
+ * Instruções do prompt de análise com os campos de cada esquema
+ */
+export function extractionPrompt() {
+  const formats = { date: 'YYYY-MM-DD', month: 'YYYY-MM', money: 'número', iban: 'IBAN' }
+  return Object.entries(DOCUMENT_SCHEMAS)
+    .map(([key, schema]) => {
+      const fields = schema.fields.map(field => (formats[field.type] ? `${field.key} (${formats[field.type]})` : field.key))
+      return `- ${key} (${schema.label}): ${fields.join(', ')}`
+    })
+    .join('\n')
+}
+
+// Aceita "1.234,56", "1,234.56", "1234.56 €" e números
+function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  let text = String(value).replace(/[^\d,.-]/g, '')
+  const lastComma = text.lastIndexOf(',')
+  const lastDot = text.lastIndexOf('.')
+  if (lastComma > lastDot) {
+    // Vírgula decimal (ou separador de milhar, se seguida de 3 dígitos sem ponto)
+    text = lastDot === -1 && /,\d{3}$/.test(text) ? text.replace(/,/g, '') : text.replace(/\./g, '').replace(',', '.')
+  } else {
+    text = text.replace(/,/g, '')
+  }
+  const number = Number(text)
+  return text && Number.isFinite(number) ? number : null
+}
+
+function normalizeMonth(value) {
+  const text = String(value).trim()
+  const match = text.match(/^(\d{4})-(\d{1,2})(-\d{1,2})?$/) || text.match(/^(\d{1,2})[/.-](\d{4})$/)
+  if (!match) return null
+  const [year, month] = match[1].length === 4 ? [match[1], match[2]] : [match[2], match[1]]
+  return Number(month) >= 1 && Number(month) <= 12 ? `${year}-${month.padStart(2, '0')}` : null
+}
+
+// Dígitos de controle do IBAN (ISO 13616, módulo 97)
+function isValidIban(iban) {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban)) return false
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55))
+  let remainder = 0
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97
+  }
+  return remainder === 1
+}
+
+/**
+ * Normaliza o valor de um campo conforme o tipo
+ * @returns {{value: string|null, numberValue: number|null}|{error: string}} value null: campo vazio
+ */
+export function parseFieldValue(field, raw) {
+  if (raw === null || raw === undefined || String(raw).trim() === '') {
+    return { value: null, numberValue: null }
+  }
+  if (typeof raw !== 'string' && typeof raw !== 'number') {
+    return { error: `${field.label}: valor inválido` }
+  }
+
+  const text = String(raw).replace(/\s+/g, ' ').trim().slice(0, 200)
+  switch (field.type) {
+    case 'id':
+      return { value: text.replace(/\s/g, '').toUpperCase(), numberValue: null }
+    case 'date': {
+      const value = normalizeDate(text)
+      return value ? { value, numberValue: null } : { error: `${field.label}: use a data no formato YYYY-MM-DD` }
+    }
+    case 'month': {
+      const value = normalizeMonth(text)
+      return value ? { value, numberValue: null } : { error: `${field.label}: use o mês no formato YYYY-MM` }
+    }
+    case 'money': {
+      const number = parseMoney(raw)
+      return number === null
+        ? { error: `${field.label}: valor inválido` }
+        : { value: number.toFixed(2), numberValue: Math.round(number * 100) / 100 }
+    }
+    case 'iban': {
+      const value = text.replace(/\s/g, '').toUpperCase()
+      return isValidIban(value) ? { value, numberValue: null } : { error: `${field.label}: IBAN inválido` }
+    }
+    default:
+      return { value: text, numberValue: null }
+  }
+}
+
+/**
+ * Campos retornados pela IA para um esquema; valores fora do formato são descartados
+ * @returns {Object<string, {value: string, numberValue: number|null}>}
+ */
+export function parseExtractedFields(schemaKey, raw) {
+  const values = {}
+  if (!raw || typeof raw !== 'object') return values
+
+  for (const field of DOCUMENT_SCHEMAS[schemaKey].fields) {
+    const parsed = parseFieldValue(field, raw[field.key])
+    if (!parsed.error && parsed.value !== null) {
+      values[field.key] = parsed
+    }
+  }
+  return values
+}
+
+/**
+ * Campos de um documento, na ordem do esquema (campos sem valor vêm com value null).
+ * Sem campos gravados, o esquema é deduzido do tipo do documento.
+ * @returns {Promise<{schema: string|null, label: string|null, fields: Array<{key, label, type, value, edited}>}>}
+ */
+export async function getDocumentFields(image) {
+  const rows = await dbAll('SELECT * FROM document_fields WHERE image_id = ?', [image.id])
+  const schemaKey = rows.length > 0 ? rows[0].schema : schemaForDocumentType(image.ai_document_type)
+  const schema = DOCUMENT_SCHEMAS[schemaKey]
+  if (!schema) {
+    return { schema: null, label: null, fields: [] }
+  }
+
+  const byField = new Map(rows.map(row => [row.field, row]))
+  return {
+    schema: schemaKey,
+    label: schema.label,
+    fields: schema.fields.map(field => {
+      const row = byField.get(field.key)
+      return {
+        ...field,
+        value: row ? (field.type === 'money' && row.number_value !== null ? row.number_value : row.value) : null,
+        edited: Boolean(row && row.edited)
+      }
+    })
+  }
+}
+
+function upsertField(imageId, schemaKey, field, { value, numberValue }, edited) {
+  return dbUpdate(
+    `INSERT INTO document_fields (image_id, schema, field, type, value, number_value, edited)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (image_id, field) DO UPDATE SET
+       schema = excluded.schema, type = excluded.type, value = excluded.value,
+       number_value = excluded.number_value, edited = excluded.edited, updated_at = CURRENT_TIMESTAMP`,
+    [imageId, schemaKey, field.key, field.type, value, numberValue, edited ? 1 : 0]
+  )
+}
+
+/**
+ * Grava os campos extraídos pela análise. Campos corrigidos pelo usuário são mantidos;
+ * se o usuário escolheu outro esquema para o documento, a extração é ignorada.
+ * @param {{schema: string, values: object}|null} extracted
+ * @returns {Promise<number>} quantidade de campos gravados
+ */
+export async function saveExtractedFields(imageId, extracted) {
+  const edited = await dbAll('SELECT field, schema FROM document_fields WHERE image_id = ? AND edited = 1', [imageId])
+  if (edited.length > 0 && (!extracted || edited[0].schema !== extracted.schema)) {
+    return 0
+  }
+
+  await dbUpdate('DELETE FROM document_fields WHERE image_id = ? AND edited = 0', [imageId])
+  if (!extracted) return 0
+
+  const editedKeys = new Set(edited.map(row => row.field))
+  let saved = 0
+  for (const field of DOCUMENT_SCHEMAS[extracted.schema].fields) {
+    const value = extracted.values[field.key]
+    if (value && !editedKeys.has(field.key)) {
+      await upsertField(imageId, extracted.schema, field, value, false)
+      saved++
+    }
+  }
+  return saved
+}
+
+/**
+ * Valida as correções dos campos vindas do corpo da requisição
+ * @returns {{schema?: string, values?: object, error?: string}} values: campo → valor normalizado
+ */
+export function parseFieldsInput(body) {
+  const schema = Object.hasOwn(DOCUMENT_SCHEMAS, body.schema || '') && DOCUMENT_SCHEMAS[body.schema]
+  if (!schema) {
+    return { error: `schema inválido: use ${Object.keys(DOCUMENT_SCHEMAS).join(', ')}` }
+  }
+  if (!body.fields || typeof body.fields !== 'object' || Array.isArray(body.fields)) {
+    return { error: 'fields deve ser um objeto (campo → valor)' }
+  }
+
+  const values = {}
+  for (const [key, raw] of Object.entries(body.fields)) {
+    const field = schema.fields.find(candidate => candidate.key === key)
+    if (!field) {
+      return { error: `Campo desconhecido para ${schema.label}: ${key}` }
+    }
+    const parsed = parseFieldValue(field, raw)
+    if (parsed.error) return { error: parsed.error }
+    values[key] = parsed
+  }
+  return { schema: body.schema, values }
+}
+
+/**
+ * Grava os campos corrigidos pelo usuário (marcados como editados, inclusive os esvaziados).
+ * Trocar o esquema remove os campos do esquema anterior.
+ */
+export async function updateDocumentFields(imageId, schemaKey, values) {
+  await dbUpdate('DELETE FROM document_fields WHERE image_id = ? AND schema != ?', [imageId, schemaKey])
+  for (const field of DOCUMENT_SCHEMAS[schemaKey].fields) {
+    if (values[field.key] !== undefined) {
+      await upsertField(imageId, schemaKey, field, values[field.key], true)
+    }
+  }
+}
+
+/**
+ * Descarta as correções do usuário: a próxima análise substitui todos os campos
+ */
+export function clearFieldEdits(imageId) {
+  return dbUpdate('UPDATE document_fields SET edited = 0 WHERE image_id = ?', [imageId])
+}
+
+export function deleteDocumentFields(imageId) {
+  return dbUpdate('DELETE FROM document_fields WHERE image_id = ?', [imageId])
+}
+
+/**
+ * Copia os campos de outra imagem (cópia idêntica cuja análise é reaproveitada), substituindo os atuais
+ */
+export async function copyDocumentFields(sourceId, targetId) {
+  await deleteDocumentFields(targetId)
+  await dbUpdate(
+    `INSERT INTO document_fields (image_id, schema, field, type, value, number_value, edited)
+     SELECT ?, schema, field, type, value, number_value, edited FROM document_fields WHERE image_id = ?`,
+    [targetId, sourceId]
+  )
+}
+
+/**
+ * Valores preenchidos dos documentos, para a busca inteligente
+ * @returns {Promise<Map<number, Object<string, string>>>} id da imagem → { campo: valor }
+ */
+export async function fieldsByImage(imageIds) {
+  const byImage = new Map()
+  if (imageIds.length === 0) return byImage
+
+  const placeholders = imageIds.map(() => '?').join(',')
+  const rows = await dbAll(
+    `SELECT image_id, field, value FROM document_fields WHERE image_id IN (${placeholders}) AND value IS NOT NULL`,
+    imageIds
+  )
+  for (const row of rows) {
+    if (!byImage.has(row.image_id)) byImage.set(row.image_id, {})
+    byImage.get(row.image_id)[row.field] = row.value
+  }
+  return byImage
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto'
+import sharp from 'sharp'
+import { dbAll, dbGet, dbUpdate } from './db.js'
+import { createDecryptedStream, readFileDecrypted } from './encryption.js'
+
+// Distância de Hamming máxima (em 64 bits) para considerar duas imagens quase idênticas.
+// Lida a cada chamada: os módulos são carregados antes do .env
+function nearDuplicateThreshold() {
+  return parseInt(process.env.DUPLICATE_HAMMING_THRESHOLD, 10) || 8
+}
+
+/**
+ * SHA-256 do conteúdo original do arquivo (decifrado, se estiver criptografado)
+ * @returns {Promise<string>} hash em hexadecimal
+ */
+export function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    createDecryptedStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+  })
+}
+
+/**
+ * Hash perceptual (dHash de 64 bits): compara o brilho de pixels vizinhos numa
+ * versão 9x8 em tons de cinza. Imagens visualmente parecidas (recompressão,
+ * redimensionamento, pequenos ajustes) têm hashes com poucos bits diferentes.
+ * @param {string|Buffer} input - arquivo (criptografado ou não) ou buffer de imagem
+ * @returns {Promise<string>} 16 caracteres hexadecimais
+ */
+export async function perceptualHash(input) {
+  const pixels = await sharp(typeof input === 'string' ? await readFileDecrypted(input) : input)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer()
+
+  let bits = 0n
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n)
+    }
+  }
+  return bits.toString(16).padStart(16, '0')
+}
+
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`)
+  let count = 0
+  while (diff > 0n) {
+    count += Number(diff & 1n)
+    diff >>= 1n
+  }
+  return count
+}
+
+/**
+ * Imagem do mesmo usuário, já analisada, com o mesmo conteúdo (a mais antiga), ou undefined
+ */
+export function findExactDuplicate(contentHash, excludeId, ownerId) {
+  return dbGet(
+    `SELECT * FROM images
+     WHERE content_hash = ? AND id != ? AND owner_id IS ? AND analysis_status = 'done' AND deleted_at IS NULL
+     ORDER BY id LIMIT 1`,
+    [contentHash, excludeId, ownerId]
+  )
+}
+
+/**
+ * Imagens do mesmo usuário visualmente parecidas (cópias exatas do mesmo arquivo ficam de fora)
+ * @param {{id: number, content_hash: string|null, owner_id: number|null}} image
+ * @param {string} hash - hash perceptual da imagem
+ * @returns {Promise<Array<{id: number, distance: number}>>}
+ */
+export async function findNearDuplicates(image, hash) {
+  const rows = await dbAll(
+    `SELECT id, perceptual_hash FROM images
+     WHERE perceptual_hash IS NOT NULL AND id != ? AND content_hash IS NOT ? AND owner_id IS ? AND deleted_at IS NULL`,
+    [image.id, image.content_hash, image.owner_id]
+  )
+  return rows
+    .map(row => ({ id: row.id, distance: hammingDistance(hash, row.perceptual_hash) }))
+    .filter(row => row.distance <= nearDuplicateThreshold())
+    .sort((a, b) => a.distance - b.distance)
+}
+
+/**
+ * Agrupa a galeria do usuário em clusters de duplicatas: exatas (mesmo SHA-256) e
+ * quase idênticas (hash perceptual próximo, agrupado transitivamente)
+ * @returns {Promise<Array<{type: 'exact'|'near', imageIds: number[]}>>}
+ */
+export async function getDuplicateClusters(ownerId) {
+  const images = await dbAll('SELECT id, content_hash, perceptual_hash FROM images WHERE owner_id = ? AND deleted_at IS NULL ORDER BY id', [ownerId])
+
+  const exactGroups = new Map()
+  for (const img of images) {
+    if (!img.content_hash) continue
+    if (!exactGroups.has(img.content_hash)) exactGroups.set(img.content_hash, [])
+    exactGroups.get(img.content_hash).push(img.id)
+  }
+
+  const clusters = [...exactGroups.values()]
+    .filter(ids => ids.length > 1)
+    .map(imageIds => ({ type: 'exact', imageIds }))
+
+  // Union-find sobre pares próximos; cópias exatas entram como um só representante
+  const inExactCluster = new Set(clusters.flatMap(c => c.imageIds.slice(1)))
+  const hashed = images.filter(img => img.perceptual_hash && !inExactCluster.has(img.id))
+  const threshold = nearDuplicateThreshold()
+  const parent = new Map(hashed.map(img => [img.id, img.id]))
+  const find = id => (parent.get(id) === id ? id : find(parent.get(id)))
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      if (hammingDistance(hashed[i].perceptual_hash, hashed[j].perceptual_hash) <= threshold) {
+        parent.set(find(hashed[j].id), find(hashed[i].id))
+      }
+    }
+  }
+
+  const nearGroups = new Map()
+  for (const img of hashed) {
+    const root = find(img.id)
+    if (!nearGroups.has(root)) nearGroups.set(root, [])
+    nearGroups.get(root).push(img.id)
+  }
+
+  for (const ids of nearGroups.values()) {
+    if (ids.length > 1) clusters.push({ type: 'near', imageIds: ids })
+  }
+
+  return clusters
+}
+
+/**
+ * Calcula hashes que faltam (imagens anteriores à detecção de duplicatas)
+ * @param {(image: object) => string} resolvePath - caminho do arquivo original
+ * @param {(image: object) => Promise<string>} resolvePreview - caminho de uma prévia rasterizada (miniatura)
+ * @returns {Promise<number>} quantidade de imagens atualizadas
+ */
+export async function backfillHashes(resolvePath, resolvePreview) {
+  const pending = await dbAll('SELECT * FROM images WHERE content_hash IS NULL OR perceptual_hash IS NULL')
+  let updated = 0
+
+  for (const image of pending) {
+    try {
+      const contentHash = image.content_hash || await hashFile(resolvePath(image))
+      const phash = image.perceptual_hash || await perceptualHash(await resolvePreview(image))
+      await dbUpdate('UPDATE images SET content_hash = ?, perceptual_hash = ? WHERE id = ?', [contentHash, phash, image.id])
+      updated++
+    } catch (error) {
+      console.error(`   ⚠️  Não foi possível calcular hashes da imagem ${image.id}:`, error.message)
+    }
+  }
+
+  return updated
+}
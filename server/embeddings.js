@@ -0,0 +1,146 @@
+import { dbAll, dbInsert } from './db.js'
+import { getEmbeddingProvider } from './providers/index.js'
+import { calculateCost, assertPriced } from './pricing.js'
+
+const BACKFILL_BATCH_SIZE = 50
+
+/**
+ * Texto usado para gerar o embedding de uma imagem a partir da análise
+ */
+export function embeddingText(image) {
+  return [
+    image.ai_document_type,
+    image.ai_description,
+    image.ai_keywords,
+    image.ai_typical_use,
+    image.ai_country
+  ].filter(Boolean).join('\n')
+}
+
+function encodeVector(values) {
+  return Buffer.from(new Float32Array(values).buffer)
+}
+
+function decodeVector(blob) {
+  // Copiar para garantir alinhamento de 4 bytes
+  return new Float32Array(Uint8Array.from(blob).buffer)
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0
+}
+
+/**
+ * @param {'image_embedding'|'query_embedding'} operationType - define a tabela de operation_id
+ *   em api_costs (images ou searches)
+ */
+function toUsage(operationType, result, details) {
+  const costInfo = calculateCost(result.model, result.usage)
+  return {
+    operationType,
+    inputTokens: result.usage.inputTokens,
+    outputTokens: result.usage.outputTokens,
+    costUSD: costInfo.totalCostUSD,
+    costBRL: costInfo.totalCostBRL,
+    model: result.model,
+    details: JSON.stringify(details)
+  }
+}
+
+/**
+ * Calcula e grava os embeddings de um conjunto de imagens já analisadas
+ * @param {Array} images - linhas da tabela images
+ * @returns {Promise<object|null>} uso/custo da chamada (null se não houve chamada)
+ */
+export async function embedImages(images) {
+  if (images.length === 0) return null
+
+  const provider = getEmbeddingProvider()
+  assertPriced(provider.embeddingModel)
+  const result = await provider.embed(images.map(embeddingText))
+
+  for (let i = 0; i < images.length; i++) {
+    const vector = result.vectors[i]
+    await dbInsert(
+      `INSERT OR REPLACE INTO image_embeddings (image_id, model, dimensions, vector, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [images[i].id, result.model, vector.length, encodeVector(vector)]
+    )
+  }
+
+  return toUsage('image_embedding', result, { imageIds: images.map(img => img.id), provider: provider.name })
+}
+
+/**
+ * Encontra as imagens do usuário mais próximas da busca por similaridade de cosseno
+ * @param {string} query
+ * @param {number} limit - top-k
+ * @param {number} ownerId
+ * @param {number} [personId] - apenas documentos desta pessoa da casa
+ * @returns {Promise<{matches: Array<{imageId: number, similarity: number}>, usage: object}>}
+ */
+export async function findSimilarImages(query, limit, ownerId, personId) {
+  const provider = getEmbeddingProvider()
+  assertPriced(provider.embeddingModel)
+  const result = await provider.embed([query])
+  const queryVector = result.vectors[0]
+
+  const personFilter = personId !== undefined ? 'AND images.person_id = ?' : ''
+  const rows = await dbAll(
+    `SELECT e.image_id, e.vector FROM image_embeddings e
+     JOIN images ON images.id = e.image_id
+     WHERE e.model = ? AND e.dimensions = ? AND images.owner_id = ? AND images.deleted_at IS NULL ${personFilter}`,
+    [result.model, queryVector.length, ownerId, ...(personId !== undefined ? [personId] : [])]
+  )
+
+  const matches = rows
+    .map(row => ({ imageId: row.image_id, similarity: cosineSimilarity(queryVector, decodeVector(row.vector)) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+
+  return { matches, usage: toUsage('query_embedding', result, { query, provider: provider.name }) }
+}
+
+/**
+ * Gera embeddings para imagens analisadas que ainda não têm vetor do modelo atual
+ * (bancos anteriores à busca semântica, troca de modelo, falhas anteriores).
+ * Os lotes são separados por dono para que cada custo seja atribuído a um usuário.
+ * @returns {Promise<Array<object & {ownerId: number|null}>>} usos/custos das chamadas feitas
+ */
+export async function backfillEmbeddings() {
+  const provider = getEmbeddingProvider()
+  const usages = []
+
+  const pendingQuery = `SELECT images.* FROM images
+    LEFT JOIN image_embeddings e ON e.image_id = images.id AND e.model = ?
+    WHERE e.image_id IS NULL AND images.analysis_status = 'done' AND images.deleted_at IS NULL`
+
+  const owners = await dbAll(`SELECT DISTINCT owner_id FROM (${pendingQuery})`, [provider.embeddingModel])
+
+  for (const { owner_id: ownerId } of owners) {
+    while (true) {
+      const pending = await dbAll(
+        `${pendingQuery} AND images.owner_id IS ? LIMIT ?`,
+        [provider.embeddingModel, ownerId, BACKFILL_BATCH_SIZE]
+      )
+      if (pending.length === 0) break
+
+      const usage = await embedImages(pending)
+      usages.push({ ...usage, ownerId })
+
+      // Se o modelo retornado difere do configurado, as linhas não sairiam da consulta
+      if (usage.model !== provider.embeddingModel) break
+      if (pending.length < BACKFILL_BATCH_SIZE) break
+    }
+  }
+
+  return usages
+}
@@ -0,0 +1,237 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { Readable, pipeline } from 'stream'
+
+// Formato de um arquivo criptografado:
+//   "GENC" | versão | id da chave mestra | iv + chave do arquivo cifrada + tag | iv do conteúdo | conteúdo | tag
+// A chave de cada arquivo é aleatória e fica no próprio arquivo, cifrada (AES-256-GCM) pela chave mestra.
+const MAGIC = Buffer.from('GENC')
+const VERSION = 1
+const KEY_LENGTH = 32
+const KEY_ID_LENGTH = 8
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+const HEADER_LENGTH = MAGIC.length + 1 + KEY_ID_LENGTH + IV_LENGTH + KEY_LENGTH + TAG_LENGTH + IV_LENGTH
+
+/**
+ * Erro de configuração de chave ou de um arquivo que não pôde ser decifrado
+ */
+export class EncryptionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'EncryptionError'
+  }
+}
+
+// Chaves de 32 bytes em hexadecimal (64 caracteres) ou base64
+function parseKey(value, name) {
+  const text = value.trim()
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64')
+  if (key.length !== KEY_LENGTH) {
+    throw new EncryptionError(`${name} inválida: use 32 bytes em hexadecimal (64 caracteres) ou base64 (node encryption.js generate-key)`)
+  }
+  return key
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest().subarray(0, KEY_ID_LENGTH)
+}
+
+// Lidas a cada chamada: os módulos são carregados antes do .env
+function currentKey() {
+  const value = process.env.ENCRYPTION_KEY
+  return value && value.trim() ? parseKey(value, 'ENCRYPTION_KEY') : null
+}
+
+// Chave atual e as anteriores (ENCRYPTION_PREVIOUS_KEYS), para ler arquivos ainda não rotacionados
+function knownKeys() {
+  const previous = (process.env.ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .map(value => parseKey(value, 'ENCRYPTION_PREVIOUS_KEYS'))
+  const current = currentKey()
+  return current ? [current, ...previous] : previous
+}
+
+/**
+ * Arquivos novos são criptografados quando ENCRYPTION_KEY está configurada
+ */
+export function encryptionEnabled() {
+  return currentKey() !== null
+}
+
+/**
+ * Nova chave mestra aleatória, em base64
+ */
+export function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH).toString('base64')
+}
+
+function isEncrypted(header) {
+  return header.length >= HEADER_LENGTH && header.subarray(0, MAGIC.length).equals(MAGIC) && header[MAGIC.length] === VERSION
+}
+
+function headerKeyId(header) {
+  return header.subarray(MAGIC.length + 1, MAGIC.length + 1 + KEY_ID_LENGTH)
+}
+
+/**
+ * Decifra a chave do arquivo a partir do cabeçalho
+ * @returns {{dataKey: Buffer, dataIv: Buffer}}
+ */
+function openHeader(header) {
+  const id = headerKeyId(header)
+  let offset = MAGIC.length + 1 + KEY_ID_LENGTH
+  const take = length => header.subarray(offset, (offset += length))
+  const wrapIv = take(IV_LENGTH)
+  const wrappedKey = take(KEY_LENGTH)
+  const wrapTag = take(TAG_LENGTH)
+  const dataIv = take(IV_LENGTH)
+
+  const masterKey = knownKeys().find(key => keyId(key).equals(id))
+  if (!masterKey) {
+    throw new EncryptionError('Arquivo criptografado com uma chave desconhecida (configure ENCRYPTION_KEY ou ENCRYPTION_PREVIOUS_KEYS)')
+  }
+
+  try {
+    const unwrap = crypto.createDecipheriv('aes-256-gcm', masterKey, wrapIv)
+    unwrap.setAuthTag(wrapTag)
+    const dataKey = Buffer.concat([unwrap.update(wrappedKey), unwrap.final()])
+    return { dataKey, dataIv }
+  } catch {
+    throw new EncryptionError('Não foi possível decifrar a chave do arquivo (cabeçalho corrompido)')
+  }
+}
+
+/**
+ * Cifra um conteúdo com uma chave nova, protegida pela chave mestra atual
+ */
+function encryptBuffer(plaintext, masterKey) {
+  const dataKey = crypto.randomBytes(KEY_LENGTH)
+  const wrapIv = crypto.randomBytes(IV_LENGTH)
+  const wrap = crypto.createCipheriv('aes-256-gcm', masterKey, wrapIv)
+  const wrappedKey = Buffer.concat([wrap.update(dataKey), wrap.final()])
+
+  const dataIv = crypto.randomBytes(IV_LENGTH)
+  const header = Buffer.concat([MAGIC, Buffer.from([VERSION]), keyId(masterKey), wrapIv, wrappedKey, wrap.getAuthTag(), dataIv])
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, dataIv)
+  cipher.setAAD(header)
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+
+  return Buffer.concat([header, ciphertext, cipher.getAuthTag()])
+}
+
+/**
+ * Conteúdo original de um arquivo (criptografado ou não)
+ */
+function decryptBuffer(data) {
+  if (!isEncrypted(data)) return data
+
+  const header = data.subarray(0, HEADER_LENGTH)
+  const { dataKey, dataIv } = openHeader(header)
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, dataIv)
+    decipher.setAAD(header)
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH))
+    return Buffer.concat([decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)), decipher.final()])
+  } catch {
+    throw new EncryptionError('Arquivo criptografado corrompido ou adulterado')
+  }
+}
+
+/**
+ * Lê um arquivo, decifrando-o se necessário
+ * @returns {Promise<Buffer>}
+ */
+export async function readFileDecrypted(filePath) {
+  return decryptBuffer(await fs.promises.readFile(filePath))
+}
+
+/**
+ * Grava um arquivo, criptografado se ENCRYPTION_KEY estiver configurada.
+ * A troca é atômica (arquivo temporário + rename): leitores nunca veem um arquivo pela metade.
+ */
+export async function writeFileEncrypted(filePath, data) {
+  const masterKey = currentKey()
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  try {
+    await fs.promises.writeFile(tmpPath, masterKey ? encryptBuffer(data, masterKey) : data)
+    await fs.promises.rename(tmpPath, filePath)
+  } catch (error) {
+    await fs.promises.rm(tmpPath, { force: true })
+    throw error
+  }
+}
+
+/**
+ * Criptografa um arquivo existente com a chave atual (arquivos sem criptografia
+ * ou cifrados com uma chave anterior)
+ * @returns {Promise<'encrypted'|'current'|'disabled'>} current: já estava com a chave atual
+ */
+export async function encryptFile(filePath) {
+  const masterKey = currentKey()
+  if (!masterKey) return 'disabled'
+
+  const data = await fs.promises.readFile(filePath)
+  if (isEncrypted(data) && headerKeyId(data).equals(keyId(masterKey))) {
+    return 'current'
+  }
+  await writeFileEncrypted(filePath, decryptBuffer(data))
+  return 'encrypted'
+}
+
+/**
+ * Situação de um arquivo em relação às chaves configuradas
+ * @returns {Promise<'plain'|'current'|'previous'|'unknown'>} previous: cifrado com uma chave de
+ *   ENCRYPTION_PREVIOUS_KEYS (precisa de rotação); unknown: com uma chave que não está configurada
+ */
+export async function fileEncryptionStatus(filePath) {
+  const handle = await fs.promises.open(filePath, 'r')
+  const header = Buffer.alloc(HEADER_LENGTH)
+  try {
+    await handle.read(header, 0, HEADER_LENGTH, 0)
+  } finally {
+    await handle.close()
+  }
+  if (!isEncrypted(header)) return 'plain'
+
+  const id = headerKeyId(header)
+  const current = currentKey()
+  if (current && keyId(current).equals(id)) return 'current'
+  return knownKeys().some(key => keyId(key).equals(id)) ? 'previous' : 'unknown'
+}
+
+/**
+ * Stream com o conteúdo original do arquivo, decifrado em fluxo. A tag de autenticação
+ * é conferida no fim: se o arquivo foi adulterado, o stream termina com erro.
+ * Lança (de forma síncrona) se o arquivo não existe ou a chave é desconhecida.
+ * @returns {import('stream').Readable}
+ */
+export function createDecryptedStream(filePath) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const { size } = fs.fstatSync(fd)
+    const header = Buffer.alloc(Math.min(HEADER_LENGTH, size))
+    fs.readSync(fd, header, 0, header.length, 0)
+    if (!isEncrypted(header) || size < HEADER_LENGTH + TAG_LENGTH) {
+      return fs.createReadStream(filePath, { fd, start: 0 })
+    }
+
+    const tag = Buffer.alloc(TAG_LENGTH)
+    fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH)
+    const { dataKey, dataIv } = openHeader(header)
+    const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, dataIv)
+    decipher.setAAD(header)
+    decipher.setAuthTag(tag)
+
+    // Conteúdo vazio: createReadStream não aceita end < start
+    const source = size === HEADER_LENGTH + TAG_LENGTH
+      ? Readable.from([])
+      : fs.createReadStream(filePath, { fd, start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 })
+    if (size === HEADER_LENGTH + TAG_LENGTH) fs.closeSync(fd)
+    return pipeline(source, decipher, () => { })
+  } catch (error) {
+    fs.closeSync(fd)
+    throw error
+  }
+}
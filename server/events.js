@@ -0,0 +1,100 @@
+// Canais de eventos de upload/análise transmitidos via Server-Sent Events.
+// Cada upload (lote de arquivos) tem um uploadId gerado pelo cliente; os eventos
+// ficam guardados por algum tempo para que o cliente possa se conectar depois
+// do início do upload (ou reconectar) sem perder nada.
+
+const CHANNEL_TTL_MS = 10 * 60 * 1000
+const MAX_EVENTS_PER_CHANNEL = 1000
+
+const channels = new Map() // uploadId -> { events, listeners, nextId, timer, ownerId }
+const imageUploads = new Map() // imageId -> { uploadId, fileIndex }
+
+export function isValidUploadId(uploadId) {
+  return typeof uploadId === 'string' && /^[A-Za-z0-9-]{1,64}$/.test(uploadId)
+}
+
+function getChannel(uploadId) {
+  let channel = channels.get(uploadId)
+  if (!channel) {
+    channel = { events: [], listeners: new Set(), nextId: 1, timer: null, ownerId: null }
+    channels.set(uploadId, channel)
+  }
+
+  // Renovar expiração a cada uso
+  clearTimeout(channel.timer)
+  channel.timer = setTimeout(() => {
+    channels.delete(uploadId)
+    for (const [imageId, link] of imageUploads) {
+      if (link.uploadId === uploadId) imageUploads.delete(imageId)
+    }
+  }, CHANNEL_TTL_MS)
+  channel.timer.unref?.()
+
+  return channel
+}
+
+/**
+ * Reserva o canal do upload para o usuário. O primeiro a usar o uploadId (stream
+ * de eventos ou envio dos arquivos) fica dono do canal.
+ * @returns {boolean} false se o canal pertence a outro usuário
+ */
+export function claimUpload(uploadId, ownerId) {
+  const channel = getChannel(uploadId)
+  if (channel.ownerId === null) {
+    channel.ownerId = ownerId
+  }
+  return channel.ownerId === ownerId
+}
+
+/**
+ * Publica um evento no canal do upload
+ * @param {string} uploadId
+ * @param {{type: string}} event - demais campos são livres (fileIndex, imageId, ...)
+ */
+export function publishUploadEvent(uploadId, event) {
+  if (!isValidUploadId(uploadId)) return
+
+  const channel = getChannel(uploadId)
+  const entry = { id: channel.nextId++, data: { ...event, timestamp: new Date().toISOString() } }
+
+  channel.events.push(entry)
+  if (channel.events.length > MAX_EVENTS_PER_CHANNEL) {
+    channel.events.shift()
+  }
+
+  for (const listener of channel.listeners) listener(entry)
+}
+
+/**
+ * Associa uma imagem salva ao upload de origem, para que os eventos da análise
+ * em background cheguem ao mesmo canal
+ */
+export function linkImageToUpload(imageId, uploadId, fileIndex) {
+  if (!isValidUploadId(uploadId)) return
+  imageUploads.set(imageId, { uploadId, fileIndex })
+}
+
+/**
+ * Publica um evento relativo a uma imagem. Ignorado se a imagem não veio de um
+ * upload acompanhado (ex: reprocessamento após reiniciar o servidor).
+ */
+export function publishImageEvent(imageId, event) {
+  const link = imageUploads.get(imageId)
+  if (!link) return
+  publishUploadEvent(link.uploadId, { ...event, imageId, fileIndex: link.fileIndex })
+}
+
+/**
+ * Inscreve um listener no canal, reenviando os eventos posteriores a lastEventId
+ * @returns {() => void} função para cancelar a inscrição
+ */
+export function subscribeUpload(uploadId, lastEventId, listener) {
+  const channel = getChannel(uploadId)
+
+  for (const entry of channel.events) {
+    if (entry.id > lastEventId) listener(entry)
+  }
+
+  channel.listeners.add(listener)
+  return () => channel.listeners.delete(listener)
+}
@@ -0,0 +1,136 @@
+import fs from 'fs'
+import path from 'path'
+import archiver from 'archiver'
+import { createDecryptedStream } from './encryption.js'
+
+// Colunas do manifest.csv (também a ordem das chaves do manifest.json)
+const MANIFEST_COLUMNS = [
+  'file',
+  'id',
+  'originalname',
+  'mimetype',
+  'size',
+  'createdAt',
+  'documentType',
+  'country',
+  'description',
+  'keywords',
+  'issueDate',
+  'expiryDate',
+  'person'
+]
+
+/**
+ * Nome de arquivo seguro dentro do ZIP, a partir do nome original
+ */
+function safeFilename(name) {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+    .replace(/^\.+/, '')
+    .trim()
+  return cleaned || 'arquivo'
+}
+
+/**
+ * Nomes amigáveis e únicos para cada imagem ("passaporte.pdf", "passaporte (2).pdf")
+ * @returns {string[]} na mesma ordem de images
+ */
+export function exportFilenames(images) {
+  const used = new Set()
+  return images.map(image => {
+    const name = safeFilename(image.originalname)
+    const ext = path.extname(name)
+    const base = name.slice(0, name.length - ext.length)
+
+    let candidate = name
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      candidate = `${base} (${n})${ext}`
+    }
+    used.add(candidate.toLowerCase())
+    return candidate
+  })
+}
+
+/**
+ * Entradas do manifesto com os metadados da análise
+ * @param {Array} images - linhas de images (com person_name, se houver)
+ * @param {string[]} filenames - nomes dentro do ZIP
+ */
+export function buildManifest(images, filenames) {
+  return images.map((image, index) => ({
+    file: filenames[index],
+    id: image.id,
+    originalname: image.originalname,
+    mimetype: image.mimetype,
+    size: image.size,
+    createdAt: image.created_at,
+    documentType: image.ai_document_type || null,
+    country: image.ai_country || null,
+    description: image.ai_description || null,
+    keywords: image.ai_keywords ? image.ai_keywords.split(', ') : [],
+    issueDate: image.issue_date || null,
+    expiryDate: image.expiry_date || null,
+    person: image.person_name || null
+  }))
+}
+
+/**
+ * Valor de uma célula CSV (listas separadas por "; ", aspas quando necessário)
+ */
+export function csvValue(value) {
+  const text = Array.isArray(value) ? value.join('; ') : String(value ?? '')
+  return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * manifest.csv (com BOM, para o Excel reconhecer os acentos)
+ */
+export function manifestCsv(entries) {
+  const lines = [
+    MANIFEST_COLUMNS.join(','),
+    ...entries.map(entry => MANIFEST_COLUMNS.map(column => csvValue(entry[column])).join(','))
+  ]
+  return '\ufeff' + lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Envia um ZIP com as imagens e o manifesto (JSON e CSV) em streaming na resposta.
+ * Arquivos ausentes no disco são pulados e marcados com `missing: true` no manifesto.
+ * @param {import('express').Response} res
+ * @param {Array} images
+ * @param {{resolvePath: (image: object) => string, archiveName: string}} options
+ * @returns {Promise<void>} resolvida quando o ZIP terminou de ser enviado
+ */
+export function streamExportZip(res, images, { resolvePath, archiveName }) {
+  const filenames = exportFilenames(images)
+  const manifest = buildManifest(images, filenames)
+
+  const zipName = `${safeFilename(archiveName)}.zip`
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${zipName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(zipName)}`,
+    'Cache-Control': 'no-store'
+  })
+
+  const archive = archiver('zip', { zlib: { level: 6 } })
+
+  return new Promise((resolve, reject) => {
+    archive.on('warning', error => console.warn('   ⚠️  Aviso no ZIP:', error.message))
+    archive.on('error', reject)
+    res.on('close', resolve)
+    archive.pipe(res)
+
+    images.forEach((image, index) => {
+      const filePath = resolvePath(image)
+      if (fs.existsSync(filePath)) {
+        archive.append(createDecryptedStream(filePath), { name: filenames[index], date: new Date(image.created_at) })
+      } else {
+        manifest[index].missing = true
+      }
+    })
+
+    archive.append(JSON.stringify({ exportedAt: new Date().toISOString(), files: manifest }, null, 2), { name: 'manifest.json' })
+    archive.append(manifestCsv(manifest), { name: 'manifest.csv' })
+    archive.finalize()
+  })
+}
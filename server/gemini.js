@@ -1,73 +1,110 @@
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import fs from 'fs'
 import path from 'path'
+import { getProvider, ProviderUnavailableError } from './providers/index.js'
+import { readFileDecrypted } from './encryption.js'
+import { DOCUMENT_SCHEMAS, schemaForDocumentType, extractionPrompt, parseExtractedFields } from './documentFields.js'
+import { requestJson, ModelResponseError } from './modelResponse.js'
+import { calculateCost, assertPriced } from './pricing.js'
 
-// Preços do Gemini 2.5 Flash (aproximados em USD por 1M tokens)
-// Valores podem variar - ajuste conforme necessário
-const PRICING = {
-  'gemini-2.5-flash': {
-    input: 0.075 / 1000000,  // $0.075 por 1M tokens de input
-    output: 0.30 / 1000000   // $0.30 por 1M tokens de output
-  },
-  'gemini-1.5-flash': {
-    input: 0.075 / 1000000,
-    output: 0.30 / 1000000
+/**
+ * Soma o uso de todas as chamadas de uma operação (a resposta inicial e, se houve, a correção)
+ * @param {Array<{model: string, usage: object}>} responses
+ */
+function combinedUsage(operationType, responses, details) {
+  const usage = {
+    operationType,
+    inputTokens: 0,
+    outputTokens: 0,
+    costUSD: 0,
+    costBRL: 0,
+    model: responses[responses.length - 1].model,
+    details: JSON.stringify({ ...details, attempts: responses.length })
+  }
+  for (const response of responses) {
+    const cost = calculateCost(response.model, response.usage)
+    usage.inputTokens += response.usage.inputTokens
+    usage.outputTokens += response.usage.outputTokens
+    usage.costUSD += cost.totalCostUSD
+    usage.costBRL = cost.totalCostBRL === null ? null : usage.costBRL + cost.totalCostBRL
   }
+  return usage
 }
 
-// Taxa de câmbio USD para BRL (pode ser atualizada ou obtida via API)
-const USD_TO_BRL = 5.0 // Ajuste conforme necessário
+function logUsage(label, usage) {
+  console.log(`   💰 Custo ${label}:`)
+  console.log(`      Tokens entrada: ${usage.inputTokens.toLocaleString()}`)
+  console.log(`      Tokens saída: ${usage.outputTokens.toLocaleString()}`)
+  console.log(`      Total tokens: ${(usage.inputTokens + usage.outputTokens).toLocaleString()}`)
+  const brl = usage.costBRL === null ? '' : ` (R$ ${usage.costBRL.toFixed(4)})`
+  console.log(`      Custo: $${usage.costUSD.toFixed(6)} USD${brl}`)
+}
 
-/**
- * Calcula o custo de uma chamada à API baseado em tokens
- */
-export function calculateCost(model, inputTokens, outputTokens) {
-  const pricing = PRICING[model] || PRICING['gemini-2.5-flash']
-  const inputCost = inputTokens * pricing.input
-  const outputCost = outputTokens * pricing.output
-  const totalCostUSD = inputCost + outputCost
-  const totalCostBRL = totalCostUSD * USD_TO_BRL
+// Formato esperado da resposta da análise de documentos
+export const ANALYSIS_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['documentType', 'keywords'],
+  properties: {
+    isDocument: { type: 'boolean', default: false },
+    documentType: { type: 'string', minLength: 1 },
+    description: { type: 'string', default: '' },
+    keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+    country: { type: 'string', nullable: true },
+    typicalUse: { type: 'string', default: '' },
+    issueDate: { type: 'string', format: 'date', nullable: true },
+    expiryDate: { type: 'string', format: 'date', nullable: true },
+    holderName: { type: 'string', nullable: true },
+    fieldsSchema: { type: 'string', nullable: true },
+    // Valores conferidos por parseExtractedFields, conforme o esquema do documento
+    fields: { type: 'object', nullable: true }
+  }
+}
 
-  return {
-    inputCost,
-    outputCost,
-    totalCostUSD,
-    totalCostBRL,
-    inputTokens,
-    outputTokens
+// Formato esperado da interpretação de uma busca
+export const SEARCH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    topic: { type: 'string', nullable: true },
+    searchTerms: { type: 'array', items: { type: 'string', minLength: 1 }, default: [] },
+    matchingDocIds: { type: 'array', items: { type: 'integer' }, default: [] },
+    personId: { type: 'integer', nullable: true },
+    answer: { type: 'string', nullable: true },
+    documents: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          id: { type: 'integer', nullable: true },
+          name: { type: 'string', minLength: 1 },
+          hasDocument: { type: 'boolean', default: false },
+          howToGet: { type: 'string', nullable: true }
+        }
+      }
+    }
   }
 }
 
-// A API key será carregada dinamicamente em cada função para garantir que está atualizada
+// O provedor (e sua API key) é resolvido a cada chamada para garantir que a configuração está atualizada
 
 /**
- * Analisa uma imagem usando Gemini Vision e extrai informações estruturadas
+ * Analisa uma imagem usando o provedor de IA configurado e extrai informações estruturadas.
+ * A resposta é validada contra ANALYSIS_RESPONSE_SCHEMA; fora do formato, o modelo é chamado
+ * mais uma vez com os erros encontrados, e se ainda assim falhar é lançado um ModelResponseError.
+ * O uso/custo das chamadas é retornado junto com o resultado; se houve chamadas mas a
+ * resposta não pôde ser usada, o erro lançado traz o uso em `error.usage`.
  * @param {string} imagePath - Caminho completo para o arquivo de imagem
- * @returns {Promise<{description: string, keywords: string[], documentType: string}>}
+ * @returns {Promise<{analysis: {description: string, keywords: string[], documentType: string, issueDate: string|null, expiryDate: string|null, holderName: string|null, fields: {schema: string, values: object}|null}, usage: object}>}
  */
 export async function analyzeImage(imagePath) {
+  let usage = null
+  const responses = []
   try {
-    // Carregar API key diretamente do ambiente e limpar
-    const apiKey = (process.env.GEMINI_API_KEY_AI || '').trim()
-
-    if (!apiKey) {
-      throw new Error('GEMINI_API_KEY_AI não configurada. Configure a API key do Gemini para fazer upload de arquivos.')
-    }
-
-    // Validar formato básico da API key
-    if (apiKey.length < 20) {
-      throw new Error(`API Key parece inválida (muito curta: ${apiKey.length} caracteres). Verifique se a chave está correta.`)
-    }
-
-    console.log(`   🔑 API Key encontrada (${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 4)}), iniciando análise com Gemini...`)
-
-    // Criar nova instância com a API key para garantir que está correta
-    const genAIInstance = new GoogleGenerativeAI(apiKey)
-    const model = genAIInstance.getGenerativeModel({ model: 'gemini-2.5-flash' })
+    const provider = getProvider()
+    console.log(`   🧠 Provedor de IA: ${provider.name} (${provider.model})`)
+    assertPriced(provider.model)
 
     console.log(`   📖 Lendo arquivo: ${imagePath}`)
-    const imageBuffer = fs.readFileSync(imagePath)
-    const base64Image = imageBuffer.toString('base64')
+    const imageBuffer = await readFileDecrypted(imagePath)
     const ext = path.extname(imagePath).toLowerCase()
     const mimeType = getMimeType(ext)
     console.log(`   📄 Tipo MIME: ${mimeType}, Tamanho: ${(imageBuffer.length / 1024).toFixed(2)} KB`)
@@ -104,6 +141,16 @@ Para keywords, gere PELO MENOS 20 palavras-chave relevantes incluindo:
 - Termos relacionados ao processo (ex: "renovação de autorização", "pedido de residência", "certidão de não dívida")
 - Outras palavras relevantes do conteúdo e processo relacionado
 
+Datas de emissão e validade:
+- Se o documento mostrar data de emissão e/ou data de validade (ex: "Data de emissão", "Válido até", "Data de validade", "Expiry date"), extraia-as no formato YYYY-MM-DD
+- Use null se a data não estiver visível ou não se aplicar; NÃO invente datas
+
+Campos estruturados:
+- Se o documento for de um dos tipos abaixo, informe o tipo em "fieldsSchema" e extraia os campos em "fields"
+- Copie números de documento, NIF e IBAN exatamente como impressos; use null para campos não visíveis; NÃO invente valores
+- Para outros documentos, use "fieldsSchema": null e "fields": {}
+${extractionPrompt()}
+
 IMPORTANTE:
 - As keywords devem ser descritivas e incluir termos que ajudem na busca, como nomes de órgãos, processos e documentos relacionados
 - NÃO inclua instruções de "como obter" nas keywords - apenas descrições do documento e termos relacionados
@@ -122,74 +169,27 @@ Formato de resposta obrigatório:
   "description": "descrição detalhada do conteúdo sem dados pessoais sensíveis",
   "keywords": ["keyword1", "keyword2", "keyword3", ...], // MÍNIMO 20 keywords
   "country": "país do documento ou null",
-  "typicalUse": "para que este documento é tipicamente usado"
+  "typicalUse": "para que este documento é tipicamente usado",
+  "issueDate": "YYYY-MM-DD ou null",
+  "expiryDate": "YYYY-MM-DD ou null",
+  "holderName": "nome completo do titular impresso no documento ou null",
+  "fieldsSchema": "${Object.keys(DOCUMENT_SCHEMAS).join('|')} ou null",
+  "fields": { "campo": "valor" }
 }
 
 CRÍTICO: Retorne SEMPRE pelo menos 20 keywords no array. Seja criativo e detalhado.`
 
-    const aiResult = await model.generateContent([
+    const parsed = await requestJson(
+      text => provider.analyzeDocument({ prompt: text, data: imageBuffer, mimeType, filename: path.basename(imagePath) }),
       prompt,
-      {
-        inlineData: {
-          mimeType,
-          data: base64Image
-        }
-      }
-    ])
-
-    // Obter informações de uso (tokens)
-    const usageMetadata = aiResult.response.usageMetadata
-    const inputTokens = usageMetadata?.promptTokenCount || 0
-    const outputTokens = usageMetadata?.candidatesTokenCount || 0
-    const totalTokens = usageMetadata?.totalTokenCount || (inputTokens + outputTokens)
-
-    // Calcular custo
-    const costInfo = calculateCost('gemini-2.5-flash', inputTokens, outputTokens)
-
-    console.log(`   💰 Custo da análise:`)
-    console.log(`      Tokens entrada: ${inputTokens.toLocaleString()}`)
-    console.log(`      Tokens saída: ${outputTokens.toLocaleString()}`)
-    console.log(`      Total tokens: ${totalTokens.toLocaleString()}`)
-    console.log(`      Custo: $${costInfo.totalCostUSD.toFixed(6)} USD (R$ ${costInfo.totalCostBRL.toFixed(4)})`)
-
-    // Armazenar custo para salvar no banco depois
-    if (typeof global !== 'undefined') {
-      global.lastApiCost = {
-        operationType: 'image_analysis',
-        inputTokens,
-        outputTokens,
-        costUSD: costInfo.totalCostUSD,
-        costBRL: costInfo.totalCostBRL,
-        model: 'gemini-2.5-flash',
-        details: JSON.stringify({ imagePath, mimeType })
-      }
-    }
+      ANALYSIS_RESPONSE_SCHEMA,
+      responses
+    )
+    usage = combinedUsage('image_analysis', responses, { imagePath, mimeType, provider: provider.name })
+    logUsage('da análise', usage)
+    console.log(`   📝 Resposta da IA validada`)
 
-    const response = aiResult.response.text()
-
-    // Limpar resposta e fazer parse do JSON
-    let cleanResponse = response.trim()
-    if (cleanResponse.startsWith('```json')) {
-      cleanResponse = cleanResponse.slice(7)
-    }
-    if (cleanResponse.startsWith('```')) {
-      cleanResponse = cleanResponse.slice(3)
-    }
-    if (cleanResponse.endsWith('```')) {
-      cleanResponse = cleanResponse.slice(0, -3)
-    }
-    cleanResponse = cleanResponse.trim()
-
-    console.log(`   📝 Resposta da IA recebida, fazendo parse do JSON...`)
-    const parsed = JSON.parse(cleanResponse)
-
-    // Garantir que keywords seja sempre um array
-    let keywords = []
-    if (Array.isArray(parsed.keywords)) {
-      keywords = parsed.keywords
-    } else if (parsed.keywords) {
-      keywords = [parsed.keywords]
-    }
+    let keywords = parsed.keywords
 
     // Se não houver keywords mas houver documentType, adicionar o tipo como keyword
     if (keywords.length === 0 && parsed.documentType && parsed.documentType !== 'imagem geral') {
@@ -238,57 +238,89 @@ CRÍTICO: Retorne SEMPRE pelo menos 20 keywords no array. Seja criativo e detalh
       console.log(`   ✅ Expandido para ${keywords.length} keywords`)
     }
 
+    // Esquema indicado pela IA ou, sem ele, deduzido do tipo do documento
+    const fieldsSchema = Object.hasOwn(DOCUMENT_SCHEMAS, parsed.fieldsSchema || '') ? parsed.fieldsSchema : schemaForDocumentType(parsed.documentType)
+
     const result = {
-      description: parsed.description || '',
+      description: parsed.description,
       keywords: keywords.slice(0, 30), // Limitar a 30 para não exagerar
-      documentType: parsed.documentType || 'imagem geral',
-      isDocument: parsed.isDocument || false,
-      country: parsed.country || null,
-      typicalUse: parsed.typicalUse || ''
+      documentType: parsed.documentType,
+      isDocument: parsed.isDocument,
+      country: parsed.country,
+      typicalUse: parsed.typicalUse,
+      issueDate: parsed.issueDate,
+      expiryDate: parsed.expiryDate,
+      holderName: parsed.holderName,
+      fields: fieldsSchema ? { schema: fieldsSchema, values: parseExtractedFields(fieldsSchema, parsed.fields) } : null
     }
 
     console.log(`   ✅ Parse concluído - ${result.keywords.length} keywords extraídas`)
-    return result
+    return { analysis: result, usage }
   } catch (error) {
-    console.error(`   ❌ Erro ao analisar imagem com Gemini:`, error.message)
-    if (error.message.includes('JSON')) {
-      console.error(`   ⚠️  Erro de parse JSON - resposta pode estar malformada`)
+    console.error(`   ❌ Erro ao analisar imagem com IA:`, error.message)
+    if (!usage && responses.length > 0) {
+      usage = combinedUsage('image_analysis', responses, { imagePath })
     }
-    if (error.message.includes('403') || error.message.includes('Forbidden')) {
+    if (error instanceof ModelResponseError) {
+      console.error(`   ⚠️  Resposta inválida mesmo após o pedido de correção`)
+    } else if (error instanceof ProviderUnavailableError) {
+      console.error(`   ⏸️  Provedor indisponível; a análise será retentada pela fila`)
+    } else if (error.message.includes('403') || error.message.includes('Forbidden')) {
       throw new Error('API Key inválida ou sem permissões. Verifique sua GEMINI_API_KEY_AI no Google AI Studio.')
+    } else {
+      console.error(`   Stack:`, error.stack)
     }
-    console.error(`   Stack:`, error.stack)
-    // Re-throw o erro para que o upload seja bloqueado
+    // Re-throw o erro para que o job seja retentado, levando o custo das chamadas (se houve)
+    error.usage = usage
     throw error
   }
 }
 
 /**
- * Interpreta uma busca em linguagem natural e retorna query estruturada
+ * Interpreta uma busca em linguagem natural e retorna query estruturada. A resposta é validada
+ * contra SEARCH_RESPONSE_SCHEMA (com um pedido de correção); se continuar inválida, ou se a
+ * chamada falhar, volta a interpretação básica.
  * @param {string} userQuery - Busca do usuário em linguagem natural
- * @param {Array} availableDocuments - Lista de documentos disponíveis no banco
- * @returns {Promise<{searchTerms: string[], interpretation: string, suggestions: string[]}>}
+ * @param {Array} availableDocuments - Lista de documentos disponíveis no banco (com `document_fields`,
+ *   os campos estruturados, quando houver)
+ * @param {{person?: object, people?: object[]}} context - pessoa escolhida pelo usuário ou, sem ela,
+ *   as pessoas da casa para a IA identificar de quem é a busca ("passaporte da minha filha")
+ * @returns {Promise<{interpretation: {searchTerms: string[], topic: string, matchingDocIds: number[], documents: object[], personId: number|null, answer: string|null}, usage: object|null, warning?: string|null}>}
+ *   `warning`: aviso para o usuário quando o provedor está indisponível (circuito aberto, limite de requisições)
  */
-export async function interpretSearch(userQuery, availableDocuments) {
+export async function interpretSearch(userQuery, availableDocuments, { person = null, people = [] } = {}) {
+  let usage = null
+  const responses = []
   try {
-    const apiKey = (process.env.GEMINI_API_KEY_AI || '').trim()
-    if (!apiKey) {
-      return getBasicSearchInterpretation(userQuery)
+    const provider = getProvider()
+    if (!provider.isConfigured()) {
+      return { interpretation: getBasicSearchInterpretation(userQuery), usage }
     }
-
-    const genAIInstance = new GoogleGenerativeAI(apiKey)
-    const model = genAIInstance.getGenerativeModel({ model: 'gemini-2.5-flash' })
+    assertPriced(provider.model)
 
     const docSummary = availableDocuments.map(d => ({
       id: d.id,
       type: d.ai_document_type,
       keywords: d.ai_keywords,
-      description: d.ai_description
+      description: d.ai_description,
+      personId: d.person_id || null,
+      fields: d.document_fields || undefined
     }))
 
+    // Sem pessoa escolhida, a IA identifica pelo texto da busca a quem ela se refere
+    const personContext = person
+      ? `A busca é sobre os documentos de: ${JSON.stringify(person)}
+Avalie os documentos necessários para esta pessoa (idade, nacionalidade, parentesco) e considere apenas documentos dela.`
+      : people.length > 0
+        ? `Pessoas da casa (campo personId dos documentos):
+${JSON.stringify(people, null, 2)}
+Se a busca se referir a uma dessas pessoas (pelo nome ou parentesco, ex: "minha filha"), retorne o id dela em "personId" e considere apenas documentos dela.`
+        : ''
+
     const prompt = `Você é um assistente de busca para uma galeria de imagens e documentos.
 
 O usuário está buscando: "${userQuery}"
+${personContext}
 
 Documentos disponíveis no sistema:
 ${JSON.stringify(docSummary, null, 2)}
@@ -298,6 +330,8 @@ Analise a busca e responda em JSON:
   "topic": "tema principal da busca (ex: 'Renovação de Autorização de Residência', 'Rendimento das Pessoas Singulares (IRS)', etc.)",
   "searchTerms": ["termos", "para", "buscar", "no", "banco"],
   "matchingDocIds": [ids dos documentos que correspondem à busca - pode estar vazio se não encontrar],
+  "personId": id da pessoa a quem a busca se refere ou null,
+  "answer": "resposta direta quando a busca pede um dado presente nos campos (fields) de um documento, ex: 'O seu NIF é 123456789', ou null",
   "documents": [
     {
       "id": id do documento se existir no sistema (pode ser null),
@@ -322,61 +356,41 @@ IMPORTANTE:
 
 Responda APENAS o JSON, sem markdown.`
 
-    const result = await model.generateContent(prompt)
-
-    // Obter informações de uso (tokens)
-    const usageMetadata = result.response.usageMetadata
-    const inputTokens = usageMetadata?.promptTokenCount || 0
-    const outputTokens = usageMetadata?.candidatesTokenCount || 0
-    const totalTokens = usageMetadata?.totalTokenCount || (inputTokens + outputTokens)
-
-    // Calcular custo
-    const costInfo = calculateCost('gemini-2.5-flash', inputTokens, outputTokens)
-
-    console.log(`   💰 Custo da busca:`)
-    console.log(`      Tokens entrada: ${inputTokens.toLocaleString()}`)
-    console.log(`      Tokens saída: ${outputTokens.toLocaleString()}`)
-    console.log(`      Total tokens: ${totalTokens.toLocaleString()}`)
-    console.log(`      Custo: $${costInfo.totalCostUSD.toFixed(6)} USD (R$ ${costInfo.totalCostBRL.toFixed(4)})`)
-
-    // Armazenar custo para salvar no banco depois
-    if (typeof global !== 'undefined') {
-      global.lastSearchCost = {
-        operationType: 'search',
-        inputTokens,
-        outputTokens,
-        costUSD: costInfo.totalCostUSD,
-        costBRL: costInfo.totalCostBRL,
-        model: 'gemini-2.5-flash',
-        details: JSON.stringify({ query: userQuery, documentsCount: availableDocuments.length })
+    const details = { query: userQuery, documentsCount: availableDocuments.length, personId: person ? person.id : null, provider: provider.name }
+    let parsed
+    try {
+      parsed = await requestJson(
+        text => provider.interpretQuery({ prompt: text, query: userQuery, documents: availableDocuments }),
+        prompt,
+        SEARCH_RESPONSE_SCHEMA,
+        responses
+      )
+    } finally {
+      // As chamadas são pagas mesmo que a resposta seja inválida
+      if (responses.length > 0) {
+        usage = combinedUsage('search', responses, details)
+        logUsage('da busca', usage)
       }
     }
 
-    const response = result.response.text()
-
-    let cleanResponse = response.trim()
-    if (cleanResponse.startsWith('```json')) {
-      cleanResponse = cleanResponse.slice(7)
-    }
-    if (cleanResponse.startsWith('```')) {
-      cleanResponse = cleanResponse.slice(3)
-    }
-    if (cleanResponse.endsWith('```')) {
-      cleanResponse = cleanResponse.slice(0, -3)
-    }
-    cleanResponse = cleanResponse.trim()
-
-    const parsed = JSON.parse(cleanResponse)
-
     return {
-      topic: parsed.topic || parsed.interpretation || userQuery,
-      searchTerms: parsed.searchTerms || [userQuery],
-      matchingDocIds: parsed.matchingDocIds || [],
-      documents: parsed.documents || []
+      interpretation: {
+        topic: parsed.topic || userQuery,
+        searchTerms: parsed.searchTerms.length > 0 ? parsed.searchTerms : [userQuery],
+        matchingDocIds: parsed.matchingDocIds,
+        documents: parsed.documents,
+        personId: parsed.personId,
+        answer: parsed.answer
+      },
+      usage
     }
   } catch (error) {
     console.error('Erro ao interpretar busca:', error.message)
-    return getBasicSearchInterpretation(userQuery)
+    // Sem interpretação válida, a busca segue pelo texto da consulta
+    const warning = error instanceof ProviderUnavailableError
+      ? 'Busca inteligente indisponível no momento (provedor de IA sobrecarregado); resultados pela busca de texto'
+      : null
+    return { interpretation: getBasicSearchInterpretation(userQuery), usage, warning }
   }
 }
 
@@ -388,7 +402,10 @@ function getBasicAnalysis(imagePath) {
   throw new Error('GEMINI_API_KEY_AI não configurada. Configure a API key do Gemini para fazer upload de arquivos.')
 }
 
-function getBasicSearchInterpretation(query) {
+/**
+ * Interpretação sem IA: a busca segue pelo texto da consulta
+ */
+export function getBasicSearchInterpretation(query) {
   const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 2)
   return {
     interpretation: query,
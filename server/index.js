@@ -1,87 +1,163 @@
 import express from 'express'
 import multer from 'multer'
-import sqlite3 from 'sqlite3'
-import { promisify } from 'util'
 import path from 'path'
+import os from 'os'
 import { fileURLToPath } from 'url'
 import fs from 'fs'
 import dotenv from 'dotenv'
-import { analyzeImage, interpretSearch, calculateCost } from './gemini.js'
+import { analyzeImage, interpretSearch, getBasicSearchInterpretation } from './gemini.js'
+import { getProvider, getEmbeddingProvider, providerStatus } from './providers/index.js'
+import { db, dbAll, dbGet, dbInsert, dbUpdate } from './db.js'
+import { createJobQueue } from './jobs.js'
+import { migrateUp, schemaVersion } from './migrate.js'
+import { searchImages } from './search.js'
+import { embedImages, findSimilarImages, backfillEmbeddings } from './embeddings.js'
+import { THUMBNAIL_SIZES, thumbnailPath, thumbnailUrls, generateThumbnails, ensureThumbnail, deleteThumbnails } from './thumbnails.js'
+import { getValidity, expiryWarningDays, localDate, normalizeDate } from './validity.js'
+import {
+  CHECKLIST_ITEM_STATUSES,
+  listChecklists,
+  getChecklist,
+  createChecklist,
+  updateChecklist,
+  deleteChecklist,
+  addChecklistItem,
+  updateChecklistItem,
+  deleteChecklistItem,
+  autoLinkChecklist,
+  unlinkImageFromChecklists
+} from './checklists.js'
+import { hashFile, perceptualHash, findExactDuplicate, findNearDuplicates, getDuplicateClusters, backfillHashes } from './duplicates.js'
+import { isValidUploadId, claimUpload, publishUploadEvent, publishImageEvent, linkImageToUpload, subscribeUpload } from './events.js'
+import {
+  authenticate,
+  requireAuth,
+  createUser,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  purgeExpiredSessions,
+  getRequestToken,
+  setSessionCookie,
+  clearSessionCookie,
+  normalizeEmail,
+  parseCookies,
+  isAdmin,
+  requireAdmin,
+  registrationOpen,
+  countLegacyRecords
+} from './auth.js'
+import {
+  MAX_SHARE_HOURS,
+  MIN_SHARE_PASSWORD_LENGTH,
+  shareStatus,
+  createShare,
+  listShares,
+  revokeShare,
+  getShareByToken,
+  getShareImages,
+  getShareImage,
+  recordShareAccess,
+  checkSharePassword,
+  shareAccessKey,
+  isInlineShareType,
+  unlinkImageFromShares
+} from './shares.js'
+import { streamExportZip } from './exporter.js'
+import { trashRetentionDays, moveToTrash, restoreFromTrash, listTrash, getTrashedImage, findExpiredTrash } from './trash.js'
+import { writeBackup, restoreBackup, BackupError } from './backup.js'
+import { AUDIT_ACTIONS, recordAudit, listAuditEvents, auditCsv } from './audit.js'
+import { encryptionEnabled, writeFileEncrypted, createDecryptedStream } from './encryption.js'
+import { loadPricing, assertPriced, convertCost, listCurrencies, defaultCurrency } from './pricing.js'
+import { budgetSettings, budgetStatus, checkBudget, assertBudget, BudgetExceededError, budgetMessage, parseBudgetInput, setUserBudget } from './budget.js'
+import { renderSharePage, renderSharePasswordPage, renderShareUnavailablePage } from './sharePage.js'
+import { listPeople, getPerson, createPerson, updatePerson, deletePerson, suggestPerson, assignPerson, personProfile } from './people.js'
+import {
+  listDocumentSchemas,
+  getDocumentFields,
+  saveExtractedFields,
+  parseFieldsInput,
+  updateDocumentFields,
+  clearFieldEdits,
+  deleteDocumentFields,
+  copyDocumentFields,
+  fieldsByImage
+} from './documentFields.js'
 
 // Carregar .env - tenta do diretório raiz primeiro
 const envPath = path.join(process.cwd(), '.env')
 dotenv.config({ path: envPath })
 
-// Verificar se a API key está configurada
-const apiKey = (process.env.GEMINI_API_KEY_AI || '').trim()
-if (!apiKey) {
-  console.warn('⚠️  GEMINI_API_KEY_AI não encontrada no .env')
-  console.warn(`   Procurando em: ${envPath}`)
-  console.warn('   Crie um arquivo .env na raiz do projeto com: GEMINI_API_KEY_AI=sua_chave_aqui')
-  console.warn('   Obtenha sua chave gratuita em: https://aistudio.google.com/apikey')
+// Verificar se o provedor de IA está configurado
+const provider = getProvider()
+if (provider.name !== 'gemini') {
+  console.log(`✅ Provedor de IA: ${provider.name} (${provider.model})`)
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️  Provedor ${provider.name} sem configuração completa - verifique OPENAI_BASE_URL / OPENAI_API_KEY no .env`)
+  }
 } else {
-  console.log(`✅ GEMINI_API_KEY_AI configurada (${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 4)})`)
-  console.log(`   Análise inteligente ativada`)
+  const apiKey = (process.env.GEMINI_API_KEY_AI || '').trim()
+  if (!apiKey) {
+    console.warn('⚠️  GEMINI_API_KEY_AI não encontrada no .env')
+    console.warn(`   Procurando em: ${envPath}`)
+    console.warn('   Crie um arquivo .env na raiz do projeto com: GEMINI_API_KEY_AI=sua_chave_aqui')
+    console.warn('   Obtenha sua chave gratuita em: https://aistudio.google.com/apikey')
+  } else {
+    console.log(`✅ GEMINI_API_KEY_AI configurada (${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 4)})`)
+    console.log(`   Análise inteligente ativada`)
+
+    // Validar formato básico
+    if (apiKey.length < 20) {
+      console.error(`❌ AVISO: API Key parece muito curta (${apiKey.length} caracteres). Verifique se está correta.`)
+    }
+  }
+}
 
-  // Validar formato básico
-  if (apiKey.length < 20) {
-    console.error(`❌ AVISO: API Key parece muito curta (${apiKey.length} caracteres). Verifique se está correta.`)
+// Tabela de preços, câmbio e orçamentos (uma configuração inválida impede a inicialização)
+try {
+  const pricing = loadPricing()
+  console.log(`💲 Preços de ${pricing.models.size} modelo(s), moedas: ${listCurrencies().join(', ')}`)
+  // Um modelo sem preço teria custo zero e escaparia dos orçamentos
+  assertPriced(provider.model)
+  assertPriced(getEmbeddingProvider().embeddingModel)
+  const budgets = budgetSettings()
+  const configured = [['da instalação', budgets.global], ['por usuário', budgets.user]]
+    .flatMap(([scope, limits]) => ['daily', 'monthly']
+      .filter(period => limits[period] !== null)
+      .map(period => `${period === 'daily' ? 'diário' : 'mensal'} ${scope} ${limits[period]} ${budgets.currency}`))
+  if (configured.length > 0) console.log(`💸 Orçamento de IA: ${configured.join(', ')}`)
+} catch (error) {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+}
+
+// Criptografia dos arquivos em disco (uma chave inválida impede a inicialização)
+try {
+  if (encryptionEnabled()) {
+    console.log('🔐 Arquivos enviados criptografados em disco (AES-256-GCM)')
+  } else {
+    console.warn('⚠️  ENCRYPTION_KEY não configurada: arquivos enviados ficam sem criptografia em disco')
   }
+} catch (error) {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
 }
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 const app = express()
-const PORT = 3001
-
-const db = new sqlite3.Database('./database.db')
-
-db.serialize(() => {
-  db.run(`CREATE TABLE IF NOT EXISTS images (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    filename TEXT NOT NULL,
-    originalname TEXT NOT NULL,
-    mimetype TEXT NOT NULL,
-    size INTEGER NOT NULL,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    ai_description TEXT,
-    ai_keywords TEXT,
-    ai_document_type TEXT,
-    ai_country TEXT,
-    ai_typical_use TEXT
-  )`)
-
-  // Adicionar colunas novas se não existirem (migração para bancos existentes)
-  db.run(`ALTER TABLE images ADD COLUMN ai_description TEXT`, () => { })
-  db.run(`ALTER TABLE images ADD COLUMN ai_keywords TEXT`, () => { })
-  db.run(`ALTER TABLE images ADD COLUMN ai_document_type TEXT`, () => { })
-  db.run(`ALTER TABLE images ADD COLUMN ai_country TEXT`, () => { })
-  db.run(`ALTER TABLE images ADD COLUMN ai_typical_use TEXT`, () => { })
-
-  // Tabela para rastreamento de custos da API
-  db.run(`CREATE TABLE IF NOT EXISTS api_costs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    operation_type TEXT NOT NULL,
-    operation_id INTEGER,
-    input_tokens INTEGER DEFAULT 0,
-    output_tokens INTEGER DEFAULT 0,
-    cost_usd REAL DEFAULT 0,
-    cost_brl REAL DEFAULT 0,
-    model TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-    details TEXT
-  )`)
-})
-
-const uploadsDir = path.join(__dirname, 'uploads')
+const PORT = Number(process.env.PORT) || 3001
+
+const uploadsDir = process.env.UPLOADS_DIR ? path.resolve(process.env.UPLOADS_DIR) : path.join(__dirname, 'uploads')
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true })
 }
 
-const storage = multer.diskStorage({
+// Os arquivos chegam fora de uploads/: só a versão criptografada é gravada na pasta
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir)
+    cb(null, os.tmpdir())
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
@@ -89,6 +165,38 @@ const storage = multer.diskStorage({
   }
 })
 
+// Envolve o diskStorage para contar os bytes recebidos de cada arquivo e
+// publicar o progresso no canal SSE do upload (?uploadId=)
+const BYTES_EVENT_INTERVAL_MS = 100
+
+const storage = {
+  _handleFile(req, file, cb) {
+    const uploadId = req.query.uploadId
+    const fileIndex = req.uploadFileCount || 0
+    req.uploadFileCount = fileIndex + 1
+    file.uploadIndex = fileIndex
+
+    let received = 0
+    let lastEventAt = 0
+    file.stream.on('data', chunk => {
+      received += chunk.length
+      const now = Date.now()
+      if (now - lastEventAt >= BYTES_EVENT_INTERVAL_MS) {
+        lastEventAt = now
+        publishUploadEvent(uploadId, { type: 'bytes', fileIndex, name: file.originalname, received })
+      }
+    })
+    file.stream.on('end', () => {
+      publishUploadEvent(uploadId, { type: 'bytes', fileIndex, name: file.originalname, received, complete: true })
+    })
+
+    diskStorage._handleFile(req, file, cb)
+  },
+  _removeFile(req, file, cb) {
+    diskStorage._removeFile(req, file, cb)
+  }
+}
+
 const upload = multer({
   storage: storage,
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB para suportar PDFs maiores
@@ -103,34 +211,35 @@ const upload = multer({
 })
 
 app.use(express.json())
-app.use('/uploads', express.static(uploadsDir))
+
+// CORS apenas para a origem configurada (o frontend normalmente usa o proxy do Vite, mesma origem)
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*')
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE')
-  res.header('Access-Control-Allow-Headers', 'Content-Type')
+  const allowedOrigin = process.env.CORS_ORIGIN
+  if (allowedOrigin && req.get('Origin') === allowedOrigin) {
+    res.header('Access-Control-Allow-Origin', allowedOrigin)
+    res.header('Access-Control-Allow-Credentials', 'true')
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE')
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+    res.header('Vary', 'Origin')
+  }
   next()
 })
 
-const dbAll = promisify(db.all.bind(db))
-const dbGet = promisify(db.get.bind(db))
-
-const dbInsert = (query, params) => {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function (err) {
-      if (err) reject(err)
-      else resolve({ lastID: this.lastID })
-    })
-  })
-}
+// Durante a restauração de um backup o banco é substituído: as demais requisições esperam
+let restoreInProgress = false
+app.use((req, res, next) => {
+  if (!restoreInProgress) return next()
+  res.set('Retry-After', '30')
+  res.status(503).json({ success: false, error: 'Restauração de backup em andamento. Tente novamente em instantes.' })
+})
 
-const dbUpdate = (query, params) => {
-  return new Promise((resolve, reject) => {
-    db.run(query, params, function (err) {
-      if (err) reject(err)
-      else resolve({ changes: this.changes })
-    })
-  })
-}
+// Identificar o usuário (cookie de sessão ou Bearer token); todas as rotas da API
+// exceto as de autenticação exigem login
+app.use(authenticate)
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/auth/')) return next()
+  requireAuth(req, res, next)
+})
 
 const generateAIName = (originalName, mimetype) => {
   const ext = path.extname(originalName).toLowerCase()
@@ -153,339 +262,2062 @@ const generateAIName = (originalName, mimetype) => {
   return aiName
 }
 
-app.post('/api/upload', upload.array('images'), async (req, res) => {
+/**
+ * Grava o custo de uma chamada à IA em api_costs
+ * @param {number|null} operationId - id da imagem (análise) ou da busca
+ * @param {object|null} usage - uso retornado por analyzeImage / interpretSearch
+ * @param {number|null} ownerId - usuário a quem o custo é atribuído
+ */
+async function recordApiCost(operationId, usage, ownerId) {
+  if (!usage) return
+
+  await dbInsert(
+    `INSERT INTO api_costs (operation_type, operation_id, input_tokens, output_tokens, cost_usd, cost_brl, model, details, owner_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      usage.operationType,
+      operationId,
+      usage.inputTokens,
+      usage.outputTokens,
+      usage.costUSD,
+      usage.costBRL,
+      usage.model,
+      usage.details,
+      ownerId
+    ]
+  )
+}
+
+async function recordImageAnalysisCost(image, usage) {
+  if (!usage) return
+
+  await recordApiCost(image.id, usage, image.owner_id)
+  console.log(`   💾 Custo salvo no banco de dados`)
+  publishImageEvent(image.id, {
+    type: 'cost',
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    costUSD: usage.costUSD,
+    costBRL: usage.costBRL
+  })
+}
+
+/**
+ * Analisa uma imagem já salva e grava o resultado. Executado pelos workers da fila.
+ * Lança erro para que o job seja retentado.
+ */
+async function processAnalysisJob(job) {
+  const image = await dbGet('SELECT * FROM images WHERE id = ?', [job.image_id])
+  if (!image) {
+    throw new Error(`Imagem ${job.image_id} não encontrada`)
+  }
+
+  const filePath = path.join(uploadsDir, image.filename)
+
+  // Cópia enviada enquanto o original ainda estava na fila: reaproveitar a análise
+  // (exceto na reanálise, pedida justamente para chamar a IA de novo)
+  const original = !job.reanalysis && image.content_hash && await findExactDuplicate(image.content_hash, image.id, image.owner_id)
+  if (original) {
+    await copyAnalysis(original, image.id)
+    publishImageEvent(image.id, { type: 'duplicate', duplicateOf: original.id, documentType: original.ai_document_type })
+    publishImageEvent(image.id, { type: 'saved' })
+    console.log(`♻️  Imagem ${image.id} idêntica à imagem ${original.id}: análise reaproveitada`)
+    return
+  }
+
+  try {
+    await analyzeAndSave(image, filePath)
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      publishImageEvent(image.id, { type: 'deferred', error: error.message, until: error.deferUntil.toISOString() })
+      throw error
+    }
+    publishImageEvent(image.id, {
+      type: 'rejected',
+      error: error.message,
+      willRetry: job.attempts < job.max_attempts
+    })
+    throw error
+  }
+}
+
+/**
+ * Executa a análise por IA, publicando o progresso no canal SSE do upload de origem
+ */
+async function analyzeAndSave(image, filePath) {
+  // Orçamento esgotado: BudgetExceededError adia o job até o próximo período
+  await assertBudget(image.owner_id)
+
+  publishImageEvent(image.id, { type: 'analysis_started' })
+  console.log(`🤖 Analisando ${image.mimetype === 'application/pdf' ? 'PDF' : 'imagem'} com IA...`)
+  console.log(`   Caminho: ${filePath}`)
+
+  let aiAnalysis
+  try {
+    const { analysis, usage } = await analyzeImage(filePath)
+    aiAnalysis = analysis
+    await recordImageAnalysisCost(image, usage)
+  } catch (error) {
+    // A chamada pode ter sido paga mesmo que a resposta seja inválida
+    await recordImageAnalysisCost(image, error.usage)
+    throw error
+  }
+
+  // Validar se a análise retornou keywords válidas (pelo menos 20)
+  const keywords = Array.isArray(aiAnalysis.keywords) ? aiAnalysis.keywords : []
+  const hasValidKeywords = keywords.length >= 20 && keywords.some(k => k && k.trim().length > 0)
+
+  if (!hasValidKeywords) {
+    throw new Error(`Análise da IA não retornou keywords suficientes. Recebidas: ${keywords.length}, esperado: pelo menos 20`)
+  }
+
+  console.log(`✅ Análise concluída:`)
+  console.log(`   Tipo de documento: ${aiAnalysis.documentType}`)
+  console.log(`   Keywords (${keywords.length}):`, keywords)
+  console.log(`   Descrição: ${aiAnalysis.description?.substring(0, 100)}...`)
+  console.log(`   País: ${aiAnalysis.country || 'N/A'}`)
+  if (aiAnalysis.issueDate || aiAnalysis.expiryDate) {
+    console.log(`   Emissão: ${aiAnalysis.issueDate || 'N/A'} | Validade: ${aiAnalysis.expiryDate || 'N/A'}`)
+  }
+  publishImageEvent(image.id, {
+    type: 'keywords_extracted',
+    keywords,
+    documentType: aiAnalysis.documentType
+  })
+
+  // Campos editados pelo usuário não são sobrescritos (relidos agora: a edição pode ter
+  // acontecido durante a chamada à IA)
+  const current = await dbGet('SELECT edited_fields FROM images WHERE id = ?', [image.id])
+  const edited = editedFields(current || image)
+  const values = {
+    ai_description: aiAnalysis.description || '',
+    ai_keywords: keywords.join(', '),
+    ai_document_type: aiAnalysis.documentType || 'imagem geral',
+    ai_country: aiAnalysis.country || null,
+    ai_typical_use: aiAnalysis.typicalUse || '',
+    issue_date: aiAnalysis.issueDate || null,
+    expiry_date: aiAnalysis.expiryDate || null
+  }
+  const columns = Object.keys(values).filter(column => !edited.includes(column))
+
+  await dbUpdate(
+    `UPDATE images SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => values[column]), image.id]
+  )
+
+  console.log(`💾 Análise da imagem ${image.id} salva no banco${edited.length > 0 ? ` (preservados: ${edited.join(', ')})` : ''}\n`)
+
+  const savedFields = await saveExtractedFields(image.id, aiAnalysis.fields)
+  if (savedFields > 0) {
+    console.log(`   🗂️  ${savedFields} campo(s) de ${aiAnalysis.fields.schema} extraído(s)`)
+  }
+
+  const person = await suggestPerson(image, aiAnalysis.holderName)
+  if (person) {
+    console.log(`   👤 Documento sugerido para ${person.name}`)
+    publishImageEvent(image.id, { type: 'person_suggested', personId: person.id, personName: person.name })
+  }
+
+  // Embedding para a busca semântica; uma falha aqui não invalida a análise
+  // (a imagem é reprocessada pelo backfill na próxima inicialização)
+  try {
+    const analyzed = await dbGet('SELECT * FROM images WHERE id = ?', [image.id])
+    await recordApiCost(image.id, await embedImages([analyzed]), image.owner_id)
+  } catch (error) {
+    console.error(`   ⚠️  Erro ao gerar embedding da imagem ${image.id}:`, error.message)
+  }
+
+  publishImageEvent(image.id, { type: 'saved' })
+}
+
+/**
+ * Reaproveita a análise (com o embedding e os campos do documento) de outra imagem, sem nova chamada à IA
+ */
+async function copyAnalysis(source, targetId) {
+  await dbUpdate(
+    `UPDATE images
+     SET ai_description = ?, ai_keywords = ?, ai_document_type = ?, ai_country = ?, ai_typical_use = ?,
+         issue_date = ?, expiry_date = ?, holder_name = ?, person_id = ?, person_confirmed = ?,
+         analysis_status = 'done', analysis_error = NULL
+     WHERE id = ?`,
+    [
+      source.ai_description,
+      source.ai_keywords,
+      source.ai_document_type,
+      source.ai_country,
+      source.ai_typical_use,
+      source.issue_date,
+      source.expiry_date,
+      source.holder_name,
+      source.person_id,
+      source.person_confirmed,
+      targetId
+    ]
+  )
+  await dbUpdate(
+    `INSERT OR REPLACE INTO image_embeddings (image_id, model, dimensions, vector, updated_at)
+     SELECT ?, model, dimensions, vector, CURRENT_TIMESTAMP FROM image_embeddings WHERE image_id = ?`,
+    [targetId, source.id]
+  )
+  await copyDocumentFields(source.id, targetId)
+}
+
+/**
+ * Calcula o hash perceptual a partir da miniatura (cobre imagens e PDFs) e
+ * avisa no canal do upload se houver imagens parecidas na galeria
+ */
+async function detectNearDuplicates(image) {
+  const hash = await perceptualHash(thumbnailPath(image.id, 'sm'))
+  await dbUpdate('UPDATE images SET perceptual_hash = ? WHERE id = ?', [hash, image.id])
+
+  const similar = await findNearDuplicates(image, hash)
+  if (similar.length > 0) {
+    const ids = similar.map(match => match.id)
+    console.log(`   👯 Imagem ${image.id} parecida com: ${ids.join(', ')}`)
+    publishImageEvent(image.id, { type: 'near_duplicate', imageIds: ids })
+  }
+}
+
+/**
+ * Remove uma imagem por completo: arquivo, linha, jobs, embedding, campos e miniaturas.
+ * Exclusões do usuário passam antes pela lixeira (moveToTrash).
+ */
+async function deleteImage(image) {
+  const filePath = path.join(uploadsDir, image.filename)
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath)
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM images WHERE id = ?', [image.id], (err) => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+  await dbUpdate('DELETE FROM analysis_jobs WHERE image_id = ?', [image.id])
+  await dbUpdate('DELETE FROM image_embeddings WHERE image_id = ?', [image.id])
+  await deleteDocumentFields(image.id)
+  await unlinkImageFromChecklists(image.id)
+  await unlinkImageFromShares(image.id)
+  deleteThumbnails(image.id)
+}
+
+// Metadados da análise que o usuário pode corrigir (campo da API → coluna de images)
+const EDITABLE_METADATA = {
+  description: 'ai_description',
+  keywords: 'ai_keywords',
+  documentType: 'ai_document_type',
+  country: 'ai_country',
+  typicalUse: 'ai_typical_use'
+}
+
+/**
+ * Colunas editadas manualmente (preservadas quando a imagem é reanalisada)
+ * @returns {string[]}
+ */
+function editedFields(image) {
+  return image.edited_fields ? image.edited_fields.split(',') : []
+}
+
+const analysisQueue = createJobQueue({
+  handler: processAnalysisJob,
+  concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.ANALYSIS_MAX_ATTEMPTS, 10) || 3
+})
+
+/**
+ * Imagem do usuário autenticado, ou undefined (imagens de outros usuários não são reveladas).
+ * Imagens na lixeira só são devolvidas com includeDeleted.
+ */
+function getOwnImage(req, id, { includeDeleted = false } = {}) {
+  return dbGet(
+    `SELECT * FROM images WHERE id = ? AND owner_id = ? ${includeDeleted ? '' : 'AND deleted_at IS NULL'}`,
+    [id, req.user.id]
+  )
+}
+
+const MIN_PASSWORD_LENGTH = 8
+
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    if (!registrationOpen()) {
+      return res.status(403).json({ success: false, error: 'Cadastro desativado' })
+    }
+
+    const { email, password, name } = req.body
+    if (!/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) {
+      return res.status(400).json({ success: false, error: 'E-mail inválido' })
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres` })
+    }
+    if (await dbGet('SELECT id FROM users WHERE email = ?', [normalizeEmail(email)])) {
+      return res.status(409).json({ success: false, error: 'E-mail já cadastrado' })
+    }
+
+    const user = await createUser({ email, password, name: name ? String(name).trim() : null })
+    setSessionCookie(req, res, await createSession(user.id))
+    await recordAudit(req, 'register', { actorId: user.id })
+
+    console.log(`👤 Usuário ${user.id} cadastrado`)
+    res.status(201).json({ success: true, user })
+  } catch (error) {
+    console.error('Erro no cadastro:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body
+    const user = await authenticateUser(email, password)
+    if (!user) {
+      return res.status(401).json({ success: false, error: 'E-mail ou senha inválidos' })
+    }
+
+    const session = await createSession(user.id)
+    setSessionCookie(req, res, session)
+    await recordAudit(req, 'login', { actorId: user.id })
+
+    // O token também é devolvido para clientes da API (Authorization: Bearer)
+    res.json({ success: true, user, token: session.token, expiresAt: session.expiresAt })
+  } catch (error) {
+    console.error('Erro no login:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = getRequestToken(req)
+    if (token) {
+      await deleteSession(token)
+    }
+    if (req.user) {
+      await recordAudit(req, 'logout')
+    }
+    clearSessionCookie(res)
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Erro no logout:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.get('/api/auth/me', (req, res) => {
+  // A tela de login só oferece o cadastro quando ele está aberto
+  if (!req.user) {
+    return res.status(401).json({ success: false, error: 'Não autenticado', registrationOpen: registrationOpen() })
+  }
+  res.json({ success: true, user: req.user, registrationOpen: registrationOpen() })
+})
+
+// O canal de progresso (?uploadId=) precisa pertencer ao usuário antes de receber os arquivos
+function claimUploadChannel(req, res, next) {
+  const { uploadId } = req.query
+  if (uploadId !== undefined && isValidUploadId(uploadId) && !claimUpload(uploadId, req.user.id)) {
+    return res.status(403).json({ success: false, error: 'uploadId pertence a outro usuário' })
+  }
+  next()
+}
+
+app.post('/api/upload', claimUploadChannel, upload.array('images'), async (req, res) => {
+  try {
+    const files = req.files
+    const uploadedImages = []
+
+    // Os arquivos são salvos imediatamente; a análise por IA roda em background
+    for (const file of files) {
+      const aiName = generateAIName(file.originalname, file.mimetype)
+
+      console.log(`\n📤 Upload recebido: ${file.originalname}`)
+      console.log(`   Tipo: ${file.mimetype}`)
+
+      const filePath = path.join(uploadsDir, file.filename)
+      const contentHash = await hashFile(file.path)
+      await writeFileEncrypted(filePath, await fs.promises.readFile(file.path))
+
+      const result = await dbInsert(
+        `INSERT INTO images (filename, originalname, mimetype, size, analysis_status, content_hash, owner_id)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?)`,
+        [file.filename, aiName, file.mimetype, file.size, contentHash, req.user.id]
+      )
+      linkImageToUpload(result.lastID, req.query.uploadId, file.uploadIndex)
+      await recordAudit(req, 'upload', {
+        imageId: result.lastID,
+        details: { name: aiName, uploadedAs: file.originalname, mimetype: file.mimetype, size: file.size }
+      })
+      publishUploadEvent(req.query.uploadId, {
+        type: 'stored',
+        fileIndex: file.uploadIndex,
+        imageId: result.lastID,
+        name: file.originalname
+      })
+
+      const uploaded = {
+        id: result.lastID,
+        filename: file.filename,
+        originalname: aiName,
+        url: `/uploads/${file.filename}`,
+        thumbnails: thumbnailUrls(result.lastID),
+        mimetype: file.mimetype,
+        size: file.size,
+        created_at: new Date().toISOString(),
+        ai_keywords: [],
+        validity: null,
+        content_hash: contentHash,
+        analysis_status: 'pending',
+        analysis_job_id: null,
+        duplicate_of: null
+      }
+
+      // Arquivo idêntico já analisado: reaproveitar a análise em vez de pagar outra chamada
+      const original = await findExactDuplicate(contentHash, result.lastID, req.user.id)
+      if (original) {
+        await copyAnalysis(original, result.lastID)
+        publishImageEvent(result.lastID, { type: 'duplicate', duplicateOf: original.id, documentType: original.ai_document_type })
+        publishImageEvent(result.lastID, { type: 'saved' })
+        console.log(`♻️  Arquivo idêntico à imagem ${original.id}: análise reaproveitada (ID: ${result.lastID})`)
+
+        Object.assign(uploaded, {
+          ai_description: original.ai_description,
+          ai_keywords: original.ai_keywords ? original.ai_keywords.split(', ') : [],
+          ai_document_type: original.ai_document_type,
+          ai_country: original.ai_country,
+          ai_typical_use: original.ai_typical_use,
+          issue_date: original.issue_date,
+          expiry_date: original.expiry_date,
+          validity: getValidity(original.expiry_date),
+          analysis_status: 'done',
+          duplicate_of: original.id
+        })
+      } else {
+        uploaded.analysis_job_id = await analysisQueue.enqueue(result.lastID)
+        console.log(`✅ Arquivo salvo com ID: ${result.lastID}, job de análise: ${uploaded.analysis_job_id}`)
+      }
+
+      // Miniaturas e hash perceptual em background; a rota /thumbs gera sob demanda se ainda não existirem
+      const image = { id: result.lastID, mimetype: file.mimetype, content_hash: contentHash, owner_id: req.user.id }
+      generateThumbnails(image, filePath)
+        .then(() => detectNearDuplicates(image))
+        .catch(error => console.error(`   ⚠️  Erro ao gerar miniaturas da imagem ${result.lastID}:`, error.message))
+
+      uploadedImages.push(uploaded)
+    }
+
+    res.status(202).json({ success: true, images: uploadedImages })
+  } catch (error) {
+    console.error('Erro no upload:', error)
+    res.status(500).json({ success: false, error: error.message })
+  } finally {
+    for (const file of req.files || []) fs.rmSync(file.path, { force: true })
+  }
+})
+
+// Progresso de um upload (bytes recebidos, análise, custo, resultado) via Server-Sent Events
+app.get('/api/uploads/:uploadId/events', (req, res) => {
+  const { uploadId } = req.params
+  if (!isValidUploadId(uploadId)) {
+    return res.status(400).json({ success: false, error: 'uploadId inválido' })
+  }
+  if (!claimUpload(uploadId, req.user.id)) {
+    return res.status(403).json({ success: false, error: 'uploadId pertence a outro usuário' })
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.write('retry: 2000\n\n')
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0
+  const unsubscribe = subscribeUpload(uploadId, lastEventId, entry => {
+    res.write(`id: ${entry.id}\ndata: ${JSON.stringify(entry.data)}\n\n`)
+  })
+
+  // Manter a conexão viva através de proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const jobs = await analysisQueue.listJobs(req.query.status, { ownerId: req.user.id })
+    res.json({ success: true, jobs })
+  } catch (error) {
+    console.error('Erro ao listar jobs:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await analysisQueue.getJob(req.params.id, { ownerId: req.user.id })
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job não encontrado' })
+    }
+    res.json({ success: true, job })
+  } catch (error) {
+    console.error('Erro ao buscar job:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    if (!(await analysisQueue.getJob(req.params.id, { ownerId: req.user.id }))) {
+      return res.status(404).json({ success: false, error: 'Job não encontrado' })
+    }
+
+    const retried = await analysisQueue.retry(req.params.id)
+    if (!retried) {
+      return res.status(409).json({ success: false, error: 'Apenas jobs com status "failed" podem ser reprocessados' })
+    }
+    res.json({ success: true, job: await analysisQueue.getJob(req.params.id, { ownerId: req.user.id }) })
+  } catch (error) {
+    console.error('Erro ao reprocessar job:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/jobs/retry-failed', async (req, res) => {
+  try {
+    const failed = await analysisQueue.listJobs('failed', { ownerId: req.user.id })
+    for (const job of failed) {
+      await analysisQueue.retry(job.id)
+    }
+    res.json({ success: true, retried: failed.length })
+  } catch (error) {
+    console.error('Erro ao reprocessar jobs:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Orçamentos de IA que valem para o usuário (null: nenhum configurado)
+app.get('/api/budget', async (req, res) => {
+  try {
+    res.json({ success: true, budget: await budgetStatus(req.user.id) })
+  } catch (error) {
+    console.error('Erro ao consultar orçamento:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Orçamento de um usuário ({ daily, monthly }; null volta ao padrão do ambiente)
+app.put('/api/admin/users/:id/budget', requireAdmin, async (req, res) => {
+  try {
+    const { value, error } = parseBudgetInput(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+    if (!(await setUserBudget(req.params.id, value))) {
+      return res.status(404).json({ success: false, error: 'Usuário não encontrado' })
+    }
+    // Com saldo de novo, as análises adiadas não precisam esperar o próximo período
+    const budget = await budgetStatus(Number(req.params.id))
+    const resumed = budget?.exceeded ? 0 : await analysisQueue.resumeScheduled({ ownerId: Number(req.params.id) })
+    res.json({ success: true, budget, resumed })
+  } catch (error) {
+    console.error('Erro ao definir orçamento:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Proteção das chamadas à IA: circuito, chamadas em andamento e contadores por provedor
+app.get('/api/providers/status', (req, res) => {
+  res.json({ success: true, providers: providerStatus() })
+})
+
+/**
+ * Formata uma linha de images para a API (URLs do arquivo e miniaturas, keywords em array,
+ * situação de validade)
+ */
+function serializeImage(img) {
+  return {
+    ...img,
+    url: `/uploads/${img.filename}`,
+    thumbnails: thumbnailUrls(img.id),
+    ai_keywords: img.ai_keywords ? img.ai_keywords.split(', ') : [],
+    person_confirmed: Boolean(img.person_confirmed),
+    edited_fields: editedFields(img),
+    validity: getValidity(img.expiry_date)
+  }
+}
+
+/**
+ * Envia um arquivo de uploads/ ou thumbs/, decifrando-o em fluxo se estiver criptografado
+ * @param {{type: string, downloadName?: string}} options - downloadName: baixar com esse nome
+ */
+function sendDecryptedFile(res, filePath, { type, downloadName }) {
+  let stream
+  try {
+    stream = createDecryptedStream(filePath)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'Arquivo não encontrado' })
+    }
+    console.error(`Erro ao abrir ${path.basename(filePath)}:`, error.message)
+    return res.status(500).json({ success: false, error: error.message })
+  }
+
+  res.type(type)
+  if (downloadName) res.attachment(downloadName)
+  stream.on('error', error => {
+    console.error(`Erro ao decifrar ${path.basename(filePath)}:`, error.message)
+    res.destroy(error)
+  })
+  stream.pipe(res)
+}
+
+// Miniaturas WebP (sm, md, lg); geradas no upload ou sob demanda
+app.get('/thumbs/:id/:size', requireAuth, async (req, res) => {
+  try {
+    const { id, size } = req.params
+    if (!THUMBNAIL_SIZES[size]) {
+      return res.status(400).json({ success: false, error: `Tamanho inválido. Use: ${Object.keys(THUMBNAIL_SIZES).join(', ')}` })
+    }
+
+    // Inclui a lixeira, que também mostra as miniaturas
+    const image = await getOwnImage(req, id, { includeDeleted: true })
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const thumbPath = await ensureThumbnail(image, path.join(uploadsDir, image.filename), size)
+    await recordAudit(req, 'thumbnail', { image, details: { size } })
+
+    // O id nunca é reutilizado e o arquivo original não muda: cache longo, mas só no navegador do usuário
+    res.set('Cache-Control', 'private, max-age=31536000, immutable')
+    sendDecryptedFile(res, thumbPath, { type: 'image/webp' })
+  } catch (error) {
+    console.error('Erro ao gerar miniatura:', error.message)
+    res.status(404).json({ success: false, error: 'Miniatura indisponível' })
+  }
+})
+
+// Arquivos originais, servidos apenas ao dono (substitui o express.static de /uploads)
+app.get('/uploads/:filename', requireAuth, async (req, res) => {
+  try {
+    const image = await dbGet(
+      'SELECT * FROM images WHERE filename = ? AND owner_id = ?',
+      [req.params.filename, req.user.id]
+    )
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Arquivo não encontrado' })
+    }
+
+    await recordAudit(req, 'view', { image })
+    res.set('Cache-Control', 'private, no-cache')
+    sendDecryptedFile(res, path.join(uploadsDir, image.filename), { type: image.mimetype })
+  } catch (error) {
+    console.error('Erro ao servir arquivo:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * Filtro opcional ?personId= das listagens
+ * @returns {number|undefined|null} null se o valor for inválido
+ */
+function parsePersonFilter(value) {
+  if (value === undefined || value === '') return undefined
+  const personId = Number(value)
+  return Number.isInteger(personId) && personId > 0 ? personId : null
+}
+
+app.get('/api/images', async (req, res) => {
+  try {
+    const personId = parsePersonFilter(req.query.personId)
+    if (personId === null) {
+      return res.status(400).json({ success: false, error: 'personId inválido' })
+    }
+
+    const images = await dbAll(
+      `SELECT images.*,
+        (SELECT id FROM analysis_jobs WHERE image_id = images.id ORDER BY id DESC LIMIT 1) AS analysis_job_id
+       FROM images WHERE owner_id = ? AND deleted_at IS NULL ${personId !== undefined ? 'AND person_id = ?' : ''} ORDER BY created_at DESC`,
+      personId !== undefined ? [req.user.id, personId] : [req.user.id]
+    )
+    const imagesWithUrl = images.map(serializeImage)
+    res.json({ success: true, images: imagesWithUrl })
+  } catch (error) {
+    console.error('Erro ao listar imagens:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Busca simples de texto completo, ordenada por relevância, com trechos destacados
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = (req.query.q || '').trim()
+    if (!query) {
+      return res.json({ success: true, query, results: [] })
+    }
+
+    const personId = parsePersonFilter(req.query.personId)
+    if (personId === null) {
+      return res.status(400).json({ success: false, error: 'personId inválido' })
+    }
+
+    const results = await searchImages(query.split(/\s+/), { ownerId: req.user.id, personId })
+    await recordAudit(req, 'search', { details: { query, mode: 'text', personId, results: results.length } })
+    res.json({
+      success: true,
+      query,
+      results: results.map(serializeImage)
+    })
+  } catch (error) {
+    console.error('Erro na busca:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+const SEMANTIC_TOP_K = parseInt(process.env.SEMANTIC_TOP_K, 10) || 20
+
+/**
+ * Seleciona os documentos candidatos para a busca inteligente: top-k por similaridade
+ * de embeddings; sem embeddings disponíveis, top-k da busca de texto completo e, por
+ * último, os documentos mais recentes. Com personId, apenas documentos dessa pessoa.
+ */
+async function selectSearchCandidates(query, searchId, ownerId, personId) {
+  try {
+    const { matches, usage } = await findSimilarImages(query, SEMANTIC_TOP_K, ownerId, personId)
+    await recordApiCost(searchId, usage, ownerId)
+
+    if (matches.length > 0) {
+      const ids = matches.map(match => match.imageId)
+      const placeholders = ids.map(() => '?').join(',')
+      const rows = await dbAll(
+        `SELECT * FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL`,
+        [...ids, ownerId]
+      )
+      const byId = new Map(rows.map(row => [row.id, row]))
+      console.log(`   🧭 ${ids.length} candidato(s) por similaridade semântica`)
+      return ids.map(id => byId.get(id)).filter(Boolean)
+    }
+  } catch (error) {
+    console.error('   ⚠️  Erro na busca semântica:', error.message)
+  }
+
+  const textMatches = await searchImages(query.split(/\s+/), { limit: SEMANTIC_TOP_K, ownerId, personId })
+  if (textMatches.length > 0) {
+    return textMatches
+  }
+
+  const personFilter = personId !== undefined ? 'AND person_id = ?' : ''
+  return dbAll(
+    `SELECT * FROM images WHERE owner_id = ? AND deleted_at IS NULL ${personFilter} ORDER BY created_at DESC LIMIT ?`,
+    [ownerId, ...(personId !== undefined ? [personId] : []), SEMANTIC_TOP_K]
+  )
+}
+
+/**
+ * Interpreta a busca com IA, enviando apenas os documentos mais próximos dela, com os campos
+ * estruturados (para responder "qual é o meu NIF") e o perfil da pessoa (ou as pessoas da casa,
+ * para a IA identificar)
+ */
+async function interpretSmartSearch(query, searchId, ownerId, person, people) {
+  const candidates = await selectSearchCandidates(query, searchId, ownerId, person ? person.id : undefined)
+  const candidateFields = await fieldsByImage(candidates.map(candidate => candidate.id))
+  for (const candidate of candidates) {
+    candidate.document_fields = candidateFields.get(candidate.id)
+  }
+
+  return interpretSearch(query, candidates, {
+    person: person ? personProfile(person) : null,
+    people: people.map(personProfile)
+  })
+}
+
+app.post('/api/search', async (req, res) => {
+  try {
+    const { query, personId } = req.body
+
+    if (!query || query.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Query vazia' })
+    }
+
+    let person = null
+    if (personId !== undefined && personId !== null) {
+      person = await getPerson(personId, req.user.id)
+      if (!person) {
+        return res.status(400).json({ success: false, error: 'Pessoa não encontrada' })
+      }
+    }
+    const people = await listPeople(req.user.id)
+
+    // Registrar a busca; o id dela identifica o custo em api_costs
+    const search = await dbInsert('INSERT INTO searches (query, owner_id) VALUES (?, ?)', [query, req.user.id])
+
+    // Orçamento de IA esgotado: busca de texto, sem chamadas à IA
+    const budget = await checkBudget(req.user.id)
+    const { interpretation, usage, warning } = budget?.exceeded
+      ? {
+        interpretation: getBasicSearchInterpretation(query),
+        usage: null,
+        warning: `${budgetMessage(budget.exceeded)}; resultados pela busca de texto`
+      }
+      : await interpretSmartSearch(query, search.lastID, req.user.id, person, people)
+
+    // Pessoa escolhida pelo usuário ou identificada pela IA ("passaporte da minha filha")
+    const searchPerson = person || people.find(p => p.id === interpretation.personId) || null
+    const personFilter = searchPerson ? 'AND person_id = ?' : ''
+    const personParams = searchPerson ? [searchPerson.id] : []
+
+    // Buscar documentos que correspondem aos termos
+    let matchingDocuments = []
+
+    if (interpretation.matchingDocIds && interpretation.matchingDocIds.length > 0) {
+      // Usar IDs sugeridos pelo Gemini (apenas imagens do usuário e da pessoa)
+      const placeholders = interpretation.matchingDocIds.map(() => '?').join(',')
+      matchingDocuments = await dbAll(
+        `SELECT * FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL ${personFilter} ORDER BY created_at DESC`,
+        [...interpretation.matchingDocIds, req.user.id, ...personParams]
+      )
+    } else {
+      // Busca de texto completo (FTS5) pelos termos interpretados
+      matchingDocuments = await searchImages(interpretation.searchTerms || [query], {
+        ownerId: req.user.id,
+        personId: searchPerson ? searchPerson.id : undefined
+      })
+    }
+
+    const documentsWithUrl = matchingDocuments.map(serializeImage)
+    await recordAudit(req, 'search', {
+      details: { query, mode: 'smart', searchId: search.lastID, personId: searchPerson?.id, results: documentsWithUrl.length }
+    })
+
+    // Salvar custo da busca no banco
+    if (usage) {
+      await recordApiCost(search.lastID, usage, req.user.id)
+      console.log(`   💾 Custo da busca salvo no banco de dados`)
+    }
+
+    // Se não encontrou documentos, ainda retornar a lista de documentos necessários
+    if (documentsWithUrl.length === 0) {
+      // Marcar todos os documentos como não possuídos se não encontrou nenhum
+      const documentsWithStatus = (interpretation.documents || []).map(doc => ({
+        ...doc,
+        hasDocument: false
+      }))
+
+      res.json({
+        success: true,
+        searchId: search.lastID,
+        query: query,
+        topic: interpretation.topic || 'Documentos necessários',
+        answer: interpretation.answer || null,
+        warning: warning || null,
+        budget: await budgetStatus(req.user.id),
+        person: searchPerson ? personProfile(searchPerson) : null,
+        documents: documentsWithStatus,
+        matchingDocIds: [],
+        searchResults: []
+      })
+    } else {
+      // Marcar documentos que o usuário já tem baseado nos IDs encontrados
+      const foundDocIds = new Set(documentsWithUrl.map(doc => doc.id))
+      const documentsWithStatus = (interpretation.documents || []).map(doc => {
+        // Se o documento tem um ID e está na lista de encontrados, marcar como tendo
+        const hasDocument = doc.id ? foundDocIds.has(doc.id) : false
+        return {
+          ...doc,
+          hasDocument
+        }
+      })
+
+      res.json({
+        success: true,
+        searchId: search.lastID,
+        query: query,
+        topic: interpretation.topic || 'Busca realizada',
+        answer: interpretation.answer || null,
+        warning: warning || null,
+        budget: await budgetStatus(req.user.id),
+        person: searchPerson ? personProfile(searchPerson) : null,
+        documents: documentsWithStatus,
+        matchingDocIds: [...foundDocIds],
+        searchResults: documentsWithUrl
+      })
+    }
+  } catch (error) {
+    console.error('Erro na busca:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.put('/api/images/:id/rename', async (req, res) => {
+  try {
+    const id = req.params.id
+    const { newName } = req.body
+
+    if (!newName || newName.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Nome inválido' })
+    }
+
+    const image = await getOwnImage(req, id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const ext = path.extname(image.originalname)
+    const finalName = newName.endsWith(ext) ? newName : newName + ext
+
+    await dbUpdate(
+      'UPDATE images SET originalname = ? WHERE id = ?',
+      [finalName, id]
+    )
+    await recordAudit(req, 'rename', { image, details: { name: finalName, previousName: image.originalname } })
+
+    res.json({ success: true, originalname: finalName })
+  } catch (error) {
+    console.error('Erro ao renomear:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * Valida as correções dos metadados da análise vindas do corpo da requisição
+ * @returns {{changes?: object, error?: string}} changes: coluna de images → valor
+ */
+function parseMetadataInput(body) {
+  const changes = {}
+
+  for (const field of ['description', 'typicalUse']) {
+    if (body[field] !== undefined) {
+      if (body[field] !== null && typeof body[field] !== 'string') {
+        return { error: `${field} inválido` }
+      }
+      changes[EDITABLE_METADATA[field]] = (body[field] || '').trim()
+    }
+  }
+
+  if (body.documentType !== undefined) {
+    if (typeof body.documentType !== 'string' || body.documentType.trim() === '') {
+      return { error: 'Tipo de documento inválido' }
+    }
+    changes.ai_document_type = body.documentType.trim()
+  }
+
+  if (body.country !== undefined) {
+    if (body.country !== null && typeof body.country !== 'string') {
+      return { error: 'País inválido' }
+    }
+    changes.ai_country = body.country ? body.country.trim() || null : null
+  }
+
+  if (body.keywords !== undefined) {
+    const list = Array.isArray(body.keywords) ? body.keywords : String(body.keywords ?? '').split(',')
+    if (!list.every(keyword => typeof keyword === 'string')) {
+      return { error: 'keywords deve ser uma lista de textos' }
+    }
+    // Sem repetições (ignorando maiúsculas) e sem vírgulas, que separam as keywords no banco
+    const seen = new Set()
+    const keywords = []
+    for (const raw of list) {
+      const keyword = raw.replace(/,/g, ' ').replace(/\s+/g, ' ').trim()
+      if (keyword && !seen.has(keyword.toLowerCase())) {
+        seen.add(keyword.toLowerCase())
+        keywords.push(keyword)
+      }
+    }
+    if (keywords.length === 0) {
+      return { error: 'Informe pelo menos uma keyword' }
+    }
+    changes.ai_keywords = keywords.join(', ')
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: `Informe pelo menos um campo: ${Object.keys(EDITABLE_METADATA).join(', ')}` }
+  }
+  return { changes }
+}
+
+// Corrigir os metadados da análise. Os campos editados são marcados e preservados na reanálise.
+app.patch('/api/images/:id', async (req, res) => {
+  try {
+    const image = await getOwnImage(req, req.params.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const { changes, error } = parseMetadataInput(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const columns = Object.keys(changes)
+    const edited = [...new Set([...editedFields(image), ...columns])]
+    await dbUpdate(
+      `UPDATE images SET ${columns.map(column => `${column} = ?`).join(', ')}, edited_fields = ? WHERE id = ?`,
+      [...columns.map(column => changes[column]), edited.join(','), image.id]
+    )
+    console.log(`✏️  Metadados da imagem ${image.id} editados: ${columns.join(', ')}`)
+    await recordAudit(req, 'edit', { image, details: { fields: columns } })
+
+    // O texto do embedding mudou; uma falha aqui não desfaz a edição. Com o orçamento de IA
+    // esgotado, o embedding antigo é descartado e gerado de novo pelo backfill na inicialização
+    const updated = await getOwnImage(req, image.id)
+    try {
+      const budget = await checkBudget(image.owner_id)
+      if (budget?.exceeded) {
+        await dbUpdate('DELETE FROM image_embeddings WHERE image_id = ?', [image.id])
+        console.log(`   ⏸️  Embedding da imagem ${image.id} adiado: ${budgetMessage(budget.exceeded)}`)
+      } else {
+        await recordApiCost(image.id, await embedImages([updated]), image.owner_id)
+      }
+    } catch (embeddingError) {
+      console.error(`   ⚠️  Erro ao atualizar embedding da imagem ${image.id}:`, embeddingError.message)
+    }
+
+    res.json({ success: true, image: serializeImage(updated) })
+  } catch (error) {
+    console.error('Erro ao editar metadados:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Campos estruturados do documento (número, NIF, IBAN...), conforme o esquema do tipo
+app.get('/api/images/:id/fields', async (req, res) => {
+  try {
+    const image = await getOwnImage(req, req.params.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    res.json({ success: true, ...(await getDocumentFields(image)), schemas: listDocumentSchemas() })
+  } catch (error) {
+    console.error('Erro ao buscar campos:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Correção dos campos; os campos corrigidos são preservados em reanálises
+app.patch('/api/images/:id/fields', async (req, res) => {
+  try {
+    const image = await getOwnImage(req, req.params.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const { schema, values, error } = parseFieldsInput(req.body)
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    await updateDocumentFields(image.id, schema, values)
+    console.log(`✏️  Campos da imagem ${image.id} editados (${schema}): ${Object.keys(values).join(', ')}`)
+    await recordAudit(req, 'edit', { image, details: { schema, fields: Object.keys(values) } })
+
+    res.json({ success: true, ...(await getDocumentFields(image)) })
+  } catch (error) {
+    console.error('Erro ao editar campos:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * Coloca a imagem na fila para uma nova análise pela IA (o custo é registrado pelo job).
+ * discardEdits descarta as correções manuais, que de outra forma são preservadas.
+ * @returns {Promise<number|null>} id do job, ou null se já houver uma análise na fila
+ */
+async function queueReanalysis(image, { discardEdits }) {
+  if (await analysisQueue.activeJob(image.id)) return null
+
+  if (discardEdits) {
+    await dbUpdate('UPDATE images SET edited_fields = NULL WHERE id = ?', [image.id])
+    await clearFieldEdits(image.id)
+  }
+  const jobId = await analysisQueue.enqueue(image.id, { reanalysis: true })
+  console.log(`🔄 Imagem ${image.id} enviada para reanálise (job ${jobId}${discardEdits ? ', edições descartadas' : ''})`)
+  return jobId
+}
+
+app.post('/api/images/:id/reanalyze', async (req, res) => {
+  try {
+    const image = await getOwnImage(req, req.params.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const discardEdits = Boolean(req.body.discardEdits)
+    const jobId = await queueReanalysis(image, { discardEdits })
+    if (!jobId) {
+      return res.status(409).json({ success: false, error: 'A imagem já está na fila de análise' })
+    }
+    await recordAudit(req, 'reanalyze', { image, details: { jobId, discardEdits } })
+    res.status(202).json({ success: true, job: await analysisQueue.getJob(jobId, { ownerId: req.user.id }) })
+  } catch (error) {
+    console.error('Erro ao reanalisar imagem:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Reanálise em lote; imagens que já estão na fila são ignoradas
+app.post('/api/images/reanalyze', async (req, res) => {
+  try {
+    const ids = parseImageIds(req.body.imageIds)
+    if (!ids || ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'imageIds inválido' })
+    }
+
+    const images = await dbAll(
+      `SELECT * FROM images WHERE owner_id = ? AND deleted_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+      [req.user.id, ...ids]
+    )
+    if (images.length < ids.length) {
+      return res.status(404).json({ success: false, error: 'Uma ou mais imagens não foram encontradas' })
+    }
+
+    const discardEdits = Boolean(req.body.discardEdits)
+    const queued = []
+    const skipped = []
+    for (const image of images) {
+      const jobId = await queueReanalysis(image, { discardEdits })
+      if (jobId) {
+        queued.push({ imageId: image.id, jobId })
+        await recordAudit(req, 'reanalyze', { image, details: { jobId, discardEdits } })
+      } else {
+        skipped.push(image.id)
+      }
+    }
+    res.status(202).json({ success: true, queued, skipped })
+  } catch (error) {
+    console.error('Erro ao reanalisar imagens:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/images/:id', async (req, res) => {
+  try {
+    const id = req.params.id
+    const image = await getOwnImage(req, id)
+
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    await moveToTrash(image.id)
+    await recordAudit(req, 'delete', { image })
+    console.log(`🗑️  Imagem ${image.id} movida para a lixeira`)
+
+    res.json({ success: true, trashed: true })
+  } catch (error) {
+    console.error('Erro ao deletar imagem:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Lixeira: imagens excluídas, com restauração e exclusão definitiva
+app.get('/api/trash', async (req, res) => {
+  try {
+    const images = await listTrash(req.user.id)
+    res.json({ success: true, retentionDays: trashRetentionDays(), images: images.map(serializeImage) })
+  } catch (error) {
+    console.error('Erro ao listar lixeira:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/trash/:id/restore', async (req, res) => {
+  try {
+    const image = await getTrashedImage(req.params.id, req.user.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada na lixeira' })
+    }
+
+    await restoreFromTrash(image.id)
+    await recordAudit(req, 'restore', { image })
+    console.log(`♻️  Imagem ${image.id} restaurada da lixeira`)
+    res.json({ success: true, image: serializeImage(await getOwnImage(req, image.id)) })
+  } catch (error) {
+    console.error('Erro ao restaurar imagem:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/trash/:id', async (req, res) => {
+  try {
+    const image = await getTrashedImage(req.params.id, req.user.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada na lixeira' })
+    }
+
+    await deleteImage(image)
+    await recordAudit(req, 'purge', { image })
+    console.log(`🔥 Imagem ${image.id} excluída definitivamente`)
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Erro ao excluir imagem:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Esvaziar a lixeira do usuário
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const images = await listTrash(req.user.id)
+    for (const image of images) {
+      await deleteImage(image)
+      await recordAudit(req, 'purge', { image })
+    }
+    console.log(`🔥 Lixeira do usuário ${req.user.id} esvaziada (${images.length} imagem(ns))`)
+    res.json({ success: true, deleted: images.length })
+  } catch (error) {
+    console.error('Erro ao esvaziar lixeira:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Definir (e confirmar) a pessoa a quem o documento pertence; personId null remove
+app.put('/api/images/:id/person', async (req, res) => {
+  try {
+    const image = await getOwnImage(req, req.params.id)
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+    }
+
+    const { personId } = req.body
+    if (personId === undefined) {
+      return res.status(400).json({ success: false, error: 'Informe personId (ou null)' })
+    }
+    if (personId !== null && !(await getPerson(personId, req.user.id))) {
+      return res.status(400).json({ success: false, error: 'Pessoa não encontrada' })
+    }
+
+    await assignPerson(image.id, personId)
+    await recordAudit(req, 'person', { image, details: { personId } })
+    res.json({ success: true, image: serializeImage(await getOwnImage(req, image.id)) })
+  } catch (error) {
+    console.error('Erro ao definir pessoa:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * Valida os campos de um perfil vindos do corpo da requisição
+ * @param {object} body
+ * @param {{partial: boolean}} options - partial: campos ausentes não são obrigatórios (PATCH)
+ * @returns {{changes?: object, error?: string}}
+ */
+function parsePersonInput(body, { partial }) {
+  const changes = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return { error: 'Nome inválido' }
+    }
+    changes.name = body.name.trim()
+  }
+
+  for (const field of ['relationship', 'nationality', 'aliases']) {
+    if (body[field] !== undefined) {
+      changes[field] = body[field] ? String(body[field]).trim() : null
+    }
+  }
+
+  if (body.birthDate !== undefined) {
+    changes.birthDate = body.birthDate ? normalizeDate(body.birthDate) : null
+    if (body.birthDate && !changes.birthDate) {
+      return { error: 'Data de nascimento inválida (use YYYY-MM-DD)' }
+    }
+  }
+
+  return { changes }
+}
+
+app.get('/api/people', async (req, res) => {
+  try {
+    res.json({ success: true, people: await listPeople(req.user.id) })
+  } catch (error) {
+    console.error('Erro ao listar pessoas:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/people', async (req, res) => {
+  try {
+    const { changes, error } = parsePersonInput(req.body, { partial: false })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const id = await createPerson(req.user.id, changes)
+    await recordAudit(req, 'person_create', { details: { personId: id, name: changes.name } })
+    console.log(`👤 Pessoa "${changes.name}" adicionada`)
+    res.status(201).json({ success: true, person: await getPerson(id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao criar pessoa:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.patch('/api/people/:id', async (req, res) => {
+  try {
+    const { changes, error } = parsePersonInput(req.body, { partial: true })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    if (!(await updatePerson(req.params.id, req.user.id, changes))) {
+      return res.status(404).json({ success: false, error: 'Pessoa não encontrada' })
+    }
+    const person = await getPerson(req.params.id, req.user.id)
+    await recordAudit(req, 'person_update', { details: { personId: person.id, name: person.name, fields: Object.keys(changes) } })
+    res.json({ success: true, person })
+  } catch (error) {
+    console.error('Erro ao atualizar pessoa:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/people/:id', async (req, res) => {
+  try {
+    const person = await getPerson(req.params.id, req.user.id)
+    if (!person || !(await deletePerson(person.id, req.user.id))) {
+      return res.status(404).json({ success: false, error: 'Pessoa não encontrada' })
+    }
+    await recordAudit(req, 'person_delete', { details: { personId: person.id, name: person.name } })
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Erro ao remover pessoa:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Documentos vencidos ou que vencem nos próximos N dias (padrão: EXPIRY_WARNING_DAYS)
+app.get('/api/expiring', async (req, res) => {
+  try {
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : expiryWarningDays()
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ success: false, error: 'days deve ser um inteiro maior ou igual a zero' })
+    }
+
+    const images = await dbAll(
+      'SELECT * FROM images WHERE owner_id = ? AND deleted_at IS NULL AND expiry_date IS NOT NULL AND expiry_date <= ? ORDER BY expiry_date ASC',
+      [req.user.id, localDate(days)]
+    )
+
+    res.json({
+      success: true,
+      days,
+      documents: images.map(img => ({ ...serializeImage(img), validity: getValidity(img.expiry_date, days) }))
+    })
+  } catch (error) {
+    console.error('Erro ao listar documentos a vencer:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+/**
+ * Checklist com os itens e o documento vinculado a cada um já formatado
+ */
+async function getChecklistWithImages(id, ownerId) {
+  const checklist = await getChecklist(id, ownerId)
+  if (!checklist) return undefined
+
+  const ids = [...new Set(checklist.items.map(item => item.image_id).filter(Boolean))]
+  let byId = new Map()
+  if (ids.length > 0) {
+    const placeholders = ids.map(() => '?').join(',')
+    const rows = await dbAll(`SELECT * FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL`, [...ids, ownerId])
+    byId = new Map(rows.map(row => [row.id, serializeImage(row)]))
+  }
+
+  return {
+    ...checklist,
+    items: checklist.items.map(item => ({ ...item, image: byId.get(item.image_id) || null }))
+  }
+}
+
+/**
+ * Valida os campos de um item de checklist vindos do corpo da requisição
+ * @param {object} body
+ * @param {{partial: boolean, ownerId: number}} options - partial: campos ausentes não são obrigatórios (PATCH)
+ * @returns {Promise<{changes?: object, error?: string}>}
+ */
+async function parseChecklistItemInput(body, { partial, ownerId }) {
+  const changes = {}
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') {
+      return { error: 'Nome do item inválido' }
+    }
+    changes.name = body.name.trim()
+  }
+
+  if (body.status !== undefined) {
+    if (!CHECKLIST_ITEM_STATUSES.includes(body.status)) {
+      return { error: `Status inválido. Use: ${CHECKLIST_ITEM_STATUSES.join(', ')}` }
+    }
+    changes.status = body.status
+  }
+
+  for (const field of ['howToGet', 'notes']) {
+    if (body[field] !== undefined) {
+      changes[field] = body[field] ? String(body[field]) : null
+    }
+  }
+
+  if (body.dueDate !== undefined) {
+    changes.dueDate = body.dueDate ? normalizeDate(body.dueDate) : null
+    if (body.dueDate && !changes.dueDate) {
+      return { error: 'Data limite inválida (use YYYY-MM-DD)' }
+    }
+  }
+
+  if (body.imageId !== undefined) {
+    if (body.imageId !== null && !(await dbGet('SELECT id FROM images WHERE id = ? AND owner_id = ? AND deleted_at IS NULL', [body.imageId, ownerId]))) {
+      return { error: 'Documento vinculado não encontrado' }
+    }
+    changes.imageId = body.imageId
+  }
+
+  return { changes }
+}
+
+app.get('/api/checklists', async (req, res) => {
+  try {
+    const checklists = await listChecklists(req.user.id)
+    res.json({ success: true, checklists })
+  } catch (error) {
+    console.error('Erro ao listar checklists:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Salvar a lista de documentos de uma busca inteligente como checklist
+app.post('/api/checklists', async (req, res) => {
+  try {
+    const { name, query, topic, searchId, personId = null, documents = [] } = req.body
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Nome inválido' })
+    }
+    if (!Array.isArray(documents) || documents.some(doc => !doc || typeof doc.name !== 'string' || doc.name.trim() === '')) {
+      return res.status(400).json({ success: false, error: 'documents deve ser uma lista de { name, howToGet, hasDocument, id }' })
+    }
+    if (personId !== null && !(await getPerson(personId, req.user.id))) {
+      return res.status(400).json({ success: false, error: 'Pessoa não encontrada' })
+    }
+
+    // Vincular apenas documentos que ainda existem na galeria (e são da pessoa da checklist)
+    const ids = documents.map(doc => doc.id).filter(Boolean)
+    let existingIds = new Set()
+    if (ids.length > 0) {
+      const placeholders = ids.map(() => '?').join(',')
+      const rows = await dbAll(
+        `SELECT id FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL ${personId !== null ? 'AND person_id = ?' : ''}`,
+        [...ids, req.user.id, ...(personId !== null ? [personId] : [])]
+      )
+      existingIds = new Set(rows.map(row => row.id))
+    }
+
+    const id = await createChecklist({
+      ownerId: req.user.id,
+      personId,
+      name: name.trim(),
+      query: query || null,
+      topic: topic || null,
+      searchId: searchId || null,
+      documents: documents.map(doc => ({ ...doc, name: doc.name.trim(), id: existingIds.has(doc.id) ? doc.id : null }))
+    })
+
+    await recordAudit(req, 'checklist_create', {
+      details: { checklistId: id, name: name.trim(), items: documents.length, linkedImageIds: [...existingIds] }
+    })
+    console.log(`📋 Checklist "${name.trim()}" criada com ${documents.length} item(ns)`)
+    res.status(201).json({ success: true, checklist: await getChecklistWithImages(id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao criar checklist:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.get('/api/checklists/:id', async (req, res) => {
+  try {
+    const checklist = await getChecklistWithImages(req.params.id, req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+    res.json({ success: true, checklist })
+  } catch (error) {
+    console.error('Erro ao buscar checklist:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.put('/api/checklists/:id', async (req, res) => {
+  try {
+    const { name, personId } = req.body
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+      return res.status(400).json({ success: false, error: 'Nome inválido' })
+    }
+    if (personId !== undefined && personId !== null && !(await getPerson(personId, req.user.id))) {
+      return res.status(400).json({ success: false, error: 'Pessoa não encontrada' })
+    }
+
+    if (!(await updateChecklist(req.params.id, req.user.id, { name: name?.trim(), personId }))) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+    const checklist = await getChecklistWithImages(req.params.id, req.user.id)
+    await recordAudit(req, 'checklist_update', { details: { checklistId: checklist.id, name: checklist.name, personId } })
+    res.json({ success: true, checklist })
+  } catch (error) {
+    console.error('Erro ao atualizar checklist:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/checklists/:id', async (req, res) => {
+  try {
+    const checklist = await getChecklist(req.params.id, req.user.id)
+    if (!checklist || !(await deleteChecklist(checklist.id, req.user.id))) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+    await recordAudit(req, 'checklist_delete', { details: { checklistId: checklist.id, name: checklist.name } })
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Erro ao deletar checklist:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.post('/api/checklists/:id/items', async (req, res) => {
+  try {
+    const checklist = await getChecklist(req.params.id, req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+
+    const { changes, error } = await parseChecklistItemInput(req.body, { partial: false, ownerId: req.user.id })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    const itemId = await addChecklistItem(checklist.id, changes)
+    await recordAudit(req, 'checklist_item_add', {
+      imageId: changes.imageId ?? undefined,
+      details: { checklistId: checklist.id, checklistName: checklist.name, itemId, name: changes.name }
+    })
+    res.status(201).json({ success: true, checklist: await getChecklistWithImages(req.params.id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao adicionar item:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.patch('/api/checklists/:id/items/:itemId', async (req, res) => {
+  try {
+    const checklist = await getChecklist(req.params.id, req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+
+    const { changes, error } = await parseChecklistItemInput(req.body, { partial: true, ownerId: req.user.id })
+    if (error) {
+      return res.status(400).json({ success: false, error })
+    }
+
+    if (!(await updateChecklistItem(checklist.id, req.params.itemId, changes))) {
+      return res.status(404).json({ success: false, error: 'Item não encontrado' })
+    }
+    // Vincular um documento ao item aparece também no histórico do documento
+    await recordAudit(req, 'checklist_item_update', {
+      imageId: changes.imageId ?? undefined,
+      details: { checklistId: checklist.id, checklistName: checklist.name, itemId: Number(req.params.itemId), fields: Object.keys(changes) }
+    })
+    res.json({ success: true, checklist: await getChecklistWithImages(req.params.id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao atualizar item:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+app.delete('/api/checklists/:id/items/:itemId', async (req, res) => {
+  try {
+    const checklist = await getChecklist(req.params.id, req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+
+    if (!(await deleteChecklistItem(checklist.id, req.params.itemId))) {
+      return res.status(404).json({ success: false, error: 'Item não encontrado' })
+    }
+    await recordAudit(req, 'checklist_item_delete', {
+      details: { checklistId: checklist.id, checklistName: checklist.name, itemId: Number(req.params.itemId) }
+    })
+    res.json({ success: true, checklist: await getChecklistWithImages(req.params.id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao remover item:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Vincular automaticamente itens sem documento pela busca de texto completo
+app.post('/api/checklists/:id/auto-link', async (req, res) => {
+  try {
+    const checklist = await getChecklist(req.params.id, req.user.id)
+    if (!checklist) {
+      return res.status(404).json({ success: false, error: 'Checklist não encontrada' })
+    }
+
+    const linked = await autoLinkChecklist(checklist.id, req.user.id)
+    for (const { itemId, imageId } of linked) {
+      await recordAudit(req, 'checklist_link', {
+        imageId,
+        details: { checklistId: checklist.id, checklistName: checklist.name, itemId, auto: true }
+      })
+    }
+    res.json({ success: true, linked, checklist: await getChecklistWithImages(req.params.id, req.user.id) })
+  } catch (error) {
+    console.error('Erro ao vincular documentos:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Grupos de arquivos duplicados (idênticos ou visualmente parecidos)
+app.get('/api/duplicates', async (req, res) => {
+  try {
+    const clusters = await getDuplicateClusters(req.user.id)
+    const ids = clusters.flatMap(cluster => cluster.imageIds)
+
+    let byId = new Map()
+    if (ids.length > 0) {
+      const placeholders = ids.map(() => '?').join(',')
+      const rows = await dbAll(
+        `SELECT * FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL`,
+        [...ids, req.user.id]
+      )
+      byId = new Map(rows.map(row => [row.id, serializeImage(row)]))
+    }
+
+    res.json({
+      success: true,
+      clusters: clusters.map(cluster => ({
+        type: cluster.type,
+        images: cluster.imageIds.map(id => byId.get(id)).filter(Boolean)
+      }))
+    })
+  } catch (error) {
+    console.error('Erro ao listar duplicatas:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Mesclar duplicatas: mantém uma imagem e move as demais para a lixeira
+app.post('/api/duplicates/merge', async (req, res) => {
   try {
-    const files = req.files
-    const uploadedImages = []
+    const { keepId, removeIds } = req.body
 
-    for (const file of files) {
-      const aiName = generateAIName(file.originalname, file.mimetype)
-      const filePath = path.join(uploadsDir, file.filename)
+    if (!keepId || !Array.isArray(removeIds) || removeIds.length === 0 || removeIds.includes(keepId)) {
+      return res.status(400).json({ success: false, error: 'Informe keepId e removeIds (sem incluir keepId)' })
+    }
 
-      // Analisar imagem/PDF com Gemini para gerar keywords ANTES de salvar
-      // Se falhar, rejeitar o upload completamente
-      console.log(`\n📤 Iniciando upload: ${file.originalname}`)
-      console.log(`   Tipo: ${file.mimetype}`)
-      console.log(`   Caminho: ${filePath}`)
+    const keep = await getOwnImage(req, keepId)
+    if (!keep) {
+      return res.status(404).json({ success: false, error: 'Imagem a manter não encontrada' })
+    }
 
-      let aiAnalysis = null
+    const placeholders = removeIds.map(() => '?').join(',')
+    const toRemove = await dbAll(
+      `SELECT * FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL`,
+      [...removeIds, req.user.id]
+    )
 
-      let costInfo = null
+    // Se a análise da imagem mantida falhou, aproveitar a de uma cópia removida
+    const analyzed = toRemove.find(img => img.analysis_status === 'done')
+    if (keep.analysis_status === 'failed' && analyzed) {
+      await copyAnalysis(analyzed, keep.id)
+    }
 
-      try {
-        console.log(`🤖 Analisando ${file.mimetype === 'application/pdf' ? 'PDF' : 'imagem'} com IA...`)
-        aiAnalysis = await analyzeImage(filePath)
+    for (const image of toRemove) {
+      await moveToTrash(image.id)
+      await recordAudit(req, 'delete', { image, details: { duplicateOf: keep.id } })
+    }
 
-        // Obter informações de custo se disponíveis
-        if (global.lastApiCost) {
-          costInfo = global.lastApiCost
-          global.lastApiCost = null // Limpar após usar
-        }
+    console.log(`🔗 Duplicatas mescladas na imagem ${keep.id}; removidas: ${toRemove.map(img => img.id).join(', ')}`)
 
-        // Validar se a análise retornou keywords válidas (pelo menos 20)
-        const keywords = Array.isArray(aiAnalysis.keywords) ? aiAnalysis.keywords : []
-        const hasValidKeywords = keywords.length >= 20 && keywords.some(k => k && k.trim().length > 0)
+    const kept = await dbGet('SELECT * FROM images WHERE id = ?', [keep.id])
+    res.json({ success: true, image: serializeImage(kept), removedIds: toRemove.map(img => img.id) })
+  } catch (error) {
+    console.error('Erro ao mesclar duplicatas:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-        if (!hasValidKeywords) {
-          throw new Error(`Análise da IA não retornou keywords suficientes. Recebidas: ${keywords.length}, esperado: pelo menos 20`)
-        }
+/**
+ * Ids de imagens vindos de JSON (array) ou de formulário ("1,2,3")
+ * @returns {number[]|null} null se algum id for inválido
+ */
+function parseImageIds(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',').filter(id => id.trim() !== '')
+  const ids = list.map(Number)
+  return ids.every(id => Number.isInteger(id) && id > 0) ? [...new Set(ids)] : null
+}
 
-        console.log(`✅ Análise concluída:`)
-        console.log(`   Tipo de documento: ${aiAnalysis.documentType}`)
-        console.log(`   Keywords (${keywords.length}):`, keywords)
-        console.log(`   Descrição: ${aiAnalysis.description?.substring(0, 100)}...`)
-        console.log(`   País: ${aiAnalysis.country || 'N/A'}`)
-
-      } catch (aiError) {
-        console.error(`❌ Erro na análise AI:`, aiError.message)
-        console.error(`   Stack:`, aiError.stack)
-
-        // Deletar arquivo do disco se foi salvo
-        if (fs.existsSync(filePath)) {
-          try {
-            fs.unlinkSync(filePath)
-            console.log(`   Arquivo removido do disco`)
-          } catch (unlinkError) {
-            console.error(`   Erro ao remover arquivo:`, unlinkError.message)
-          }
-        }
+// Exportar documentos selecionados (ou o resultado de uma busca de texto) em um ZIP com manifesto.
+// Aceita também formulário: o frontend envia um <form> para o navegador baixar o ZIP em streaming.
+app.post('/api/export', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const { query, name } = req.body
 
-        // Rejeitar upload - retornar erro para o frontend
-        return res.status(400).json({
-          success: false,
-          error: `Falha na análise por IA: ${aiError.message}. O arquivo não foi salvo. Certifique-se de que a GEMINI_API_KEY_AI está configurada corretamente.`
-        })
+    let ids
+    if (req.body.imageIds !== undefined) {
+      ids = parseImageIds(req.body.imageIds)
+      if (!ids || ids.length === 0) {
+        return res.status(400).json({ success: false, error: 'imageIds inválido' })
+      }
+    } else if (query && String(query).trim()) {
+      const personId = parsePersonFilter(req.body.personId)
+      if (personId === null) {
+        return res.status(400).json({ success: false, error: 'personId inválido' })
       }
+      const results = await searchImages(String(query).trim().split(/\s+/), { ownerId: req.user.id, personId })
+      ids = results.map(img => img.id)
+    } else {
+      return res.status(400).json({ success: false, error: 'Informe imageIds ou query' })
+    }
+
+    let images = []
+    if (ids.length > 0) {
+      const placeholders = ids.map(() => '?').join(',')
+      const rows = await dbAll(
+        `SELECT images.*, people.name AS person_name FROM images
+         LEFT JOIN people ON people.id = images.person_id
+         WHERE images.id IN (${placeholders}) AND images.owner_id = ? AND images.deleted_at IS NULL`,
+        [...ids, req.user.id]
+      )
+      // Manter a ordem da seleção (ou da relevância da busca)
+      const byId = new Map(rows.map(row => [row.id, row]))
+      images = ids.map(id => byId.get(id)).filter(Boolean)
+    }
 
-      const keywordsString = Array.isArray(aiAnalysis.keywords)
-        ? aiAnalysis.keywords.join(', ')
-        : (aiAnalysis.keywords || '')
+    if (images.length === 0) {
+      return res.status(404).json({ success: false, error: 'Nenhum documento para exportar' })
+    }
 
-      console.log(`💾 Salvando no banco:`)
-      console.log(`   Keywords: "${keywordsString}"`)
-      console.log(`   Tipo: ${aiAnalysis.documentType}`)
+    const archiveName = (name && String(name).trim()) || `documentos-${localDate()}`
+    console.log(`📦 Exportando ${images.length} arquivo(s) em ${archiveName}.zip`)
+    for (const image of images) {
+      await recordAudit(req, 'download', { image, details: { archive: `${archiveName}.zip` } })
+    }
+    await streamExportZip(res, images, {
+      resolvePath: image => path.join(uploadsDir, image.filename),
+      archiveName
+    })
+  } catch (error) {
+    console.error('Erro ao exportar:', error)
+    if (res.headersSent) {
+      res.destroy(error)
+    } else {
+      res.status(500).json({ success: false, error: error.message })
+    }
+  }
+})
 
-      const result = await dbInsert(
-        `INSERT INTO images (filename, originalname, mimetype, size, ai_description, ai_keywords, ai_document_type, ai_country, ai_typical_use)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          file.filename,
-          aiName,
-          file.mimetype,
-          file.size,
-          aiAnalysis.description || '',
-          keywordsString,
-          aiAnalysis.documentType || 'imagem geral',
-          aiAnalysis.country || null,
-          aiAnalysis.typicalUse || ''
-        ]
-      )
+// Backup completo da galeria (todas as contas): banco, arquivos e manifesto com checksums
+app.get('/api/backup', requireAdmin, async (req, res) => {
+  try {
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="galeria-backup-${localDate()}.zip"`,
+      'Cache-Control': 'no-store'
+    })
+    console.log(`💾 Backup solicitado pelo usuário ${req.user.id}`)
+    await recordAudit(req, 'backup')
+    const manifest = await writeBackup(res)
+    console.log(`   ✅ Backup enviado (${manifest.files.length - 1} arquivo(s))`)
+  } catch (error) {
+    console.error('Erro ao criar backup:', error)
+    if (res.headersSent) {
+      res.destroy(error)
+    } else {
+      res.status(500).json({ success: false, error: error.message })
+    }
+  }
+})
 
-      // Salvar custo da análise no banco
-      if (costInfo) {
-        await dbInsert(
-          `INSERT INTO api_costs (operation_type, operation_id, input_tokens, output_tokens, cost_usd, cost_brl, model, details)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            'image_analysis',
-            result.lastID,
-            costInfo.inputTokens,
-            costInfo.outputTokens,
-            costInfo.costUSD,
-            costInfo.costBRL,
-            costInfo.model,
-            costInfo.details
-          ]
-        )
-        console.log(`   💾 Custo salvo no banco de dados`)
-      }
+const RESTORE_MAX_UPLOAD_MB = parseInt(process.env.RESTORE_MAX_UPLOAD_MB, 10) || 2048
+const backupUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: RESTORE_MAX_UPLOAD_MB * 1024 * 1024, files: 1 }
+})
 
-      console.log(`✅ Arquivo salvo com ID: ${result.lastID}`)
-      console.log(`   Verificando dados salvos...`)
+function receiveBackup(req, res, next) {
+  backupUpload.single('backup')(req, res, error => {
+    if (!error) return next()
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ success: false, error: `Backup maior que ${RESTORE_MAX_UPLOAD_MB} MB (RESTORE_MAX_UPLOAD_MB)` })
+    }
+    res.status(400).json({ success: false, error: error.message })
+  })
+}
 
-      // Verificar se foi salvo corretamente
-      const dbGet = promisify(db.get.bind(db))
-      const saved = await dbGet('SELECT ai_keywords, ai_document_type FROM images WHERE id = ?', [result.lastID])
-      console.log(`   Dados no banco - Keywords: "${saved?.ai_keywords || 'NULL'}", Tipo: ${saved?.ai_document_type || 'NULL'}`)
-      console.log(`\n`)
+// Restaurar um backup (campo "backup"); ?mode=merge (padrão) ou ?mode=replace
+app.post('/api/restore', requireAdmin, receiveBackup, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'Envie o arquivo de backup no campo "backup"' })
+    }
 
-      uploadedImages.push({
-        id: result.lastID,
-        filename: file.filename,
-        originalname: aiName,
-        url: `/uploads/${file.filename}`,
-        mimetype: file.mimetype,
-        size: file.size,
-        ai_description: aiAnalysis.description,
-        ai_keywords: keywordsString,
-        ai_document_type: aiAnalysis.documentType,
-        ai_country: aiAnalysis.country,
-        ai_typical_use: aiAnalysis.typicalUse
+    const mode = req.query.mode || 'merge'
+    console.log(`♻️  Restaurando backup (${mode}) enviado pelo usuário ${req.user.id}`)
+
+    // Sem outras escritas durante a restauração: demais requisições recebem 503, a fila
+    // termina os jobs em andamento e para, e a limpeza da lixeira não roda
+    restoreInProgress = true
+    let summary
+    try {
+      await analysisQueue.stop()
+      await trashPurge
+      summary = await restoreBackup(req.file.path, { mode })
+    } finally {
+      restoreInProgress = false
+      analysisQueue.start().catch(error => {
+        console.error('❌ Erro ao reiniciar a fila de análise:', error)
       })
     }
-
-    res.json({ success: true, images: uploadedImages })
+    console.log(`   ✅ Backup de ${summary.createdAt} restaurado`)
+    await recordAudit(req, 'backup_restore', { details: { mode, createdAt: summary.createdAt } })
+    res.json({ success: true, ...summary })
   } catch (error) {
-    console.error('Erro no upload:', error)
+    if (error instanceof BackupError) {
+      return res.status(400).json({ success: false, error: error.message })
+    }
+    console.error('Erro ao restaurar backup:', error)
     res.status(500).json({ success: false, error: error.message })
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true })
   }
 })
 
-app.get('/api/images', async (req, res) => {
+// Links de compartilhamento de um conjunto de documentos
+app.get('/api/shares', async (req, res) => {
   try {
-    const images = await dbAll('SELECT * FROM images ORDER BY created_at DESC')
-    const imagesWithUrl = images.map(img => ({
-      ...img,
-      url: `/uploads/${img.filename}`,
-      ai_keywords: img.ai_keywords ? img.ai_keywords.split(', ') : []
-    }))
-    res.json({ success: true, images: imagesWithUrl })
+    res.json({ success: true, shares: await listShares(req.user.id) })
   } catch (error) {
-    console.error('Erro ao listar imagens:', error)
+    console.error('Erro ao listar links:', error)
     res.status(500).json({ success: false, error: error.message })
   }
 })
 
-app.post('/api/search', async (req, res) => {
+app.post('/api/shares', async (req, res) => {
   try {
-    const { query } = req.body
+    const { name, imageIds, expiresInHours = 7 * 24, password } = req.body
 
-    if (!query || query.trim() === '') {
-      return res.status(400).json({ success: false, error: 'Query vazia' })
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, error: 'Nome inválido' })
     }
-
-    // Buscar todos os documentos disponíveis
-    const allDocuments = await dbAll('SELECT * FROM images ORDER BY created_at DESC')
-
-    // Interpretar busca com Gemini
-    let searchCostInfo = null
-    const interpretation = await interpretSearch(query, allDocuments)
-
-    // Obter informações de custo se disponíveis
-    if (global.lastSearchCost) {
-      searchCostInfo = global.lastSearchCost
-      global.lastSearchCost = null // Limpar após usar
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'Selecione pelo menos um arquivo' })
     }
-
-    // Buscar documentos que correspondem aos termos
-    let matchingDocuments = []
-
-    if (interpretation.matchingDocIds && interpretation.matchingDocIds.length > 0) {
-      // Usar IDs sugeridos pelo Gemini
-      const placeholders = interpretation.matchingDocIds.map(() => '?').join(',')
-      matchingDocuments = await dbAll(
-        `SELECT * FROM images WHERE id IN (${placeholders}) ORDER BY created_at DESC`,
-        interpretation.matchingDocIds
-      )
-    } else {
-      // Busca por keywords e descrição usando LIKE
-      const searchTerms = interpretation.searchTerms || [query]
-      const conditions = []
-      const params = []
-
-      for (const term of searchTerms) {
-        conditions.push('(ai_keywords LIKE ? OR ai_description LIKE ? OR ai_document_type LIKE ? OR originalname LIKE ?)')
-        const likeTerm = `%${term}%`
-        params.push(likeTerm, likeTerm, likeTerm, likeTerm)
-      }
-
-      if (conditions.length > 0) {
-        const whereClause = conditions.join(' OR ')
-        matchingDocuments = await dbAll(
-          `SELECT * FROM images WHERE ${whereClause} ORDER BY created_at DESC`,
-          params
-        )
-      }
+    const hours = Number(expiresInHours)
+    if (!Number.isFinite(hours) || hours < 1 || hours > MAX_SHARE_HOURS) {
+      return res.status(400).json({ success: false, error: `Validade deve ser entre 1 hora e ${MAX_SHARE_HOURS / 24} dias` })
     }
-
-    const documentsWithUrl = matchingDocuments.map(img => ({
-      ...img,
-      url: `/uploads/${img.filename}`,
-      ai_keywords: img.ai_keywords ? img.ai_keywords.split(', ') : []
-    }))
-
-    // Salvar custo da busca no banco
-    if (searchCostInfo) {
-      await dbInsert(
-        `INSERT INTO api_costs (operation_type, operation_id, input_tokens, output_tokens, cost_usd, cost_brl, model, details)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          'search',
-          null,
-          searchCostInfo.inputTokens,
-          searchCostInfo.outputTokens,
-          searchCostInfo.costUSD,
-          searchCostInfo.costBRL,
-          searchCostInfo.model,
-          searchCostInfo.details
-        ]
-      )
-      console.log(`   💾 Custo da busca salvo no banco de dados`)
+    if (password !== undefined && password !== null && password !== '' && String(password).length < MIN_SHARE_PASSWORD_LENGTH) {
+      return res.status(400).json({ success: false, error: `A senha do link deve ter pelo menos ${MIN_SHARE_PASSWORD_LENGTH} caracteres` })
     }
 
-    // Se não encontrou documentos, ainda retornar a lista de documentos necessários
-    if (documentsWithUrl.length === 0) {
-      // Marcar todos os documentos como não possuídos se não encontrou nenhum
-      const documentsWithStatus = (interpretation.documents || []).map(doc => ({
-        ...doc,
-        hasDocument: false
-      }))
+    // Apenas imagens do usuário, na ordem da seleção
+    const ids = [...new Set(imageIds)]
+    const placeholders = ids.map(() => '?').join(',')
+    const rows = await dbAll(`SELECT id FROM images WHERE id IN (${placeholders}) AND owner_id = ? AND deleted_at IS NULL`, [...ids, req.user.id])
+    if (rows.length !== ids.length) {
+      return res.status(400).json({ success: false, error: 'Arquivo não encontrado' })
+    }
 
-      res.json({
-        success: true,
-        query: query,
-        topic: interpretation.topic || 'Documentos necessários',
-        documents: documentsWithStatus,
-        matchingDocIds: [],
-        searchResults: []
-      })
-    } else {
-      // Marcar documentos que o usuário já tem baseado nos IDs encontrados
-      const foundDocIds = new Set(documentsWithUrl.map(doc => doc.id))
-      const documentsWithStatus = (interpretation.documents || []).map(doc => {
-        // Se o documento tem um ID e está na lista de encontrados, marcar como tendo
-        const hasDocument = doc.id ? foundDocIds.has(doc.id) : false
-        return {
-          ...doc,
-          hasDocument
-        }
-      })
+    const share = await createShare({
+      ownerId: req.user.id,
+      name: name.trim(),
+      imageIds: ids,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      password: password ? String(password) : null
+    })
 
-      res.json({
-        success: true,
-        query: query,
-        topic: interpretation.topic || 'Busca realizada',
-        documents: documentsWithStatus,
-        matchingDocIds: interpretation.matchingDocIds || [],
-        searchResults: documentsWithUrl
+    for (const imageId of ids) {
+      await recordAudit(req, 'share_create', {
+        imageId,
+        details: { shareId: share.id, shareName: share.name, expiresAt: share.expires_at, hasPassword: share.has_password }
       })
     }
+    console.log(`🔗 Link "${share.name}" criado com ${ids.length} arquivo(s), válido até ${share.expires_at}`)
+    res.status(201).json({ success: true, share })
   } catch (error) {
-    console.error('Erro na busca:', error)
+    console.error('Erro ao criar link:', error)
     res.status(500).json({ success: false, error: error.message })
   }
 })
 
-app.put('/api/images/:id/rename', async (req, res) => {
+app.delete('/api/shares/:id', async (req, res) => {
   try {
-    const id = req.params.id
-    const { newName } = req.body
-
-    if (!newName || newName.trim() === '') {
-      return res.status(400).json({ success: false, error: 'Nome inválido' })
+    if (!(await revokeShare(req.params.id, req.user.id))) {
+      return res.status(404).json({ success: false, error: 'Link não encontrado' })
     }
+    await recordAudit(req, 'share_revoke', { details: { shareId: Number(req.params.id) } })
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Erro ao revogar link:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
 
-    const image = await dbGet('SELECT * FROM images WHERE id = ?', [id])
-    if (!image) {
-      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
-    }
+// Páginas públicas dos links (sem login). O token no caminho não deve vazar por Referer.
+function shareUnlockCookie(share) {
+  return `galeria_share_${share.id}`
+}
 
-    const ext = path.extname(image.originalname)
-    const finalName = newName.endsWith(ext) ? newName : newName + ext
+/**
+ * Link ativo correspondente ao token; se indisponível, responde com a página de erro
+ * @returns {Promise<object|null>}
+ */
+async function resolveShare(req, res) {
+  res.set({
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex',
+    'X-Content-Type-Options': 'nosniff'
+  })
 
-    await dbUpdate(
-      'UPDATE images SET originalname = ? WHERE id = ?',
-      [finalName, id]
-    )
+  const share = await getShareByToken(req.params.token)
+  const status = share ? shareStatus(share) : 'missing'
+  if (status !== 'active') {
+    res.status(status === 'missing' ? 404 : 410).send(renderShareUnavailablePage(status))
+    return null
+  }
+  return share
+}
 
-    res.json({ success: true, originalname: finalName })
+function isShareUnlocked(req, share) {
+  if (!share.password_hash) return true
+  return parseCookies(req.get('Cookie'))[shareUnlockCookie(share)] === shareAccessKey(share)
+}
+
+app.get('/s/:token', async (req, res) => {
+  try {
+    const share = await resolveShare(req, res)
+    if (!share) return
+
+    if (!isShareUnlocked(req, share)) {
+      return res.send(renderSharePasswordPage(share))
+    }
+
+    await recordShareAccess(share)
+    await recordAudit(req, 'share_view', { ownerId: share.owner_id, details: { shareId: share.id, shareName: share.name } })
+    res.send(renderSharePage(share, await getShareImages(share)))
   } catch (error) {
-    console.error('Erro ao renomear:', error)
-    res.status(500).json({ success: false, error: error.message })
+    console.error('Erro ao abrir link:', error)
+    res.status(500).send(renderShareUnavailablePage('missing'))
   }
 })
 
-app.delete('/api/images/:id', async (req, res) => {
+app.post('/s/:token', express.urlencoded({ extended: false }), async (req, res) => {
   try {
-    const id = req.params.id
-    const image = await dbGet('SELECT * FROM images WHERE id = ?', [id])
+    const share = await resolveShare(req, res)
+    if (!share) return
+
+    if (share.password_hash) {
+      const attempt = await checkSharePassword(share, req.body.password)
+      if (attempt.failed) {
+        await recordAudit(req, 'share_password_failed', {
+          ownerId: share.owner_id,
+          details: { shareId: share.id, shareName: share.name, failures: attempt.failures, lockedUntil: attempt.lockedUntil }
+        })
+      }
+      if (attempt.lockedUntil) {
+        const minutes = Math.ceil((attempt.lockedUntil - Date.now()) / 60000)
+        res.set('Retry-After', String(minutes * 60))
+        return res.status(429).send(renderSharePasswordPage(share, {
+          error: `Muitas senhas erradas: link bloqueado por ${minutes} minuto(s)`
+        }))
+      }
+      if (!attempt.valid) {
+        return res.status(401).send(renderSharePasswordPage(share, { error: 'Senha incorreta' }))
+      }
 
-    if (!image) {
-      return res.status(404).json({ success: false, error: 'Imagem não encontrada' })
+      res.cookie(shareUnlockCookie(share), shareAccessKey(share), {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure || process.env.COOKIE_SECURE === 'true',
+        expires: new Date(share.expires_at),
+        path: `/s/${share.token}`
+      })
     }
+    res.redirect(303, `/s/${share.token}`)
+  } catch (error) {
+    console.error('Erro ao abrir link:', error)
+    res.status(500).send(renderShareUnavailablePage('missing'))
+  }
+})
 
-    const filePath = path.join(uploadsDir, image.filename)
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath)
-    }
+/**
+ * Link e imagem para as rotas de arquivo; responde 403/404 quando não acessível
+ * @returns {Promise<{share: object, image: object}|null>}
+ */
+async function resolveShareImage(req, res) {
+  const share = await resolveShare(req, res)
+  if (!share) return null
+
+  if (!isShareUnlocked(req, share)) {
+    res.status(403).json({ success: false, error: 'Link protegido por senha' })
+    return null
+  }
 
-    await new Promise((resolve, reject) => {
-      db.run('DELETE FROM images WHERE id = ?', [id], (err) => {
-        if (err) reject(err)
-        else resolve()
-      })
-    })
+  const image = await getShareImage(share, req.params.imageId)
+  if (!image) {
+    res.status(404).json({ success: false, error: 'Arquivo não encontrado' })
+    return null
+  }
+  return { share, image }
+}
 
-    res.json({ success: true })
+app.get('/s/:token/files/:imageId', async (req, res) => {
+  try {
+    const resolved = await resolveShareImage(req, res)
+    if (!resolved) return
+    const { share, image } = resolved
+
+    await recordAudit(req, 'share_file', { image, details: { shareId: share.id, download: Boolean(req.query.download) } })
+
+    // Arquivo aberto direto pelo endereço do link: sem scripts nem acesso à origem do app
+    res.set('Content-Security-Policy', 'sandbox')
+    const download = req.query.download || !isInlineShareType(image.mimetype)
+    sendDecryptedFile(res, path.join(uploadsDir, image.filename), {
+      type: image.mimetype,
+      downloadName: download ? image.originalname : undefined
+    })
   } catch (error) {
-    console.error('Erro ao deletar imagem:', error)
+    console.error('Erro ao servir arquivo do link:', error)
     res.status(500).json({ success: false, error: error.message })
   }
 })
 
-app.get('/db', async (req, res) => {
+app.get('/s/:token/thumbs/:imageId', async (req, res) => {
+  try {
+    const resolved = await resolveShareImage(req, res)
+    if (!resolved) return
+
+    const { share, image } = resolved
+    const thumbPath = await ensureThumbnail(image, path.join(uploadsDir, image.filename), 'sm')
+    await recordAudit(req, 'share_file', { image, details: { shareId: share.id, thumbnail: 'sm' } })
+    res.set('Content-Security-Policy', 'sandbox')
+    sendDecryptedFile(res, thumbPath, { type: 'image/webp' })
+  } catch (error) {
+    console.error('Erro ao gerar miniatura do link:', error.message)
+    res.status(404).json({ success: false, error: 'Miniatura indisponível' })
+  }
+})
+
+app.get('/db', requireAuth, async (req, res) => {
   try {
-    const images = await dbAll('SELECT * FROM images ORDER BY created_at DESC')
+    const images = await dbAll('SELECT * FROM images WHERE owner_id = ? AND deleted_at IS NULL ORDER BY created_at DESC', [req.user.id])
     const html = `
     <!DOCTYPE html>
     <html lang="pt-BR">
@@ -572,7 +2404,7 @@ app.get('/db', async (req, res) => {
             ${images.map(img => `
               <tr>
                 <td>${img.id}</td>
-                <td><img src="/uploads/${img.filename}" alt="Preview" class="image-preview" onerror="this.style.display='none'"></td>
+                <td><img src="/thumbs/${img.id}/sm" alt="Preview" class="image-preview" loading="lazy" onerror="this.style.display='none'"></td>
                 <td>${img.originalname}</td>
                 <td>${img.filename}</td>
                 <td>${img.mimetype}</td>
@@ -593,44 +2425,139 @@ app.get('/db', async (req, res) => {
   }
 })
 
-// Endpoint para visualizar custos da API
+const AUDIT_PAGE_SIZE = 100
+const AUDIT_CSV_LIMIT = 50000
+
+/**
+ * Filtros de GET /api/audit (?action=upload,view&imageId=&from=&to=&before=&limit=&ownerId=)
+ * ownerId (outro usuário ou "all") só é aceito para administradores.
+ * @returns {{filters?: object, error?: string, status?: number}}
+ */
+function parseAuditFilters(req) {
+  const { action, imageId, from, to, before, limit, ownerId } = req.query
+  const filters = { ownerId: req.user.id }
+
+  if (ownerId !== undefined && ownerId !== String(req.user.id)) {
+    if (!isAdmin(req.user)) {
+      return { error: 'Apenas administradores podem ver a auditoria de outros usuários', status: 403 }
+    }
+    if (ownerId === 'all') {
+      filters.ownerId = undefined
+    } else if (/^\d+$/.test(ownerId)) {
+      filters.ownerId = Number(ownerId)
+    } else {
+      return { error: 'ownerId inválido' }
+    }
+  }
+
+  if (action) {
+    filters.actions = String(action).split(',').map(value => value.trim()).filter(Boolean)
+    const unknown = filters.actions.filter(value => !AUDIT_ACTIONS[value])
+    if (unknown.length > 0) {
+      return { error: `Ação inválida: ${unknown.join(', ')}. Use: ${Object.keys(AUDIT_ACTIONS).join(', ')}` }
+    }
+  }
+
+  for (const [name, value] of [['imageId', imageId], ['before', before]]) {
+    if (value === undefined || value === '') continue
+    if (!/^\d+$/.test(value)) return { error: `${name} inválido` }
+    filters[name] = Number(value)
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!value) continue
+    filters[name] = normalizeDate(value)
+    if (!filters[name]) return { error: `Data inválida em ${name} (use YYYY-MM-DD)` }
+  }
+
+  if (limit !== undefined) {
+    const pageSize = Number(limit)
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > 1000) {
+      return { error: 'limit deve ser entre 1 e 1000' }
+    }
+    filters.limit = pageSize
+  }
+
+  return { filters }
+}
+
+// Registro de auditoria: quem enviou, viu, renomeou, baixou, compartilhou ou excluiu o quê.
+// ?format=csv devolve todos os eventos filtrados (sem paginação) em CSV.
+app.get('/api/audit', async (req, res) => {
+  try {
+    const { filters, error, status } = parseAuditFilters(req)
+    if (error) {
+      return res.status(status || 400).json({ success: false, error })
+    }
+
+    if (req.query.format === 'csv') {
+      const events = await listAuditEvents({ ...filters, before: undefined, limit: AUDIT_CSV_LIMIT })
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="auditoria-${localDate()}.csv"`,
+        'Cache-Control': 'no-store'
+      })
+      return res.send(auditCsv(events))
+    }
+
+    const limit = filters.limit || AUDIT_PAGE_SIZE
+    const events = await listAuditEvents({ ...filters, limit })
+    res.json({
+      success: true,
+      actions: AUDIT_ACTIONS,
+      events,
+      // Cursor da próxima página (?before=), se houver mais eventos
+      nextBefore: events.length === limit ? events[events.length - 1].id : null
+    })
+  } catch (error) {
+    console.error('Erro ao listar auditoria:', error)
+    res.status(500).json({ success: false, error: error.message })
+  }
+})
+
+// Endpoint para visualizar custos da API (?currency=EUR converte com o câmbio da data de cada chamada)
 app.get('/api/costs', async (req, res) => {
   try {
     const { startDate, endDate } = req.query
+    const currency = String(req.query.currency || defaultCurrency()).toUpperCase()
+    if (!listCurrencies().includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: `Moeda sem câmbio configurado: ${currency}. Disponíveis: ${listCurrencies().join(', ')}`
+      })
+    }
 
-    let query = 'SELECT * FROM api_costs'
-    const params = []
+    let query = 'SELECT * FROM api_costs WHERE owner_id = ?'
+    const params = [req.user.id]
 
-    if (startDate || endDate) {
-      query += ' WHERE'
-      if (startDate) {
-        query += ' created_at >= ?'
-        params.push(startDate)
-      }
-      if (startDate && endDate) {
-        query += ' AND'
-      }
-      if (endDate) {
-        query += ' created_at <= ?'
-        params.push(endDate)
-      }
+    if (startDate) {
+      query += ' AND created_at >= ?'
+      params.push(startDate)
+    }
+    if (endDate) {
+      query += ' AND created_at <= ?'
+      params.push(endDate)
     }
 
     query += ' ORDER BY created_at DESC'
 
-    const costs = await dbAll(query, params)
+    const rows = await dbAll(query, params)
+    const costs = rows.map(cost => ({ ...cost, cost: convertCost(cost.cost_usd || 0, currency, cost.created_at) }))
 
     // Calcular totais
     const totals = costs.reduce((acc, cost) => {
+      acc.total += cost.cost
       acc.totalUSD += cost.cost_usd || 0
       acc.totalBRL += cost.cost_brl || 0
       acc.totalInputTokens += cost.input_tokens || 0
       acc.totalOutputTokens += cost.output_tokens || 0
       return acc
-    }, { totalUSD: 0, totalBRL: 0, totalInputTokens: 0, totalOutputTokens: 0 })
+    }, { total: 0, totalUSD: 0, totalBRL: 0, totalInputTokens: 0, totalOutputTokens: 0 })
 
     res.json({
       success: true,
+      currency,
+      currencies: listCurrencies(),
       costs,
       totals,
       count: costs.length
@@ -641,6 +2568,96 @@ app.get('/api/costs', async (req, res) => {
   }
 })
 
+// Aplicar migrações pendentes antes de qualquer acesso ao banco
+try {
+  const applied = await migrateUp(db, { log: message => console.log(`   ${message}`) })
+  if (applied.length > 0) {
+    console.log(`🗄️  ${applied.length} migração(ões) aplicada(s), esquema v${await schemaVersion(db)}`)
+  }
+} catch (error) {
+  console.error('❌ Erro ao aplicar migrações:', error.message)
+  process.exit(1)
+}
+
+// Registros anteriores às contas só ganham dono por um comando explícito do administrador
+countLegacyRecords()
+  .then(counts => {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+    if (total > 0) {
+      console.warn(`⚠️  ${total} registro(s) sem dono, anteriores às contas (${counts.images} imagem(ns)): atribua com "npm run users -- claim-legacy <email>"`)
+    }
+  })
+  .catch(error => {
+    console.error('⚠️  Erro ao contar registros sem dono:', error.message)
+  })
+
+purgeExpiredSessions().catch(error => {
+  console.error('⚠️  Erro ao remover sessões expiradas:', error.message)
+})
+
+// Limpeza automática da lixeira (TRASH_RETENTION_DAYS), na inicialização e a cada hora
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000
+
+async function purgeExpiredTrash() {
+  const expired = await findExpiredTrash()
+  for (const image of expired) {
+    await deleteImage(image)
+    await recordAudit(null, 'purge', { image, details: { reason: 'retention' } })
+  }
+  if (expired.length > 0) {
+    console.log(`🔥 ${expired.length} imagem(ns) removida(s) da lixeira após ${trashRetentionDays()} dia(s)`)
+  }
+}
+
+// Limpeza em andamento (a restauração de backup espera por ela)
+let trashPurge = null
+
+function scheduleTrashPurge() {
+  if (restoreInProgress || trashPurge) return
+  trashPurge = purgeExpiredTrash()
+    .catch(error => {
+      console.error('⚠️  Erro ao limpar a lixeira:', error.message)
+    })
+    .finally(() => {
+      trashPurge = null
+    })
+}
+
+scheduleTrashPurge()
+setInterval(scheduleTrashPurge, TRASH_PURGE_INTERVAL_MS).unref()
+
+analysisQueue.start().catch(error => {
+  console.error('❌ Erro ao iniciar a fila de análise:', error)
+})
+
+// Gerar embeddings que faltam (imagens anteriores à busca semântica ou troca de modelo)
+backfillEmbeddings()
+  .then(async usages => {
+    for (const usage of usages) {
+      await recordApiCost(null, usage, usage.ownerId)
+    }
+    if (usages.length > 0) {
+      console.log(`🧭 Embeddings gerados para imagens existentes (${usages.length} lote(s))`)
+    }
+  })
+  .catch(error => {
+    console.error('⚠️  Erro ao gerar embeddings pendentes:', error.message)
+  })
+
+// Calcular hashes que faltam (imagens anteriores à detecção de duplicatas)
+backfillHashes(
+  image => path.join(uploadsDir, image.filename),
+  image => ensureThumbnail(image, path.join(uploadsDir, image.filename), 'sm')
+)
+  .then(updated => {
+    if (updated > 0) {
+      console.log(`👯 Hashes de duplicatas calculados para ${updated} imagem(ns) existente(s)`)
+    }
+  })
+  .catch(error => {
+    console.error('⚠️  Erro ao calcular hashes pendentes:', error.message)
+  })
+
 app.listen(PORT, () => {
   console.log(`Servidor rodando em http://localhost:${PORT}`)
   console.log(`Visualizar banco de dados: http://localhost:${PORT}/db`)
@@ -0,0 +1,256 @@
+import { dbAll, dbGet, dbInsert, dbUpdate } from './db.js'
+
+const IDLE_POLL_MS = 1000
+
+/**
+ * Fila persistente (tabela analysis_jobs) com pool de workers e retentativas.
+ * Jobs que falham voltam para "pending" com backoff exponencial até esgotar max_attempts.
+ * Um erro com `deferUntil` (Date) adia o job até essa data sem contar a tentativa.
+ * @param {{handler: (job: object) => Promise<void>, concurrency?: number, maxAttempts?: number, retryDelaySeconds?: number}} options
+ */
+export function createJobQueue({ handler, concurrency = 2, maxAttempts = 3, retryDelaySeconds = 5 }) {
+  let running = false
+  let workers = []
+  const sleepers = new Set()
+
+  // Acorda workers ociosos para processar um job recém-criado
+  function wake() {
+    for (const wakeUp of [...sleepers]) wakeUp()
+  }
+
+  function sleep(ms) {
+    return new Promise(resolve => {
+      const wakeUp = () => {
+        clearTimeout(timer)
+        sleepers.delete(wakeUp)
+        resolve()
+      }
+      const timer = setTimeout(wakeUp, ms)
+      sleepers.add(wakeUp)
+    })
+  }
+
+  /**
+   * Reserva o próximo job disponível. O UPDATE condicional garante que dois workers
+   * não peguem o mesmo job.
+   */
+  async function claimNext() {
+    const candidate = await dbGet(
+      `SELECT id FROM analysis_jobs
+       WHERE status = 'pending' AND run_after <= CURRENT_TIMESTAMP
+       ORDER BY id LIMIT 1`
+    )
+    if (!candidate) return null
+
+    const { changes } = await dbUpdate(
+      `UPDATE analysis_jobs
+       SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [candidate.id]
+    )
+    if (changes === 0) return claimNext()
+
+    return dbGet('SELECT * FROM analysis_jobs WHERE id = ?', [candidate.id])
+  }
+
+  async function runJob(job) {
+    await dbUpdate(`UPDATE images SET analysis_status = 'running', analysis_error = NULL WHERE id = ?`, [job.image_id])
+
+    try {
+      await handler(job)
+      await dbUpdate(
+        `UPDATE analysis_jobs SET status = 'done', last_error = NULL, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [job.id]
+      )
+      await dbUpdate(`UPDATE images SET analysis_status = 'done', analysis_error = NULL WHERE id = ?`, [job.image_id])
+    } catch (error) {
+      if (error.deferUntil) {
+        // Adiado (ex.: orçamento de IA esgotado): volta para a fila sem gastar a tentativa
+        await dbUpdate(
+          `UPDATE analysis_jobs
+           SET status = 'pending', attempts = attempts - 1, last_error = ?, run_after = ?
+           WHERE id = ?`,
+          [error.message, error.deferUntil.toISOString().slice(0, 19).replace('T', ' '), job.id]
+        )
+        await dbUpdate(`UPDATE images SET analysis_status = 'pending', analysis_error = ? WHERE id = ?`, [error.message, job.image_id])
+        console.log(`⏸️  Job ${job.id} (imagem ${job.image_id}) adiado: ${error.message}`)
+        return
+      }
+
+      console.error(`❌ Job ${job.id} (imagem ${job.image_id}) falhou na tentativa ${job.attempts}/${job.max_attempts}:`, error.message)
+
+      if (job.attempts < job.max_attempts) {
+        // Provedor sobrecarregado (429, circuito aberto): esperar pelo menos o tempo que ele pediu
+        const retryAfter = error.retryAfterMs ? Math.ceil(error.retryAfterMs / 1000) : 0
+        const delay = Math.max(retryDelaySeconds * Math.pow(2, job.attempts - 1), retryAfter)
+        await dbUpdate(
+          `UPDATE analysis_jobs
+           SET status = 'pending', last_error = ?, run_after = datetime('now', ?)
+           WHERE id = ?`,
+          [error.message, `+${delay} seconds`, job.id]
+        )
+        await dbUpdate(`UPDATE images SET analysis_status = 'pending', analysis_error = ? WHERE id = ?`, [error.message, job.image_id])
+        console.log(`   🔁 Nova tentativa em ${delay}s`)
+      } else {
+        await dbUpdate(
+          `UPDATE analysis_jobs SET status = 'failed', last_error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [error.message, job.id]
+        )
+        await dbUpdate(`UPDATE images SET analysis_status = 'failed', analysis_error = ? WHERE id = ?`, [error.message, job.image_id])
+      }
+    }
+  }
+
+  async function workerLoop(workerId) {
+    while (running) {
+      let job = null
+      try {
+        job = await claimNext()
+      } catch (error) {
+        console.error(`❌ Worker ${workerId} não conseguiu buscar jobs:`, error.message)
+      }
+
+      if (!job) {
+        await sleep(IDLE_POLL_MS)
+        continue
+      }
+
+      console.log(`⚙️  Worker ${workerId} processando job ${job.id} (imagem ${job.image_id}, tentativa ${job.attempts}/${job.max_attempts})`)
+      try {
+        await runJob(job)
+      } catch (error) {
+        console.error(`❌ Worker ${workerId} não conseguiu atualizar o job ${job.id}:`, error.message)
+      }
+    }
+  }
+
+  return {
+    /**
+     * Inicia os workers. Jobs que ficaram "running" (servidor reiniciado no meio
+     * de uma análise) voltam para a fila.
+     */
+    async start() {
+      if (running) return
+      running = true
+
+      const { changes } = await dbUpdate(`UPDATE analysis_jobs SET status = 'pending' WHERE status = 'running'`, [])
+      if (changes > 0) {
+        console.log(`🔁 ${changes} job(s) interrompido(s) recolocado(s) na fila`)
+      }
+
+      workers = Array.from({ length: concurrency }, (_, i) => workerLoop(i + 1))
+      console.log(`⚙️  Fila de análise iniciada com ${concurrency} worker(s)`)
+    },
+
+    /**
+     * Para os workers; resolve quando os jobs em andamento terminam
+     */
+    async stop() {
+      running = false
+      wake()
+      await Promise.all(workers)
+      workers = []
+    },
+
+    /**
+     * Cria um job de análise para a imagem
+     * @param {{reanalysis?: boolean}} options - reanalysis: chama a IA mesmo que exista uma cópia já analisada
+     * @returns {Promise<number>} id do job
+     */
+    async enqueue(imageId, { reanalysis = false } = {}) {
+      const { lastID } = await dbInsert(
+        `INSERT INTO analysis_jobs (image_id, max_attempts, reanalysis) VALUES (?, ?, ?)`,
+        [imageId, maxAttempts, reanalysis ? 1 : 0]
+      )
+      await dbUpdate(`UPDATE images SET analysis_status = 'pending', analysis_error = NULL WHERE id = ?`, [imageId])
+      wake()
+      return lastID
+    },
+
+    /**
+     * Job pendente ou em execução da imagem, se houver
+     */
+    activeJob(imageId) {
+      return dbGet(
+        `SELECT * FROM analysis_jobs WHERE image_id = ? AND status IN ('pending', 'running') ORDER BY id DESC LIMIT 1`,
+        [imageId]
+      )
+    },
+
+    /**
+     * Recoloca um job que falhou na fila, zerando as tentativas
+     * @returns {Promise<boolean>} false se o job não existe ou não está "failed"
+     */
+    async retry(jobId) {
+      const job = await dbGet('SELECT * FROM analysis_jobs WHERE id = ?', [jobId])
+      if (!job || job.status !== 'failed') return false
+
+      await dbUpdate(
+        `UPDATE analysis_jobs
+         SET status = 'pending', attempts = 0, last_error = NULL, run_after = CURRENT_TIMESTAMP, finished_at = NULL
+         WHERE id = ?`,
+        [jobId]
+      )
+      await dbUpdate(`UPDATE images SET analysis_status = 'pending', analysis_error = NULL WHERE id = ?`, [job.image_id])
+      wake()
+      return true
+    },
+
+    /**
+     * Antecipa os jobs pendentes agendados para depois (adiados ou aguardando nova tentativa),
+     * por exemplo quando o orçamento de IA do usuário aumenta
+     * @param {{ownerId?: number}} options - ownerId restringe aos jobs das imagens do usuário
+     * @returns {Promise<number>} jobs antecipados
+     */
+    async resumeScheduled({ ownerId } = {}) {
+      const ownerFilter = ownerId !== undefined ? 'AND image_id IN (SELECT id FROM images WHERE owner_id = ?)' : ''
+      const { changes } = await dbUpdate(
+        `UPDATE analysis_jobs SET run_after = CURRENT_TIMESTAMP
+         WHERE status = 'pending' AND run_after > CURRENT_TIMESTAMP ${ownerFilter}`,
+        ownerId !== undefined ? [ownerId] : []
+      )
+      if (changes > 0) wake()
+      return changes
+    },
+
+    /**
+     * @param {{ownerId?: number}} options - ownerId restringe aos jobs das imagens do usuário
+     */
+    getJob(jobId, { ownerId } = {}) {
+      if (ownerId !== undefined) {
+        return dbGet(
+          `SELECT analysis_jobs.* FROM analysis_jobs
+           JOIN images ON images.id = analysis_jobs.image_id
+           WHERE analysis_jobs.id = ? AND images.owner_id = ?`,
+          [jobId, ownerId]
+        )
+      }
+      return dbGet('SELECT * FROM analysis_jobs WHERE id = ?', [jobId])
+    },
+
+    /**
+     * @param {string} [status]
+     * @param {{ownerId?: number}} options - ownerId restringe aos jobs das imagens do usuário
+     */
+    listJobs(status, { ownerId } = {}) {
+      const conditions = []
+      const params = []
+      if (status) {
+        conditions.push('analysis_jobs.status = ?')
+        params.push(status)
+      }
+      if (ownerId !== undefined) {
+        conditions.push('images.owner_id = ?')
+        params.push(ownerId)
+      }
+
+      return dbAll(
+        `SELECT analysis_jobs.* FROM analysis_jobs
+         JOIN images ON images.id = analysis_jobs.image_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY analysis_jobs.id DESC`,
+        params
+      )
+    }
+  }
+}
@@ -0,0 +1,159 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const migrationsDir = path.join(__dirname, 'migrations')
+
+// Arquivos "NNN_descricao.js" exportando up(ctx) e down(ctx)
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/
+
+/**
+ * Migrações disponíveis, em ordem de versão
+ * @returns {{version: number, name: string, file: string}[]}
+ */
+export function listMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE)
+      return match && { version: parseInt(match[1], 10), name: match[2], file }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+}
+
+export function latestVersion() {
+  const migrations = listMigrations()
+  return migrations.length > 0 ? migrations[migrations.length - 1].version : 0
+}
+
+// Helpers sobre uma conexão qualquer (o banco principal ou a cópia de um backup)
+function connection(database) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    database.run(sql, params, function (error) {
+      if (error) reject(error)
+      else resolve({ lastID: this.lastID, changes: this.changes })
+    })
+  })
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    database.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)))
+  })
+
+  async function hasColumn(table, column) {
+    const columns = await all(`PRAGMA table_info(${table})`)
+    return columns.some(info => info.name === column)
+  }
+
+  return {
+    run,
+    all,
+    // As migrações até 011 também rodam em bancos criados antes deste sistema,
+    // em que tabelas e colunas já existem: por isso IF NOT EXISTS e addColumn.
+    async addColumn(table, column, definition) {
+      if (!(await hasColumn(table, column))) {
+        await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+      }
+    },
+    async dropColumn(table, column) {
+      if (await hasColumn(table, column)) {
+        await run(`ALTER TABLE ${table} DROP COLUMN ${column}`)
+      }
+    }
+  }
+}
+
+async function ensureMigrationsTable(ctx) {
+  await ctx.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+}
+
+async function appliedVersions(ctx) {
+  await ensureMigrationsTable(ctx)
+  const rows = await ctx.all('SELECT version FROM schema_migrations ORDER BY version')
+  return rows.map(row => row.version)
+}
+
+/**
+ * Versão do esquema do banco (maior migração aplicada)
+ */
+export async function schemaVersion(database) {
+  const versions = await appliedVersions(connection(database))
+  return versions.length > 0 ? versions[versions.length - 1] : 0
+}
+
+/**
+ * Situação de cada migração: aplicada (com a data) ou pendente
+ */
+export async function migrationStatus(database) {
+  const ctx = connection(database)
+  await ensureMigrationsTable(ctx)
+  const applied = new Map(
+    (await ctx.all('SELECT version, applied_at FROM schema_migrations')).map(row => [row.version, row.applied_at])
+  )
+  return listMigrations().map(migration => ({
+    ...migration,
+    appliedAt: applied.get(migration.version) || null
+  }))
+}
+
+// Executa uma migração e registra (ou remove) a versão na mesma transação
+async function runInTransaction(ctx, migration, direction) {
+  const module = await import(pathToFileURL(path.join(migrationsDir, migration.file)).href)
+  if (typeof module[direction] !== 'function') {
+    throw new Error(`Migração ${migration.file} não define ${direction}()`)
+  }
+
+  await ctx.run('BEGIN IMMEDIATE')
+  try {
+    await module[direction](ctx)
+    if (direction === 'up') {
+      await ctx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name])
+    } else {
+      await ctx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version])
+    }
+    await ctx.run('COMMIT')
+  } catch (error) {
+    await ctx.run('ROLLBACK')
+    error.message = `Migração ${migration.file} (${direction}) falhou: ${error.message}`
+    throw error
+  }
+}
+
+/**
+ * Aplica as migrações pendentes até target (padrão: a mais recente)
+ * @param {import('sqlite3').Database} database
+ * @param {{target?: number, log?: (message: string) => void}} options
+ * @returns {Promise<number[]>} versões aplicadas
+ */
+export async function migrateUp(database, { target = Infinity, log = () => { } } = {}) {
+  const ctx = connection(database)
+  const applied = new Set(await appliedVersions(ctx))
+  const pending = listMigrations().filter(migration => !applied.has(migration.version) && migration.version <= target)
+
+  for (const migration of pending) {
+    await runInTransaction(ctx, migration, 'up')
+    log(`⬆️  ${migration.file}`)
+  }
+  return pending.map(migration => migration.version)
+}
+
+/**
+ * Reverte as migrações aplicadas acima de target, da mais recente para a mais antiga
+ * @returns {Promise<number[]>} versões revertidas
+ */
+export async function migrateDown(database, { target, log = () => { } }) {
+  const ctx = connection(database)
+  const applied = new Set(await appliedVersions(ctx))
+  const toRevert = listMigrations()
+    .filter(migration => applied.has(migration.version) && migration.version > target)
+    .reverse()
+
+  for (const migration of toRevert) {
+    await runInTransaction(ctx, migration, 'down')
+    log(`⬇️  ${migration.file}`)
+  }
+  return toRevert.map(migration => migration.version)
+}
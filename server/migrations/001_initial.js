@@ -0,0 +1,34 @@
+// Tabelas originais: imagens com a análise da IA e custos da API
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS images (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    originalname TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    ai_description TEXT,
+    ai_keywords TEXT,
+    ai_document_type TEXT,
+    ai_country TEXT,
+    ai_typical_use TEXT
+  )`)
+
+  await run(`CREATE TABLE IF NOT EXISTS api_costs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    operation_type TEXT NOT NULL,
+    operation_id INTEGER,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,
+    cost_brl REAL DEFAULT 0,
+    model TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    details TEXT
+  )`)
+}
+
+export async function down({ run }) {
+  await run('DROP TABLE IF EXISTS api_costs')
+  await run('DROP TABLE IF EXISTS images')
+}
@@ -0,0 +1,25 @@
+// Fila persistente de análises; status da análise em background: pending, running, done, failed
+export async function up({ run, addColumn }) {
+  await addColumn('images', 'analysis_status', `TEXT DEFAULT 'done'`)
+  await addColumn('images', 'analysis_error', 'TEXT')
+
+  await run(`CREATE TABLE IF NOT EXISTS analysis_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    last_error TEXT,
+    run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME
+  )`)
+  await run('CREATE INDEX IF NOT EXISTS idx_analysis_jobs_status ON analysis_jobs (status, run_after)')
+}
+
+export async function down({ run, dropColumn }) {
+  await run('DROP TABLE IF EXISTS analysis_jobs')
+  await dropColumn('images', 'analysis_error')
+  await dropColumn('images', 'analysis_status')
+}
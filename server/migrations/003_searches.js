@@ -0,0 +1,12 @@
+// Histórico de buscas inteligentes (operation_id dos custos de busca)
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    query TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+}
+
+export async function down({ run }) {
+  await run('DROP TABLE IF EXISTS searches')
+}
@@ -0,0 +1,40 @@
+// Índice de texto completo (FTS5) sobre os campos pesquisáveis das imagens.
+// remove_diacritics faz "residencia" encontrar "residência".
+export async function up({ run }) {
+  await run(`CREATE VIRTUAL TABLE IF NOT EXISTS images_fts USING fts5(
+    originalname,
+    ai_description,
+    ai_keywords,
+    ai_document_type,
+    ai_typical_use,
+    content='images',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  )`)
+
+  // Triggers para manter o índice sincronizado com a tabela images
+  await run(`CREATE TRIGGER IF NOT EXISTS images_fts_insert AFTER INSERT ON images BEGIN
+    INSERT INTO images_fts (rowid, originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use)
+    VALUES (new.id, new.originalname, new.ai_description, new.ai_keywords, new.ai_document_type, new.ai_typical_use);
+  END`)
+  await run(`CREATE TRIGGER IF NOT EXISTS images_fts_delete AFTER DELETE ON images BEGIN
+    INSERT INTO images_fts (images_fts, rowid, originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use)
+    VALUES ('delete', old.id, old.originalname, old.ai_description, old.ai_keywords, old.ai_document_type, old.ai_typical_use);
+  END`)
+  await run(`CREATE TRIGGER IF NOT EXISTS images_fts_update AFTER UPDATE OF originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use ON images BEGIN
+    INSERT INTO images_fts (images_fts, rowid, originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use)
+    VALUES ('delete', old.id, old.originalname, old.ai_description, old.ai_keywords, old.ai_document_type, old.ai_typical_use);
+    INSERT INTO images_fts (rowid, originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use)
+    VALUES (new.id, new.originalname, new.ai_description, new.ai_keywords, new.ai_document_type, new.ai_typical_use);
+  END`)
+
+  // Indexar as imagens que já existem
+  await run(`INSERT INTO images_fts (images_fts) VALUES ('rebuild')`)
+}
+
+export async function down({ run }) {
+  await run('DROP TRIGGER IF EXISTS images_fts_update')
+  await run('DROP TRIGGER IF EXISTS images_fts_delete')
+  await run('DROP TRIGGER IF EXISTS images_fts_insert')
+  await run('DROP TABLE IF EXISTS images_fts')
+}
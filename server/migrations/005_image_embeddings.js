@@ -0,0 +1,14 @@
+// Embeddings das imagens para busca semântica (Float32Array serializado)
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS image_embeddings (
+    image_id INTEGER PRIMARY KEY,
+    model TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector BLOB NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+}
+
+export async function down({ run }) {
+  await run('DROP TABLE IF EXISTS image_embeddings')
+}
@@ -0,0 +1,12 @@
+// Detecção de duplicatas: SHA-256 do arquivo e hash perceptual (dHash) da prévia
+export async function up({ run, addColumn }) {
+  await addColumn('images', 'content_hash', 'TEXT')
+  await addColumn('images', 'perceptual_hash', 'TEXT')
+  await run('CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images (content_hash)')
+}
+
+export async function down({ run, dropColumn }) {
+  await run('DROP INDEX IF EXISTS idx_images_content_hash')
+  await dropColumn('images', 'perceptual_hash')
+  await dropColumn('images', 'content_hash')
+}
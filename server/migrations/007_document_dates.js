@@ -0,0 +1,12 @@
+// Datas do documento extraídas pela análise (YYYY-MM-DD)
+export async function up({ run, addColumn }) {
+  await addColumn('images', 'issue_date', 'TEXT')
+  await addColumn('images', 'expiry_date', 'TEXT')
+  await run('CREATE INDEX IF NOT EXISTS idx_images_expiry_date ON images (expiry_date)')
+}
+
+export async function down({ run, dropColumn }) {
+  await run('DROP INDEX IF EXISTS idx_images_expiry_date')
+  await dropColumn('images', 'expiry_date')
+  await dropColumn('images', 'issue_date')
+}
@@ -0,0 +1,33 @@
+// Checklists de documentos (salvas a partir da busca inteligente)
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS checklists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    query TEXT,
+    topic TEXT,
+    search_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+
+  // Itens da checklist: status missing, have ou submitted; image_id vincula um documento da galeria
+  await run(`CREATE TABLE IF NOT EXISTS checklist_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    checklist_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    how_to_get TEXT,
+    status TEXT NOT NULL DEFAULT 'missing',
+    notes TEXT,
+    due_date TEXT,
+    image_id INTEGER,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+  await run('CREATE INDEX IF NOT EXISTS idx_checklist_items_checklist ON checklist_items (checklist_id)')
+}
+
+export async function down({ run }) {
+  await run('DROP TABLE IF EXISTS checklist_items')
+  await run('DROP TABLE IF EXISTS checklists')
+}
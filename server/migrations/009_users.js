@@ -0,0 +1,33 @@
+// Contas de usuário (senha com hash scrypt), sessões (hash do token) e dono de cada registro.
+// Registros anteriores às contas ficam sem dono até um administrador atribuí-los (npm run users -- claim-legacy).
+export async function up({ run, addColumn }) {
+  await run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT,
+    password_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+  await run(`CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
+  )`)
+
+  await addColumn('images', 'owner_id', 'INTEGER')
+  await run('CREATE INDEX IF NOT EXISTS idx_images_owner ON images (owner_id)')
+  await addColumn('api_costs', 'owner_id', 'INTEGER')
+  await addColumn('searches', 'owner_id', 'INTEGER')
+  await addColumn('checklists', 'owner_id', 'INTEGER')
+}
+
+export async function down({ run, dropColumn }) {
+  await dropColumn('checklists', 'owner_id')
+  await dropColumn('searches', 'owner_id')
+  await dropColumn('api_costs', 'owner_id')
+  await run('DROP INDEX IF EXISTS idx_images_owner')
+  await dropColumn('images', 'owner_id')
+  await run('DROP TABLE IF EXISTS sessions')
+  await run('DROP TABLE IF EXISTS users')
+}
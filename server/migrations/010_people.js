@@ -0,0 +1,31 @@
+// Pessoas da casa: perfis (aliases: outros nomes separados por vírgula) e a pessoa de cada
+// documento, sugerida pelo nome do titular e confirmada pelo usuário
+export async function up({ run, addColumn }) {
+  await run(`CREATE TABLE IF NOT EXISTS people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    relationship TEXT,
+    birth_date TEXT,
+    nationality TEXT,
+    aliases TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+
+  await addColumn('images', 'holder_name', 'TEXT')
+  await addColumn('images', 'person_id', 'INTEGER')
+  await addColumn('images', 'person_confirmed', 'INTEGER NOT NULL DEFAULT 0')
+  await run('CREATE INDEX IF NOT EXISTS idx_images_person ON images (person_id)')
+
+  // Pessoa para quem a checklist vale (documentos vinculados apenas dessa pessoa)
+  await addColumn('checklists', 'person_id', 'INTEGER')
+}
+
+export async function down({ run, dropColumn }) {
+  await dropColumn('checklists', 'person_id')
+  await run('DROP INDEX IF EXISTS idx_images_person')
+  await dropColumn('images', 'person_confirmed')
+  await dropColumn('images', 'person_id')
+  await dropColumn('images', 'holder_name')
+  await run('DROP TABLE IF EXISTS people')
+}
@@ -0,0 +1,26 @@
+// Links de compartilhamento de um conjunto de documentos (somente leitura, com validade)
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    password_hash TEXT,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    access_count INTEGER NOT NULL DEFAULT 0,
+    last_accessed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+  await run(`CREATE TABLE IF NOT EXISTS share_items (
+    share_id INTEGER NOT NULL,
+    image_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (share_id, image_id)
+  )`)
+}
+
+export async function down({ run }) {
+  await run('DROP TABLE IF EXISTS share_items')
+  await run('DROP TABLE IF EXISTS shares')
+}
@@ -0,0 +1,10 @@
+// Lixeira: imagens excluídas ficam com deleted_at (arquivo mantido) até a restauração ou limpeza
+export async function up({ run, addColumn }) {
+  await addColumn('images', 'deleted_at', 'DATETIME')
+  await run('CREATE INDEX IF NOT EXISTS idx_images_deleted_at ON images (deleted_at)')
+}
+
+export async function down({ run, dropColumn }) {
+  await run('DROP INDEX IF EXISTS idx_images_deleted_at')
+  await dropColumn('images', 'deleted_at')
+}
@@ -0,0 +1,11 @@
+// Metadados editados pelo usuário (preservados na reanálise) e jobs de reanálise
+export async function up({ addColumn }) {
+  // Colunas editadas manualmente, separadas por vírgula (ex.: "ai_description,ai_keywords")
+  await addColumn('images', 'edited_fields', 'TEXT')
+  await addColumn('analysis_jobs', 'reanalysis', 'INTEGER NOT NULL DEFAULT 0')
+}
+
+export async function down({ dropColumn }) {
+  await dropColumn('analysis_jobs', 'reanalysis')
+  await dropColumn('images', 'edited_fields')
+}
@@ -0,0 +1,22 @@
+// Registro de auditoria das operações sobre os documentos (quem fez o quê e quando)
+export async function up({ run }) {
+  await run(`CREATE TABLE IF NOT EXISTS audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner_id INTEGER,
+    actor_id INTEGER,
+    action TEXT NOT NULL,
+    image_id INTEGER,
+    details TEXT,
+    ip TEXT,
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`)
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_events_owner ON audit_events (owner_id, created_at)')
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_events_image ON audit_events (image_id)')
+}
+
+export async function down({ run }) {
+  await run('DROP INDEX IF EXISTS idx_audit_events_image')
+  await run('DROP INDEX IF EXISTS idx_audit_events_owner')
+  await run('DROP TABLE IF EXISTS audit_events')
+}
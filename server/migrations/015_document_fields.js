@@ -0,0 +1,77 @@
+import { up as createOriginalFts } from './004_images_fts.js'
+
+// Campos estruturados de cada documento (número do passaporte, NIF, IBAN...), conforme o
+// esquema do tipo de documento (ver documentFields.js). Os valores também entram na busca
+// de texto completo, pela coluna images.fields_text mantida por triggers.
+const FTS_COLUMNS = 'originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use, fields_text'
+
+async function dropImagesFts(run) {
+  await run('DROP TRIGGER IF EXISTS images_fts_update')
+  await run('DROP TRIGGER IF EXISTS images_fts_delete')
+  await run('DROP TRIGGER IF EXISTS images_fts_insert')
+  await run('DROP TABLE IF EXISTS images_fts')
+}
+
+export async function up({ run, addColumn }) {
+  // value: texto normalizado (datas em YYYY-MM-DD, meses em YYYY-MM); number_value: valores monetários.
+  // edited: corrigido pelo usuário (preservado na reanálise)
+  await run(`CREATE TABLE IF NOT EXISTS document_fields (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER NOT NULL,
+    schema TEXT NOT NULL,
+    field TEXT NOT NULL,
+    type TEXT NOT NULL,
+    value TEXT,
+    number_value REAL,
+    edited INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (image_id, field)
+  )`)
+  await run('CREATE INDEX IF NOT EXISTS idx_document_fields_value ON document_fields (field, value)')
+
+  await addColumn('images', 'fields_text', 'TEXT')
+  const refreshFieldsText = imageId => `UPDATE images
+    SET fields_text = (SELECT group_concat(value, ' ') FROM document_fields WHERE image_id = ${imageId} AND value IS NOT NULL)
+    WHERE id = ${imageId};`
+  await run(`CREATE TRIGGER IF NOT EXISTS document_fields_text_insert AFTER INSERT ON document_fields BEGIN
+    ${refreshFieldsText('new.image_id')}
+  END`)
+  await run(`CREATE TRIGGER IF NOT EXISTS document_fields_text_update AFTER UPDATE ON document_fields BEGIN
+    ${refreshFieldsText('new.image_id')}
+  END`)
+  await run(`CREATE TRIGGER IF NOT EXISTS document_fields_text_delete AFTER DELETE ON document_fields BEGIN
+    ${refreshFieldsText('old.image_id')}
+  END`)
+
+  // Índice de texto completo recriado com a nova coluna
+  await dropImagesFts(run)
+  await run(`CREATE VIRTUAL TABLE images_fts USING fts5(
+    ${FTS_COLUMNS},
+    content='images',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  )`)
+  const values = prefix => FTS_COLUMNS.split(', ').map(column => `${prefix}.${column}`).join(', ')
+  await run(`CREATE TRIGGER images_fts_insert AFTER INSERT ON images BEGIN
+    INSERT INTO images_fts (rowid, ${FTS_COLUMNS}) VALUES (new.id, ${values('new')});
+  END`)
+  await run(`CREATE TRIGGER images_fts_delete AFTER DELETE ON images BEGIN
+    INSERT INTO images_fts (images_fts, rowid, ${FTS_COLUMNS}) VALUES ('delete', old.id, ${values('old')});
+  END`)
+  await run(`CREATE TRIGGER images_fts_update AFTER UPDATE OF ${FTS_COLUMNS} ON images BEGIN
+    INSERT INTO images_fts (images_fts, rowid, ${FTS_COLUMNS}) VALUES ('delete', old.id, ${values('old')});
+    INSERT INTO images_fts (rowid, ${FTS_COLUMNS}) VALUES (new.id, ${values('new')});
+  END`)
+  await run(`INSERT INTO images_fts (images_fts) VALUES ('rebuild')`)
+}
+
+export async function down(ctx) {
+  const { run, dropColumn } = ctx
+  await dropImagesFts(run)
+  await run('DROP TRIGGER IF EXISTS document_fields_text_delete')
+  await run('DROP TRIGGER IF EXISTS document_fields_text_update')
+  await run('DROP TRIGGER IF EXISTS document_fields_text_insert')
+  await dropColumn('images', 'fields_text')
+  await run('DROP TABLE IF EXISTS document_fields')
+  await createOriginalFts(ctx)
+}
@@ -0,0 +1,13 @@
+// Orçamento de IA de cada usuário, definido por um administrador (NULL: usar o padrão de
+// AI_BUDGET_USER_DAILY / AI_BUDGET_USER_MONTHLY)
+export async function up({ run, addColumn }) {
+  await addColumn('users', 'budget_daily', 'REAL')
+  await addColumn('users', 'budget_monthly', 'REAL')
+  await run('CREATE INDEX IF NOT EXISTS idx_api_costs_created ON api_costs (created_at)')
+}
+
+export async function down({ run, dropColumn }) {
+  await run('DROP INDEX IF EXISTS idx_api_costs_created')
+  await dropColumn('users', 'budget_monthly')
+  await dropColumn('users', 'budget_daily')
+}
@@ -0,0 +1,180 @@
+import { normalizeDate } from './validity.js'
+
+// Validação das respostas JSON dos modelos contra um esquema (subconjunto do JSON Schema):
+// type (object, array, string, integer, number, boolean), properties, required, items,
+// nullable, default, minLength e format 'date'. Valores convertíveis são convertidos
+// ("3" → 3, "true" → true, "x" → ["x"], "31/12/2030" → "2030-12-31"); propriedades fora do
+// esquema são descartadas.
+
+/**
+ * Resposta do modelo que não é JSON válido ou não segue o esquema esperado
+ */
+export class ModelResponseError extends Error {
+  /**
+   * @param {string[]} errors - problemas encontrados, com o caminho do campo
+   * @param {string} text - resposta original do modelo
+   */
+  constructor(errors, text) {
+    super(`Resposta da IA fora do formato esperado: ${errors.join('; ')}`)
+    this.name = 'ModelResponseError'
+    this.errors = errors
+    this.text = text
+  }
+}
+
+const TYPE_NAMES = {
+  object: 'objeto',
+  array: 'lista',
+  string: 'texto',
+  integer: 'número inteiro',
+  number: 'número',
+  boolean: 'true/false'
+}
+
+// Textos que os modelos usam no lugar de null
+const NULL_TEXTS = ['', 'null', 'n/a', 'none', 'nenhum', 'não disponível', 'nao disponivel']
+
+function coerce(value, schema) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+      return typeof value === 'string' ? value.trim() : undefined
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+      if (typeof number !== 'number' || !Number.isFinite(number)) return undefined
+      return schema.type === 'integer' && !Number.isInteger(number) ? undefined : number
+    }
+    case 'boolean':
+      if (value === 'true' || value === 1) return true
+      if (value === 'false' || value === 0) return false
+      return typeof value === 'boolean' ? value : undefined
+    case 'array':
+      return Array.isArray(value) ? value : [value]
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined
+    default:
+      return value
+  }
+}
+
+function validate(value, schema, path, errors) {
+  const label = path || 'resposta'
+  const isNullText = typeof value === 'string' && NULL_TEXTS.includes(value.trim().toLowerCase())
+  if (value === null || value === undefined || (schema.nullable && schema.type !== 'string' && isNullText)) {
+    if (schema.nullable) return null
+    if (schema.default !== undefined) return structuredClone(schema.default)
+    errors.push(`${label}: obrigatório`)
+    return undefined
+  }
+
+  const coerced = coerce(value, schema)
+  if (coerced === undefined) {
+    errors.push(`${label}: esperado ${TYPE_NAMES[schema.type]}, recebido ${JSON.stringify(value)}`)
+    return undefined
+  }
+
+  if (schema.type === 'string') {
+    if (schema.nullable && NULL_TEXTS.includes(coerced.toLowerCase())) return null
+    if (schema.minLength && coerced.length < schema.minLength) {
+      errors.push(`${label}: não pode ser vazio`)
+      return undefined
+    }
+    if (schema.format === 'date') {
+      // Datas ilegíveis em campos opcionais viram null, como nas demais datas da análise
+      const date = normalizeDate(coerced)
+      if (!date && !schema.nullable) errors.push(`${label}: data inválida ${JSON.stringify(coerced)}, use YYYY-MM-DD`)
+      return date
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    return coerced
+      .map((item, index) => validate(item, schema.items, `${label}[${index}]`, errors))
+      .filter(item => item !== undefined)
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    const result = {}
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      const propertyPath = path ? `${path}.${key}` : key
+      if (coerced[key] === undefined && schema.required?.includes(key)) {
+        errors.push(`${propertyPath}: obrigatório`)
+        continue
+      }
+      const property = validate(coerced[key], propertySchema, propertyPath, errors)
+      if (property !== undefined) result[key] = property
+    }
+    return result
+  }
+
+  return coerced
+}
+
+/**
+ * Interpreta a resposta de texto do modelo (com ou sem blocos ```json) e valida contra o esquema
+ * @returns {object} resposta convertida para os tipos do esquema
+ * @throws {ModelResponseError}
+ */
+export function parseModelResponse(text, schema) {
+  let clean = String(text || '').trim()
+  clean = clean.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim()
+
+  let parsed
+  try {
+    parsed = JSON.parse(clean)
+  } catch (error) {
+    // Texto antes ou depois do objeto: tentar só o trecho entre as chaves
+    const start = clean.indexOf('{')
+    const end = clean.lastIndexOf('}')
+    try {
+      if (start === -1 || end <= start) throw error
+      parsed = JSON.parse(clean.slice(start, end + 1))
+    } catch {
+      throw new ModelResponseError([`JSON inválido (${error.message})`], text)
+    }
+  }
+
+  const errors = []
+  const value = validate(parsed, schema, '', errors)
+  if (errors.length > 0) {
+    throw new ModelResponseError(errors, text)
+  }
+  return value
+}
+
+function repairPrompt(prompt, error) {
+  return `${prompt}
+
+Sua resposta anterior não seguiu o formato pedido:
+${String(error.text || '').slice(0, 4000)}
+
+Problemas encontrados:
+${error.errors.map(message => `- ${message}`).join('\n')}
+
+Responda novamente APENAS com o JSON corrigido, no formato pedido.`
+}
+
+/**
+ * Chama o modelo e valida a resposta; se ela não seguir o esquema, pede a correção
+ * uma vez, informando os erros encontrados.
+ * @param {(prompt: string) => Promise<{text: string}>} call - chamada ao provedor
+ * @param {object[]} responses - recebe cada resposta do provedor (para contabilizar o uso,
+ *   mesmo quando a validação falha)
+ * @returns {Promise<object>} resposta validada
+ * @throws {ModelResponseError} se a resposta corrigida também for inválida
+ */
+export async function requestJson(call, prompt, schema, responses = []) {
+  const first = await call(prompt)
+  responses.push(first)
+  try {
+    return parseModelResponse(first.text, schema)
+  } catch (error) {
+    if (!(error instanceof ModelResponseError)) throw error
+    console.warn(`   ⚠️  ${error.message}. Pedindo correção ao modelo...`)
+
+    const second = await call(repairPrompt(prompt, error))
+    responses.push(second)
+    return parseModelResponse(second.text, schema)
+  }
+}
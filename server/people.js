@@ -0,0 +1,165 @@
+import { dbAll, dbGet, dbInsert, dbUpdate } from './db.js'
+
+// Campos editáveis de um perfil (nome na API → coluna)
+const PERSON_FIELDS = {
+  name: 'name',
+  relationship: 'relationship',
+  birthDate: 'birth_date',
+  nationality: 'nationality',
+  aliases: 'aliases'
+}
+
+/**
+ * Pessoas da casa do usuário, com a quantidade de documentos de cada uma
+ */
+export function listPeople(ownerId) {
+  return dbAll(
+    `SELECT people.*, COUNT(images.id) AS document_count
+     FROM people
+     LEFT JOIN images ON images.person_id = people.id AND images.deleted_at IS NULL
+     WHERE people.owner_id = ?
+     GROUP BY people.id
+     ORDER BY people.name COLLATE NOCASE`,
+    [ownerId]
+  )
+}
+
+export function getPerson(id, ownerId) {
+  return dbGet('SELECT * FROM people WHERE id = ? AND owner_id = ?', [id, ownerId])
+}
+
+/**
+ * @param {number} ownerId
+ * @param {{name: string, relationship?: string, birthDate?: string, nationality?: string, aliases?: string}} data
+ * @returns {Promise<number>} id da pessoa
+ */
+export async function createPerson(ownerId, { name, relationship = null, birthDate = null, nationality = null, aliases = null }) {
+  const { lastID } = await dbInsert(
+    `INSERT INTO people (owner_id, name, relationship, birth_date, nationality, aliases)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [ownerId, name, relationship, birthDate, nationality, aliases]
+  )
+  return lastID
+}
+
+/**
+ * Atualiza apenas os campos informados do perfil
+ * @returns {Promise<boolean>} false se a pessoa não pertence ao usuário
+ */
+export async function updatePerson(id, ownerId, changes) {
+  const fields = Object.keys(PERSON_FIELDS).filter(field => changes[field] !== undefined)
+  if (fields.length === 0) {
+    return Boolean(await getPerson(id, ownerId))
+  }
+
+  const assignments = fields.map(field => `${PERSON_FIELDS[field]} = ?`).join(', ')
+  const { changes: updated } = await dbUpdate(
+    `UPDATE people SET ${assignments} WHERE id = ? AND owner_id = ?`,
+    [...fields.map(field => changes[field]), id, ownerId]
+  )
+  return updated > 0
+}
+
+/**
+ * Remove o perfil; documentos e checklists da pessoa ficam sem pessoa
+ */
+export async function deletePerson(id, ownerId) {
+  const { changes } = await dbUpdate('DELETE FROM people WHERE id = ? AND owner_id = ?', [id, ownerId])
+  if (changes > 0) {
+    await dbUpdate('UPDATE images SET person_id = NULL, person_confirmed = 0 WHERE person_id = ?', [id])
+    await dbUpdate('UPDATE checklists SET person_id = NULL WHERE person_id = ?', [id])
+  }
+  return changes > 0
+}
+
+// Nomes comparados sem acentos, caixa ou pontuação ("JOÃO DA SILVA" = "joao silva")
+const NAME_PARTICLES = new Set(['da', 'de', 'do', 'das', 'dos', 'e'])
+
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 0 && !NAME_PARTICLES.has(token))
+}
+
+/**
+ * Escolhe o perfil cujo nome (ou apelido) corresponde ao nome do titular impresso no documento.
+ * O primeiro nome do perfil precisa aparecer no documento e, para nomes compostos, pelo menos
+ * dois termos; perfis cujo primeiro nome abre o nome do titular têm preferência
+ * ("João Pedro Souza" → João, não Pedro). Em caso de empate nenhuma pessoa é sugerida.
+ * @param {string|null} holderName
+ * @param {Array} people - linhas de people
+ * @returns {object|null}
+ */
+export function matchPerson(holderName, people) {
+  const holderTokens = nameTokens(holderName)
+  const holder = new Set(holderTokens)
+  if (holder.size === 0) return null
+
+  let best = null
+  let bestScore = 0
+  let tie = false
+
+  for (const person of people) {
+    const names = [person.name, ...String(person.aliases || '').split(',')]
+    for (const name of names) {
+      const tokens = nameTokens(name)
+      if (tokens.length === 0 || !holder.has(tokens[0])) continue
+
+      const matched = tokens.filter(token => holder.has(token)).length
+      if (matched < Math.min(2, tokens.length)) continue
+
+      const score = matched / tokens.length + (tokens[0] === holderTokens[0] ? 1 : 0)
+      if (score > bestScore) {
+        best = person
+        bestScore = score
+        tie = false
+      } else if (score === bestScore && best && best.id !== person.id) {
+        tie = true
+      }
+    }
+  }
+
+  return tie ? null : best
+}
+
+/**
+ * Grava o titular extraído pela análise e sugere a pessoa correspondente.
+ * Uma pessoa confirmada pelo usuário nunca é substituída.
+ * @returns {Promise<object|null>} pessoa sugerida
+ */
+export async function suggestPerson(image, holderName) {
+  await dbUpdate('UPDATE images SET holder_name = ? WHERE id = ?', [holderName || null, image.id])
+
+  const current = await dbGet('SELECT person_confirmed FROM images WHERE id = ?', [image.id])
+  if (!current || current.person_confirmed) return null
+
+  const person = matchPerson(holderName, await dbAll('SELECT * FROM people WHERE owner_id = ?', [image.owner_id]))
+  await dbUpdate('UPDATE images SET person_id = ? WHERE id = ?', [person ? person.id : null, image.id])
+  return person
+}
+
+/**
+ * Define (e confirma) a pessoa de uma imagem; null remove a associação
+ */
+export function assignPerson(imageId, personId) {
+  return dbUpdate(
+    'UPDATE images SET person_id = ?, person_confirmed = ? WHERE id = ?',
+    [personId, personId ? 1 : 0, imageId]
+  )
+}
+
+/**
+ * Resumo do perfil enviado no prompt da busca inteligente
+ */
+export function personProfile(person) {
+  return {
+    id: person.id,
+    name: person.name,
+    relationship: person.relationship || null,
+    birthDate: person.birth_date || null,
+    nationality: person.nationality || null
+  }
+}
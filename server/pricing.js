@@ -0,0 +1,204 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Tabela de preços dos modelos e câmbio, lidos de server/pricing.json (ou PRICING_FILE).
+// Preços em USD por 1M de tokens e câmbio em unidades da moeda por 1 USD. Cada modelo e cada
+// moeda tem um histórico de períodos ("from": YYYY-MM-DD); vale o período mais recente que já
+// começou na data da chamada, para que mudanças de preço não alterem custos antigos.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const DEFAULT_PRICING_FILE = path.join(__dirname, 'pricing.json')
+const BASE_CURRENCY = 'USD'
+const TOKENS_PER_PRICE = 1000000
+
+/**
+ * Arquivo de preços inválido, moeda não configurada ou modelo sem preço
+ */
+export class PricingError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PricingError'
+  }
+}
+
+// Lido a cada chamada: os módulos são carregados antes do .env
+function pricingFile() {
+  return process.env.PRICING_FILE ? path.resolve(process.env.PRICING_FILE) : DEFAULT_PRICING_FILE
+}
+
+function validatePeriods(periods, label, valueKeys) {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    throw new PricingError(`${label}: informe uma lista de períodos`)
+  }
+  for (const period of periods) {
+    if (typeof period.from !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(period.from)) {
+      throw new PricingError(`${label}: "from" deve ser uma data YYYY-MM-DD`)
+    }
+    for (const key of valueKeys) {
+      if (period[key] !== undefined && (typeof period[key] !== 'number' || !(period[key] >= 0))) {
+        throw new PricingError(`${label} (${period.from}): "${key}" deve ser um número não negativo`)
+      }
+    }
+  }
+  return [...periods].sort((a, b) => a.from.localeCompare(b.from))
+}
+
+function parsePricing(config) {
+  if (!config || typeof config !== 'object') throw new PricingError('o arquivo deve conter um objeto JSON')
+
+  const models = new Map()
+  for (const [model, periods] of Object.entries(config.models || {})) {
+    const sorted = validatePeriods(periods, `Modelo ${model}`, ['input', 'imageInput', 'output'])
+    for (const period of sorted) {
+      if (period.input === undefined || period.output === undefined) {
+        throw new PricingError(`Modelo ${model} (${period.from}): informe "input" e "output"`)
+      }
+    }
+    models.set(model, sorted)
+  }
+
+  const rates = new Map([[BASE_CURRENCY, [{ from: '0000-01-01', rate: 1 }]]])
+  for (const [currency, periods] of Object.entries(config.exchangeRates || {})) {
+    const code = currency.toUpperCase()
+    const sorted = validatePeriods(periods, `Câmbio ${code}`, ['rate'])
+    if (sorted.some(period => !(period.rate > 0))) {
+      throw new PricingError(`Câmbio ${code}: "rate" deve ser maior que zero`)
+    }
+    rates.set(code, sorted)
+  }
+
+  const currency = String(config.defaultCurrency || BASE_CURRENCY).toUpperCase()
+  if (!rates.has(currency)) {
+    throw new PricingError(`defaultCurrency "${currency}" sem câmbio configurado`)
+  }
+
+  return { models, rates, defaultCurrency: currency }
+}
+
+// Recarregado quando o arquivo muda, sem reiniciar o servidor
+let cache = null
+
+/**
+ * Tabela de preços atual
+ * @returns {{models: Map<string, object[]>, rates: Map<string, object[]>, defaultCurrency: string}}
+ * @throws {PricingError} arquivo ausente ou inválido
+ */
+export function loadPricing() {
+  const file = pricingFile()
+  let stat
+  try {
+    stat = fs.statSync(file)
+  } catch {
+    throw new PricingError(`Arquivo de preços não encontrado: ${file}`)
+  }
+  if (cache && cache.file === file && cache.mtimeMs === stat.mtimeMs) return cache.pricing
+
+  let pricing
+  try {
+    pricing = parsePricing(JSON.parse(fs.readFileSync(file, 'utf8')))
+  } catch (error) {
+    const invalid = new PricingError(`Arquivo de preços inválido (${file}): ${error.message}`)
+    // Editado com erro com o servidor rodando: manter a tabela anterior em vez de falhar as chamadas
+    if (!cache || cache.file !== file) throw invalid
+    console.warn(`⚠️  ${invalid.message}. Mantendo a tabela anterior`)
+    cache.mtimeMs = stat.mtimeMs
+    return cache.pricing
+  }
+  cache = { file, mtimeMs: stat.mtimeMs, pricing }
+  return pricing
+}
+
+// Data (YYYY-MM-DD) de um Date ou de um created_at do SQLite ("YYYY-MM-DD HH:MM:SS", UTC)
+function dayOf(date) {
+  return date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10)
+}
+
+// Período vigente na data; antes do primeiro período, vale o primeiro
+function periodAt(periods, date) {
+  const day = dayOf(date)
+  let current = periods[0]
+  for (const period of periods) {
+    if (period.from <= day) current = period
+  }
+  return current
+}
+
+/**
+ * Preço vigente de um modelo (USD por 1M de tokens)
+ * @returns {{from: string, input: number, imageInput: number, output: number}|null} null se o modelo não está na tabela
+ */
+export function priceFor(model, date = new Date()) {
+  const { models } = loadPricing()
+  // Versões datadas ("gpt-4o-mini-2024-07-18", "gemini-1.5-flash-002") usam o preço do modelo base
+  const base = String(model).replace(/-(\d{4}-\d{2}-\d{2}|\d{3})$/, '')
+  const periods = models.get(model) || models.get(base)
+  if (!periods) return null
+  const period = periodAt(periods, date)
+  return { ...period, imageInput: period.imageInput ?? period.input }
+}
+
+/**
+ * Garante que o modelo tem preço na tabela. Sem preço, o custo das chamadas não entraria nos
+ * orçamentos: o servidor não inicia com um modelo assim e as chamadas a ele são recusadas.
+ * @throws {PricingError}
+ */
+export function assertPriced(model, date = new Date()) {
+  const price = priceFor(model, date)
+  if (!price) {
+    throw new PricingError(`Modelo "${model}" sem preço em ${path.basename(pricingFile())}: inclua o preço antes de usá-lo`)
+  }
+  return price
+}
+
+/**
+ * Calcula o custo de uma chamada à API pelos tokens, com o preço vigente na data
+ * @param {{inputTokens: number, outputTokens: number, imageTokens?: number}} usage - imageTokens:
+ *   parte de inputTokens vinda de imagens/PDFs, quando o provedor informa
+ * @returns {{inputCost: number, outputCost: number, totalCostUSD: number, totalCostBRL: number|null, inputTokens: number, outputTokens: number}}
+ * @throws {PricingError} modelo fora da tabela
+ */
+export function calculateCost(model, { inputTokens = 0, outputTokens = 0, imageTokens = 0 }, date = new Date()) {
+  const price = assertPriced(model, date)
+
+  const imageInput = Math.min(imageTokens, inputTokens)
+  const inputCost = ((inputTokens - imageInput) * price.input + imageInput * price.imageInput) / TOKENS_PER_PRICE
+  const outputCost = outputTokens * price.output / TOKENS_PER_PRICE
+  const totalCostUSD = inputCost + outputCost
+  const { rates } = loadPricing()
+
+  return {
+    inputCost,
+    outputCost,
+    totalCostUSD,
+    totalCostBRL: rates.has('BRL') ? convertCost(totalCostUSD, 'BRL', date) : null,
+    inputTokens,
+    outputTokens
+  }
+}
+
+/**
+ * Converte um valor em USD para outra moeda, com o câmbio vigente na data
+ * @throws {PricingError} moeda sem câmbio configurado
+ */
+export function convertCost(amountUSD, currency, date = new Date()) {
+  const periods = loadPricing().rates.get(String(currency).toUpperCase())
+  if (!periods) {
+    throw new PricingError(`Moeda sem câmbio configurado: ${currency}. Disponíveis: ${listCurrencies().join(', ')}`)
+  }
+  return amountUSD * periodAt(periods, date).rate
+}
+
+/**
+ * Moedas com câmbio configurado (USD sempre disponível)
+ */
+export function listCurrencies() {
+  return [...loadPricing().rates.keys()]
+}
+
+/**
+ * Moeda padrão dos relatórios de custo (defaultCurrency do arquivo de preços)
+ */
+export function defaultCurrency() {
+  return loadPricing().defaultCurrency
+}
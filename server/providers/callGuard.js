@@ -0,0 +1,203 @@
+// Proteção das chamadas aos provedores de IA: retentativas com backoff exponencial e jitter
+// (respeitando Retry-After), limite de chamadas simultâneas por processo e circuit breaker.
+
+// Status HTTP transitórios: vale tentar de novo
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504]
+
+/**
+ * O provedor está indisponível (circuito aberto ou falhas transitórias esgotaram as tentativas)
+ */
+export class ProviderUnavailableError extends Error {
+  /**
+   * @param {string} message
+   * @param {{retryAfterMs?: number, cause?: Error}} options - retryAfterMs: quando vale tentar de novo
+   */
+  constructor(message, { retryAfterMs = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ProviderUnavailableError'
+    this.retryAfterMs = retryAfterMs
+    this.status = cause?.status
+  }
+}
+
+// Lidas a cada chamada: os módulos são carregados antes do .env
+function settings() {
+  const number = (name, fallback) => {
+    const value = parseInt(process.env[name], 10)
+    return Number.isFinite(value) && value >= 0 ? value : fallback
+  }
+  return {
+    maxRetries: number('AI_MAX_RETRIES', 3),
+    baseDelayMs: number('AI_RETRY_BASE_MS', 1000),
+    maxDelayMs: number('AI_RETRY_MAX_MS', 30000),
+    concurrency: Math.max(1, number('AI_MAX_CONCURRENCY', 4)),
+    breakerThreshold: Math.max(1, number('AI_BREAKER_THRESHOLD', 5)),
+    breakerCooldownMs: number('AI_BREAKER_COOLDOWN_MS', 30000)
+  }
+}
+
+/**
+ * Falha transitória: status HTTP de sobrecarga/indisponibilidade ou erro de rede
+ */
+export function isRetryableError(error) {
+  if (error instanceof ProviderUnavailableError) return false
+  if (error.status !== undefined) return RETRYABLE_STATUS.includes(error.status)
+  return Boolean(error.network)
+}
+
+/**
+ * Converte o cabeçalho Retry-After (segundos ou data HTTP) em milissegundos
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Cria a proteção de chamadas de um provedor (uma por provedor e por processo)
+ * @param {string} name - nome do provedor, para logs e status
+ */
+export function createCallGuard(name) {
+  let active = 0
+  const waiting = []
+
+  // Circuit breaker: closed (normal) → open (rejeita tudo) → half_open (uma chamada de teste)
+  let state = 'closed'
+  let consecutiveFailures = 0
+  let openedUntil = 0
+  let probing = false
+
+  const totals = { calls: 0, succeeded: 0, retries: 0, failed: 0, rejected: 0 }
+  let lastError = null
+
+  async function acquire() {
+    if (active < settings().concurrency) {
+      active++
+      return
+    }
+    await new Promise(resolve => waiting.push(resolve))
+  }
+
+  function release() {
+    const next = waiting.shift()
+    if (next) next()
+    else active--
+  }
+
+  // Reserva a passagem pelo circuito; lança se ele estiver aberto
+  function checkCircuit() {
+    if (state === 'open') {
+      if (Date.now() < openedUntil) {
+        totals.rejected++
+        throw new ProviderUnavailableError(
+          `Provedor ${name} temporariamente indisponível (circuito aberto após ${consecutiveFailures} falhas seguidas)`,
+          { retryAfterMs: openedUntil - Date.now() }
+        )
+      }
+      state = 'half_open'
+    }
+    if (state === 'half_open') {
+      if (probing) {
+        totals.rejected++
+        throw new ProviderUnavailableError(`Provedor ${name} em teste após falhas seguidas; tente novamente em instantes`, {
+          retryAfterMs: settings().baseDelayMs
+        })
+      }
+      probing = true
+      return true
+    }
+    return false
+  }
+
+  function recordSuccess() {
+    if (state !== 'closed') console.log(`   ✅ Provedor ${name}: circuito fechado`)
+    state = 'closed'
+    consecutiveFailures = 0
+  }
+
+  function recordFailure(error, probe) {
+    lastError = { message: error.message, status: error.status ?? null, at: new Date().toISOString() }
+    if (!isRetryableError(error)) return
+
+    consecutiveFailures++
+    const { breakerThreshold, breakerCooldownMs } = settings()
+    if (probe || consecutiveFailures >= breakerThreshold) {
+      state = 'open'
+      openedUntil = Date.now() + breakerCooldownMs
+      console.warn(`   🔌 Provedor ${name}: circuito aberto por ${Math.round(breakerCooldownMs / 1000)}s após ${consecutiveFailures} falha(s) seguida(s)`)
+    }
+  }
+
+  /**
+   * Executa uma chamada ao provedor com retentativas
+   * @param {string} operation - descrição para os logs (ex.: "analyzeDocument")
+   * @param {() => Promise<any>} fn
+   * @throws {ProviderUnavailableError} circuito aberto ou falhas transitórias em todas as tentativas;
+   *   outros erros (ex.: 400, 401) são repassados sem retentativa
+   */
+  async function run(operation, fn) {
+    totals.calls++
+    for (let attempt = 0; ; attempt++) {
+      const probe = checkCircuit()
+      await acquire()
+      let error
+      try {
+        const result = await fn()
+        recordSuccess()
+        totals.succeeded++
+        return result
+      } catch (caught) {
+        error = caught
+        recordFailure(error, probe)
+      } finally {
+        if (probe) probing = false
+        release()
+      }
+
+      const { maxRetries, baseDelayMs, maxDelayMs } = settings()
+      if (!isRetryableError(error)) {
+        totals.failed++
+        throw error
+      }
+      // Backoff exponencial com jitter completo; Retry-After do provedor tem prioridade
+      const delay = error.retryAfterMs ?? Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+      if (attempt >= maxRetries || delay > maxDelayMs || state === 'open') {
+        totals.failed++
+        throw new ProviderUnavailableError(
+          `Provedor ${name} indisponível após ${attempt + 1} tentativa(s): ${error.message}`,
+          { retryAfterMs: state === 'open' ? openedUntil - Date.now() : error.retryAfterMs ?? null, cause: error }
+        )
+      }
+
+      totals.retries++
+      console.warn(`   ⏳ ${name}.${operation} falhou (${error.status ?? 'rede'}); nova tentativa em ${(delay / 1000).toFixed(1)}s`)
+      await sleep(delay)
+    }
+  }
+
+  /**
+   * Situação atual: circuito, fila de chamadas e contadores desde o início do processo
+   */
+  function status() {
+    const open = state === 'open' && Date.now() < openedUntil
+    return {
+      provider: name,
+      circuit: state === 'open' && !open ? 'half_open' : state,
+      consecutiveFailures,
+      retryAt: open ? new Date(openedUntil).toISOString() : null,
+      active,
+      waiting: waiting.length,
+      concurrency: settings().concurrency,
+      totals: { ...totals },
+      lastError
+    }
+  }
+
+  return { run, status }
+}
@@ -0,0 +1,114 @@
+import { GoogleGenerativeAI } from '@google/generative-ai'
+
+const DEFAULT_MODEL = 'gemini-2.5-flash'
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-004'
+
+/**
+ * Completa os erros do SDK com o que a proteção de chamadas usa: `retryAfterMs` (do RetryInfo
+ * das respostas 429) e `network` (o SDK não preserva o erro original do fetch)
+ */
+function withRetryInfo(error) {
+  const retryInfo = error.errorDetails?.find(detail => detail['@type']?.endsWith('RetryInfo'))
+  const delay = parseFloat(retryInfo?.retryDelay)
+  if (Number.isFinite(delay)) error.retryAfterMs = delay * 1000
+  if (error.status === undefined && /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN/.test(error.message)) {
+    error.network = true
+  }
+  return error
+}
+
+/**
+ * Provedor Google Gemini (SDK @google/generative-ai)
+ * @param {{apiKey?: string, model?: string, embeddingModel?: string}} config
+ */
+export function createGeminiProvider(config = {}) {
+  const apiKey = (config.apiKey || '').trim()
+  const modelName = config.model || DEFAULT_MODEL
+  const embeddingModelName = config.embeddingModel || DEFAULT_EMBEDDING_MODEL
+
+  function getModel(name = modelName) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY_AI não configurada. Configure a API key do Gemini para fazer upload de arquivos.')
+    }
+
+    // Validar formato básico da API key
+    if (apiKey.length < 20) {
+      throw new Error(`API Key parece inválida (muito curta: ${apiKey.length} caracteres). Verifique se a chave está correta.`)
+    }
+
+    const genAIInstance = new GoogleGenerativeAI(apiKey)
+    return genAIInstance.getGenerativeModel({ model: name })
+  }
+
+  async function generate(model, parts) {
+    const result = await model.generateContent(parts).catch(error => {
+      throw withRetryInfo(error)
+    })
+
+    // Obter informações de uso (tokens)
+    const usageMetadata = result.response.usageMetadata
+    const inputTokens = usageMetadata?.promptTokenCount || 0
+    const outputTokens = usageMetadata?.candidatesTokenCount || 0
+    // Tokens de imagens/PDFs, com preço próprio em alguns modelos
+    const imageTokens = (usageMetadata?.promptTokensDetails || [])
+      .filter(detail => detail.modality !== 'TEXT')
+      .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0)
+
+    return {
+      text: result.response.text(),
+      model: modelName,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: usageMetadata?.totalTokenCount || (inputTokens + outputTokens),
+        imageTokens
+      }
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    embeddingModel: embeddingModelName,
+
+    isConfigured() {
+      return apiKey.length > 0
+    },
+
+    async analyzeDocument({ prompt, data, mimeType }) {
+      const model = getModel()
+      console.log(`   🔑 API Key encontrada (${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 4)}), iniciando análise com Gemini...`)
+      return generate(model, [
+        prompt,
+        {
+          inlineData: {
+            mimeType,
+            data: data.toString('base64')
+          }
+        }
+      ])
+    },
+
+    async interpretQuery({ prompt }) {
+      return generate(getModel(), prompt)
+    },
+
+    async embed(texts) {
+      const model = getModel(embeddingModelName)
+      const result = await model.batchEmbedContents({
+        requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+      }).catch(error => {
+        throw withRetryInfo(error)
+      })
+
+      // A API de embeddings não informa tokens; estimar (~4 caracteres por token)
+      const inputTokens = texts.reduce((sum, text) => sum + Math.ceil(text.length / 4), 0)
+
+      return {
+        vectors: result.embeddings.map(e => e.values),
+        model: embeddingModelName,
+        usage: { inputTokens, outputTokens: 0, totalTokens: inputTokens }
+      }
+    }
+  }
+}
@@ -0,0 +1,104 @@
+import { createGeminiProvider } from './gemini.js'
+import { createOpenAIProvider } from './openai.js'
+import { createOfflineProvider, createLocalEmbeddingProvider } from './offline.js'
+import { createCallGuard } from './callGuard.js'
+
+export { ProviderUnavailableError } from './callGuard.js'
+
+/**
+ * Provedores disponíveis. Cada provedor expõe:
+ * - name / model / embeddingModel
+ * - isConfigured(): boolean
+ * - analyzeDocument({ prompt, data, mimeType, filename }) => Promise<{ text, model, usage }>
+ * - interpretQuery({ prompt, query, documents }) => Promise<{ text, model, usage }>
+ * - embed(texts) => Promise<{ vectors, model, usage }>
+ *
+ * `usage` tem sempre o formato { inputTokens, outputTokens, totalTokens }, e opcionalmente
+ * imageTokens (parte de inputTokens vinda de imagens/PDFs, quando o provedor informa).
+ */
+const PROVIDERS = {
+  gemini: () => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY_AI,
+    model: process.env.GEMINI_MODEL,
+    embeddingModel: process.env.GEMINI_EMBEDDING_MODEL
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: process.env.OPENAI_BASE_URL,
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL,
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL
+  }),
+  offline: () => createOfflineProvider(),
+  local: () => createLocalEmbeddingProvider()
+}
+
+// Provedores que só oferecem embeddings
+const EMBEDDING_ONLY = ['local']
+
+// Provedores que dependem de rede: chamadas passam pela proteção de retentativas,
+// concorrência e circuit breaker (ver callGuard.js)
+const NETWORK_PROVIDERS = ['gemini', 'openai']
+const GUARDED_METHODS = ['analyzeDocument', 'interpretQuery', 'embed']
+
+// Estado compartilhado por todas as instâncias do mesmo provedor no processo
+const guards = new Map()
+
+function getGuard(name) {
+  if (!guards.has(name)) guards.set(name, createCallGuard(name))
+  return guards.get(name)
+}
+
+function createProvider(name) {
+  const provider = PROVIDERS[name]()
+  if (!NETWORK_PROVIDERS.includes(name)) return provider
+
+  const guard = getGuard(name)
+  const guarded = { ...provider }
+  for (const method of GUARDED_METHODS) {
+    guarded[method] = (...args) => guard.run(method, () => provider[method](...args))
+  }
+  return guarded
+}
+
+/**
+ * Retorna o provedor configurado em AI_PROVIDER (padrão: gemini).
+ * A configuração é lida do ambiente em cada chamada para refletir mudanças no .env.
+ */
+export function getProvider() {
+  const name = (process.env.AI_PROVIDER || 'gemini').trim().toLowerCase()
+  const factory = EMBEDDING_ONLY.includes(name) ? null : PROVIDERS[name]
+
+  if (!factory) {
+    const accepted = Object.keys(PROVIDERS).filter(p => !EMBEDDING_ONLY.includes(p))
+    throw new Error(`AI_PROVIDER inválido: "${name}". Valores aceitos: ${accepted.join(', ')}`)
+  }
+
+  return createProvider(name)
+}
+
+/**
+ * Retorna o provedor de embeddings configurado em EMBEDDING_PROVIDER
+ * (padrão: o mesmo de AI_PROVIDER). "local" usa embeddings determinísticos sem rede.
+ */
+export function getEmbeddingProvider() {
+  const name = (process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER || 'gemini').trim().toLowerCase()
+  const factory = PROVIDERS[name]
+
+  if (!factory) {
+    throw new Error(`EMBEDDING_PROVIDER inválido: "${name}". Valores aceitos: ${Object.keys(PROVIDERS).join(', ')}`)
+  }
+
+  return createProvider(name)
+}
+
+/**
+ * Situação da proteção de chamadas de cada provedor de rede já usado neste processo
+ * (circuito, chamadas em andamento e contadores)
+ */
+export function providerStatus() {
+  const configured = [process.env.AI_PROVIDER || 'gemini', process.env.EMBEDDING_PROVIDER || process.env.AI_PROVIDER || 'gemini']
+  for (const name of configured.map(value => value.trim().toLowerCase())) {
+    if (NETWORK_PROVIDERS.includes(name)) getGuard(name)
+  }
+  return [...guards.values()].map(guard => guard.status())
+}
@@ -0,0 +1,51 @@
+// Embedding local e determinístico (feature hashing), sem rede e sem custo.
+// Não tem a qualidade de um modelo de embeddings, mas aproxima textos que
+// compartilham palavras e radicais - suficiente para testes e uso offline.
+
+export const LOCAL_EMBEDDING_MODEL = 'local-hash-256'
+const DIMENSIONS = 256
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+// FNV-1a 32 bits
+function hash(str) {
+  let h = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+function addFeature(vector, feature, weight) {
+  const h = hash(feature)
+  const sign = (h & 0x80000000) ? -1 : 1
+  vector[h % DIMENSIONS] += sign * weight
+}
+
+/**
+ * Gera o embedding de um texto: palavras inteiras + trigramas de caracteres
+ * (para aproximar variações como "residência" / "residente"), normalizado (L2)
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function localEmbed(text) {
+  const vector = new Array(DIMENSIONS).fill(0)
+  const words = normalize(text).split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 1)
+
+  for (const word of words) {
+    addFeature(vector, `w:${word}`, 1)
+    const padded = ` ${word} `
+    for (let i = 0; i < padded.length - 2; i++) {
+      addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5)
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0))
+  return norm > 0 ? vector.map(v => v / norm) : vector
+}
@@ -0,0 +1,141 @@
+import crypto from 'crypto'
+import { localEmbed, LOCAL_EMBEDDING_MODEL } from './localEmbedding.js'
+
+// Termos fixos usados para completar as keywords da análise offline
+const BASE_KEYWORDS = [
+  'Análise Offline',
+  'Documento Local',
+  'Arquivo Digital',
+  'Sem Análise por IA',
+  'Processamento Determinístico',
+  'Galeria',
+  'Upload',
+  'Arquivo Enviado',
+  'Documento Arquivado',
+  'Registro',
+  'Armazenamento Local',
+  'Teste',
+  'Ambiente Isolado',
+  'Integração Contínua',
+  'Sem Conexão',
+  'Verificação Automática'
+]
+
+/**
+ * Estimativa simples de tokens (~4 caracteres por token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4)
+}
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+}
+
+function withUsage(prompt, payload) {
+  const text = JSON.stringify(payload)
+  const inputTokens = estimateTokens(prompt)
+  const outputTokens = estimateTokens(text)
+  return {
+    text,
+    model: 'offline',
+    usage: {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens
+    }
+  }
+}
+
+/**
+ * Provedor offline e determinístico: não faz chamadas de rede e sempre
+ * produz a mesma resposta para a mesma entrada. Útil para CI e máquinas
+ * sem acesso à internet.
+ */
+export function createOfflineProvider() {
+  return {
+    name: 'offline',
+    model: 'offline',
+    embeddingModel: LOCAL_EMBEDDING_MODEL,
+
+    isConfigured() {
+      return true
+    },
+
+    async analyzeDocument({ prompt, data, mimeType }) {
+      const hash = crypto.createHash('sha256').update(data).digest('hex')
+      const isPdf = mimeType === 'application/pdf'
+      const format = isPdf ? 'PDF' : (mimeType.split('/')[1] || 'imagem').toUpperCase()
+
+      const keywords = [
+        isPdf ? 'Documento PDF' : 'Imagem',
+        `Formato ${format}`,
+        ...BASE_KEYWORDS,
+        `sha256-${hash.substring(0, 8)}`,
+        `sha256-${hash.substring(8, 16)}`
+      ]
+
+      return withUsage(prompt, {
+        isDocument: isPdf,
+        documentType: isPdf ? 'documento pdf' : 'imagem geral',
+        description: `Arquivo ${format} com ${(data.length / 1024).toFixed(2)} KB analisado localmente (sha256 ${hash.substring(0, 12)}).`,
+        keywords,
+        country: null,
+        typicalUse: 'Arquivo analisado pelo provedor offline',
+        issueDate: null,
+        expiryDate: null,
+        holderName: null
+      })
+    },
+
+    async interpretQuery({ prompt, query, documents }) {
+      const terms = normalize(query).split(/\s+/).filter(t => t.length > 2)
+
+      const matches = documents.filter(doc => {
+        const haystack = normalize([doc.ai_keywords, doc.ai_description, doc.ai_document_type, doc.originalname].join(' '))
+        return terms.some(term => haystack.includes(term))
+      })
+
+      return withUsage(prompt, {
+        topic: query,
+        searchTerms: terms,
+        matchingDocIds: matches.map(doc => doc.id),
+        documents: matches.map(doc => ({
+          id: doc.id,
+          name: doc.ai_document_type || doc.originalname,
+          hasDocument: true
+        }))
+      })
+    },
+
+    async embed(texts) {
+      return createLocalEmbeddingProvider().embed(texts)
+    }
+  }
+}
+
+/**
+ * Provedor apenas de embeddings locais (EMBEDDING_PROVIDER=local)
+ */
+export function createLocalEmbeddingProvider() {
+  return {
+    name: 'local',
+    model: LOCAL_EMBEDDING_MODEL,
+    embeddingModel: LOCAL_EMBEDDING_MODEL,
+
+    isConfigured() {
+      return true
+    },
+
+    async embed(texts) {
+      return {
+        vectors: texts.map(text => localEmbed(text)),
+        model: LOCAL_EMBEDDING_MODEL,
+        usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+      }
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import { parseRetryAfter } from './callGuard.js'
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1'
+const DEFAULT_MODEL = 'gpt-4o-mini'
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small'
+
+/**
+ * Provedor HTTP compatível com as APIs de chat completions e embeddings da OpenAI
+ * (OpenAI, Ollama, LM Studio, vLLM, llama.cpp server, etc.)
+ * @param {{baseUrl?: string, apiKey?: string, model?: string, embeddingModel?: string}} config
+ */
+export function createOpenAIProvider(config = {}) {
+  const baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')
+  const apiKey = (config.apiKey || '').trim()
+  const modelName = config.model || DEFAULT_MODEL
+  const embeddingModelName = config.embeddingModel || DEFAULT_EMBEDDING_MODEL
+
+  async function post(endpoint, body) {
+    const headers = { 'Content-Type': 'application/json' }
+    // Servidores locais normalmente não exigem chave
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`
+    }
+
+    let response
+    try {
+      response = await fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body)
+      })
+    } catch (cause) {
+      const error = new Error(`Falha de conexão com ${baseUrl}: ${cause.cause?.code || cause.message}`, { cause })
+      error.network = true
+      throw error
+    }
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '')
+      const error = new Error(`Provedor ${baseUrl} respondeu ${response.status}: ${text.substring(0, 500)}`)
+      error.status = response.status
+      error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'))
+      throw error
+    }
+
+    return response.json()
+  }
+
+  async function chat(content) {
+    const data = await post('/chat/completions', {
+      model: modelName,
+      messages: [{ role: 'user', content }],
+      temperature: 0
+    })
+    const inputTokens = data.usage?.prompt_tokens || 0
+    const outputTokens = data.usage?.completion_tokens || 0
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || modelName,
+      usage: {
+        inputTokens,
+        outputTokens,
+        totalTokens: data.usage?.total_tokens || (inputTokens + outputTokens)
+      }
+    }
+  }
+
+  return {
+    name: 'openai',
+    model: modelName,
+    embeddingModel: embeddingModelName,
+
+    isConfigured() {
+      // Sem base URL própria, a API pública da OpenAI exige chave
+      return baseUrl !== DEFAULT_BASE_URL || apiKey.length > 0
+    },
+
+    async analyzeDocument({ prompt, data, mimeType, filename }) {
+      const dataUrl = `data:${mimeType};base64,${data.toString('base64')}`
+      const attachment = mimeType === 'application/pdf'
+        ? { type: 'file', file: { filename, file_data: dataUrl } }
+        : { type: 'image_url', image_url: { url: dataUrl } }
+
+      return chat([{ type: 'text', text: prompt }, attachment])
+    },
+
+    async interpretQuery({ prompt }) {
+      return chat(prompt)
+    },
+
+    async embed(texts) {
+      const data = await post('/embeddings', { model: embeddingModelName, input: texts })
+      const inputTokens = data.usage?.prompt_tokens || 0
+
+      return {
+        vectors: data.data
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: data.model || embeddingModelName,
+        usage: { inputTokens, outputTokens: 0, totalTokens: data.usage?.total_tokens || inputTokens }
+      }
+    }
+  }
+}
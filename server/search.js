@@ -0,0 +1,92 @@
+import { dbAll } from './db.js'
+
+// Marcadores usados pelo snippet() do FTS5 para delimitar os trechos encontrados
+const MATCH_START = '\u0002'
+const MATCH_END = '\u0003'
+
+// Pesos do BM25 por coluna: originalname, ai_description, ai_keywords, ai_document_type, ai_typical_use,
+// fields_text (valores dos campos estruturados)
+const BM25_WEIGHTS = [2.0, 1.0, 3.0, 4.0, 1.0, 3.0]
+
+/**
+ * Converte a busca do usuário em uma expressão MATCH do FTS5.
+ * Cada termo vira um prefixo entre aspas (sem operadores do FTS) e os termos são combinados com OR.
+ * @returns {string|null} null se não houver termos pesquisáveis
+ */
+export function buildMatchExpression(terms) {
+  const cleaned = terms
+    .flatMap(term => String(term).split(/[^\p{L}\p{N}]+/u))
+    .filter(term => term.length > 0)
+
+  if (cleaned.length === 0) return null
+
+  return [...new Set(cleaned.map(term => term.toLowerCase()))]
+    .map(term => `"${term}"*`)
+    .join(' OR ')
+}
+
+/**
+ * Divide um snippet com marcadores em segmentos { text, match } para o frontend
+ * destacar os trechos sem precisar interpretar HTML
+ */
+function toSegments(snippet) {
+  if (!snippet) return []
+
+  const segments = []
+  const pattern = new RegExp(`${MATCH_START}([^${MATCH_END}]*)${MATCH_END}`, 'g')
+  let lastIndex = 0
+  let match
+  while ((match = pattern.exec(snippet)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: snippet.slice(lastIndex, match.index), match: false })
+    }
+    segments.push({ text: match[1], match: true })
+    lastIndex = pattern.lastIndex
+  }
+  if (lastIndex < snippet.length) {
+    segments.push({ text: snippet.slice(lastIndex), match: false })
+  }
+  return segments
+}
+
+/**
+ * Busca de texto completo nas imagens, ordenada por relevância (BM25)
+ * @param {string[]} terms - termos de busca (sem acentos necessários)
+ * @param {{limit?: number, ownerId?: number, personId?: number}} options - ownerId restringe às imagens
+ *   do usuário; personId, às de uma pessoa da casa
+ * @returns {Promise<Array>} linhas de images com `score` e `snippet` (segmentos destacados)
+ */
+export async function searchImages(terms, { limit = 100, ownerId, personId } = {}) {
+  const matchExpression = buildMatchExpression(terms)
+  if (!matchExpression) return []
+
+  const filters = []
+  const params = [matchExpression]
+  if (ownerId !== undefined) {
+    filters.push('AND images.owner_id = ?')
+    params.push(ownerId)
+  }
+  if (personId !== undefined) {
+    filters.push('AND images.person_id = ?')
+    params.push(personId)
+  }
+  params.push(limit)
+
+  const rows = await dbAll(
+    `SELECT images.*,
+       (SELECT id FROM analysis_jobs WHERE image_id = images.id ORDER BY id DESC LIMIT 1) AS analysis_job_id,
+       bm25(images_fts, ${BM25_WEIGHTS.join(', ')}) AS score,
+       snippet(images_fts, -1, char(2), char(3), '…', 12) AS snippet
+     FROM images_fts
+     JOIN images ON images.id = images_fts.rowid
+     WHERE images_fts MATCH ? AND images.deleted_at IS NULL ${filters.join(' ')}
+     ORDER BY score
+     LIMIT ?`,
+    params
+  )
+
+  return rows.map(row => ({
+    ...row,
+    snippet: toSegments(row.snippet)
+  }))
+}
@@ -0,0 +1,160 @@
+// Páginas públicas (somente leitura) dos links de compartilhamento.
+// Tudo que vem do banco passa por escapeHtml: quem abre o link não é o dono dos nomes.
+
+const STYLE = `
+  body {
+    font-family: Arial, sans-serif;
+    max-width: 900px;
+    margin: 0 auto;
+    padding: 20px;
+    background: #f5f5f5;
+    color: #333;
+  }
+  h1 {
+    font-size: 1.5rem;
+    margin-bottom: 4px;
+  }
+  .info {
+    color: #666;
+    font-size: 0.875rem;
+    margin-bottom: 20px;
+  }
+  .card {
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    padding: 20px;
+  }
+  table {
+    width: 100%;
+    border-collapse: collapse;
+  }
+  td {
+    padding: 10px;
+    border-bottom: 1px solid #eee;
+    vertical-align: middle;
+  }
+  tr:last-child td {
+    border-bottom: none;
+  }
+  .preview {
+    width: 64px;
+    height: 64px;
+    object-fit: cover;
+    border-radius: 4px;
+    background: #eee;
+  }
+  .meta {
+    color: #999;
+    font-size: 0.75rem;
+  }
+  a.button, button {
+    display: inline-block;
+    padding: 6px 12px;
+    border-radius: 6px;
+    border: none;
+    background: #4CAF50;
+    color: white;
+    text-decoration: none;
+    font-size: 0.875rem;
+    cursor: pointer;
+  }
+  a.secondary {
+    background: white;
+    color: #333;
+    border: 1px solid #ddd;
+  }
+  input {
+    padding: 8px;
+    border: 1px solid #ddd;
+    border-radius: 6px;
+    font-size: 0.875rem;
+  }
+  .error {
+    color: #c62828;
+    font-size: 0.875rem;
+  }
+`
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  ${body}
+</body>
+</html>`
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+/**
+ * Lista de arquivos do link, com visualização e download de cada um
+ */
+export function renderSharePage(share, images) {
+  const base = `/s/${encodeURIComponent(share.token)}`
+  const rows = images.map(img => `
+      <tr>
+        <td><img src="${base}/thumbs/${img.id}" alt="" class="preview" loading="lazy" onerror="this.style.visibility='hidden'"></td>
+        <td>
+          <div>${escapeHtml(img.originalname)}</div>
+          <div class="meta">${escapeHtml(img.ai_document_type || img.mimetype)} • ${formatSize(img.size)}</div>
+        </td>
+        <td style="text-align: right; white-space: nowrap">
+          <a class="button secondary" href="${base}/files/${img.id}" target="_blank" rel="noopener">Abrir</a>
+          <a class="button" href="${base}/files/${img.id}?download=1">Baixar</a>
+        </td>
+      </tr>`).join('')
+
+  return layout(share.name, `
+  <h1>${escapeHtml(share.name)}</h1>
+  <p class="info">
+    ${images.length} arquivo(s) • disponível até ${new Date(share.expires_at).toLocaleString('pt-BR')}
+  </p>
+  <div class="card">
+    ${images.length === 0
+      ? '<p class="meta">Nenhum arquivo disponível neste link.</p>'
+      : `<table><tbody>${rows}</tbody></table>`}
+  </div>`)
+}
+
+export function renderSharePasswordPage(share, { error = null } = {}) {
+  return layout(share.name, `
+  <h1>${escapeHtml(share.name)}</h1>
+  <p class="info">Este link é protegido por senha.</p>
+  <form class="card" method="POST" action="/s/${encodeURIComponent(share.token)}">
+    <input type="password" name="password" placeholder="Senha" autofocus required>
+    <button type="submit">Abrir</button>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  </form>`)
+}
+
+const UNAVAILABLE_MESSAGES = {
+  expired: 'Este link expirou.',
+  revoked: 'Este link foi revogado pelo dono.',
+  missing: 'Link não encontrado.'
+}
+
+export function renderShareUnavailablePage(reason) {
+  return layout('Link indisponível', `
+  <h1>Link indisponível</h1>
+  <p class="info">${UNAVAILABLE_MESSAGES[reason] || UNAVAILABLE_MESSAGES.missing}</p>`)
+}
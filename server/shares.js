@@ -0,0 +1,202 @@
+import crypto from 'crypto'
+import { dbAll, dbGet, dbInsert, dbUpdate } from './db.js'
+import { hashPassword, verifyPassword } from './auth.js'
+
+// Validade máxima de um link (horas)
+export const MAX_SHARE_HOURS = 90 * 24
+
+// O link é público: a senha é a única proteção contra quem descobrir o endereço
+export const MIN_SHARE_PASSWORD_LENGTH = 8
+
+// Bloqueio mais longo depois de várias séries de senhas erradas
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000
+
+// Tipos abertos no navegador pelo link; os demais (ex.: SVG, que pode conter scripts) só como download
+const INLINE_SHARE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/avif', 'application/pdf'])
+
+/**
+ * Situação do link: revogado pelo dono, expirado ou ativo
+ * @returns {'active'|'expired'|'revoked'}
+ */
+export function shareStatus(share) {
+  if (share.revoked_at) return 'revoked'
+  if (Date.parse(share.expires_at) <= Date.now()) return 'expired'
+  return 'active'
+}
+
+// Formato devolvido ao dono (sem o hash da senha)
+function serializeShare(share) {
+  const { password_hash: passwordHash, ...rest } = share
+  return {
+    ...rest,
+    has_password: Boolean(passwordHash),
+    status: shareStatus(share),
+    url: `/s/${share.token}`
+  }
+}
+
+/**
+ * Cria um link de compartilhamento para um conjunto de imagens do usuário
+ * @param {{ownerId: number, name: string, imageIds: number[], expiresAt: Date, password?: string}} data
+ * @returns {Promise<object>} link criado
+ */
+export async function createShare({ ownerId, name, imageIds, expiresAt, password = null }) {
+  const token = crypto.randomBytes(24).toString('base64url')
+  const { lastID } = await dbInsert(
+    'INSERT INTO shares (owner_id, token, name, password_hash, expires_at) VALUES (?, ?, ?, ?, ?)',
+    [ownerId, token, name, password ? await hashPassword(password) : null, expiresAt.toISOString()]
+  )
+
+  for (const [position, imageId] of imageIds.entries()) {
+    await dbInsert('INSERT INTO share_items (share_id, image_id, position) VALUES (?, ?, ?)', [lastID, imageId, position])
+  }
+
+  return getShare(lastID, ownerId)
+}
+
+/**
+ * Links do usuário, do mais recente para o mais antigo, com a quantidade de arquivos
+ */
+export async function listShares(ownerId) {
+  const shares = await dbAll(
+    `SELECT shares.*, COUNT(share_items.image_id) AS file_count
+     FROM shares
+     LEFT JOIN share_items ON share_items.share_id = shares.id
+     WHERE shares.owner_id = ?
+     GROUP BY shares.id
+     ORDER BY shares.created_at DESC, shares.id DESC`,
+    [ownerId]
+  )
+  return shares.map(serializeShare)
+}
+
+export async function getShare(id, ownerId) {
+  const share = await dbGet(
+    `SELECT shares.*, (SELECT COUNT(*) FROM share_items WHERE share_id = shares.id) AS file_count
+     FROM shares WHERE id = ? AND owner_id = ?`,
+    [id, ownerId]
+  )
+  return share ? serializeShare(share) : undefined
+}
+
+/**
+ * Revoga o link (o registro é mantido para o histórico de acessos)
+ * @returns {Promise<boolean>} false se o link não pertence ao usuário
+ */
+export async function revokeShare(id, ownerId) {
+  const { changes } = await dbUpdate(
+    'UPDATE shares SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ? AND owner_id = ?',
+    [id, ownerId]
+  )
+  return changes > 0
+}
+
+// Acesso público
+
+export function getShareByToken(token) {
+  return dbGet('SELECT * FROM shares WHERE token = ?', [token])
+}
+
+/**
+ * Arquivos do link, na ordem em que foram selecionados
+ */
+export function getShareImages(share) {
+  return dbAll(
+    `SELECT images.* FROM share_items
+     JOIN images ON images.id = share_items.image_id AND images.owner_id = ? AND images.deleted_at IS NULL
+     WHERE share_items.share_id = ?
+     ORDER BY share_items.position`,
+    [share.owner_id, share.id]
+  )
+}
+
+export function getShareImage(share, imageId) {
+  return dbGet(
+    `SELECT images.* FROM share_items
+     JOIN images ON images.id = share_items.image_id AND images.owner_id = ? AND images.deleted_at IS NULL
+     WHERE share_items.share_id = ? AND share_items.image_id = ?`,
+    [share.owner_id, share.id, imageId]
+  )
+}
+
+export function recordShareAccess(share) {
+  return dbUpdate(
+    'UPDATE shares SET access_count = access_count + 1, last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [share.id]
+  )
+}
+
+// Lidos a cada chamada: os módulos são carregados antes do .env
+function lockoutSettings() {
+  return {
+    maxAttempts: parseInt(process.env.SHARE_MAX_ATTEMPTS, 10) || 5,
+    lockoutMs: (parseInt(process.env.SHARE_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000
+  }
+}
+
+// Senhas erradas por link (em memória). As conferências de um mesmo link são feitas uma de
+// cada vez, para que tentativas em paralelo não passem juntas antes do bloqueio.
+const passwordAttempts = new Map()
+
+/**
+ * Confere a senha do link, com bloqueio por tentativas: a cada SHARE_MAX_ATTEMPTS senhas erradas
+ * seguidas o link fica bloqueado por SHARE_LOCKOUT_MINUTES, tempo que dobra a cada nova série
+ * (até 24 h). Durante o bloqueio a senha nem é conferida. Uma senha certa zera a contagem.
+ * @returns {Promise<{valid: boolean, failed: boolean, failures: number, lockedUntil: Date|null}>}
+ *   failed: a senha foi conferida e estava errada (false quando recusada pelo bloqueio)
+ */
+export function checkSharePassword(share, password) {
+  if (!passwordAttempts.has(share.id)) {
+    passwordAttempts.set(share.id, { failures: 0, lockedUntil: 0, queue: Promise.resolve() })
+  }
+  const state = passwordAttempts.get(share.id)
+
+  const check = state.queue.then(async () => {
+    if (state.lockedUntil > Date.now()) {
+      return { valid: false, failed: false, failures: state.failures, lockedUntil: new Date(state.lockedUntil) }
+    }
+
+    if (await verifyPassword(String(password || ''), share.password_hash)) {
+      state.failures = 0
+      state.lockedUntil = 0
+      return { valid: true, failed: false, failures: 0, lockedUntil: null }
+    }
+
+    state.failures++
+    const { maxAttempts, lockoutMs } = lockoutSettings()
+    if (state.failures % maxAttempts === 0) {
+      const series = state.failures / maxAttempts
+      state.lockedUntil = Date.now() + Math.min(lockoutMs * 2 ** (series - 1), MAX_LOCKOUT_MS)
+    }
+    return {
+      valid: false,
+      failed: true,
+      failures: state.failures,
+      lockedUntil: state.lockedUntil > Date.now() ? new Date(state.lockedUntil) : null
+    }
+  })
+  state.queue = check.catch(() => {})
+  return check
+}
+
+/**
+ * Valor do cookie que libera um link com senha depois que ela foi informada.
+ * Derivado do hash da senha: deixa de valer se o link for recriado com outra senha.
+ */
+export function shareAccessKey(share) {
+  return crypto.createHmac('sha256', share.password_hash).update(share.token).digest('base64url')
+}
+
+/**
+ * Se o arquivo pode ser aberto no navegador a partir do link (imagem rasterizada ou PDF)
+ */
+export function isInlineShareType(mimetype) {
+  return INLINE_SHARE_TYPES.has(mimetype)
+}
+
+/**
+ * Retira uma imagem removida de todos os links
+ */
+export function unlinkImageFromShares(imageId) {
+  return dbUpdate('DELETE FROM share_items WHERE image_id = ?', [imageId])
+}
@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { startServer, registerUser, waitFor } from './helpers.js'
+
+// Auditoria das pessoas da casa, das checklists e das miniaturas
+
+let server
+let client
+let image
+
+before(async () => {
+  server = await startServer()
+  ;({ client } = await registerUser(server.url, 'auditoria@example.com'))
+
+  const png = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#993366' } }).png().toBuffer()
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), 'passaporte.png')
+  image = (await client.post('/api/upload', form)).data.images[0]
+  await waitFor(async () => (await client.get('/api/jobs')).data.jobs.every(job => job.status === 'done'), { message: 'a análise' })
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+// Eventos das ações, do mais antigo para o mais recente
+async function auditEvents(actions) {
+  const { data } = await client.get(`/api/audit?action=${actions.join(',')}`)
+  return data.events.reverse()
+}
+
+test('pessoas da casa: criação, edição e remoção', async () => {
+  const { data: { person } } = await client.post('/api/people', { name: 'Ana' })
+  await client.patch(`/api/people/${person.id}`, { nationality: 'Brasileira' })
+  await client.delete(`/api/people/${person.id}`)
+
+  const events = await auditEvents(['person_create', 'person_update', 'person_delete'])
+  assert.deepEqual(events.map(event => event.action), ['person_create', 'person_update', 'person_delete'])
+  assert.ok(events.every(event => event.details.personId === person.id && event.details.name === 'Ana'))
+  assert.deepEqual(events[1].details.fields, ['nationality'])
+})
+
+test('checklists: criação, edição, itens, vínculos e exclusão', async () => {
+  const { data: { checklist } } = await client.post('/api/checklists', {
+    name: 'Renovação',
+    documents: [{ name: 'Passaporte', id: image.id }, { name: 'Comprovante de residência' }]
+  })
+  await client.put(`/api/checklists/${checklist.id}`, { name: 'Renovação da AR' })
+
+  const added = await client.post(`/api/checklists/${checklist.id}/items`, { name: 'Foto 3x4' })
+  const item = added.data.checklist.items.find(entry => entry.name === 'Foto 3x4')
+  await client.patch(`/api/checklists/${checklist.id}/items/${item.id}`, { imageId: image.id, status: 'have' })
+  const { data: { linked } } = await client.post(`/api/checklists/${checklist.id}/auto-link`)
+  await client.delete(`/api/checklists/${checklist.id}/items/${item.id}`)
+  await client.delete(`/api/checklists/${checklist.id}`)
+
+  const actions = ['checklist_create', 'checklist_update', 'checklist_item_add', 'checklist_item_update', 'checklist_link', 'checklist_item_delete', 'checklist_delete']
+  const events = await auditEvents(actions)
+  assert.deepEqual(events.map(event => event.action), [
+    'checklist_create',
+    'checklist_update',
+    'checklist_item_add',
+    'checklist_item_update',
+    ...linked.map(() => 'checklist_link'),
+    'checklist_item_delete',
+    'checklist_delete'
+  ])
+  assert.ok(events.every(event => event.details.checklistId === checklist.id))
+  assert.deepEqual(events[0].details.linkedImageIds, [image.id])
+
+  // O vínculo do item aparece no histórico do documento
+  const update = events.find(event => event.action === 'checklist_item_update')
+  assert.equal(update.image_id, image.id)
+  assert.deepEqual(update.details.fields.sort(), ['imageId', 'status'])
+})
+
+test('miniaturas visualizadas', async () => {
+  const { status } = await client.get(`/thumbs/${image.id}/sm`)
+  assert.equal(status, 200)
+
+  const events = await auditEvents(['thumbnail'])
+  assert.equal(events.length, 1)
+  assert.equal(events[0].image_id, image.id)
+  assert.equal(events[0].details.size, 'sm')
+})
@@ -0,0 +1,66 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { startServer, createClient, runDatabase, runCli } from './helpers.js'
+
+// Cadastro fechado por padrão e registros anteriores às contas atribuídos só por comando explícito
+
+let server
+
+before(async () => {
+  server = await startServer({ ALLOW_REGISTRATION: undefined })
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+async function login(email, password) {
+  const client = createClient(server.url)
+  const { status, data } = await client.post('/api/auth/login', { email, password })
+  assert.equal(status, 200, JSON.stringify(data))
+  return client
+}
+
+async function createAccount(email) {
+  const { code, output } = await runCli(server, 'users.js', ['create', email])
+  assert.equal(code, 0, output)
+  return output.match(/Senha: (\S+)/)[1]
+}
+
+test('cadastro pela API fica fechado sem ALLOW_REGISTRATION=true', async () => {
+  const client = createClient(server.url)
+
+  const me = await client.get('/api/auth/me')
+  assert.equal(me.status, 401)
+  assert.equal(me.data.registrationOpen, false)
+
+  const { status } = await client.post('/api/auth/register', { email: 'intruso@example.com', password: 'senha-de-teste' })
+  assert.equal(status, 403)
+})
+
+test('registros sem dono só são atribuídos por claim-legacy', async () => {
+  await runDatabase(
+    server.databasePath,
+    `INSERT INTO images (filename, originalname, mimetype, size, analysis_status) VALUES ('legado.png', 'legado.png', 'image/png', 1, 'done')`
+  )
+
+  // A primeira conta não assume os registros antigos
+  const first = await login('primeira@example.com', await createAccount('primeira@example.com'))
+  assert.deepEqual((await first.get('/api/images')).data.images, [])
+
+  const admin = await login('admin@example.com', await createAccount('admin@example.com'))
+  assert.deepEqual((await admin.get('/api/images')).data.images, [])
+
+  const { code, output } = await runCli(server, 'users.js', ['claim-legacy', 'admin@example.com'])
+  assert.equal(code, 0, output)
+  assert.match(output, /1 registro\(s\) atribuído\(s\) a admin@example.com/)
+
+  assert.deepEqual((await admin.get('/api/images')).data.images.map(image => image.filename), ['legado.png'])
+  assert.deepEqual((await first.get('/api/images')).data.images, [])
+})
+
+test('create recusa e-mail já cadastrado', async () => {
+  const { code, output } = await runCli(server, 'users.js', ['create', 'primeira@example.com'])
+  assert.equal(code, 1)
+  assert.match(output, /E-mail já cadastrado/)
+})
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { promisify } from 'util'
+import archiver from 'archiver'
+import sharp from 'sharp'
+import yauzl from 'yauzl'
+import { startServer, createClient, registerUser, waitFor, runCli } from './helpers.js'
+
+// Backup pelo comando e restauração pela API: mesclar, substituir e checksum adulterado
+
+const ADMIN_EMAIL = 'admin@example.com'
+const PASSWORD = 'senha-de-teste'
+
+let server
+let admin
+let backupPath
+
+before(async () => {
+  server = await startServer({ ADMIN_EMAILS: ADMIN_EMAIL })
+  ;({ client: admin } = await registerUser(server.url, ADMIN_EMAIL, PASSWORD))
+  await upload('passaporte.png', '#336699')
+
+  backupPath = path.join(server.dir, 'backup.zip')
+  const { code, output } = await runCli(server, 'backup.js', ['create', backupPath])
+  assert.equal(code, 0, output)
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+async function upload(name, background) {
+  const png = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer()
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), name)
+  const image = (await admin.post('/api/upload', form)).data.images[0]
+  await waitFor(async () => (await admin.get('/api/jobs')).data.jobs.every(job => job.status === 'done'), { message: 'a análise' })
+  return image
+}
+
+async function restore(file, mode) {
+  const form = new FormData()
+  form.append('backup', new Blob([fs.readFileSync(file)], { type: 'application/zip' }), 'backup.zip')
+  return admin.post(`/api/restore?mode=${mode}`, form)
+}
+
+async function imageNames() {
+  return (await admin.get('/api/images')).data.images.map(image => image.filename).sort()
+}
+
+// Copia o ZIP alterando o conteúdo das entradas com transform(nome, buffer)
+async function rewriteBackup(source, target, transform) {
+  const zip = await promisify(yauzl.open)(source, { lazyEntries: true })
+  const openReadStream = promisify(zip.openReadStream.bind(zip))
+  const entries = []
+  await new Promise((resolve, reject) => {
+    zip.on('error', reject)
+    zip.on('end', resolve)
+    zip.on('entry', async entry => {
+      const chunks = []
+      for await (const chunk of await openReadStream(entry)) chunks.push(chunk)
+      entries.push({ name: entry.fileName, data: transform(entry.fileName, Buffer.concat(chunks)) })
+      zip.readEntry()
+    })
+    zip.readEntry()
+  })
+
+  const archive = archiver('zip')
+  const output = fs.createWriteStream(target)
+  const done = new Promise((resolve, reject) => {
+    output.on('close', resolve)
+    archive.on('error', reject)
+  })
+  archive.pipe(output)
+  for (const { name, data } of entries) archive.append(data, { name })
+  archive.finalize()
+  await done
+}
+
+test('mesclar o mesmo backup não duplica nada', async () => {
+  const before = await imageNames()
+  const { status, data } = await restore(backupPath, 'merge')
+  assert.equal(status, 200, JSON.stringify(data))
+  assert.equal(data.mode, 'merge')
+  assert.deepEqual(data.tables.images, { imported: 0, existing: 1 })
+  assert.deepEqual(await imageNames(), before)
+})
+
+test('backup com checksum adulterado é recusado sem alterar a galeria', async () => {
+  const tampered = path.join(server.dir, 'adulterado.zip')
+  await rewriteBackup(backupPath, tampered, (name, data) => {
+    if (!name.startsWith('uploads/')) return data
+    const changed = Buffer.from(data)
+    changed[changed.length - 1] ^= 0xff
+    return changed
+  })
+
+  const before = await imageNames()
+  const { status, data } = await restore(tampered, 'merge')
+  assert.equal(status, 400)
+  assert.match(data.error, /Checksum não confere: uploads\//)
+  assert.deepEqual(await imageNames(), before)
+})
+
+test('substituir volta a galeria ao backup e a fila continua depois', async () => {
+  const restored = await imageNames()
+  const extra = await upload('comprovante.png', '#993366')
+  assert.equal((await imageNames()).length, 2)
+
+  const { status, data } = await restore(backupPath, 'replace')
+  assert.equal(status, 200, JSON.stringify(data))
+  assert.equal(data.mode, 'replace')
+
+  // As sessões são encerradas: entrar de novo com a conta do backup
+  assert.equal((await admin.get('/api/images')).status, 401)
+  admin = createClient(server.url)
+  const login = await admin.post('/api/auth/login', { email: ADMIN_EMAIL, password: PASSWORD })
+  assert.equal(login.status, 200)
+
+  assert.deepEqual(await imageNames(), restored)
+  assert.ok(!fs.existsSync(path.join(server.dir, 'uploads', extra.filename)), 'arquivo fora do backup é apagado')
+
+  // Os workers voltam a processar a fila
+  await upload('depois.png', '#669933')
+  assert.equal((await imageNames()).length, 2)
+})
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { startServer, registerUser, waitFor, queryDatabase } from './helpers.js'
+
+// Orçamento de IA esgotado: análises adiadas sem gastar tentativas, busca pela busca de texto
+// e nenhum embedding novo ao editar metadados; com saldo de novo, a fila retoma
+
+let server
+let admin
+let member
+let analyzed
+
+before(async () => {
+  server = await startServer({ ADMIN_EMAILS: 'admin@example.com' })
+  ;({ client: admin } = await registerUser(server.url, 'admin@example.com'))
+  member = await registerUser(server.url, 'membro@example.com')
+
+  analyzed = await upload('passaporte.png', '#336699')
+  await waitFor(async () => (await jobs()).every(job => job.status === 'done'), { message: 'a análise' })
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+async function upload(name, background) {
+  const png = await sharp({ create: { width: 16, height: 16, channels: 3, background } }).png().toBuffer()
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), name)
+  return (await member.client.post('/api/upload', form)).data.images[0]
+}
+
+async function jobs() {
+  return (await member.client.get('/api/jobs')).data.jobs
+}
+
+function setMemberBudget(budget) {
+  return admin.put(`/api/admin/users/${member.user.id}/budget`, budget)
+}
+
+function embeddingCosts() {
+  return queryDatabase(server.databasePath, `SELECT id FROM api_costs WHERE operation_type = 'image_embedding'`)
+}
+
+test('orçamento esgotado adia a análise e degrada a busca', async () => {
+  const { status, data } = await setMemberBudget({ daily: 0 })
+  assert.equal(status, 200)
+  assert.equal(data.budget.exceeded.period, 'daily')
+
+  const image = await upload('comprovante.png', '#993366')
+  const job = await waitFor(async () => (await jobs()).find(entry => entry.image_id === image.id && entry.last_error), { message: 'o adiamento' })
+  assert.equal(job.status, 'pending')
+  assert.equal(job.attempts, 0)
+  assert.match(job.last_error, /Orçamento de IA diário da sua conta esgotado/)
+  assert.ok(Date.parse(`${job.run_after}Z`) > Date.now(), 'adiado até o próximo período')
+
+  const search = await member.client.post('/api/search', { query: 'passaporte' })
+  assert.equal(search.status, 200)
+  assert.match(search.data.warning, /esgotado.*resultados pela busca de texto/)
+  const searchCosts = await queryDatabase(server.databasePath, `SELECT id FROM api_costs WHERE operation_type IN ('search', 'query_embedding')`)
+  assert.equal(searchCosts.length, 0, 'a busca não chama a IA')
+})
+
+test('editar metadados com o orçamento esgotado não gera embedding', async () => {
+  const before = (await embeddingCosts()).length
+  const { status } = await member.client.patch(`/api/images/${analyzed.id}`, { description: 'Passaporte da Ana' })
+  assert.equal(status, 200)
+
+  assert.equal((await embeddingCosts()).length, before)
+  const embeddings = await queryDatabase(server.databasePath, 'SELECT image_id FROM image_embeddings WHERE image_id = ?', [analyzed.id])
+  assert.deepEqual(embeddings, [], 'o embedding antigo fica para o backfill')
+})
+
+test('com saldo de novo, as análises adiadas voltam para a fila', async () => {
+  const { data } = await setMemberBudget({ daily: null })
+  assert.equal(data.resumed, 1)
+  await waitFor(async () => (await jobs()).every(job => job.status === 'done'), { message: 'a análise retomada' })
+
+  const search = await member.client.post('/api/search', { query: 'passaporte' })
+  assert.equal(search.data.warning ?? null, null)
+})
@@ -0,0 +1,208 @@
+import { test, describe, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { createCallGuard, ProviderUnavailableError } from '../providers/callGuard.js'
+import { createOpenAIProvider } from '../providers/openai.js'
+import { startServer, registerUser, startScriptedProvider } from './helpers.js'
+
+// Retentativas, Retry-After, limite de concorrência e circuit breaker das chamadas aos provedores,
+// contra um servidor local que responde conforme um roteiro
+
+const GUARD_SETTINGS = {
+  AI_MAX_RETRIES: '3',
+  AI_RETRY_BASE_MS: '10',
+  AI_RETRY_MAX_MS: '5000',
+  AI_MAX_CONCURRENCY: '4',
+  AI_BREAKER_THRESHOLD: '5',
+  AI_BREAKER_COOLDOWN_MS: '30000'
+}
+
+let fake
+
+before(async () => {
+  fake = await startScriptedProvider()
+})
+
+after(async () => {
+  await fake?.close()
+})
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('createCallGuard', () => {
+  let guard
+  let provider
+
+  // As configurações são lidas do ambiente a cada chamada
+  beforeEach(() => {
+    Object.assign(process.env, GUARD_SETTINGS)
+    guard = createCallGuard('openai')
+    provider = createOpenAIProvider({ baseUrl: fake.url })
+  })
+
+  const call = () => guard.run('interpretQuery', () => provider.interpretQuery({ prompt: 'teste' }))
+
+  test('tenta de novo após 503 e falha de conexão', async () => {
+    fake.script(['503', 'drop', '503', '200'])
+    const result = await call()
+    assert.equal(result.model, 'gpt-4o-mini')
+    assert.equal(fake.requests(), 4)
+    assert.equal(guard.status().totals.retries, 3)
+    assert.equal(guard.status().circuit, 'closed')
+  })
+
+  test('respeita o Retry-After do 429', async () => {
+    fake.script(['429:1', '200'])
+    const started = Date.now()
+    await call()
+    assert.equal(fake.requests(), 2)
+    assert.ok(Date.now() - started >= 1000, 'a segunda tentativa espera o Retry-After')
+  })
+
+  test('desiste quando o Retry-After passa de AI_RETRY_MAX_MS', async () => {
+    fake.script(['429:120'])
+    const started = Date.now()
+    const error = await call().catch(caught => caught)
+    assert.ok(error instanceof ProviderUnavailableError)
+    assert.equal(error.retryAfterMs, 120000)
+    assert.equal(fake.requests(), 1)
+    assert.ok(Date.now() - started < 1000, 'não espera os 120 s')
+  })
+
+  test('desiste depois de AI_MAX_RETRIES retentativas', async () => {
+    process.env.AI_MAX_RETRIES = '2'
+    fake.script(['503', '503', '503', '503'])
+    const error = await call().catch(caught => caught)
+    assert.ok(error instanceof ProviderUnavailableError)
+    assert.equal(error.status, 503)
+    assert.equal(fake.requests(), 3)
+  })
+
+  test('não tenta de novo um 400', async () => {
+    fake.script(['400'])
+    const error = await call().catch(caught => caught)
+    assert.ok(!(error instanceof ProviderUnavailableError))
+    assert.equal(error.status, 400)
+    assert.equal(fake.requests(), 1)
+    assert.equal(guard.status().consecutiveFailures, 0)
+  })
+
+  test('limita as chamadas simultâneas a AI_MAX_CONCURRENCY', async () => {
+    process.env.AI_MAX_CONCURRENCY = '2'
+    fake.script(Array(5).fill('200@200'))
+
+    const calls = Array.from({ length: 5 }, call)
+    await sleep(100)
+    assert.equal(guard.status().active, 2)
+    assert.equal(guard.status().waiting, 3)
+
+    await Promise.all(calls)
+    assert.equal(fake.requests(), 5)
+    assert.equal(fake.maxActive(), 2)
+    assert.equal(guard.status().active, 0)
+  })
+
+  test('circuito abre, testa uma chamada e fecha ou reabre', async () => {
+    Object.assign(process.env, { AI_MAX_RETRIES: '0', AI_BREAKER_THRESHOLD: '2', AI_BREAKER_COOLDOWN_MS: '200' })
+    fake.script(['503', '503'])
+    await call().catch(() => {})
+    assert.equal(guard.status().circuit, 'closed')
+    await call().catch(() => {})
+    assert.equal(guard.status().circuit, 'open')
+
+    // Aberto: rejeita sem chamar o provedor
+    const rejected = await call().catch(caught => caught)
+    assert.ok(rejected instanceof ProviderUnavailableError)
+    assert.ok(rejected.retryAfterMs > 0)
+    assert.equal(fake.requests(), 2)
+
+    // Depois do cooldown, uma chamada de teste; a falha reabre o circuito
+    await sleep(250)
+    assert.equal(guard.status().circuit, 'half_open')
+    fake.script(['503'])
+    await call().catch(() => {})
+    assert.equal(fake.requests(), 1)
+    assert.equal(guard.status().circuit, 'open')
+
+    // O sucesso da chamada de teste fecha o circuito
+    await sleep(250)
+    fake.script(['200'])
+    await call()
+    assert.equal(guard.status().circuit, 'closed')
+    assert.equal(guard.status().consecutiveFailures, 0)
+  })
+
+  test('no meio-aberto, só uma chamada de teste passa', async () => {
+    Object.assign(process.env, { AI_MAX_RETRIES: '0', AI_BREAKER_THRESHOLD: '1', AI_BREAKER_COOLDOWN_MS: '100' })
+    fake.script(['503'])
+    await call().catch(() => {})
+    await sleep(150)
+
+    fake.script(['200@200', '200'])
+    const [probe, concurrent] = await Promise.allSettled([call(), call()])
+    assert.equal(probe.status, 'fulfilled')
+    assert.ok(concurrent.reason instanceof ProviderUnavailableError)
+    assert.equal(fake.requests(), 1)
+  })
+})
+
+describe('GET /api/providers/status', () => {
+  let server
+  let client
+
+  before(async () => {
+    server = await startServer({
+      AI_PROVIDER: 'openai',
+      OPENAI_BASE_URL: fake.url,
+      AI_MAX_RETRIES: '0',
+      AI_BREAKER_THRESHOLD: '2',
+      AI_BREAKER_COOLDOWN_MS: '300'
+    })
+    ;({ client } = await registerUser(server.url, 'status@example.com'))
+  })
+
+  after(async () => {
+    await server?.stop()
+  })
+
+  async function openaiStatus() {
+    const { data } = await client.get('/api/providers/status')
+    return data.providers.find(provider => provider.provider === 'openai')
+  }
+
+  // A busca inteligente degrada para a busca de texto quando o provedor está indisponível
+  async function search() {
+    const { status, data } = await client.post('/api/search', { query: 'passaporte' })
+    assert.equal(status, 200)
+    return data
+  }
+
+  test('mostra o circuito aberto, meio-aberto, reaberto e fechado', async () => {
+    fake.script(['503', '503'])
+    await search()
+    await search()
+    let status = await openaiStatus()
+    assert.equal(status.circuit, 'open')
+    assert.equal(status.consecutiveFailures, 2)
+    assert.ok(status.retryAt)
+    assert.equal(status.lastError.status, 503)
+
+    const { warning } = await search()
+    assert.ok(warning, 'a busca avisa que o provedor está indisponível')
+    assert.equal(fake.requests(), 2)
+    assert.equal((await openaiStatus()).totals.rejected, 1)
+
+    await sleep(350)
+    assert.equal((await openaiStatus()).circuit, 'half_open')
+    fake.script(['503'])
+    await search()
+    assert.equal((await openaiStatus()).circuit, 'open')
+
+    await sleep(350)
+    fake.script(['200'])
+    await search()
+    status = await openaiStatus()
+    assert.equal(status.circuit, 'closed')
+    assert.equal(status.consecutiveFailures, 0)
+    assert.equal(status.retryAt, null)
+  })
+})
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { startServer, registerUser, waitFor, queryDatabase } from './helpers.js'
+
+// Uploads e buscas simultâneos de dois usuários: cada custo em api_costs deve apontar para a
+// operação (imagem ou busca) e o usuário que o geraram
+
+const UPLOADS_PER_USER = 3
+const SEARCHES_PER_USER = 3
+
+let server
+
+before(async () => {
+  server = await startServer()
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+// PNGs diferentes (cores distintas) para não serem tratados como duplicatas
+async function uploadForm(names, seed) {
+  const form = new FormData()
+  for (const [index, name] of names.entries()) {
+    const png = await sharp({
+      create: { width: 32, height: 32, channels: 3, background: { r: seed * 40 % 256, g: index * 70 % 256, b: 128 } }
+    }).png().toBuffer()
+    form.append('images', new Blob([png], { type: 'image/png' }), name)
+  }
+  return form
+}
+
+function parseDetails(row) {
+  return row.details ? JSON.parse(row.details) : {}
+}
+
+test('custos de uploads e buscas simultâneos são atribuídos à operação e ao usuário certos', async () => {
+  const users = await Promise.all([1, 2].map(n => registerUser(server.url, `concorrencia-${n}@example.com`)))
+
+  // Um upload por arquivo e todas as buscas ao mesmo tempo, dos dois usuários
+  const requests = users.flatMap(({ client }, userIndex) => [
+    ...Array.from({ length: UPLOADS_PER_USER }, async (_, i) => {
+      const { status, data } = await client.post('/api/upload', await uploadForm([`doc-${userIndex}-${i}.png`], userIndex * 10 + i))
+      assert.equal(status, 202, JSON.stringify(data))
+    }),
+    ...Array.from({ length: SEARCHES_PER_USER }, async (_, i) => {
+      const { status, data } = await client.post('/api/search', { query: `busca ${userIndex}-${i} passaporte` })
+      assert.equal(status, 200, JSON.stringify(data))
+    })
+  ])
+  await Promise.all(requests)
+
+  for (const { client } of users) {
+    await waitFor(async () => {
+      const { data } = await client.get('/api/jobs')
+      return data.jobs.length === UPLOADS_PER_USER && data.jobs.every(job => job.status === 'done')
+    }, { message: 'a análise das imagens' })
+  }
+
+  const images = await queryDatabase(server.databasePath, 'SELECT id, filename, owner_id FROM images')
+  const searches = await queryDatabase(server.databasePath, 'SELECT id, query, owner_id FROM searches')
+  const costs = await queryDatabase(server.databasePath, 'SELECT * FROM api_costs')
+  const imagesById = new Map(images.map(image => [image.id, image]))
+  const searchesById = new Map(searches.map(search => [search.id, search]))
+
+  assert.equal(images.length, users.length * UPLOADS_PER_USER)
+  assert.equal(searches.length, users.length * SEARCHES_PER_USER)
+
+  const analyses = costs.filter(cost => cost.operation_type === 'image_analysis')
+  assert.equal(analyses.length, images.length)
+  for (const cost of analyses) {
+    const image = imagesById.get(cost.operation_id)
+    assert.ok(image, `análise ${cost.id} aponta para uma imagem inexistente (${cost.operation_id})`)
+    assert.ok(parseDetails(cost).imagePath.endsWith(image.filename), `análise ${cost.id} atribuída à imagem errada`)
+    assert.equal(cost.owner_id, image.owner_id)
+  }
+
+  const searchCosts = costs.filter(cost => cost.operation_type === 'search')
+  assert.equal(searchCosts.length, searches.length)
+  for (const cost of searchCosts) {
+    const search = searchesById.get(cost.operation_id)
+    assert.ok(search, `busca ${cost.id} aponta para uma busca inexistente (${cost.operation_id})`)
+    assert.equal(parseDetails(cost).query, search.query, `custo ${cost.id} atribuído à busca errada`)
+    assert.equal(cost.owner_id, search.owner_id)
+  }
+
+  // Embeddings da consulta, na busca, e da imagem, na análise
+  const queryEmbeddings = costs.filter(cost => cost.operation_type === 'query_embedding')
+  assert.equal(queryEmbeddings.length, searches.length)
+  for (const cost of queryEmbeddings) {
+    const search = searchesById.get(cost.operation_id)
+    assert.equal(search?.query, parseDetails(cost).query, `embedding ${cost.id} atribuído à busca errada`)
+    assert.equal(cost.owner_id, search.owner_id)
+  }
+
+  const imageEmbeddings = costs.filter(cost => cost.operation_type === 'image_embedding')
+  assert.equal(imageEmbeddings.length, images.length)
+  for (const cost of imageEmbeddings) {
+    assert.deepEqual(parseDetails(cost).imageIds, [cost.operation_id], `embedding ${cost.id} atribuído à imagem errada`)
+    assert.equal(cost.owner_id, imagesById.get(cost.operation_id).owner_id)
+  }
+
+  assert.deepEqual(
+    costs.filter(cost => !['image_analysis', 'search', 'query_embedding', 'image_embedding'].includes(cost.operation_type)).map(cost => cost.operation_type),
+    []
+  )
+})
@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { startServer, registerUser, waitFor, queryDatabase } from './helpers.js'
+
+// Cópia idêntica enviada depois: reaproveita a análise, inclusive os campos do documento
+
+let server
+let client
+let png
+
+before(async () => {
+  server = await startServer()
+  ;({ client } = await registerUser(server.url, 'copias@example.com'))
+  png = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).png().toBuffer()
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+async function upload(name) {
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), name)
+  const { data } = await client.post('/api/upload', form)
+  return data.images[0]
+}
+
+test('o mesmo arquivo enviado duas vezes mantém os campos estruturados', async () => {
+  const original = await upload('passaporte.png')
+  await waitFor(async () => (await client.get('/api/jobs')).data.jobs.every(job => job.status === 'done'), { message: 'a análise' })
+
+  const fields = { number: 'CA123456', surname: 'Silva', expiryDate: '2031-05-20' }
+  const edited = await client.patch(`/api/images/${original.id}/fields`, { schema: 'passport', fields })
+  assert.equal(edited.status, 200, JSON.stringify(edited.data))
+
+  const copy = await upload('passaporte-de-novo.png')
+  assert.equal(copy.duplicate_of, original.id)
+  assert.equal(copy.analysis_status, 'done')
+
+  const { data } = await client.get(`/api/images/${copy.id}/fields`)
+  assert.equal(data.schema, 'passport')
+  const values = Object.fromEntries(data.fields.filter(field => field.value !== null).map(field => [field.key, field.value]))
+  assert.deepEqual(values, fields)
+
+  // Os valores também entram na busca de texto da cópia
+  const [row] = await queryDatabase(server.databasePath, 'SELECT fields_text FROM images WHERE id = ?', [copy.id])
+  assert.match(row.fields_text, /CA123456/)
+})
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+import { generateKey } from '../encryption.js'
+import { startServer, registerUser, waitFor, runCli } from './helpers.js'
+
+// Arquivos criptografados no upload, rotação da chave mestra e leitura depois da rotação
+
+const FIRST_KEY = generateKey()
+const SECOND_KEY = generateKey()
+
+let server
+let client
+let png
+let image
+
+before(async () => {
+  server = await startServer({ ENCRYPTION_KEY: FIRST_KEY })
+  ;({ client } = await registerUser(server.url, 'cripto@example.com'))
+
+  png = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).png().toBuffer()
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), 'passaporte.png')
+  image = (await client.post('/api/upload', form)).data.images[0]
+  await waitFor(async () => (await client.get('/api/jobs')).data.jobs.every(job => job.status === 'done'), { message: 'a análise' })
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+const uploadedFile = () => path.join(server.dir, 'uploads', image.filename)
+
+async function encryptionStatus(env) {
+  const { code, output } = await runCli(server, 'encryption.js', ['status'], env)
+  assert.equal(code, 0, output)
+  const count = label => Number(output.match(new RegExp(`${label}:\\s+(\\d+)`))[1])
+  return { current: count('Chave atual'), previous: count('Chaves anteriores'), plain: count('Sem criptografia') }
+}
+
+test('upload grava só o arquivo criptografado e serve o original', async () => {
+  const stored = fs.readFileSync(uploadedFile())
+  assert.equal(stored.subarray(0, 4).toString(), 'GENC')
+  assert.equal(stored.indexOf(png.subarray(0, 8)), -1, 'o conteúdo em disco não é o PNG')
+  assert.deepEqual(fs.readdirSync(path.join(server.dir, 'uploads')), [image.filename])
+  assert.ok(!fs.existsSync(path.join(os.tmpdir(), image.filename)), 'o arquivo temporário do upload é apagado')
+
+  const { status, body } = await client.download(image.url)
+  assert.equal(status, 200)
+  assert.deepEqual(body, png)
+})
+
+test('rotação para uma nova chave mantém os arquivos legíveis', async () => {
+  const keys = { ENCRYPTION_KEY: SECOND_KEY, ENCRYPTION_PREVIOUS_KEYS: FIRST_KEY }
+  await server.restart(keys)
+
+  // Antes da rotação, lidos com a chave anterior
+  assert.deepEqual((await client.download(image.url)).body, png)
+  const before = await encryptionStatus(keys)
+  assert.equal(before.current, 0)
+  assert.ok(before.previous >= 1)
+
+  const { code, output } = await runCli(server, 'encryption.js', ['rotate'], keys)
+  assert.equal(code, 0, output)
+  const rotated = await encryptionStatus(keys)
+  assert.deepEqual({ previous: rotated.previous, plain: rotated.plain }, { previous: 0, plain: 0 })
+  assert.equal(rotated.current, before.previous)
+
+  // Sem a chave anterior (a sessão continua no banco): tudo foi recifrado com a nova
+  await server.restart({ ENCRYPTION_KEY: SECOND_KEY })
+  const { status, body } = await client.download(image.url)
+  assert.equal(status, 200)
+  assert.deepEqual(body, png)
+  assert.equal((await client.download(`/thumbs/${image.id}/sm`)).status, 200)
+})
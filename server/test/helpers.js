@@ -0,0 +1,285 @@
+import { spawn } from 'child_process'
+import fs from 'fs'
+import http from 'http'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import sqlite3 from 'sqlite3'
+
+// Utilitários dos testes de integração: servidor em um diretório temporário (banco, uploads e
+// miniaturas próprios, sem o .env do projeto) e um cliente HTTP que guarda o cookie de sessão
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const ROOT_DIR = path.join(__dirname, '..', '..')
+const SERVER_ENTRY = path.join(ROOT_DIR, 'server', 'index.js')
+const STARTUP_TIMEOUT_MS = 30000
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.on('error', reject)
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+/**
+ * Inicia o servidor com o provedor offline e embeddings locais
+ * @param {object} [env] - variáveis de ambiente adicionais (sobrescrevem os padrões)
+ * @returns {Promise<{url: string, dir: string, databasePath: string, output: () => string, restart: (env?: object) => Promise<void>, stop: () => Promise<void>}>}
+ */
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'galeria-test-'))
+  const port = await freePort()
+  const databasePath = path.join(dir, 'database.db')
+  let child
+  let output = ''
+
+  async function spawnServer(overrides) {
+    child = spawn(process.execPath, [SERVER_ENTRY], {
+      // Diretório temporário: o .env do projeto não é carregado
+      cwd: dir,
+      env: {
+        PATH: process.env.PATH,
+        PORT: String(port),
+        DATABASE_PATH: databasePath,
+        UPLOADS_DIR: path.join(dir, 'uploads'),
+        THUMBS_DIR: path.join(dir, 'thumbs'),
+        AI_PROVIDER: 'offline',
+        EMBEDDING_PROVIDER: 'local',
+        ALLOW_REGISTRATION: 'true',
+        ...overrides
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+
+    const started = child
+    started.stdout.on('data', chunk => { output += chunk })
+    started.stderr.on('data', chunk => { output += chunk })
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        started.kill()
+        reject(new Error(`Servidor não iniciou em ${STARTUP_TIMEOUT_MS} ms:\n${output}`))
+      }, STARTUP_TIMEOUT_MS)
+      const onData = () => {
+        if (output.includes('Servidor rodando')) {
+          clearTimeout(timer)
+          started.stdout.off('data', onData)
+          resolve()
+        }
+      }
+      started.stdout.on('data', onData)
+      started.once('exit', code => {
+        clearTimeout(timer)
+        reject(new Error(`Servidor encerrou com código ${code}:\n${output}`))
+      })
+    })
+  }
+
+  async function kill() {
+    if (child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve))
+      child.kill()
+      await exited
+    }
+  }
+
+  try {
+    await spawnServer(env)
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true })
+    throw error
+  }
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dir,
+    databasePath,
+    output: () => output,
+    // Reinicia com outras variáveis de ambiente, mantendo o banco e os arquivos
+    async restart(newEnv = {}) {
+      await kill()
+      output = ''
+      await spawnServer(newEnv)
+    },
+    async stop() {
+      await kill()
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+}
+
+/**
+ * Cliente HTTP com a sessão do usuário (cookie devolvido pelo cadastro/login)
+ */
+export function createClient(url) {
+  let cookie = null
+
+  async function request(method, route, body) {
+    const headers = {}
+    if (cookie) headers.Cookie = cookie
+    let payload = body
+    if (body !== undefined && !(body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json'
+      payload = JSON.stringify(body)
+    }
+
+    const response = await fetch(url + route, { method, headers, body: payload })
+    const setCookie = response.headers.get('set-cookie')
+    if (setCookie) cookie = setCookie.split(';')[0]
+    const data = response.headers.get('content-type')?.includes('application/json') ? await response.json() : await response.text()
+    return { status: response.status, data }
+  }
+
+  // Conteúdo binário (arquivos e miniaturas)
+  async function download(route) {
+    const response = await fetch(url + route, { headers: cookie ? { Cookie: cookie } : {} })
+    return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) }
+  }
+
+  return {
+    download,
+    get: route => request('GET', route),
+    post: (route, body) => request('POST', route, body),
+    put: (route, body) => request('PUT', route, body),
+    patch: (route, body) => request('PATCH', route, body),
+    delete: route => request('DELETE', route)
+  }
+}
+
+/**
+ * Cadastra um usuário e devolve o cliente já autenticado
+ */
+export async function registerUser(url, email = `user-${Date.now()}@example.com`, password = 'senha-de-teste') {
+  const client = createClient(url)
+  const { status, data } = await client.post('/api/auth/register', { email, password })
+  if (status !== 201) throw new Error(`Cadastro falhou (${status}): ${JSON.stringify(data)}`)
+  return { client, user: data.user }
+}
+
+/**
+ * Espera até a condição ser verdadeira (ou falha depois de timeoutMs)
+ */
+export async function waitFor(condition, { timeoutMs = 30000, intervalMs = 200, message = 'condição' } = {}) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    const result = await condition()
+    if (result) return result
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+  throw new Error(`Tempo esgotado esperando ${message}`)
+}
+
+/**
+ * Consulta o banco do servidor de teste (somente leitura)
+ */
+export function queryDatabase(databasePath, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(databasePath, sqlite3.OPEN_READONLY, error => {
+      if (error) return reject(error)
+      db.all(sql, params, (queryError, rows) => {
+        db.close()
+        if (queryError) reject(queryError)
+        else resolve(rows)
+      })
+    })
+  })
+}
+
+/**
+ * Altera o banco do servidor de teste (ex.: registros anteriores às contas)
+ */
+export function runDatabase(databasePath, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(databasePath, error => {
+      if (error) return reject(error)
+      db.run(sql, params, function (runError) {
+        db.close()
+        if (runError) reject(runError)
+        else resolve({ lastID: this.lastID, changes: this.changes })
+      })
+    })
+  })
+}
+
+/**
+ * Executa um script de linha de comando da raiz (users.js, migrate.js...) no banco e nas pastas
+ * do servidor de teste
+ * @param {object} [env] - variáveis de ambiente adicionais
+ * @returns {Promise<{code: number, output: string}>}
+ */
+export function runCli(server, script, args = [], env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, script), ...args], {
+      cwd: server.dir,
+      env: {
+        PATH: process.env.PATH,
+        DATABASE_PATH: server.databasePath,
+        UPLOADS_DIR: path.join(server.dir, 'uploads'),
+        THUMBS_DIR: path.join(server.dir, 'thumbs'),
+        ...env
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    })
+    let output = ''
+    child.stdout.on('data', chunk => { output += chunk })
+    child.stderr.on('data', chunk => { output += chunk })
+    child.on('error', reject)
+    child.on('exit', code => resolve({ code, output }))
+  })
+}
+
+/**
+ * Servidor HTTP compatível com a API da OpenAI que responde conforme um roteiro, para testar
+ * retentativas e circuit breaker. Cada passo: "200", "503", "429:<Retry-After>", "400" ou "drop"
+ * (derruba a conexão), com "@<ms>" opcional para atrasar a resposta. Sem passos, responde 200.
+ * @returns {Promise<{url: string, script: (steps: string[]) => void, requests: () => number, maxActive: () => number, close: () => Promise<void>}>}
+ */
+export async function startScriptedProvider() {
+  let steps = []
+  let requests = 0
+  let active = 0
+  let maxActive = 0
+
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', () => {
+      requests++
+      active++
+      maxActive = Math.max(maxActive, active)
+      const [step, delay] = (steps.shift() || '200').split('@')
+      const [status, retryAfter] = step.split(':')
+
+      setTimeout(() => {
+        active--
+        if (status === 'drop') return req.socket.destroy()
+        const headers = { 'Content-Type': 'application/json' }
+        if (retryAfter) headers['Retry-After'] = retryAfter
+        res.writeHead(Number(status), headers)
+        res.end(JSON.stringify(status === '200'
+          ? { model: 'gpt-4o-mini', choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+          : { error: { message: `resposta ${status} do roteiro` } }))
+      }, Number(delay) || 0)
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    script(list) {
+      steps = [...list]
+      requests = 0
+      maxActive = 0
+    },
+    requests: () => requests,
+    maxActive: () => maxActive,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections()
+      server.close(resolve)
+    })
+  }
+}
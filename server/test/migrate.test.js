@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { listMigrations, latestVersion } from '../migrate.js'
+import { queryDatabase, runDatabase, runCli } from './helpers.js'
+
+// npm run migrate em um banco vazio: aplicar, reverter uma a uma e aplicar de novo
+
+let gallery
+
+before(() => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'galeria-test-'))
+  gallery = { dir, databasePath: path.join(dir, 'database.db') }
+})
+
+after(() => {
+  fs.rmSync(gallery.dir, { recursive: true, force: true })
+})
+
+async function migrate(...args) {
+  const { code, output } = await runCli(gallery, 'migrate.js', args)
+  assert.equal(code, 0, output)
+  return output
+}
+
+async function appliedVersions() {
+  const rows = await queryDatabase(gallery.databasePath, 'SELECT version FROM schema_migrations ORDER BY version')
+  return rows.map(row => row.version)
+}
+
+// Esquema completo (tabelas, índices e triggers), sem o registro das migrações
+function schema() {
+  return queryDatabase(
+    gallery.databasePath,
+    `SELECT type, name, sql FROM sqlite_master
+     WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations' ORDER BY type, name`
+  )
+}
+
+test('up aplica todas as migrações e down 0 reverte todas', async () => {
+  const output = await migrate('up')
+  assert.match(output, new RegExp(`${listMigrations().length} migração\\(ões\\) aplicada\\(s\\)`))
+  assert.deepEqual(await appliedVersions(), listMigrations().map(migration => migration.version))
+  const fresh = await schema()
+
+  await migrate('down', '0')
+  assert.deepEqual(await appliedVersions(), [])
+  assert.deepEqual(await schema(), [])
+
+  await migrate('up')
+  assert.deepEqual(await schema(), fresh)
+  assert.match(await migrate('up'), /Nenhuma migração pendente/)
+})
+
+test('cada migração reverte e reaplica sem perder os dados', async () => {
+  await runDatabase(gallery.databasePath, `INSERT INTO users (email, password_hash) VALUES ('dona@example.com', 'x')`)
+  await runDatabase(
+    gallery.databasePath,
+    `INSERT INTO images (filename, originalname, mimetype, size, owner_id) VALUES ('a.png', 'a.png', 'image/png', 1, 1)`
+  )
+  const fresh = await schema()
+
+  // Sem versão, down reverte só a última; até a migração que cria as contas (009)
+  const versions = listMigrations().map(migration => migration.version).filter(version => version > 9)
+  for (const version of versions.reverse()) {
+    assert.equal((await appliedVersions()).at(-1), version)
+    await migrate('down')
+  }
+  assert.equal((await appliedVersions()).at(-1), 9)
+
+  await migrate('up', String(latestVersion()))
+  assert.deepEqual(await schema(), fresh)
+
+  const [image] = await queryDatabase(gallery.databasePath, 'SELECT filename, owner_id FROM images')
+  assert.deepEqual(image, { filename: 'a.png', owner_id: 1 })
+})
@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateCost, priceFor, PricingError } from '../pricing.js'
+import { startServer } from './helpers.js'
+
+// Tabela de preços: custo pelos tokens e recusa de modelos sem preço
+
+test('custo do gemini-2.5-flash por 1M de tokens', () => {
+  assert.deepEqual(priceFor('gemini-2.5-flash'), { from: '2024-01-01', input: 0.30, imageInput: 0.30, output: 2.50 })
+
+  const cost = calculateCost('gemini-2.5-flash', { inputTokens: 1000000, outputTokens: 1000000 })
+  assert.equal(cost.totalCostUSD, 2.80)
+  assert.equal(cost.totalCostBRL, 14)
+})
+
+test('versão datada usa o preço do modelo base', () => {
+  assert.equal(calculateCost('gpt-4o-mini-2024-07-18', { inputTokens: 1000000 }).totalCostUSD, 0.15)
+})
+
+test('modelo sem preço não é registrado com custo zero', () => {
+  assert.throws(() => calculateCost('modelo-desconhecido', { inputTokens: 1000 }), PricingError)
+})
+
+test('servidor não inicia com um modelo sem preço', async () => {
+  await assert.rejects(
+    startServer({ AI_PROVIDER: 'openai', OPENAI_MODEL: 'modelo-desconhecido' }),
+    /Modelo "modelo-desconhecido" sem preço em pricing.json/
+  )
+})
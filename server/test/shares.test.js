@@ -0,0 +1,110 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import sharp from 'sharp'
+import { startServer, registerUser } from './helpers.js'
+
+// Senha dos links de compartilhamento (tamanho mínimo e bloqueio por tentativas erradas) e
+// cabeçalhos dos arquivos servidos pelo link
+
+const PASSWORD = 'senha-do-link'
+
+let server
+let owner
+let imageId
+
+before(async () => {
+  server = await startServer({ SHARE_MAX_ATTEMPTS: '3' })
+  owner = await registerUser(server.url, 'dono@example.com')
+
+  const png = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).png().toBuffer()
+  const form = new FormData()
+  form.append('images', new Blob([png], { type: 'image/png' }), 'documento.png')
+  const { data } = await owner.client.post('/api/upload', form)
+  imageId = data.images[0].id
+})
+
+after(async () => {
+  await server?.stop()
+})
+
+async function createShare(password) {
+  return owner.client.post('/api/shares', { name: 'Advogado', imageIds: [imageId], password })
+}
+
+// Envia a senha como o formulário da página pública, sem seguir o redirecionamento
+async function submitPassword(share, password) {
+  const response = await fetch(server.url + share.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ password }),
+    redirect: 'manual'
+  })
+  return response.status
+}
+
+async function failedAttempts(share) {
+  const { data } = await owner.client.get('/api/audit?action=share_password_failed')
+  return data.events.filter(event => event.details.shareId === share.id)
+}
+
+test('senha do link com menos de 8 caracteres é recusada', async () => {
+  const { status, data } = await createShare('1234567')
+  assert.equal(status, 400)
+  assert.match(data.error, /pelo menos 8 caracteres/)
+})
+
+test('senhas erradas seguidas bloqueiam o link e ficam na auditoria', async () => {
+  const { data: { share } } = await createShare(PASSWORD)
+
+  assert.equal(await submitPassword(share, 'errada-1'), 401)
+  assert.equal(await submitPassword(share, 'errada-2'), 401)
+  assert.equal(await submitPassword(share, 'errada-3'), 429)
+
+  // Bloqueado: nem a senha certa é aceita
+  assert.equal(await submitPassword(share, PASSWORD), 429)
+
+  const events = await failedAttempts(share)
+  assert.equal(events.length, 3)
+  assert.ok(events.some(event => event.details.lockedUntil), 'a tentativa que bloqueou registra lockedUntil')
+})
+
+test('tentativas em paralelo não passam do limite antes do bloqueio', async () => {
+  const { data: { share } } = await createShare(PASSWORD)
+
+  const statuses = await Promise.all(Array.from({ length: 10 }, (_, i) => submitPassword(share, `paralela-${i}`)))
+  assert.equal(statuses.filter(status => status === 401).length, 2)
+  assert.equal(statuses.filter(status => status === 429).length, 8)
+  assert.equal((await failedAttempts(share)).length, 3)
+})
+
+test('senha certa libera o link e zera a contagem', async () => {
+  const { data: { share } } = await createShare(PASSWORD)
+
+  assert.equal(await submitPassword(share, 'errada-1'), 401)
+  assert.equal(await submitPassword(share, 'errada-2'), 401)
+  assert.equal(await submitPassword(share, PASSWORD), 303)
+  assert.equal(await submitPassword(share, 'errada-3'), 401)
+  assert.equal(await submitPassword(share, 'errada-4'), 401)
+})
+
+test('arquivos do link: SVG só como download, sem sniffing e em sandbox', async () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><script>alert(document.cookie)</script></svg>'
+  const form = new FormData()
+  form.append('images', new Blob([svg], { type: 'image/svg+xml' }), 'desenho.svg')
+  const svgId = (await owner.client.post('/api/upload', form)).data.images[0].id
+
+  const { data: { share } } = await owner.client.post('/api/shares', { name: 'Contador', imageIds: [imageId, svgId] })
+  const fetchFile = id => fetch(`${server.url}${share.url}/files/${id}`)
+
+  const png = await fetchFile(imageId)
+  assert.equal(png.status, 200)
+  assert.equal(png.headers.get('content-disposition'), null)
+  assert.equal(png.headers.get('x-content-type-options'), 'nosniff')
+  assert.equal(png.headers.get('content-security-policy'), 'sandbox')
+
+  const script = await fetchFile(svgId)
+  assert.equal(script.status, 200)
+  assert.match(script.headers.get('content-disposition'), /^attachment; filename=".*\.svg"/)
+  assert.equal(script.headers.get('x-content-type-options'), 'nosniff')
+  assert.equal(script.headers.get('content-security-policy'), 'sandbox')
+})
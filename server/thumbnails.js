@@ -0,0 +1,103 @@
+import sharp from 'sharp'
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs'
+import path from 'path'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+import { readFileDecrypted, writeFileEncrypted } from './encryption.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+
+export const thumbsDir = process.env.THUMBS_DIR ? path.resolve(process.env.THUMBS_DIR) : path.join(__dirname, 'thumbs')
+
+// Largura máxima (px) de cada tamanho de miniatura
+export const THUMBNAIL_SIZES = {
+  sm: 256,
+  md: 512,
+  lg: 1024
+}
+
+// Gerações em andamento, para não processar a mesma imagem duas vezes em paralelo
+const inFlight = new Map()
+
+export function thumbnailPath(imageId, size) {
+  return path.join(thumbsDir, String(imageId), `${size}.webp`)
+}
+
+export function thumbnailUrls(imageId) {
+  return Object.fromEntries(
+    Object.keys(THUMBNAIL_SIZES).map(size => [size, `/thumbs/${imageId}/${size}`])
+  )
+}
+
+/**
+ * Renderiza a primeira página de um PDF como PNG na largura indicada
+ */
+async function renderPdfFirstPage(original, width) {
+  const data = new Uint8Array(original)
+  const doc = await getDocument({ data, verbosity: 0 }).promise
+  try {
+    const page = await doc.getPage(1)
+    const scale = width / page.getViewport({ scale: 1 }).width
+    const viewport = page.getViewport({ scale })
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height))
+
+    // Fundo branco: páginas de PDF não têm fundo próprio
+    context.fillStyle = '#ffffff'
+    context.fillRect(0, 0, canvas.width, canvas.height)
+
+    await page.render({ canvasContext: context, viewport, canvas }).promise
+    return canvas.toBuffer('image/png')
+  } finally {
+    await doc.destroy()
+  }
+}
+
+async function generate(image, filePath) {
+  const largest = Math.max(...Object.values(THUMBNAIL_SIZES))
+  const original = await readFileDecrypted(filePath)
+  const source = image.mimetype === 'application/pdf'
+    ? await renderPdfFirstPage(original, largest)
+    : original
+
+  const dir = path.join(thumbsDir, String(image.id))
+  fs.mkdirSync(dir, { recursive: true })
+
+  // As miniaturas mostram o documento: são criptografadas como o original
+  for (const [size, width] of Object.entries(THUMBNAIL_SIZES)) {
+    const thumbnail = await sharp(source, { pages: 1 })
+      .rotate() // respeitar orientação EXIF de fotos de celular
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer()
+    await writeFileEncrypted(thumbnailPath(image.id, size), thumbnail)
+  }
+}
+
+/**
+ * Gera as miniaturas WebP (todos os tamanhos) de uma imagem ou PDF
+ * @param {{id: number, mimetype: string}} image
+ * @param {string} filePath - caminho do arquivo original
+ */
+export function generateThumbnails(image, filePath) {
+  if (!inFlight.has(image.id)) {
+    const promise = generate(image, filePath).finally(() => inFlight.delete(image.id))
+    inFlight.set(image.id, promise)
+  }
+  return inFlight.get(image.id)
+}
+
+/**
+ * Retorna o caminho da miniatura, gerando-a se ainda não existir
+ * (imagens enviadas antes das miniaturas ou geração que falhou no upload)
+ */
+export async function ensureThumbnail(image, filePath, size) {
+  const target = thumbnailPath(image.id, size)
+  if (!fs.existsSync(target)) {
+    await generateThumbnails(image, filePath)
+  }
+  return target
+}
+
+export function deleteThumbnails(imageId) {
+  fs.rmSync(path.join(thumbsDir, String(imageId)), { recursive: true, force: true })
+}
@@ -0,0 +1,49 @@
+import { dbAll, dbGet, dbUpdate } from './db.js'
+
+// Lido a cada chamada: os módulos são carregados antes do .env. 0 desativa a limpeza automática.
+export function trashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10)
+  return Number.isInteger(days) && days >= 0 ? days : 30
+}
+
+/**
+ * Move a imagem para a lixeira (o arquivo e os vínculos são mantidos)
+ */
+export function moveToTrash(imageId) {
+  return dbUpdate('UPDATE images SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL', [imageId])
+}
+
+export function restoreFromTrash(imageId) {
+  return dbUpdate('UPDATE images SET deleted_at = NULL WHERE id = ?', [imageId])
+}
+
+/**
+ * Imagens na lixeira do usuário, da exclusão mais recente para a mais antiga,
+ * com a data prevista da limpeza automática (purge_at, null se desativada)
+ */
+export async function listTrash(ownerId) {
+  const days = trashRetentionDays()
+  return dbAll(
+    `SELECT images.*, CASE WHEN ? > 0 THEN datetime(deleted_at, ?) END AS purge_at
+     FROM images
+     WHERE owner_id = ? AND deleted_at IS NOT NULL
+     ORDER BY deleted_at DESC, id DESC`,
+    [days, `+${days} days`, ownerId]
+  )
+}
+
+export function getTrashedImage(id, ownerId) {
+  return dbGet('SELECT * FROM images WHERE id = ? AND owner_id = ? AND deleted_at IS NOT NULL', [id, ownerId])
+}
+
+/**
+ * Imagens há mais de TRASH_RETENTION_DAYS dias na lixeira (de todos os usuários)
+ */
+export function findExpiredTrash() {
+  const days = trashRetentionDays()
+  if (days === 0) return Promise.resolve([])
+  return dbAll(
+    `SELECT * FROM images WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+    [`-${days} days`]
+  )
+}
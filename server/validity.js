@@ -0,0 +1,68 @@
+// Validade de documentos a partir das datas extraídas pela análise
+
+// Documentos que vencem dentro deste número de dias são sinalizados como "a vencer".
+// Lido a cada chamada: os módulos são carregados antes do .env
+export function expiryWarningDays() {
+  return parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 60
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function isValidDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+/**
+ * Normaliza uma data retornada pela IA para YYYY-MM-DD.
+ * Aceita YYYY-MM-DD e o formato europeu/brasileiro DD/MM/YYYY (também com "." ou "-").
+ * @returns {string|null} null se ausente ou inválida
+ */
+export function normalizeDate(value) {
+  if (!value || typeof value !== 'string') return null
+  const text = value.trim()
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  let year, month, day
+  if (match) {
+    [, year, month, day] = match.map(Number)
+  } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number)
+  } else {
+    return null
+  }
+
+  if (!isValidDate(year, month, day)) return null
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * Data local de hoje (ou deslocada em N dias) no formato YYYY-MM-DD
+ */
+export function localDate(offsetDays = 0) {
+  const date = new Date()
+  date.setDate(date.getDate() + offsetDays)
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Situação de validade de um documento
+ * @param {string|null} expiryDate - YYYY-MM-DD
+ * @param {number} warningDays
+ * @returns {{status: 'valid'|'expiring'|'expired', daysUntilExpiry: number}|null} null sem data de validade
+ */
+export function getValidity(expiryDate, warningDays = expiryWarningDays()) {
+  if (!expiryDate) return null
+
+  const daysUntilExpiry = Math.round((Date.parse(expiryDate) - Date.parse(localDate())) / DAY_MS)
+  let status = 'valid'
+  if (daysUntilExpiry < 0) {
+    status = 'expired'
+  } else if (daysUntilExpiry <= warningDays) {
+    status = 'expiring'
+  }
+
+  return { status, daysUntilExpiry }
+}
@@ -1,4 +1,138 @@
-import { useState, useEffect, useRef } from 'react'
+import { Fragment, useState, useEffect, useRef } from 'react'
+
+// Status finais de um arquivo no painel de upload
+const FINAL_UPLOAD_STATUSES = ['saved', 'failed', 'deferred']
+
+const UPLOAD_STATUS_LABELS = {
+  uploading: 'Enviando',
+  queued: 'Na fila',
+  analyzing: 'Analisando',
+  retrying: 'Nova tentativa',
+  deferred: 'Adiado',
+  saved: 'Salvo',
+  failed: 'Falhou'
+}
+
+const CHECKLIST_STATUS_LABELS = {
+  missing: 'Falta',
+  have: 'Tenho',
+  submitted: 'Entregue'
+}
+
+const CHECKLIST_STATUS_CLASSES = {
+  missing: 'text-muted-foreground',
+  have: 'text-green-600 dark:text-green-400',
+  submitted: 'text-blue-600 dark:text-blue-400'
+}
+
+// Cores do selo de validade do documento
+// Opções de validade dos links de compartilhamento (horas)
+const SHARE_EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hora' },
+  { hours: 24, label: '1 dia' },
+  { hours: 7 * 24, label: '7 dias' },
+  { hours: 30 * 24, label: '30 dias' }
+]
+
+const SHARE_STATUS_LABELS = {
+  active: 'Ativo',
+  expired: 'Expirado',
+  revoked: 'Revogado'
+}
+
+const VALIDITY_BADGE_CLASSES = {
+  valid: 'bg-green-600 text-white',
+  expiring: 'bg-amber-500 text-white',
+  expired: 'bg-red-600 text-white'
+}
+
+// Metadados da análise editáveis no preview (key: campo da API, column: coluna em images)
+const METADATA_FIELDS = [
+  { key: 'documentType', column: 'ai_document_type', label: 'Tipo' },
+  { key: 'country', column: 'ai_country', label: 'País' },
+  { key: 'description', column: 'ai_description', label: 'Descrição', multiline: true },
+  { key: 'typicalUse', column: 'ai_typical_use', label: 'Uso típico' },
+  { key: 'keywords', column: 'ai_keywords', label: 'Keywords', multiline: true, placeholder: 'Separadas por vírgula' }
+]
+
+// Datas gravadas pelo SQLite (CURRENT_TIMESTAMP) estão em UTC, sem indicação de fuso
+const parseServerDate = (date) => new Date(date.replace(' ', 'T') + 'Z')
+
+// Complemento de cada evento da linha do tempo de atividade
+const auditEventSummary = (event) => {
+  const details = event.details || {}
+  switch (event.action) {
+    case 'rename': return `${details.previousName} → ${details.name}`
+    case 'search': return `"${details.query}" (${details.mode === 'smart' ? 'inteligente' : 'texto'}, ${details.results} resultado(s))`
+    case 'download': return details.archive
+    case 'edit': return details.fields?.join(', ')
+    case 'share_create':
+    case 'share_view': return details.shareName && `link "${details.shareName}"`
+    case 'share_file':
+      if (details.thumbnail) return 'miniatura pelo link'
+      return details.download ? 'download pelo link' : 'aberto pelo link'
+    case 'thumbnail': return details.size
+    case 'person_create':
+    case 'person_update':
+    case 'person_delete':
+    case 'checklist_create':
+    case 'checklist_update':
+    case 'checklist_delete': return details.name
+    case 'checklist_item_add': return `"${details.name}" em ${details.checklistName}`
+    case 'checklist_item_update':
+    case 'checklist_item_delete':
+    case 'checklist_link': return details.checklistName
+    case 'share_password_failed': return `link "${details.shareName}", ${details.failures}ª tentativa${details.lockedUntil ? ' (bloqueado)' : ''}`
+    case 'delete': return details.duplicateOf && `duplicata da imagem ${details.duplicateOf}`
+    case 'purge': return details.reason === 'retention' && 'limpeza automática da lixeira'
+    case 'backup_restore': return details.mode === 'replace' ? 'substituindo a galeria' : 'mesclado'
+    default: return null
+  }
+}
+
+// Datas de documento vêm como YYYY-MM-DD (sem fuso horário)
+const formatDocumentDate = (date) => date.split('-').reverse().join('/')
+
+// Valor de um campo estruturado do documento (datas, meses e valores monetários formatados)
+const formatFieldValue = (field) => {
+  if (field.value === null) return '—'
+  if (field.type === 'date' || field.type === 'month') return formatDocumentDate(field.value)
+  if (field.type === 'money') return Number(field.value).toLocaleString('pt-BR', { minimumFractionDigits: 2 })
+  return field.value
+}
+
+const FIELD_INPUT_TYPES = { date: 'date', month: 'month' }
+
+const BUDGET_PERIOD_LABELS = { daily: 'hoje', monthly: 'este mês' }
+
+// Saldo do orçamento de IA mais próximo do fim, mostrado ao lado da busca inteligente
+const budgetLabel = (budget) => {
+  if (budget.exceeded) {
+    return `IA esgotada ${BUDGET_PERIOD_LABELS[budget.exceeded.period]}`
+  }
+  const { remaining, currency, period } = budget.remaining
+  return `${remaining.toLocaleString('pt-BR', { style: 'currency', currency })} de IA ${BUDGET_PERIOD_LABELS[period]}`
+}
+
+const budgetTitle = (budget) => budget.limits.map(limit => {
+  const format = value => value.toLocaleString('pt-BR', { style: 'currency', currency: limit.currency })
+  const scope = limit.scope === 'global' ? 'Instalação' : 'Sua conta'
+  const renews = new Date(limit.resetAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })
+  return `${scope}, ${limit.period === 'daily' ? 'diário' : 'mensal'}: ${format(limit.spent)} de ${format(limit.limit)} (renova em ${renews})`
+}).join('\n')
+
+// Data local de hoje em YYYY-MM-DD, para comparar com prazos
+const today = () => {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+}
+
+const validityLabel = (image) => {
+  const { status, daysUntilExpiry } = image.validity
+  if (status === 'expired') return `Expirado em ${formatDocumentDate(image.expiry_date)}`
+  if (status === 'expiring') return daysUntilExpiry === 0 ? 'Vence hoje' : `Vence em ${daysUntilExpiry} dia(s)`
+  return `Válido até ${formatDocumentDate(image.expiry_date)}`
+}
 
 function App() {
   const [images, setImages] = useState([])
@@ -9,22 +143,171 @@ function App() {
   const [selectedImageIds, setSelectedImageIds] = useState([])
   const [viewMode, setViewMode] = useState('grid')
   const [dragActive, setDragActive] = useState(false)
-  const [uploadProgress, setUploadProgress] = useState(0)
+  const [uploadItems, setUploadItems] = useState([])
   const [toast, setToast] = useState(null)
   const [renamingId, setRenamingId] = useState(null)
   const [renameValue, setRenameValue] = useState('')
   const [confirmModal, setConfirmModal] = useState(null)
   const [searchResults, setSearchResults] = useState(null)
+  const [budget, setBudget] = useState(null)
   const [isSearching, setIsSearching] = useState(false)
   const [searchMode, setSearchMode] = useState('simple') // 'simple' or 'smart'
+  const [textSearchResults, setTextSearchResults] = useState(null)
+  const [textSearchVersion, setTextSearchVersion] = useState(0)
+  const [brokenThumbnailIds, setBrokenThumbnailIds] = useState([])
+  const [duplicateClusters, setDuplicateClusters] = useState([])
+  const [showDuplicates, setShowDuplicates] = useState(false)
+  const [checklists, setChecklists] = useState([])
+  const [showChecklists, setShowChecklists] = useState(false)
+  const [activeChecklist, setActiveChecklist] = useState(null)
+  const [checklistNameDraft, setChecklistNameDraft] = useState(null)
+  const [newChecklistItem, setNewChecklistItem] = useState('')
+  const [people, setPeople] = useState([])
+  const [showPeople, setShowPeople] = useState(false)
+  const [newPerson, setNewPerson] = useState({ name: '', relationship: '', birthDate: '', nationality: '' })
+  const [personFilter, setPersonFilter] = useState('') // '' todas, 'none' sem pessoa, ou id
+  const [shares, setShares] = useState([])
+  const [showShares, setShowShares] = useState(false)
+  const [shareDraft, setShareDraft] = useState(null) // { name, expiresInHours, password, imageIds }
+  const [metadataDraft, setMetadataDraft] = useState(null) // { description, keywords, documentType, country, typicalUse }
+  const [documentFields, setDocumentFields] = useState(null) // { schema, label, fields, schemas } da imagem no preview
+  const [fieldsDraft, setFieldsDraft] = useState(null) // { schema, values: { campo: texto } }
+  const [trash, setTrash] = useState({ images: [], retentionDays: 0 })
+  const [showActivity, setShowActivity] = useState(false)
+  const [activity, setActivity] = useState({ events: [], actions: {}, nextBefore: null })
+  const [activityFilters, setActivityFilters] = useState({ action: '', imageId: null, imageName: '', from: '', to: '' })
+  const [showTrash, setShowTrash] = useState(false)
+  const [user, setUser] = useState(undefined) // undefined: verificando sessão; null: não autenticado
+  const [authMode, setAuthMode] = useState('login') // 'login' or 'register'
+  const [registrationOpen, setRegistrationOpen] = useState(false)
+  const [authForm, setAuthForm] = useState({ name: '', email: '', password: '' })
+  const [authError, setAuthError] = useState(null)
+  const [authSubmitting, setAuthSubmitting] = useState(false)
 
   const fileInputRef = useRef(null)
   const dropZoneRef = useRef(null)
   const uploadFilesRef = useRef(null)
   const setDragActiveRef = useRef(null)
+  const uploadSourceRef = useRef(null)
+  const analysisStatusRef = useRef(new Map())
 
   useEffect(() => {
+    const checkSession = async () => {
+      try {
+        const response = await fetch('/api/auth/me')
+        const data = await response.json()
+        setUser(data.success ? data.user : null)
+        setRegistrationOpen(Boolean(data.registrationOpen))
+      } catch (error) {
+        console.error('Erro ao verificar sessão:', error)
+        setUser(null)
+      }
+    }
+    checkSession()
+  }, [])
+
+  // Carregar a galeria do usuário ao entrar; limpar ao sair
+  useEffect(() => {
+    if (!user) {
+      setImages([])
+      setDuplicateClusters([])
+      setChecklists([])
+      setPeople([])
+      setPersonFilter('')
+      setShares([])
+      setBudget(null)
+      setSearchResults(null)
+      setTextSearchResults(null)
+      return
+    }
     loadImages()
+    loadDuplicates()
+    loadChecklists()
+    loadPeople()
+    loadBudget()
+  }, [user?.id])
+
+  // Enquanto houver análises pendentes, atualizar a lista periodicamente
+  const hasPendingAnalysis = images.some(img => img.analysis_status === 'pending' || img.analysis_status === 'running')
+  useEffect(() => {
+    if (!hasPendingAnalysis) return
+    const interval = setInterval(loadImages, 2000)
+    return () => clearInterval(interval)
+  }, [hasPendingAnalysis])
+
+  // Ao trocar de imagem no preview, descartar a edição de metadados em andamento
+  useEffect(() => {
+    setMetadataDraft(null)
+  }, [selectedImage?.id])
+
+  // Campos estruturados da imagem no preview (recarregados quando a análise termina)
+  useEffect(() => {
+    setFieldsDraft(null)
+    if (!selectedImage || ['pending', 'running'].includes(selectedImage.analysis_status)) {
+      setDocumentFields(null)
+      return
+    }
+    loadDocumentFields(selectedImage)
+  }, [selectedImage?.id, selectedImage?.analysis_status])
+
+  // Mostrar o resultado da (re)análise no preview assim que a lista for atualizada
+  useEffect(() => {
+    if (!selectedImage || !['pending', 'running'].includes(selectedImage.analysis_status)) return
+    const fresh = images.find(img => img.id === selectedImage.id)
+    if (fresh && fresh.analysis_status !== selectedImage.analysis_status) {
+      setSelectedImage(fresh)
+    }
+  }, [images])
+
+  // Refazer a busca simples quando análises terminam (o índice mudou), e não a cada atualização da lista
+  useEffect(() => {
+    const previous = analysisStatusRef.current
+    const finished = images.some(img =>
+      ['pending', 'running'].includes(previous.get(img.id)) && !['pending', 'running'].includes(img.analysis_status))
+    analysisStatusRef.current = new Map(images.map(img => [img.id, img.analysis_status]))
+    if (finished) setTextSearchVersion(version => version + 1)
+  }, [images])
+
+  // Busca simples no índice de texto completo do servidor (com debounce)
+  useEffect(() => {
+    const query = searchTerm.trim()
+    if (!query) {
+      setTextSearchResults(null)
+      return
+    }
+
+    const controller = new AbortController()
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`, { signal: controller.signal })
+        const data = await response.json()
+        if (data.success) {
+          setTextSearchResults(data.results)
+        }
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          console.error('Erro na busca:', error)
+        }
+      }
+    }, 250)
+
+    return () => {
+      clearTimeout(timeout)
+      controller.abort()
+    }
+  }, [searchTerm, textSearchVersion])
+
+  // Fechar o stream de eventos quando todos os arquivos chegarem a um status final
+  useEffect(() => {
+    if (uploadSourceRef.current && uploadItems.length > 0 &&
+      uploadItems.every(item => FINAL_UPLOAD_STATUSES.includes(item.status))) {
+      uploadSourceRef.current.close()
+      uploadSourceRef.current = null
+    }
+  }, [uploadItems])
+
+  useEffect(() => {
+    return () => uploadSourceRef.current?.close()
   }, [])
 
   useEffect(() => {
@@ -38,7 +321,8 @@ function App() {
   }, [darkMode])
 
   useEffect(() => {
-    uploadFilesRef.current = uploadFiles
+    // Arquivos soltos na tela de login são ignorados
+    uploadFilesRef.current = user ? uploadFiles : null
     setDragActiveRef.current = setDragActive
   })
 
@@ -116,6 +400,11 @@ function App() {
   const loadImages = async () => {
     try {
       const response = await fetch('/api/images')
+      if (response.status === 401) {
+        // Sessão expirada
+        setUser(null)
+        return
+      }
       const data = await response.json()
       if (data.success) {
         setImages(data.images)
@@ -126,106 +415,138 @@ function App() {
     }
   }
 
-  const uploadFiles = async (files) => {
-    const allowedTypes = ['image/', 'application/pdf']
-    const validFiles = Array.from(files).filter(file =>
-      allowedTypes.some(type => file.type.startsWith(type))
-    )
-
-    if (validFiles.length === 0) {
-      showToast('Por favor, selecione apenas imagens ou PDFs', 'error')
-      return
+  const loadDuplicates = async () => {
+    try {
+      const response = await fetch('/api/duplicates')
+      const data = await response.json()
+      if (data.success) {
+        setDuplicateClusters(data.clusters)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar duplicatas:', error)
     }
+  }
 
-    setLoading(true)
-    setUploadProgress(0)
-
+  const loadChecklists = async () => {
     try {
-      const formData = new FormData()
-      validFiles.forEach(file => {
-        formData.append('images', file)
-      })
+      const response = await fetch('/api/checklists')
+      const data = await response.json()
+      if (data.success) {
+        setChecklists(data.checklists)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar checklists:', error)
+    }
+  }
 
-      const progressInterval = setInterval(() => {
-        setUploadProgress(prev => Math.min(prev + 10, 90))
-      }, 100)
+  const submitAuth = async (e) => {
+    e.preventDefault()
+    setAuthSubmitting(true)
+    setAuthError(null)
 
-      const response = await fetch('/api/upload', {
+    try {
+      const response = await fetch(`/api/auth/${authMode}`, {
         method: 'POST',
-        body: formData
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(authForm)
       })
-
-      clearInterval(progressInterval)
-      setUploadProgress(100)
-
       const data = await response.json()
 
       if (data.success) {
-        setImages(prev => [...data.images, ...prev])
-        showToast(`${data.images.length} arquivo(s) enviado(s) com sucesso!`, 'success')
+        setAuthForm({ name: '', email: '', password: '' })
+        setUser(data.user)
       } else {
-        showToast('Upload error: ' + data.error, 'error')
+        setAuthError(data.error)
       }
     } catch (error) {
-      console.error('Upload error:', error)
-      showToast('Error uploading images', 'error')
+      console.error('Erro na autenticação:', error)
+      setAuthError('Não foi possível conectar ao servidor')
     } finally {
-      setLoading(false)
-      setTimeout(() => setUploadProgress(0), 500)
+      setAuthSubmitting(false)
     }
   }
 
-  const handleFileChange = async (e) => {
-    await uploadFiles(e.target.files)
-    e.target.value = ''
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' })
+    } catch (error) {
+      console.error('Erro ao sair:', error)
+    }
+    uploadSourceRef.current?.close()
+    uploadSourceRef.current = null
+    setUploadItems([])
+    setSelectedImage(null)
+    setSelectedImageIds([])
+    setShowChecklists(false)
+    setActiveChecklist(null)
+    setShowDuplicates(false)
+    setShowShares(false)
+    setShareDraft(null)
+    setShowTrash(false)
+    setUser(null)
   }
 
-  const handleDrag = (e) => {
-    e.preventDefault()
-    e.stopPropagation()
-    if (e.type === 'dragenter' || e.type === 'dragover') {
-      setDragActive(true)
-    } else if (e.type === 'dragleave') {
-      setDragActive(false)
+  const loadBudget = async () => {
+    try {
+      const response = await fetch('/api/budget')
+      const data = await response.json()
+      if (data.success) {
+        setBudget(data.budget)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar orçamento:', error)
     }
   }
 
-  const handleDrop = async (e) => {
-    e.preventDefault()
-    e.stopPropagation()
-    setDragActive(false)
-
-    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-      await uploadFiles(e.dataTransfer.files)
+  const loadPeople = async () => {
+    try {
+      const response = await fetch('/api/people')
+      const data = await response.json()
+      if (data.success) {
+        setPeople(data.people)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar pessoas:', error)
     }
   }
 
-  const removeImage = async (id, e) => {
-    e.stopPropagation()
+  const addPerson = async () => {
+    if (!newPerson.name.trim()) return
+
+    try {
+      const response = await fetch('/api/people', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newPerson)
+      })
+      const data = await response.json()
+      if (data.success) {
+        setNewPerson({ name: '', relationship: '', birthDate: '', nationality: '' })
+        loadPeople()
+      } else {
+        showToast(data.error || 'Erro ao adicionar pessoa', 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao adicionar pessoa:', error)
+      showToast('Erro ao adicionar pessoa', 'error')
+    }
+  }
 
+  const removePerson = (person) => {
     setConfirmModal({
-      message: 'Are you sure you want to delete this image?',
+      message: `Remover "${person.name}"? Os documentos dessa pessoa ficarão sem pessoa.`,
       onConfirm: async () => {
         try {
-          const response = await fetch(`/api/images/${id}`, {
-            method: 'DELETE'
-          })
-
+          const response = await fetch(`/api/people/${person.id}`, { method: 'DELETE' })
           const data = await response.json()
-
           if (data.success) {
-            setImages(prev => prev.filter(img => img.id !== id))
-            showToast('Image deleted successfully', 'success')
-            if (selectedImage?.id === id) {
-              setSelectedImage(null)
-            }
-            setSelectedImageIds(prev => prev.filter(imgId => imgId !== id))
-          } else {
-            showToast('Error deleting image: ' + data.error, 'error')
+            if (personFilter === String(person.id)) setPersonFilter('')
+            loadPeople()
+            loadImages()
           }
         } catch (error) {
-          console.error('Error deleting:', error)
-          showToast('Error deleting image', 'error')
+          console.error('Erro ao remover pessoa:', error)
+          showToast('Erro ao remover pessoa', 'error')
         }
         setConfirmModal(null)
       },
@@ -235,135 +556,803 @@ function App() {
     })
   }
 
-  const startRename = (image, e) => {
-    e.stopPropagation()
-    setRenamingId(image.id)
-    const nameWithoutExt = image.originalname.replace(/\.[^/.]+$/, '')
-    setRenameValue(nameWithoutExt)
-  }
-
-  const saveRename = async (id) => {
+  // Define (ou confirma a sugestão da análise) a pessoa do documento
+  const setImagePerson = async (image, personId) => {
     try {
-      const response = await fetch(`/api/images/${id}/rename`, {
+      const response = await fetch(`/api/images/${image.id}/person`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ newName: renameValue })
+        body: JSON.stringify({ personId })
       })
-
       const data = await response.json()
-
       if (data.success) {
-        setImages(prev => prev.map(img =>
-          img.id === id ? { ...img, originalname: data.originalname } : img
-        ))
-        showToast('Image renamed successfully', 'success')
-        setRenamingId(null)
-        setRenameValue('')
+        setSelectedImage(data.image)
+        setImages(prev => prev.map(img => img.id === data.image.id ? { ...img, ...data.image } : img))
+        loadPeople()
       } else {
-        showToast('Error renaming: ' + data.error, 'error')
+        showToast(data.error || 'Erro ao definir pessoa', 'error')
       }
     } catch (error) {
-      console.error('Error renaming:', error)
-      showToast('Error renaming image', 'error')
+      console.error('Erro ao definir pessoa:', error)
+      showToast('Erro ao definir pessoa', 'error')
     }
   }
 
-  const cancelRename = () => {
-    setRenamingId(null)
-    setRenameValue('')
+  const startMetadataEdit = (image) => {
+    setMetadataDraft({
+      description: image.ai_description || '',
+      keywords: (image.ai_keywords || []).join(', '),
+      documentType: image.ai_document_type || '',
+      country: image.ai_country || '',
+      typicalUse: image.ai_typical_use || ''
+    })
   }
 
-  const toggleImageSelection = (imageId, e) => {
-    e.stopPropagation()
-    setSelectedImageIds(prev => {
-      if (prev.includes(imageId)) {
-        return prev.filter(id => id !== imageId)
+  // Salva as correções; os campos editados são preservados em reanálises
+  const saveMetadata = async (image) => {
+    try {
+      const response = await fetch(`/api/images/${image.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(metadataDraft)
+      })
+      const data = await response.json()
+      if (data.success) {
+        setSelectedImage(data.image)
+        setImages(prev => prev.map(img => img.id === data.image.id ? { ...img, ...data.image } : img))
+        setMetadataDraft(null)
+        showToast('Metadados atualizados', 'success')
       } else {
-        return [...prev, imageId]
+        showToast(data.error || 'Erro ao salvar metadados', 'error')
       }
-    })
+    } catch (error) {
+      console.error('Erro ao salvar metadados:', error)
+      showToast('Erro ao salvar metadados', 'error')
+    }
   }
 
-  const selectAllVisible = () => {
-    const visibleIds = filteredImages.map(img => img.id)
-    setSelectedImageIds(visibleIds)
-    showToast(`${visibleIds.length} arquivo(s) selecionado(s)`, 'success')
+  const loadDocumentFields = async (image) => {
+    try {
+      const response = await fetch(`/api/images/${image.id}/fields`)
+      const data = await response.json()
+      if (data.success) {
+        setDocumentFields(data)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar campos:', error)
+    }
   }
 
-  const deselectAll = () => {
-    setSelectedImageIds([])
-    showToast('Seleção removida', 'success')
+  const startFieldsEdit = (schema = documentFields.schema || documentFields.schemas[0].key) => {
+    const current = schema === documentFields.schema ? documentFields.fields : []
+    const fields = documentFields.schemas.find(candidate => candidate.key === schema).fields
+    setFieldsDraft({
+      schema,
+      values: Object.fromEntries(fields.map(field => {
+        const value = current.find(item => item.key === field.key)?.value
+        return [field.key, value === null || value === undefined ? '' : String(value)]
+      }))
+    })
   }
 
-  const deleteSelectedImages = () => {
-    if (selectedImageIds.length === 0) return
-
-    const idsToDelete = [...selectedImageIds] // Capturar valor antes do async
-
-    setConfirmModal({
-      message: `Tem certeza que deseja deletar ${idsToDelete.length} arquivo(s)? Esta ação não pode ser desfeita.`,
-      onConfirm: async () => {
-        try {
-          const deletePromises = idsToDelete.map(id =>
-            fetch(`/api/images/${id}`, { method: 'DELETE' })
-          )
-
-          const results = await Promise.all(deletePromises)
-          const failed = results.filter(r => !r.ok)
+  // Envia só os campos alterados (ou todos os preenchidos, se o tipo mudou)
+  const saveDocumentFields = async (image) => {
+    const original = fieldsDraft.schema === documentFields.schema
+      ? Object.fromEntries(documentFields.fields.map(field => [field.key, field.value === null ? '' : String(field.value)]))
+      : {}
+    const fields = Object.fromEntries(
+      Object.entries(fieldsDraft.values).filter(([key, value]) => value.trim() !== (original[key] ?? ''))
+    )
+    if (Object.keys(fields).length === 0 && fieldsDraft.schema === documentFields.schema) {
+      setFieldsDraft(null)
+      return
+    }
 
-          if (failed.length === 0) {
-            setImages(prev => prev.filter(img => !idsToDelete.includes(img.id)))
-            if (selectedImage && idsToDelete.includes(selectedImage.id)) {
-              setSelectedImage(null)
-            }
-            setSelectedImageIds([])
-            showToast(`${idsToDelete.length} arquivo(s) deletado(s) com sucesso!`, 'success')
-          } else {
-            showToast(`Erro ao deletar ${failed.length} arquivo(s)`, 'error')
-          }
-        } catch (error) {
-          console.error('Erro ao deletar:', error)
-          showToast('Erro ao deletar arquivos', 'error')
-        }
-        setConfirmModal(null)
-      },
-      onCancel: () => {
-        setConfirmModal(null)
+    try {
+      const response = await fetch(`/api/images/${image.id}/fields`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ schema: fieldsDraft.schema, fields })
+      })
+      const data = await response.json()
+      if (data.success) {
+        setDocumentFields(prev => ({ ...prev, ...data }))
+        setFieldsDraft(null)
+        showToast('Campos atualizados', 'success')
+      } else {
+        showToast(data.error || 'Erro ao salvar campos', 'error')
       }
-    })
+    } catch (error) {
+      console.error('Erro ao salvar campos:', error)
+      showToast('Erro ao salvar campos', 'error')
+    }
   }
 
-  const handleImageDoubleClick = (image) => {
-    setSelectedImage(image)
+  const markAsPending = (imageIds) => {
+    const update = img => imageIds.includes(img.id) ? { ...img, analysis_status: 'pending', analysis_error: null } : img
+    setImages(prev => prev.map(update))
+    setSelectedImage(prev => prev && update(prev))
   }
 
-  const downloadSelectedImages = async () => {
-    if (selectedImageIds.length === 0) return
+  const reanalyzeImage = async (image, { discardEdits = false } = {}) => {
+    try {
+      const response = await fetch(`/api/images/${image.id}/reanalyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ discardEdits })
+      })
+      const data = await response.json()
+      if (data.success) {
+        markAsPending([image.id])
+        setMetadataDraft(null)
+        showToast('Imagem enviada para reanálise', 'success')
+      } else {
+        showToast(data.error || 'Erro ao reanalisar', 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao reanalisar:', error)
+      showToast('Erro ao reanalisar imagem', 'error')
+    }
+  }
+
+  const reanalyzeSelectedImages = async () => {
+    if (selectedImageIds.length === 0) return
+    try {
+      const response = await fetch('/api/images/reanalyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ imageIds: selectedImageIds })
+      })
+      const data = await response.json()
+      if (data.success) {
+        markAsPending(data.queued.map(item => item.imageId))
+        setSelectedImageIds([])
+        const skipped = data.skipped.length > 0 ? ` (${data.skipped.length} já na fila)` : ''
+        showToast(`${data.queued.length} arquivo(s) enviado(s) para reanálise${skipped}`, 'success')
+      } else {
+        showToast(data.error || 'Erro ao reanalisar', 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao reanalisar:', error)
+      showToast('Erro ao reanalisar arquivos', 'error')
+    }
+  }
+
+  const loadShares = async () => {
+    try {
+      const response = await fetch('/api/shares')
+      const data = await response.json()
+      if (data.success) {
+        setShares(data.shares)
+      }
+    } catch (error) {
+      console.error('Erro ao carregar links:', error)
+    }
+  }
+
+  const loadTrash = async () => {
+    try {
+      const response = await fetch('/api/trash')
+      const data = await response.json()
+      if (data.success) {
+        setTrash({ images: data.images, retentionDays: data.retentionDays })
+      }
+    } catch (error) {
+      console.error('Erro ao carregar lixeira:', error)
+    }
+  }
+
+  const restoreTrashedImage = async (image) => {
+    try {
+      const response = await fetch(`/api/trash/${image.id}/restore`, { method: 'POST' })
+      const data = await response.json()
+      if (data.success) {
+        setTrash(prev => ({ ...prev, images: prev.images.filter(img => img.id !== image.id) }))
+        loadImages()
+        loadDuplicates()
+        showToast(`"${image.originalname}" restaurado`, 'success')
+      } else {
+        showToast('Erro ao restaurar: ' + data.error, 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao restaurar:', error)
+      showToast('Erro ao restaurar arquivo', 'error')
+    }
+  }
+
+  const purgeTrashedImages = (image) => {
+    const count = image ? 1 : trash.images.length
+    if (count === 0) return
+
+    setConfirmModal({
+      message: image
+        ? `Excluir "${image.originalname}" definitivamente? Esta ação não pode ser desfeita.`
+        : `Esvaziar a lixeira (${count} arquivo(s))? Esta ação não pode ser desfeita.`,
+      onConfirm: async () => {
+        try {
+          const response = await fetch(image ? `/api/trash/${image.id}` : '/api/trash', { method: 'DELETE' })
+          const data = await response.json()
+          if (data.success) {
+            setTrash(prev => ({ ...prev, images: image ? prev.images.filter(img => img.id !== image.id) : [] }))
+            loadPeople()
+            showToast(`${count} arquivo(s) excluído(s) definitivamente`, 'success')
+          } else {
+            showToast('Erro ao excluir: ' + data.error, 'error')
+          }
+        } catch (error) {
+          console.error('Erro ao excluir:', error)
+          showToast('Erro ao excluir arquivos', 'error')
+        }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  const activityQuery = (filters, extra = {}) => {
+    const params = new URLSearchParams(extra)
+    if (filters.action) params.set('action', filters.action)
+    if (filters.imageId) params.set('imageId', filters.imageId)
+    if (filters.from) params.set('from', filters.from)
+    if (filters.to) params.set('to', filters.to)
+    return params
+  }
+
+  // Linha do tempo do registro de auditoria; com before, acrescenta a página seguinte
+  const loadActivity = async (filters, before = null) => {
+    try {
+      const response = await fetch(`/api/audit?${activityQuery(filters, before ? { before } : {})}`)
+      const data = await response.json()
+      if (data.success) {
+        setActivity(prev => ({
+          events: before ? [...prev.events, ...data.events] : data.events,
+          actions: data.actions,
+          nextBefore: data.nextBefore
+        }))
+      } else {
+        showToast(data.error || 'Erro ao carregar atividade', 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao carregar atividade:', error)
+      showToast('Erro ao carregar atividade', 'error')
+    }
+  }
+
+  const changeActivityFilters = (changes) => {
+    const filters = { ...activityFilters, ...changes }
+    setActivityFilters(filters)
+    loadActivity(filters)
+  }
+
+  // Sem imagem: toda a atividade da conta; com imagem: o histórico daquele arquivo
+  const openActivity = (image = null) => {
+    const filters = { action: '', imageId: image ? image.id : null, imageName: image ? image.originalname : '', from: '', to: '' }
+    setActivityFilters(filters)
+    setActivity({ events: [], actions: {}, nextBefore: null })
+    setShowActivity(true)
+    loadActivity(filters)
+  }
+
+  const openShareDialog = () => {
+    setShareDraft({ name: '', expiresInHours: 7 * 24, password: '', imageIds: selectedImageIds })
+    setShowShares(true)
+    loadShares()
+  }
+
+  const shareLink = (share) => `${window.location.origin}${share.url}`
+
+  const copyShareLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareLink(share))
+      showToast('Link copiado', 'success')
+    } catch (error) {
+      console.error('Erro ao copiar link:', error)
+      showToast('Não foi possível copiar o link', 'error')
+    }
+  }
+
+  const createShareLink = async () => {
+    if (!shareDraft.name.trim()) {
+      showToast('Dê um nome ao link', 'error')
+      return
+    }
 
     try {
-      for (const imageId of selectedImageIds) {
-        const image = images.find(img => img.id === imageId)
-        if (image) {
-          const response = await fetch(image.url)
-          const blob = await response.blob()
-          const url = window.URL.createObjectURL(blob)
-          const a = document.createElement('a')
-          a.href = url
-          a.download = image.originalname
-          document.body.appendChild(a)
-          a.click()
-          window.URL.revokeObjectURL(url)
-          document.body.removeChild(a)
+      const response = await fetch('/api/shares', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(shareDraft)
+      })
+      const data = await response.json()
+      if (data.success) {
+        setShareDraft(null)
+        setSelectedImageIds([])
+        loadShares()
+        await copyShareLink(data.share)
+      } else {
+        showToast(data.error || 'Erro ao criar link', 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao criar link:', error)
+      showToast('Erro ao criar link', 'error')
+    }
+  }
+
+  const revokeShareLink = (share) => {
+    setConfirmModal({
+      message: `Revogar o link "${share.name}"? Quem tiver o link não poderá mais abri-lo.`,
+      onConfirm: async () => {
+        try {
+          const response = await fetch(`/api/shares/${share.id}`, { method: 'DELETE' })
+          const data = await response.json()
+          if (data.success) {
+            loadShares()
+            showToast('Link revogado', 'success')
+          }
+        } catch (error) {
+          console.error('Erro ao revogar link:', error)
+          showToast('Erro ao revogar link', 'error')
+        }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  // Requisição que devolve a checklist atualizada (itens, vínculo, status)
+  const checklistRequest = async (url, options = {}) => {
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+        body: options.body ? JSON.stringify(options.body) : undefined
+      })
+      const data = await response.json()
+      if (data.success) {
+        setActiveChecklist(data.checklist)
+        loadChecklists()
+      } else {
+        showToast('Erro na checklist: ' + data.error, 'error')
+      }
+      return data
+    } catch (error) {
+      console.error('Erro na checklist:', error)
+      showToast('Erro ao atualizar checklist', 'error')
+      return { success: false }
+    }
+  }
+
+  const openChecklist = (id) => {
+    setShowChecklists(true)
+    checklistRequest(`/api/checklists/${id}`)
+  }
+
+  const saveSearchAsChecklist = async () => {
+    const name = (checklistNameDraft || '').trim()
+    if (!name) return
+
+    const data = await checklistRequest('/api/checklists', {
+      method: 'POST',
+      body: {
+        name,
+        query: searchTerm,
+        topic: searchResults.topic,
+        searchId: searchResults.searchId,
+        personId: searchResults.person ? searchResults.person.id : null,
+        documents: searchResults.documents
+      }
+    })
+    if (data.success) {
+      setChecklistNameDraft(null)
+      setShowChecklists(true)
+      showToast('Checklist salva', 'success')
+    }
+  }
+
+  const updateChecklistItem = (itemId, changes) => {
+    return checklistRequest(`/api/checklists/${activeChecklist.id}/items/${itemId}`, { method: 'PATCH', body: changes })
+  }
+
+  const addChecklistItem = async () => {
+    const name = newChecklistItem.trim()
+    if (!name) return
+
+    const data = await checklistRequest(`/api/checklists/${activeChecklist.id}/items`, { method: 'POST', body: { name } })
+    if (data.success) {
+      setNewChecklistItem('')
+    }
+  }
+
+  const autoLinkChecklist = async () => {
+    const data = await checklistRequest(`/api/checklists/${activeChecklist.id}/auto-link`, { method: 'POST' })
+    if (data.success) {
+      showToast(data.linked.length > 0 ? `${data.linked.length} documento(s) vinculado(s)` : 'Nenhum documento encontrado na galeria', 'success')
+    }
+  }
+
+  const removeChecklist = (checklist) => {
+    setConfirmModal({
+      message: `Excluir a checklist "${checklist.name}"?`,
+      onConfirm: async () => {
+        try {
+          const response = await fetch(`/api/checklists/${checklist.id}`, { method: 'DELETE' })
+          const data = await response.json()
+          if (data.success) {
+            if (activeChecklist?.id === checklist.id) {
+              setActiveChecklist(null)
+            }
+            loadChecklists()
+            showToast('Checklist excluída', 'success')
+          } else {
+            showToast('Erro ao excluir checklist: ' + data.error, 'error')
+          }
+        } catch (error) {
+          console.error('Erro ao excluir checklist:', error)
+          showToast('Erro ao excluir checklist', 'error')
         }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  const handleUploadEvent = (event) => {
+    if (event.type === 'saved') {
+      loadImages()
+    }
+    if (event.type === 'cost' || event.type === 'deferred') {
+      loadBudget()
+    }
+    if (event.type === 'person_suggested') {
+      loadPeople()
+    }
+    if (event.type === 'saved' || event.type === 'near_duplicate') {
+      loadDuplicates()
+    }
+
+    setUploadItems(prev => prev.map(item => {
+      if (item.index !== event.fileIndex) return item
+
+      switch (event.type) {
+        case 'bytes':
+          return { ...item, received: event.complete ? item.size : Math.min(event.received, item.size) }
+        case 'stored':
+          return { ...item, imageId: event.imageId, received: item.size, status: 'queued' }
+        case 'analysis_started':
+          return { ...item, status: 'analyzing', error: null }
+        case 'keywords_extracted':
+          return { ...item, keywordsCount: event.keywords.length, documentType: event.documentType }
+        case 'cost':
+          return { ...item, costBRL: (item.costBRL || 0) + event.costBRL }
+        case 'saved':
+          return { ...item, status: 'saved' }
+        case 'duplicate':
+          return { ...item, duplicateOf: event.duplicateOf, documentType: event.documentType }
+        case 'near_duplicate':
+          return { ...item, similarCount: event.imageIds.length }
+        case 'person_suggested':
+          return { ...item, personName: event.personName }
+        case 'rejected':
+          return { ...item, status: event.willRetry ? 'retrying' : 'failed', error: event.error }
+        case 'deferred':
+          return { ...item, status: 'deferred', error: event.error }
+        default:
+          return item
+      }
+    }))
+  }
+
+  const uploadFiles = async (files) => {
+    const allowedTypes = ['image/', 'application/pdf']
+    const validFiles = Array.from(files).filter(file =>
+      allowedTypes.some(type => file.type.startsWith(type))
+    )
+
+    if (validFiles.length === 0) {
+      showToast('Por favor, selecione apenas imagens ou PDFs', 'error')
+      return
+    }
+
+    setLoading(true)
+
+    // Abrir o stream de eventos antes de enviar; o servidor reenvia o que for publicado antes da conexão
+    const uploadId = crypto.randomUUID()
+    uploadSourceRef.current?.close()
+    const source = new EventSource(`/api/uploads/${uploadId}/events`)
+    source.onmessage = (e) => handleUploadEvent(JSON.parse(e.data))
+    uploadSourceRef.current = source
+
+    setUploadItems(validFiles.map((file, index) => ({
+      index,
+      name: file.name,
+      size: file.size,
+      received: 0,
+      status: 'uploading'
+    })))
+
+    try {
+      const formData = new FormData()
+      validFiles.forEach(file => {
+        formData.append('images', file)
+      })
+
+      const response = await fetch(`/api/upload?uploadId=${uploadId}`, {
+        method: 'POST',
+        body: formData
+      })
+
+      const data = await response.json()
+
+      if (data.success) {
+        setImages(prev => [...data.images, ...prev])
+        showToast(`${data.images.length} arquivo(s) enviado(s), análise em andamento`, 'success')
+      } else {
+        showToast('Upload error: ' + data.error, 'error')
+        setUploadItems(prev => prev.map(item => ({ ...item, status: 'failed', error: data.error })))
       }
-      showToast(`${selectedImageIds.length} image(s) downloaded successfully!`, 'success')
-      setSelectedImageIds([])
     } catch (error) {
-      console.error('Error downloading images:', error)
-      showToast('Error downloading images', 'error')
+      console.error('Upload error:', error)
+      showToast('Error uploading images', 'error')
+      setUploadItems(prev => prev.map(item => ({ ...item, status: 'failed', error: error.message })))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    await uploadFiles(e.target.files)
+    e.target.value = ''
+  }
+
+  const handleDrag = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    if (e.type === 'dragenter' || e.type === 'dragover') {
+      setDragActive(true)
+    } else if (e.type === 'dragleave') {
+      setDragActive(false)
+    }
+  }
+
+  const handleDrop = async (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setDragActive(false)
+
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      await uploadFiles(e.dataTransfer.files)
     }
   }
 
+  const removeImage = async (id, e) => {
+    e.stopPropagation()
+
+    setConfirmModal({
+      message: 'Mover este arquivo para a lixeira?',
+      onConfirm: async () => {
+        try {
+          const response = await fetch(`/api/images/${id}`, {
+            method: 'DELETE'
+          })
+
+          const data = await response.json()
+
+          if (data.success) {
+            setImages(prev => prev.filter(img => img.id !== id))
+            loadDuplicates()
+            loadPeople()
+            showToast('Arquivo movido para a lixeira', 'success')
+            if (selectedImage?.id === id) {
+              setSelectedImage(null)
+            }
+            setSelectedImageIds(prev => prev.filter(imgId => imgId !== id))
+          } else {
+            showToast('Error deleting image: ' + data.error, 'error')
+          }
+        } catch (error) {
+          console.error('Error deleting:', error)
+          showToast('Error deleting image', 'error')
+        }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  const retryAnalysis = async (image, e) => {
+    e.stopPropagation()
+    try {
+      const response = await fetch(`/api/jobs/${image.analysis_job_id}/retry`, { method: 'POST' })
+      const data = await response.json()
+      if (data.success) {
+        setImages(prev => prev.map(img =>
+          img.id === image.id ? { ...img, analysis_status: 'pending', analysis_error: null } : img
+        ))
+        showToast('Análise reenviada para a fila', 'success')
+      } else {
+        showToast('Erro ao reprocessar: ' + data.error, 'error')
+      }
+    } catch (error) {
+      console.error('Erro ao reprocessar:', error)
+      showToast('Erro ao reprocessar análise', 'error')
+    }
+  }
+
+  // Mantém a imagem escolhida do grupo de duplicatas e remove as demais
+  const mergeDuplicates = (keepImage, cluster) => {
+    const removeIds = cluster.images.map(img => img.id).filter(id => id !== keepImage.id)
+
+    setConfirmModal({
+      message: `Manter "${keepImage.originalname}" e mover ${removeIds.length} cópia(s) para a lixeira?`,
+      onConfirm: async () => {
+        try {
+          const response = await fetch('/api/duplicates/merge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ keepId: keepImage.id, removeIds })
+          })
+          const data = await response.json()
+
+          if (data.success) {
+            setImages(prev => prev
+              .filter(img => !data.removedIds.includes(img.id))
+              .map(img => img.id === data.image.id ? data.image : img))
+            setSelectedImageIds(prev => prev.filter(id => !data.removedIds.includes(id)))
+            loadDuplicates()
+            showToast(`${data.removedIds.length} cópia(s) movida(s) para a lixeira`, 'success')
+          } else {
+            showToast('Erro ao mesclar duplicatas: ' + data.error, 'error')
+          }
+        } catch (error) {
+          console.error('Erro ao mesclar duplicatas:', error)
+          showToast('Erro ao mesclar duplicatas', 'error')
+        }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  const startRename = (image, e) => {
+    e.stopPropagation()
+    setRenamingId(image.id)
+    const nameWithoutExt = image.originalname.replace(/\.[^/.]+$/, '')
+    setRenameValue(nameWithoutExt)
+  }
+
+  const saveRename = async (id) => {
+    try {
+      const response = await fetch(`/api/images/${id}/rename`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newName: renameValue })
+      })
+
+      const data = await response.json()
+
+      if (data.success) {
+        setImages(prev => prev.map(img =>
+          img.id === id ? { ...img, originalname: data.originalname } : img
+        ))
+        showToast('Image renamed successfully', 'success')
+        setRenamingId(null)
+        setRenameValue('')
+      } else {
+        showToast('Error renaming: ' + data.error, 'error')
+      }
+    } catch (error) {
+      console.error('Error renaming:', error)
+      showToast('Error renaming image', 'error')
+    }
+  }
+
+  const cancelRename = () => {
+    setRenamingId(null)
+    setRenameValue('')
+  }
+
+  const toggleImageSelection = (imageId, e) => {
+    e.stopPropagation()
+    setSelectedImageIds(prev => {
+      if (prev.includes(imageId)) {
+        return prev.filter(id => id !== imageId)
+      } else {
+        return [...prev, imageId]
+      }
+    })
+  }
+
+  const selectAllVisible = () => {
+    const visibleIds = filteredImages.map(img => img.id)
+    setSelectedImageIds(visibleIds)
+    showToast(`${visibleIds.length} arquivo(s) selecionado(s)`, 'success')
+  }
+
+  const deselectAll = () => {
+    setSelectedImageIds([])
+    showToast('Seleção removida', 'success')
+  }
+
+  const deleteSelectedImages = () => {
+    if (selectedImageIds.length === 0) return
+
+    const idsToDelete = [...selectedImageIds] // Capturar valor antes do async
+
+    setConfirmModal({
+      message: `Mover ${idsToDelete.length} arquivo(s) para a lixeira?`,
+      onConfirm: async () => {
+        try {
+          const deletePromises = idsToDelete.map(id =>
+            fetch(`/api/images/${id}`, { method: 'DELETE' })
+          )
+
+          const results = await Promise.all(deletePromises)
+          const failed = results.filter(r => !r.ok)
+
+          if (failed.length === 0) {
+            setImages(prev => prev.filter(img => !idsToDelete.includes(img.id)))
+            if (selectedImage && idsToDelete.includes(selectedImage.id)) {
+              setSelectedImage(null)
+            }
+            setSelectedImageIds([])
+            loadDuplicates()
+            loadPeople()
+            showToast(`${idsToDelete.length} arquivo(s) movido(s) para a lixeira`, 'success')
+          } else {
+            showToast(`Erro ao deletar ${failed.length} arquivo(s)`, 'error')
+          }
+        } catch (error) {
+          console.error('Erro ao deletar:', error)
+          showToast('Erro ao deletar arquivos', 'error')
+        }
+        setConfirmModal(null)
+      },
+      onCancel: () => {
+        setConfirmModal(null)
+      }
+    })
+  }
+
+  const handleImageDoubleClick = (image) => {
+    setSelectedImage(image)
+  }
+
+  // O ZIP é montado no servidor e baixado pelo navegador em streaming (envio de formulário)
+  const exportDocuments = (imageIds, name) => {
+    if (imageIds.length === 0) return
+
+    const form = document.createElement('form')
+    form.method = 'POST'
+    form.action = '/api/export'
+    form.style.display = 'none'
+    for (const [field, value] of Object.entries({ imageIds: imageIds.join(','), name: name || '' })) {
+      const input = document.createElement('input')
+      input.type = 'hidden'
+      input.name = field
+      input.value = value
+      form.appendChild(input)
+    }
+    document.body.appendChild(form)
+    form.submit()
+    document.body.removeChild(form)
+    showToast(`Exportando ${imageIds.length} documento(s) em ZIP...`, 'success')
+  }
+
+  const downloadSelectedImages = () => {
+    exportDocuments(selectedImageIds)
+    setSelectedImageIds([])
+  }
+
   const performSmartSearch = async (query) => {
     if (!query.trim()) {
       setSearchResults(null)
@@ -375,12 +1364,15 @@ function App() {
       const response = await fetch('/api/search', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query })
+        body: JSON.stringify({ query, personId: /^\d+$/.test(personFilter) ? Number(personFilter) : null })
       })
 
       const data = await response.json()
       if (data.success) {
         setSearchResults(data)
+        setChecklistNameDraft(null)
+        setBudget(data.budget)
+        if (data.warning) showToast(data.warning, 'error')
       } else {
         showToast('Erro na busca: ' + data.error, 'error')
       }
@@ -409,51 +1401,39 @@ function App() {
     }
   }
 
+  const matchesPersonFilter = (image) => {
+    if (!personFilter) return true
+    if (personFilter === 'none') return !image.person_id
+    return String(image.person_id) === personFilter
+  }
+
+  // Resultados da busca simples com os dados atuais da lista (edições e exclusões feitas depois da busca)
+  const currentTextSearchResults = textSearchResults && textSearchResults
+    .map(result => {
+      const image = images.find(img => img.id === result.id)
+      return image && { ...result, ...image }
+    })
+    .filter(Boolean)
+
+  // A busca inteligente já vem filtrada pela pessoa no servidor
   const filteredImages = searchResults
     ? (searchResults.searchResults || searchResults.documents || [])
-    : images.filter(img => {
-      if (!searchTerm.trim()) return true
-
-      const searchLower = searchTerm.toLowerCase().trim()
-      const searchTerms = searchLower.split(/\s+/).filter(t => t.length > 2) // Filtrar palavras muito curtas
-
-      // Buscar no nome do arquivo (busca parcial)
-      const nameMatch = img.originalname.toLowerCase().includes(searchLower)
-
-      // Processar keywords (pode ser array ou string separada por vírgula)
-      let keywordsArray = []
-      if (Array.isArray(img.ai_keywords)) {
-        keywordsArray = img.ai_keywords.map(k => k.toLowerCase().trim())
-      } else if (typeof img.ai_keywords === 'string' && img.ai_keywords.trim()) {
-        keywordsArray = img.ai_keywords.split(',').map(k => k.trim().toLowerCase()).filter(k => k.length > 0)
-      }
-
-      // Buscar nas keywords - comparação de palavras completas
-      const keywordsMatch = searchTerms.some(searchWord => {
-        // Verifica se alguma keyword contém a palavra de busca completa
-        return keywordsArray.some(keyword => {
-          // Divide a keyword em palavras e compara
-          const keywordWords = keyword.split(/\s+/)
-          return keywordWords.some(kw => kw === searchWord || kw.startsWith(searchWord) || searchWord.startsWith(kw))
-        })
-      })
+    : (searchTerm.trim() && currentTextSearchResults ? currentTextSearchResults : images).filter(matchesPersonFilter)
 
-      // Buscar no tipo de documento - comparação de palavras
-      const typeLower = img.ai_document_type ? img.ai_document_type.toLowerCase() : ''
-      const typeWords = typeLower.split(/\s+/)
-      const typeMatch = searchTerms.some(searchWord =>
-        typeWords.some(tw => tw === searchWord || tw.startsWith(searchWord) || searchWord.startsWith(tw))
-      )
-
-      // Buscar na descrição - comparação de palavras
-      const descLower = img.ai_description ? img.ai_description.toLowerCase() : ''
-      const descWords = descLower.split(/\s+/)
-      const descriptionMatch = searchTerms.some(searchWord =>
-        descWords.some(dw => dw === searchWord || dw.startsWith(searchWord) || searchWord.startsWith(dw))
-      )
-
-      return nameMatch || keywordsMatch || typeMatch || descriptionMatch
-    })
+  const personName = (personId) => people.find(person => person.id === personId)?.name
+
+  const duplicateImageIds = new Set(duplicateClusters.flatMap(cluster => cluster.images.map(img => img.id)))
+
+  const renderSnippet = (segments) => segments.map((segment, idx) => (
+    segment.match
+      ? <mark key={idx} className="bg-yellow-200 text-foreground dark:bg-yellow-500/40 rounded-sm px-0.5">{segment.text}</mark>
+      : <span key={idx}>{segment.text}</span>
+  ))
+
+  const totalUploadBytes = uploadItems.reduce((sum, item) => sum + item.size, 0)
+  const uploadedBytesPercent = totalUploadBytes > 0
+    ? Math.round(uploadItems.reduce((sum, item) => sum + item.received, 0) / totalUploadBytes * 100)
+    : 0
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes'
@@ -474,12 +1454,145 @@ function App() {
     })
   }
 
+  if (user === undefined) {
+    return <div className="min-h-screen bg-background" />
+  }
+
+  if (!user) {
+    return (
+      <div className="min-h-screen bg-background text-foreground flex items-center justify-center px-6">
+        <form onSubmit={submitAuth} className="w-full max-w-sm bg-card border border-border rounded-lg p-6 flex flex-col gap-3">
+          <h1 className="text-2xl font-semibold text-foreground">Gallery</h1>
+          <p className="text-sm text-muted-foreground">
+            {authMode === 'login' ? 'Entre para ver seus documentos' : 'Crie sua conta'}
+          </p>
+          {authMode === 'register' && (
+            <input
+              type="text"
+              placeholder="Nome"
+              value={authForm.name}
+              onChange={(e) => setAuthForm({ ...authForm, name: e.target.value })}
+              className="w-full px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:border-ring"
+            />
+          )}
+          <input
+            type="email"
+            placeholder="E-mail"
+            value={authForm.email}
+            onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
+            className="w-full px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:border-ring"
+            autoComplete="email"
+            required
+            autoFocus
+          />
+          <input
+            type="password"
+            placeholder="Senha"
+            value={authForm.password}
+            onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+            className="w-full px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:border-ring"
+            autoComplete={authMode === 'login' ? 'current-password' : 'new-password'}
+            required
+          />
+          {authError && <p className="text-sm text-red-600 dark:text-red-400">{authError}</p>}
+          <button
+            type="submit"
+            disabled={authSubmitting}
+            className="px-4 py-2 rounded-lg text-sm font-medium cursor-pointer transition-all border-none bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {authMode === 'login' ? 'Entrar' : 'Criar conta'}
+          </button>
+          {registrationOpen && (
+            <button
+              type="button"
+              onClick={() => {
+                setAuthMode(authMode === 'login' ? 'register' : 'login')
+                setAuthError(null)
+              }}
+              className="text-xs text-muted-foreground bg-transparent border-none cursor-pointer hover:text-foreground"
+            >
+              {authMode === 'login' ? 'Não tem conta? Cadastre-se' : 'Já tem conta? Entrar'}
+            </button>
+          )}
+        </form>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-background text-foreground transition-colors">
       <header className="border-b border-border bg-card">
         <div className="max-w-7xl mx-auto px-6 py-4 flex justify-between items-center">
           <h1 className="text-2xl font-semibold text-foreground">Gallery</h1>
           <div className="flex gap-2 items-center">
+            <span className="text-xs text-muted-foreground hidden sm:inline" title={user.name || user.email}>{user.email}</span>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={logout}
+              title="Sair"
+            >
+              Sair
+            </button>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={() => setShowPeople(true)}
+              title="Pessoas da casa"
+            >
+              Pessoas
+            </button>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={() => {
+                setShareDraft(null)
+                setShowShares(true)
+                loadShares()
+              }}
+              title="Links de compartilhamento"
+            >
+              Links
+            </button>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={() => {
+                setShowTrash(true)
+                loadTrash()
+              }}
+              title="Arquivos excluídos"
+            >
+              Lixeira
+            </button>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={() => openActivity()}
+              title="Quem enviou, viu, baixou, compartilhou ou excluiu cada documento"
+            >
+              Atividade
+            </button>
+            <button
+              className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              onClick={() => {
+                setActiveChecklist(null)
+                setShowChecklists(true)
+              }}
+              title="Checklists de documentos"
+            >
+              Checklists
+              {checklists.length > 0 && (
+                <span className="px-1.5 py-0.5 rounded bg-primary/15 text-primary text-[0.625rem]">{checklists.length}</span>
+              )}
+            </button>
+            {duplicateClusters.length > 0 && (
+              <button
+                className="h-8 px-3 rounded-md bg-transparent border border-border cursor-pointer flex items-center gap-1.5 text-xs font-medium text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                onClick={() => setShowDuplicates(true)}
+                title="Arquivos duplicados ou parecidos"
+              >
+                Duplicatas
+                <span className="px-1.5 py-0.5 rounded bg-amber-500/20 text-amber-700 dark:text-amber-400 text-[0.625rem]">
+                  {duplicateClusters.length}
+                </span>
+              </button>
+            )}
             <button
               className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
               onClick={() => setDarkMode(!darkMode)}
@@ -548,7 +1661,7 @@ function App() {
 
       {loading && (
         <div className="fixed top-0 left-0 right-0 w-full h-1 bg-muted rounded-none overflow-hidden z-[101]">
-          <div className="h-full bg-primary transition-all duration-300" style={{ width: `${uploadProgress}%` }} />
+          <div className="h-full bg-primary transition-all duration-300" style={{ width: `${uploadedBytesPercent}%` }} />
         </div>
       )}
 
@@ -588,6 +1701,31 @@ function App() {
                 )}
               </button>
             </div>
+            {budget && (
+              <span
+                className={`shrink-0 text-xs whitespace-nowrap ${budget.status === 'exceeded' ? 'text-destructive' : budget.status === 'warning' ? 'text-amber-700 dark:text-amber-400' : 'text-muted-foreground'}`}
+                title={budgetTitle(budget)}
+              >
+                {budgetLabel(budget)}
+              </span>
+            )}
+            {people.length > 0 && (
+              <select
+                value={personFilter}
+                onChange={(e) => {
+                  setPersonFilter(e.target.value)
+                  setSearchResults(null)
+                }}
+                className="px-2 py-2 border border-input rounded-lg bg-background text-foreground text-sm focus:outline-none focus:border-ring"
+                title="Filtrar por pessoa (também usada na busca inteligente)"
+              >
+                <option value="">Todas as pessoas</option>
+                {people.map(person => (
+                  <option key={person.id} value={String(person.id)}>{person.name}</option>
+                ))}
+                <option value="none">Sem pessoa</option>
+              </select>
+            )}
             {searchTerm && (
               <span className="text-xs text-muted-foreground whitespace-nowrap">
                 {filteredImages.length} {searchResults ? 'encontrado(s)' : `de ${images.length}`}
@@ -644,6 +1782,20 @@ function App() {
                     </svg>
                     Download ({selectedImageIds.length})
                   </button>
+                  <button
+                    onClick={reanalyzeSelectedImages}
+                    className="px-4 py-2 rounded-lg text-sm font-medium cursor-pointer transition-all border border-border inline-flex items-center justify-center bg-background text-foreground hover:bg-accent gap-2"
+                    title="Analisar novamente com a IA (as edições manuais são mantidas)"
+                  >
+                    Reanalisar ({selectedImageIds.length})
+                  </button>
+                  <button
+                    onClick={openShareDialog}
+                    className="px-4 py-2 rounded-lg text-sm font-medium cursor-pointer transition-all border border-border inline-flex items-center justify-center bg-background text-foreground hover:bg-accent gap-2"
+                    title="Criar link de compartilhamento com os arquivos selecionados"
+                  >
+                    Compartilhar ({selectedImageIds.length})
+                  </button>
                 </>
               )}
             </div>
@@ -669,6 +1821,14 @@ function App() {
                 <p className="text-sm font-medium text-primary">
                   {searchResults.topic || searchResults.interpretation}
                 </p>
+                {searchResults.answer && (
+                  <p className="text-sm text-foreground">{searchResults.answer}</p>
+                )}
+                {searchResults.person && (
+                  <p className="text-xs text-muted-foreground">
+                    Para: {searchResults.person.name}{searchResults.person.relationship && ` (${searchResults.person.relationship})`}
+                  </p>
+                )}
                 {searchResults.documents && searchResults.documents.length > 0 && (
                   <ul className="list-none space-y-1.5">
                     {searchResults.documents.map((doc, idx) => (
@@ -694,6 +1854,52 @@ function App() {
                     ))}
                   </ul>
                 )}
+                {searchResults.documents && searchResults.documents.length > 0 && (
+                  checklistNameDraft === null ? (
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => setChecklistNameDraft(searchResults.topic || searchTerm)}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                      >
+                        Salvar como checklist
+                      </button>
+                      <button
+                        onClick={() => exportDocuments(filteredImages.map(img => img.id), searchResults.topic || searchTerm)}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                        title="Baixar os documentos encontrados em um ZIP com manifesto"
+                      >
+                        Exportar ZIP
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex gap-1 items-center">
+                      <input
+                        type="text"
+                        value={checklistNameDraft}
+                        onChange={(e) => setChecklistNameDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') saveSearchAsChecklist()
+                          if (e.key === 'Escape') setChecklistNameDraft(null)
+                        }}
+                        placeholder="Nome da checklist"
+                        className="flex-1 max-w-xs px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                        autoFocus
+                      />
+                      <button
+                        onClick={saveSearchAsChecklist}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                      >
+                        Salvar
+                      </button>
+                      <button
+                        onClick={() => setChecklistNameDraft(null)}
+                        className="w-6 h-6 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground hover:bg-accent"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  )
+                )}
                 {(!searchResults.documents || searchResults.documents.length === 0) && searchResults.missingDocuments && searchResults.missingDocuments.length > 0 && (
                   <div className="mb-3">
                     <p className="text-xs font-medium text-muted-foreground mb-1">Documentos que faltam:</p>
@@ -740,7 +1946,23 @@ function App() {
                   onDoubleClick={() => handleImageDoubleClick(image)}
                 >
                   <div className={`relative overflow-hidden bg-muted ${viewMode === 'list' ? 'w-20 h-[60px] flex-shrink-0 rounded-md' : 'w-full aspect-square'}`}>
-                    {image.mimetype === 'application/pdf' ? (
+                    {image.thumbnails && !brokenThumbnailIds.includes(image.id) ? (
+                      <>
+                        <img
+                          src={viewMode === 'list' ? image.thumbnails.sm : image.thumbnails.md}
+                          srcSet={`${image.thumbnails.sm} 256w, ${image.thumbnails.md} 512w, ${image.thumbnails.lg} 1024w`}
+                          sizes={viewMode === 'list' ? '80px' : '320px'}
+                          alt={image.originalname}
+                          loading="lazy"
+                          decoding="async"
+                          onError={() => setBrokenThumbnailIds(prev => [...prev, image.id])}
+                          className={`w-full h-full object-cover transition-transform duration-500 ${isSelected ? 'scale-105' : 'group-hover:scale-110'}`}
+                        />
+                        {image.mimetype === 'application/pdf' && viewMode === 'grid' && (
+                          <span className="absolute top-2 left-10 px-1.5 py-0.5 rounded bg-red-600 text-white text-[0.625rem] font-medium">PDF</span>
+                        )}
+                      </>
+                    ) : image.mimetype === 'application/pdf' ? (
                       <div className="w-full h-full flex items-center justify-center bg-red-50 dark:bg-red-900/20">
                         <div className="text-center p-4">
                           <svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="mx-auto mb-2 text-red-600 dark:text-red-400">
@@ -794,10 +2016,52 @@ function App() {
                         strokeLinecap="round"
                         strokeLinejoin="round"
                       >
-                        <path d="M3 6h18"></path>
-                        <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path>
-                        <path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"></path>
-                      </svg>
+                        <path d="M3 6h18"></path>
+                        <path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"></path>
+                        <path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"></path>
+                      </svg>
+                    )}
+
+                    {image.validity && viewMode === 'grid' && (
+                      <span
+                        className={`absolute top-2 right-10 z-20 px-1.5 py-0.5 rounded text-[0.625rem] font-medium ${VALIDITY_BADGE_CLASSES[image.validity.status]}`}
+                        title={`Validade: ${formatDocumentDate(image.expiry_date)}`}
+                      >
+                        {validityLabel(image)}
+                      </span>
+                    )}
+
+                    {duplicateImageIds.has(image.id) && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          setShowDuplicates(true)
+                        }}
+                        className="absolute bottom-2 left-2 z-20 px-2 py-1 rounded-md bg-amber-500 text-white text-[0.625rem] font-medium border-none cursor-pointer hover:bg-amber-600"
+                        title="Este arquivo tem duplicatas na galeria"
+                      >
+                        Duplicata
+                      </button>
+                    )}
+
+                    {/* Status da análise em background */}
+                    {(image.analysis_status === 'pending' || image.analysis_status === 'running') && (
+                      <div
+                        className="absolute bottom-2 right-2 z-20 flex items-center gap-1.5 px-2 py-1 rounded-md bg-black/60 text-white text-[0.625rem] font-medium"
+                        title={image.analysis_error || undefined}
+                      >
+                        <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                        {image.analysis_status === 'running' ? 'Analisando...' : 'Na fila'}
+                      </div>
+                    )}
+                    {image.analysis_status === 'failed' && (
+                      <button
+                        onClick={(e) => retryAnalysis(image, e)}
+                        className="absolute bottom-2 right-2 z-20 px-2 py-1 rounded-md bg-destructive text-destructive-foreground text-[0.625rem] font-medium border-none cursor-pointer hover:bg-destructive/90"
+                        title={image.analysis_error || 'Falha na análise'}
+                      >
+                        Falha na análise · Tentar novamente
+                      </button>
                     )}
                   </div>
                   <div className={`${viewMode === 'list' ? 'flex-1 p-0 min-w-0 flex flex-col gap-1' : `p-3 absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent transition-transform duration-300 ease-in-out ${renamingId === image.id ? 'translate-y-0' : 'translate-y-full group-hover:translate-y-0'}`}`}>
@@ -858,6 +2122,22 @@ function App() {
                             <span>{formatFileSize(image.size)}</span>
                             <span>•</span>
                             <span>{formatDate(image.created_at)}</span>
+                            {image.validity && (
+                              <>
+                                <span>•</span>
+                                <span className={`px-1.5 py-0.5 rounded text-[0.625rem] font-medium ${VALIDITY_BADGE_CLASSES[image.validity.status]}`}>
+                                  {validityLabel(image)}
+                                </span>
+                              </>
+                            )}
+                            {image.person_id && personName(image.person_id) && (
+                              <>
+                                <span>•</span>
+                                <span title={image.person_confirmed ? undefined : 'Sugerida pela análise'}>
+                                  {personName(image.person_id)}{!image.person_confirmed && '?'}
+                                </span>
+                              </>
+                            )}
                             {image.ai_document_type && image.ai_document_type !== 'imagem geral' && (
                               <>
                                 <span>•</span>
@@ -868,6 +2148,11 @@ function App() {
                             )}
                           </div>
                         )}
+                        {image.snippet && image.snippet.length > 0 && (
+                          <p className={`text-[0.6875rem] leading-snug line-clamp-2 ${viewMode === 'list' ? 'text-muted-foreground' : 'mt-1 text-white/90'}`}>
+                            {renderSnippet(image.snippet)}
+                          </p>
+                        )}
                         {viewMode === 'grid' && image.ai_document_type && image.ai_document_type !== 'imagem geral' && (
                           <div className="mt-1">
                             <span className="px-1.5 py-0.5 rounded bg-primary/20 text-white text-[0.625rem] font-medium">
@@ -913,12 +2198,610 @@ function App() {
         )}
       </main>
 
+      {showChecklists && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
+          onClick={() => setShowChecklists(false)}
+        >
+          <div className="w-full max-w-4xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 z-10 flex items-center gap-2 px-4 py-3 border-b border-border bg-card">
+              {activeChecklist && (
+                <button
+                  className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                  onClick={() => setActiveChecklist(null)}
+                  title="Voltar"
+                >
+                  ←
+                </button>
+              )}
+              {activeChecklist ? (
+                <input
+                  key={activeChecklist.id}
+                  type="text"
+                  defaultValue={activeChecklist.name}
+                  onBlur={(e) => {
+                    const name = e.target.value.trim()
+                    if (name && name !== activeChecklist.name) {
+                      checklistRequest(`/api/checklists/${activeChecklist.id}`, { method: 'PUT', body: { name } })
+                    }
+                  }}
+                  className="flex-1 text-base font-semibold bg-transparent border-none text-foreground focus:outline-none focus:ring-2 focus:ring-ring/20 rounded px-1"
+                />
+              ) : (
+                <h3 className="flex-1 text-base font-semibold">Checklists</h3>
+              )}
+              {activeChecklist && (
+                <button
+                  onClick={autoLinkChecklist}
+                  className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                  title="Procurar na galeria documentos para os itens sem vínculo"
+                >
+                  Vincular automaticamente
+                </button>
+              )}
+              <button
+                className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                onClick={() => setShowChecklists(false)}
+              >
+                ✕
+              </button>
+            </div>
+
+            {!activeChecklist ? (
+              checklists.length === 0 ? (
+                <p className="p-8 text-center text-sm text-muted-foreground">
+                  Nenhuma checklist salva. Faça uma busca inteligente e use "Salvar como checklist".
+                </p>
+              ) : (
+                <ul className="list-none p-0 m-0">
+                  {checklists.map(checklist => {
+                    const done = checklist.have_items + checklist.submitted_items
+                    return (
+                      <li
+                        key={checklist.id}
+                        className="flex items-center gap-3 px-4 py-3 border-b border-border last:border-b-0 cursor-pointer hover:bg-accent/50"
+                        onClick={() => openChecklist(checklist.id)}
+                      >
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium overflow-hidden text-ellipsis whitespace-nowrap">
+                            {checklist.name}
+                            {checklist.person_name && <span className="ml-2 text-xs font-normal text-muted-foreground">{checklist.person_name}</span>}
+                          </p>
+                          <p className="text-[0.6875rem] text-muted-foreground">
+                            {checklist.missing_items} falta(m) • {checklist.have_items} tenho • {checklist.submitted_items} entregue(s)
+                          </p>
+                          <div className="mt-1.5 h-1 bg-muted rounded overflow-hidden">
+                            <div
+                              className="h-full bg-green-600 transition-all duration-300"
+                              style={{ width: `${checklist.total_items > 0 ? Math.round(done / checklist.total_items * 100) : 0}%` }}
+                            />
+                          </div>
+                        </div>
+                        <span className="text-xs text-muted-foreground shrink-0">{done}/{checklist.total_items}</span>
+                        <button
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            removeChecklist(checklist)
+                          }}
+                          className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-destructive transition-all hover:bg-destructive/10 flex-shrink-0 opacity-70 hover:opacity-100"
+                        >
+                          🗑️
+                        </button>
+                      </li>
+                    )
+                  })}
+                </ul>
+              )
+            ) : (
+              <div className="p-4">
+                <div className="flex items-center gap-3 mb-3 text-xs text-muted-foreground">
+                  {activeChecklist.query && <span className="flex-1">Busca: "{activeChecklist.query}"</span>}
+                  {people.length > 0 && (
+                    <select
+                      value={activeChecklist.person_id || ''}
+                      onChange={(e) => checklistRequest(`/api/checklists/${activeChecklist.id}`, {
+                        method: 'PUT',
+                        body: { personId: e.target.value ? Number(e.target.value) : null }
+                      })}
+                      className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring ml-auto"
+                      title="Pessoa para quem a checklist vale"
+                    >
+                      <option value="">Sem pessoa</option>
+                      {people.map(person => (
+                        <option key={person.id} value={person.id}>{person.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+                <ul className="list-none p-0 m-0 space-y-2">
+                  {activeChecklist.items.map(item => {
+                    const overdue = item.due_date && item.status !== 'submitted' && item.due_date < today()
+                    return (
+                      <li key={item.id} className="p-3 border border-border rounded-lg">
+                        <div className="flex items-start gap-2">
+                          <select
+                            value={item.status}
+                            onChange={(e) => updateChecklistItem(item.id, { status: e.target.value })}
+                            className={`px-1.5 py-1 border border-input rounded-md bg-background text-xs font-medium ${CHECKLIST_STATUS_CLASSES[item.status]}`}
+                          >
+                            {Object.entries(CHECKLIST_STATUS_LABELS).map(([status, label]) => (
+                              <option key={status} value={status}>{label}</option>
+                            ))}
+                          </select>
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium">{item.name}</p>
+                            {item.how_to_get && (
+                              <p className="text-[0.6875rem] text-muted-foreground">{item.how_to_get}</p>
+                            )}
+                          </div>
+                          <input
+                            type="date"
+                            value={item.due_date || ''}
+                            onChange={(e) => updateChecklistItem(item.id, { dueDate: e.target.value || null })}
+                            className={`px-1.5 py-1 border rounded-md bg-background text-xs ${overdue ? 'border-destructive text-destructive' : 'border-input text-foreground'}`}
+                            title={overdue ? 'Prazo vencido' : 'Prazo'}
+                          />
+                          <button
+                            onClick={() => checklistRequest(`/api/checklists/${activeChecklist.id}/items/${item.id}`, { method: 'DELETE' })}
+                            className="w-7 h-7 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground hover:bg-destructive/10 hover:text-destructive"
+                            title="Remover item"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                        <div className="flex items-center gap-2 mt-2">
+                          {item.image && (
+                            <img
+                              src={item.image.thumbnails.sm}
+                              alt={item.image.originalname}
+                              className="w-10 h-10 rounded object-cover bg-muted cursor-pointer"
+                              onClick={() => setSelectedImage(item.image)}
+                            />
+                          )}
+                          <select
+                            value={item.image_id || ''}
+                            onChange={(e) => {
+                              const imageId = e.target.value ? parseInt(e.target.value, 10) : null
+                              updateChecklistItem(item.id, {
+                                imageId,
+                                status: imageId && item.status === 'missing' ? 'have' : item.status
+                              })
+                            }}
+                            className="flex-1 min-w-0 px-1.5 py-1 border border-input rounded-md bg-background text-foreground text-xs"
+                          >
+                            <option value="">Sem documento vinculado</option>
+                            {images.map(img => (
+                              <option key={img.id} value={img.id}>
+                                {img.originalname}{img.ai_document_type && img.ai_document_type !== 'imagem geral' ? ` (${img.ai_document_type})` : ''}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                        <textarea
+                          key={`${item.id}-${item.updated_at}`}
+                          defaultValue={item.notes || ''}
+                          onBlur={(e) => {
+                            if (e.target.value !== (item.notes || '')) {
+                              updateChecklistItem(item.id, { notes: e.target.value })
+                            }
+                          }}
+                          placeholder="Notas"
+                          rows={1}
+                          className="w-full mt-2 px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs resize-y focus:outline-none focus:border-ring"
+                        />
+                      </li>
+                    )
+                  })}
+                </ul>
+                <div className="flex gap-2 mt-3">
+                  <input
+                    type="text"
+                    value={newChecklistItem}
+                    onChange={(e) => setNewChecklistItem(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') addChecklistItem()
+                    }}
+                    placeholder="Novo documento"
+                    className="flex-1 px-2 py-1.5 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:border-ring"
+                  />
+                  <button
+                    onClick={addChecklistItem}
+                    className="px-3 py-1.5 rounded-md text-sm font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                  >
+                    Adicionar
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showShares && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
+          onClick={() => setShowShares(false)}
+        >
+          <div className="w-full max-w-3xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 flex items-center justify-between px-4 py-3 border-b border-border bg-card">
+              <h3 className="text-base font-semibold">Links de compartilhamento</h3>
+              <button
+                className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                onClick={() => setShowShares(false)}
+              >
+                ✕
+              </button>
+            </div>
+            {shareDraft && (
+              <div className="flex gap-2 flex-wrap items-center px-4 py-3 border-b border-border bg-muted/40">
+                <span className="w-full text-xs text-muted-foreground">
+                  Novo link com {shareDraft.imageIds.length} arquivo(s) - somente leitura
+                </span>
+                <input
+                  type="text"
+                  value={shareDraft.name}
+                  onChange={(e) => setShareDraft({ ...shareDraft, name: e.target.value })}
+                  placeholder="Nome (ex: Renovação AR - advogado)"
+                  className="flex-1 min-w-[12rem] px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                  autoFocus
+                />
+                <select
+                  value={shareDraft.expiresInHours}
+                  onChange={(e) => setShareDraft({ ...shareDraft, expiresInHours: Number(e.target.value) })}
+                  className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                  title="Validade do link"
+                >
+                  {SHARE_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.hours} value={option.hours}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="password"
+                  value={shareDraft.password}
+                  onChange={(e) => setShareDraft({ ...shareDraft, password: e.target.value })}
+                  placeholder="Senha (opcional, 8+)"
+                  autoComplete="new-password"
+                  className="w-36 px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                />
+                <button
+                  onClick={createShareLink}
+                  className="px-3 py-1.5 rounded-md text-sm font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                >
+                  Criar e copiar link
+                </button>
+              </div>
+            )}
+            {shares.length === 0 ? (
+              <p className="p-8 text-center text-sm text-muted-foreground">
+                Nenhum link criado. Selecione arquivos na galeria e clique em Compartilhar.
+              </p>
+            ) : (
+              <ul className="list-none p-0 m-0">
+                {shares.map(share => (
+                  <li key={share.id} className={`flex items-center gap-3 px-4 py-3 border-b border-border last:border-b-0 ${share.status !== 'active' ? 'opacity-60' : ''}`}>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium overflow-hidden text-ellipsis whitespace-nowrap">
+                        {share.name}
+                        {share.has_password && <span className="ml-2 text-xs font-normal text-muted-foreground">🔒</span>}
+                      </p>
+                      <p className="text-[0.6875rem] text-muted-foreground">
+                        {SHARE_STATUS_LABELS[share.status]} • {share.file_count} arquivo(s) • {share.access_count} acesso(s)
+                        {share.status === 'active' && ` • expira em ${new Date(share.expires_at).toLocaleString('pt-BR')}`}
+                      </p>
+                    </div>
+                    {share.status === 'active' && (
+                      <>
+                        <button
+                          onClick={() => copyShareLink(share)}
+                          className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                        >
+                          Copiar link
+                        </button>
+                        <button
+                          onClick={() => revokeShareLink(share)}
+                          className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border-none bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                        >
+                          Revogar
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showPeople && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
+          onClick={() => setShowPeople(false)}
+        >
+          <div className="w-full max-w-2xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 flex items-center justify-between px-4 py-3 border-b border-border bg-card">
+              <h3 className="text-base font-semibold">Pessoas da casa</h3>
+              <button
+                className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                onClick={() => setShowPeople(false)}
+              >
+                ✕
+              </button>
+            </div>
+            {people.length === 0 ? (
+              <p className="p-8 text-center text-sm text-muted-foreground">
+                Cadastre as pessoas da casa para separar os documentos de cada uma
+              </p>
+            ) : (
+              <ul className="list-none p-0 m-0">
+                {people.map(person => (
+                  <li key={person.id} className="flex items-center gap-3 px-4 py-3 border-b border-border last:border-b-0">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium">
+                        {person.name}
+                        {person.relationship && <span className="ml-2 text-xs font-normal text-muted-foreground">{person.relationship}</span>}
+                      </p>
+                      <p className="text-[0.6875rem] text-muted-foreground">
+                        {person.document_count} documento(s)
+                        {person.birth_date && ` • Nascimento: ${formatDocumentDate(person.birth_date)}`}
+                        {person.nationality && ` • ${person.nationality}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => {
+                        setPersonFilter(String(person.id))
+                        setSearchResults(null)
+                        setShowPeople(false)
+                      }}
+                      className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                    >
+                      Ver documentos
+                    </button>
+                    <button
+                      onClick={() => removePerson(person)}
+                      className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-destructive transition-all hover:bg-destructive/10 flex-shrink-0 opacity-70 hover:opacity-100"
+                    >
+                      🗑️
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="flex gap-2 flex-wrap items-center px-4 py-3 border-t border-border">
+              <input
+                type="text"
+                value={newPerson.name}
+                onChange={(e) => setNewPerson({ ...newPerson, name: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') addPerson()
+                }}
+                placeholder="Nome (como nos documentos)"
+                className="flex-1 min-w-[10rem] px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+              />
+              <input
+                type="text"
+                value={newPerson.relationship}
+                onChange={(e) => setNewPerson({ ...newPerson, relationship: e.target.value })}
+                placeholder="Parentesco"
+                className="w-28 px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+              />
+              <input
+                type="date"
+                value={newPerson.birthDate}
+                onChange={(e) => setNewPerson({ ...newPerson, birthDate: e.target.value })}
+                title="Data de nascimento"
+                className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+              />
+              <input
+                type="text"
+                value={newPerson.nationality}
+                onChange={(e) => setNewPerson({ ...newPerson, nationality: e.target.value })}
+                placeholder="Nacionalidade"
+                className="w-28 px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+              />
+              <button
+                onClick={addPerson}
+                className="px-3 py-1.5 rounded-md text-sm font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+              >
+                Adicionar
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showTrash && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
+          onClick={() => setShowTrash(false)}
+        >
+          <div className="w-full max-w-2xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 flex items-center justify-between px-4 py-3 border-b border-border bg-card">
+              <div>
+                <h3 className="text-base font-semibold">Lixeira</h3>
+                <p className="text-[0.6875rem] text-muted-foreground">
+                  {trash.retentionDays > 0
+                    ? `Arquivos são excluídos definitivamente ${trash.retentionDays} dia(s) após irem para a lixeira`
+                    : 'Arquivos ficam na lixeira até serem excluídos'}
+                </p>
+              </div>
+              <div className="flex gap-2 items-center">
+                {trash.images.length > 0 && (
+                  <button
+                    onClick={() => purgeTrashedImages(null)}
+                    className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-destructive hover:bg-destructive/10"
+                  >
+                    Esvaziar lixeira
+                  </button>
+                )}
+                <button
+                  className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                  onClick={() => setShowTrash(false)}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+            {trash.images.length === 0 ? (
+              <p className="p-8 text-center text-sm text-muted-foreground">A lixeira está vazia</p>
+            ) : (
+              <ul className="list-none p-0 m-0">
+                {trash.images.map(image => (
+                  <li key={image.id} className="flex items-center gap-3 px-4 py-3 border-b border-border last:border-b-0">
+                    <img
+                      src={image.thumbnails.sm}
+                      alt=""
+                      className="w-10 h-10 rounded object-cover bg-muted flex-shrink-0"
+                      onError={(e) => { e.currentTarget.style.visibility = 'hidden' }}
+                    />
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium truncate" title={image.originalname}>{image.originalname}</p>
+                      <p className="text-[0.6875rem] text-muted-foreground">
+                        Excluído em {formatDocumentDate(image.deleted_at.slice(0, 10))}
+                        {image.purge_at && ` • apagado em ${formatDocumentDate(image.purge_at.slice(0, 10))}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => restoreTrashedImage(image)}
+                      className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                    >
+                      Restaurar
+                    </button>
+                    <button
+                      onClick={() => purgeTrashedImages(image)}
+                      className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-destructive transition-all hover:bg-destructive/10 flex-shrink-0 opacity-70 hover:opacity-100"
+                      title="Excluir definitivamente"
+                    >
+                      🗑️
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showActivity && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1100] p-8 backdrop-blur-md"
+          onClick={() => setShowActivity(false)}
+        >
+          <div className="w-full max-w-2xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 px-4 py-3 border-b border-border bg-card">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <h3 className="text-base font-semibold">Atividade</h3>
+                  {activityFilters.imageId && (
+                    <p className="text-[0.6875rem] text-muted-foreground truncate">
+                      Histórico de "{activityFilters.imageName}" ·{' '}
+                      <button
+                        onClick={() => changeActivityFilters({ imageId: null, imageName: '' })}
+                        className="p-0 bg-transparent border-none cursor-pointer text-[0.6875rem] underline text-muted-foreground hover:text-foreground"
+                      >
+                        ver tudo
+                      </button>
+                    </p>
+                  )}
+                </div>
+                <div className="flex gap-2 items-center">
+                  <a
+                    href={`/api/audit?${activityQuery(activityFilters, { format: 'csv' })}`}
+                    className="px-2 py-1 rounded-md text-xs font-medium border border-border bg-background text-foreground no-underline hover:bg-accent"
+                    title="Baixar os eventos filtrados em CSV"
+                  >
+                    Exportar CSV
+                  </a>
+                  <button
+                    className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                    onClick={() => setShowActivity(false)}
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+              <div className="flex gap-2 items-center flex-wrap mt-2 text-xs">
+                <select
+                  value={activityFilters.action}
+                  onChange={(e) => changeActivityFilters({ action: e.target.value })}
+                  className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                >
+                  <option value="">Todas as ações</option>
+                  {Object.entries(activity.actions).map(([action, label]) => (
+                    <option key={action} value={action}>{label}</option>
+                  ))}
+                </select>
+                <span className="text-muted-foreground">de</span>
+                <input
+                  type="date"
+                  value={activityFilters.from}
+                  onChange={(e) => changeActivityFilters({ from: e.target.value })}
+                  className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                />
+                <span className="text-muted-foreground">até</span>
+                <input
+                  type="date"
+                  value={activityFilters.to}
+                  onChange={(e) => changeActivityFilters({ to: e.target.value })}
+                  className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                />
+              </div>
+            </div>
+            {activity.events.length === 0 ? (
+              <p className="p-8 text-center text-sm text-muted-foreground">Nenhuma atividade registrada</p>
+            ) : (
+              <ol className="list-none p-0 m-0">
+                {activity.events.map((event, index) => {
+                  const date = parseServerDate(event.created_at)
+                  const day = date.toLocaleDateString('pt-BR')
+                  const previous = activity.events[index - 1]
+                  const summary = auditEventSummary(event)
+                  return (
+                    <li key={event.id}>
+                      {(!previous || parseServerDate(previous.created_at).toLocaleDateString('pt-BR') !== day) && (
+                        <p className="px-4 pt-3 pb-1 m-0 text-[0.6875rem] font-medium text-muted-foreground uppercase">{day}</p>
+                      )}
+                      <div className="flex gap-3 px-4 py-2 text-xs">
+                        <span className="w-10 flex-shrink-0 text-muted-foreground tabular-nums">
+                          {date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                        <div className="flex-1 min-w-0">
+                          <p className="m-0">
+                            <span className="font-medium">{activity.actions[event.action] || event.action}</span>
+                            {event.image_name && <span className="text-foreground"> · {event.image_name}</span>}
+                          </p>
+                          <p className="m-0 text-[0.6875rem] text-muted-foreground truncate">
+                            {event.actor_id ? (event.actor_email || `usuário ${event.actor_id}`) : event.action.startsWith('share_') ? 'visitante do link' : 'sistema'}
+                            {summary && ` · ${summary}`}
+                            {event.ip && ` · ${event.ip}`}
+                          </p>
+                        </div>
+                      </div>
+                    </li>
+                  )
+                })}
+              </ol>
+            )}
+            {activity.nextBefore && (
+              <div className="p-3 text-center">
+                <button
+                  onClick={() => loadActivity(activityFilters, activity.nextBefore)}
+                  className="px-3 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                >
+                  Carregar mais
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {selectedImage && (
         <div
           className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
           onClick={() => setSelectedImage(null)}
         >
-          <div className="max-w-[90vw] max-h-[90vh] relative bg-card rounded-lg overflow-hidden shadow-2xl" onClick={(e) => e.stopPropagation()}>
+          <div className="max-w-[90vw] max-h-[90vh] relative bg-card rounded-lg overflow-y-auto shadow-2xl" onClick={(e) => e.stopPropagation()}>
             <button
               className="absolute top-4 right-4 z-[1001] w-8 h-8 p-0 rounded-md bg-foreground/80 text-background flex items-center justify-center transition-all hover:bg-foreground/90"
               onClick={() => setSelectedImage(null)}
@@ -944,12 +2827,340 @@ function App() {
                 <span>Size: {formatFileSize(selectedImage.size)}</span>
                 <span>Type: {selectedImage.mimetype}</span>
                 <span>Date: {formatDate(selectedImage.created_at)}</span>
+                {selectedImage.issue_date && <span>Emissão: {formatDocumentDate(selectedImage.issue_date)}</span>}
+                {selectedImage.expiry_date && <span>Validade: {formatDocumentDate(selectedImage.expiry_date)}</span>}
+              </div>
+              <div className="flex gap-2 items-center flex-wrap mt-3 text-sm">
+                <span className="text-muted-foreground">Pessoa:</span>
+                <select
+                  value={selectedImage.person_id || ''}
+                  onChange={(e) => setImagePerson(selectedImage, e.target.value ? Number(e.target.value) : null)}
+                  className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                >
+                  <option value="">Sem pessoa</option>
+                  {people.map(person => (
+                    <option key={person.id} value={person.id}>{person.name}</option>
+                  ))}
+                </select>
+                {selectedImage.person_id && !selectedImage.person_confirmed && (
+                  <>
+                    <span className="text-xs text-amber-700 dark:text-amber-400">sugerida pela análise</span>
+                    <button
+                      onClick={() => setImagePerson(selectedImage, selectedImage.person_id)}
+                      className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                    >
+                      Confirmar
+                    </button>
+                  </>
+                )}
+                {selectedImage.holder_name && (
+                  <span className="text-xs text-muted-foreground">Titular no documento: {selectedImage.holder_name}</span>
+                )}
+                <button
+                  onClick={() => openActivity(selectedImage)}
+                  className="ml-auto px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                >
+                  Histórico
+                </button>
               </div>
+              <div className="mt-4 pt-3 border-t border-border text-sm">
+                <div className="flex gap-2 items-center flex-wrap mb-2">
+                  <span className="font-medium">Análise</span>
+                  {(selectedImage.analysis_status === 'pending' || selectedImage.analysis_status === 'running') && (
+                    <span className="text-xs text-muted-foreground" title={selectedImage.analysis_error || undefined}>
+                      {selectedImage.analysis_status === 'running' ? 'Analisando...' : 'Na fila'}
+                    </span>
+                  )}
+                  <span className="flex-1"></span>
+                  {metadataDraft ? (
+                    <>
+                      <button
+                        onClick={() => saveMetadata(selectedImage)}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                      >
+                        Salvar
+                      </button>
+                      <button
+                        onClick={() => setMetadataDraft(null)}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                      >
+                        Cancelar
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => startMetadataEdit(selectedImage)}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                      >
+                        Editar
+                      </button>
+                      <button
+                        onClick={() => reanalyzeImage(selectedImage)}
+                        disabled={selectedImage.analysis_status === 'pending' || selectedImage.analysis_status === 'running'}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed"
+                        title="Analisar novamente com a IA (as edições manuais são mantidas)"
+                      >
+                        Reanalisar
+                      </button>
+                      {(selectedImage.edited_fields?.length > 0 || documentFields?.fields.some(field => field.edited)) && (
+                        <button
+                          onClick={() => reanalyzeImage(selectedImage, { discardEdits: true })}
+                          disabled={selectedImage.analysis_status === 'pending' || selectedImage.analysis_status === 'running'}
+                          className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Descartar as edições manuais e usar só o resultado da IA"
+                        >
+                          Descartar edições e reanalisar
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+                <dl className="grid grid-cols-[max-content_1fr] gap-x-3 gap-y-1.5 m-0 max-w-2xl">
+                  {METADATA_FIELDS.map(field => (
+                    <Fragment key={field.key}>
+                      <dt className="text-muted-foreground text-xs pt-1">
+                        {field.label}
+                        {selectedImage.edited_fields?.includes(field.column) && (
+                          <span className="ml-1 text-[0.625rem] text-amber-700 dark:text-amber-400" title="Editado manualmente; mantido na reanálise">editado</span>
+                        )}
+                      </dt>
+                      <dd className="m-0 text-xs">
+                        {metadataDraft ? (
+                          field.multiline ? (
+                            <textarea
+                              value={metadataDraft[field.key]}
+                              onChange={(e) => setMetadataDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                              rows={field.key === 'keywords' ? 2 : 3}
+                              placeholder={field.placeholder}
+                              className="w-full px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring resize-y"
+                            />
+                          ) : (
+                            <input
+                              type="text"
+                              value={metadataDraft[field.key]}
+                              onChange={(e) => setMetadataDraft(prev => ({ ...prev, [field.key]: e.target.value }))}
+                              placeholder={field.placeholder}
+                              className="w-full px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                            />
+                          )
+                        ) : field.key === 'keywords' ? (
+                          <span className="text-foreground">{(selectedImage.ai_keywords || []).join(', ') || '—'}</span>
+                        ) : (
+                          <span className="text-foreground">{selectedImage[field.column] || '—'}</span>
+                        )}
+                      </dd>
+                    </Fragment>
+                  ))}
+                </dl>
+              </div>
+              {documentFields && (
+                <div className="mt-4 pt-3 border-t border-border text-sm">
+                  <div className="flex gap-2 items-center flex-wrap mb-2">
+                    <span className="font-medium">Campos do documento</span>
+                    {fieldsDraft ? (
+                      <select
+                        value={fieldsDraft.schema}
+                        onChange={(e) => startFieldsEdit(e.target.value)}
+                        className="px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                      >
+                        {documentFields.schemas.map(schema => (
+                          <option key={schema.key} value={schema.key}>{schema.label}</option>
+                        ))}
+                      </select>
+                    ) : documentFields.label && (
+                      <span className="text-xs text-muted-foreground">{documentFields.label}</span>
+                    )}
+                    <span className="flex-1"></span>
+                    {fieldsDraft ? (
+                      <>
+                        <button
+                          onClick={() => saveDocumentFields(selectedImage)}
+                          className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                        >
+                          Salvar
+                        </button>
+                        <button
+                          onClick={() => setFieldsDraft(null)}
+                          className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                        >
+                          Cancelar
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        onClick={() => startFieldsEdit()}
+                        className="px-2 py-1 rounded-md text-xs font-medium cursor-pointer border border-border bg-background text-foreground hover:bg-accent"
+                      >
+                        {documentFields.schema ? 'Editar' : 'Adicionar campos'}
+                      </button>
+                    )}
+                  </div>
+                  {fieldsDraft ? (
+                    <dl className="grid grid-cols-[max-content_1fr] gap-x-3 gap-y-1.5 m-0 max-w-2xl">
+                      {documentFields.schemas.find(schema => schema.key === fieldsDraft.schema).fields.map(field => (
+                        <Fragment key={field.key}>
+                          <dt className="text-muted-foreground text-xs pt-1">{field.label}</dt>
+                          <dd className="m-0 text-xs">
+                            <input
+                              type={FIELD_INPUT_TYPES[field.type] || 'text'}
+                              inputMode={field.type === 'money' ? 'decimal' : undefined}
+                              value={fieldsDraft.values[field.key]}
+                              onChange={(e) => setFieldsDraft(prev => ({ ...prev, values: { ...prev.values, [field.key]: e.target.value } }))}
+                              className="w-full px-2 py-1 border border-input rounded-md bg-background text-foreground text-xs focus:outline-none focus:border-ring"
+                            />
+                          </dd>
+                        </Fragment>
+                      ))}
+                    </dl>
+                  ) : documentFields.schema ? (
+                    <dl className="grid grid-cols-[max-content_1fr] gap-x-3 gap-y-1.5 m-0 max-w-2xl">
+                      {documentFields.fields.map(field => (
+                        <Fragment key={field.key}>
+                          <dt className="text-muted-foreground text-xs pt-1">
+                            {field.label}
+                            {field.edited && (
+                              <span className="ml-1 text-[0.625rem] text-amber-700 dark:text-amber-400" title="Editado manualmente; mantido na reanálise">editado</span>
+                            )}
+                          </dt>
+                          <dd className="m-0 text-xs">
+                            <span className="text-foreground select-all">{formatFieldValue(field)}</span>
+                          </dd>
+                        </Fragment>
+                      ))}
+                    </dl>
+                  ) : (
+                    <p className="text-xs text-muted-foreground">Nenhum campo estruturado para este tipo de documento</p>
+                  )}
+                </div>
+              )}
             </div>
           </div>
         </div>
       )}
 
+      {showDuplicates && (
+        <div
+          className="fixed inset-0 bg-foreground/80 flex items-center justify-center z-[1000] p-8 backdrop-blur-md"
+          onClick={() => setShowDuplicates(false)}
+        >
+          <div className="w-full max-w-3xl max-h-[85vh] overflow-y-auto relative bg-card rounded-lg shadow-2xl" onClick={(e) => e.stopPropagation()}>
+            <div className="sticky top-0 flex items-center justify-between px-4 py-3 border-b border-border bg-card">
+              <h3 className="text-base font-semibold">Duplicatas ({duplicateClusters.length})</h3>
+              <button
+                className="w-8 h-8 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+                onClick={() => setShowDuplicates(false)}
+              >
+                ✕
+              </button>
+            </div>
+            {duplicateClusters.length === 0 ? (
+              <p className="p-8 text-center text-sm text-muted-foreground">Nenhuma duplicata encontrada</p>
+            ) : (
+              <ul className="list-none p-0 m-0">
+                {duplicateClusters.map(cluster => (
+                  <li key={cluster.images.map(img => img.id).join('-')} className="p-4 border-b border-border last:border-b-0">
+                    <p className="text-xs font-medium text-muted-foreground mb-3">
+                      {cluster.type === 'exact' ? 'Arquivos idênticos' : 'Visualmente parecidos'} · {cluster.images.length} arquivos
+                    </p>
+                    <div className="grid gap-3 grid-cols-[repeat(auto-fill,minmax(160px,1fr))]">
+                      {cluster.images.map(img => (
+                        <div key={img.id} className="border border-border rounded-lg overflow-hidden">
+                          <img
+                            src={img.thumbnails.sm}
+                            alt={img.originalname}
+                            loading="lazy"
+                            className="w-full aspect-square object-cover bg-muted"
+                          />
+                          <div className="p-2">
+                            <p className="text-xs font-medium overflow-hidden text-ellipsis whitespace-nowrap" title={img.originalname}>{img.originalname}</p>
+                            <p className="text-[0.6875rem] text-muted-foreground">{formatFileSize(img.size)} • {formatDate(img.created_at)}</p>
+                            <div className="flex gap-1 mt-2">
+                              <button
+                                onClick={() => mergeDuplicates(img, cluster)}
+                                className="flex-1 px-2 py-1 rounded-md text-[0.6875rem] font-medium cursor-pointer border-none bg-primary text-primary-foreground hover:bg-primary/90"
+                              >
+                                Manter esta
+                              </button>
+                              <button
+                                onClick={(e) => removeImage(img.id, e)}
+                                className="px-2 py-1 rounded-md text-[0.6875rem] font-medium cursor-pointer border-none bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                              >
+                                Excluir
+                              </button>
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
+      {uploadItems.length > 0 && (
+        <div className="fixed bottom-6 left-6 w-80 max-h-[50vh] overflow-y-auto bg-card border border-border rounded-lg shadow-lg z-[1500]">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-border">
+            <p className="text-sm font-medium">
+              Uploads ({uploadItems.filter(item => item.status === 'saved').length}/{uploadItems.length})
+            </p>
+            {uploadItems.every(item => FINAL_UPLOAD_STATUSES.includes(item.status)) && (
+              <button
+                onClick={() => setUploadItems([])}
+                className="w-6 h-6 p-0 rounded-md bg-transparent border-none cursor-pointer flex items-center justify-center text-muted-foreground transition-all hover:bg-accent hover:text-accent-foreground"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+          <ul className="list-none p-0 m-0">
+            {uploadItems.map(item => {
+              const percent = item.size > 0 ? Math.round(item.received / item.size * 100) : 100
+              return (
+                <li key={item.index} className="px-4 py-2 border-b border-border last:border-b-0">
+                  <div className="flex items-center justify-between gap-2 text-xs">
+                    <span className="flex-1 min-w-0 overflow-hidden text-ellipsis whitespace-nowrap" title={item.name}>{item.name}</span>
+                    <span className={`shrink-0 ${item.status === 'failed' ? 'text-destructive' : item.status === 'saved' ? 'text-green-600 dark:text-green-400' : 'text-muted-foreground'}`}>
+                      {item.status === 'uploading' ? `${percent}%` : UPLOAD_STATUS_LABELS[item.status]}
+                    </span>
+                  </div>
+                  <div className="mt-1.5 h-1 bg-muted rounded overflow-hidden">
+                    <div
+                      className={`h-full transition-all duration-300 ${item.status === 'failed' ? 'bg-destructive' : item.status === 'saved' ? 'bg-green-600' : 'bg-primary'} ${item.status === 'analyzing' || item.status === 'queued' || item.status === 'retrying' ? 'animate-pulse' : ''}`}
+                      style={{ width: `${percent}%` }}
+                    />
+                  </div>
+                  {item.personName && (
+                    <p className="mt-1 text-[0.6875rem] text-muted-foreground">Pessoa sugerida: {item.personName}</p>
+                  )}
+                  {(item.duplicateOf || item.similarCount) && (
+                    <p className="mt-1 text-[0.6875rem] text-amber-700 dark:text-amber-400">
+                      {item.duplicateOf
+                        ? `Idêntico à imagem #${item.duplicateOf} - análise reaproveitada`
+                        : `Parecido com ${item.similarCount} arquivo(s) da galeria`}
+                    </p>
+                  )}
+                  {(item.keywordsCount || item.costBRL !== undefined || item.error) && (
+                    <p className={`mt-1 text-[0.6875rem] ${item.error ? 'text-destructive' : 'text-muted-foreground'}`}>
+                      {item.error
+                        ? item.error
+                        : [
+                          item.documentType,
+                          item.keywordsCount && `${item.keywordsCount} keywords`,
+                          item.costBRL !== undefined && `R$ ${item.costBRL.toFixed(4)}`
+                        ].filter(Boolean).join(' • ')}
+                    </p>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        </div>
+      )}
+
       {toast && (
         <div className={`fixed bottom-6 right-6 left-4 md:left-auto px-4 py-3 rounded-lg bg-card border border-border shadow-lg z-[2000] text-sm animate-[slideUp_0.2s] ${toast.type === 'success' ? 'border-primary' : 'border-destructive'}`}>
           {toast.type === 'success' ? '✓' : '✕'} {toast.message}
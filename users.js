@@ -0,0 +1,79 @@
+import crypto from 'crypto'
+import { db, dbAll } from './server/db.js'
+import { migrateUp } from './server/migrate.js'
+import { createUser, getUserByEmail, normalizeEmail, countLegacyRecords, claimLegacyRecords } from './server/auth.js'
+
+const USAGE = `Uso:
+  npm run users -- list                      lista as contas e os registros sem dono
+  npm run users -- create <email> [nome]     cria uma conta com senha gerada (exibida uma única vez)
+  npm run users -- claim-legacy <email>      atribui à conta os registros anteriores às contas (sem dono)`
+
+async function listCommand() {
+  const users = await dbAll('SELECT id, email, name, created_at FROM users ORDER BY id')
+  console.log('\n👤 Contas\n')
+  for (const user of users) {
+    console.log(`   ${String(user.id).padStart(4)}  ${user.email.padEnd(32)} ${user.name || ''}`)
+  }
+  if (users.length === 0) console.log('   Nenhuma conta')
+
+  const legacy = await countLegacyRecords()
+  if (Object.values(legacy).some(count => count > 0)) {
+    console.log('\n   Registros sem dono: ' + Object.entries(legacy).map(([table, count]) => `${table} ${count}`).join(', '))
+  }
+  console.log('')
+}
+
+async function createCommand(email, name) {
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) throw new Error('E-mail inválido')
+  if (await getUserByEmail(email)) throw new Error(`E-mail já cadastrado: ${normalizeEmail(email)}`)
+
+  const password = crypto.randomBytes(12).toString('base64url')
+  const user = await createUser({ email, password, name })
+  console.log(`✅ Conta ${user.id} criada: ${user.email}`)
+  console.log(`   Senha: ${password}`)
+}
+
+async function claimLegacyCommand(email) {
+  const user = await getUserByEmail(email)
+  if (!user) throw new Error(`Conta não encontrada: ${normalizeEmail(email)}`)
+
+  const claimed = await claimLegacyRecords(user.id)
+  const total = Object.values(claimed).reduce((sum, count) => sum + count, 0)
+  if (total === 0) {
+    console.log('✅ Nenhum registro sem dono')
+    return
+  }
+  for (const [table, count] of Object.entries(claimed)) {
+    console.log(`   ${table.padEnd(12)} ${count}`)
+  }
+  console.log(`✅ ${total} registro(s) atribuído(s) a ${user.email}`)
+}
+
+const COMMANDS = {
+  list: { run: listCommand, args: 0 },
+  create: { run: createCommand, args: 1 },
+  'claim-legacy': { run: claimLegacyCommand, args: 1 }
+}
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2)
+  const command = COMMANDS[name]
+  if (!command || args.length < command.args) {
+    console.log(USAGE)
+    db.close()
+    return
+  }
+
+  try {
+    // Banco ainda sem a tabela de usuários (servidor nunca iniciado)
+    await migrateUp(db)
+    await command.run(args[0], args.slice(1).join(' ') || null)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exitCode = 1
+  } finally {
+    db.close()
+  }
+}
+
+main()
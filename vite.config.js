@@ -12,6 +12,15 @@ export default defineConfig({
       '/uploads': {
         target: 'http://localhost:3001',
         changeOrigin: true,
+      },
+      '/thumbs': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
+      },
+      // Links públicos de compartilhamento (regex para não capturar /src)
+      '^/s/': {
+        target: 'http://localhost:3001',
+        changeOrigin: true,
       }
     }
   }